@@ -47,6 +47,7 @@ Our frontend sends requests to this backend, and the backend responds with data.
 const express = require('express');
 const http = require('http'); // [NEW] Needed for Socket.io
 const { initializeSocket } = require('./src/socket/socket.server'); // [NEW] Our Socket Module
+const { startSessionReaper } = require('./src/jobs/session-reaper'); // Closes abandoned sessions
 
 /*
   cors - Cross-Origin Resource Sharing middleware
@@ -97,6 +98,57 @@ const { verifyFirebaseToken } = require('./src/middleware/authMiddleware');
 */
 const UserService = require('./src/services/user.service');
 
+/*
+  SessionService - Firestore operations for interview sessions
+  
+  ROLE: Read back saved sessions and their turn-by-turn transcripts
+*/
+const SessionService = require('./src/services/session.service');
+
+/*
+  TemplateService - Interview templates (role, stack, limits...)
+  
+  ROLE: Lists the templates the dashboard picker offers
+*/
+const TemplateService = require('./src/services/template.service');
+
+/*
+  QuotaService - Daily / weekly time budgets
+  
+  ROLE: Validates the timezone the browser reports at /api/me
+*/
+const QuotaService = require('./src/services/quota.service');
+
+/*
+  CohortService - Mentor-run groups of candidates
+  
+  ROLE: Joining a cohort by invite link, and the candidate's assignments
+*/
+const CohortService = require('./src/services/cohort.service');
+
+/*
+  TTSService - Text to speech
+  
+  ROLE: Speaks the pre-interview speaker test in the interviewer's voice
+*/
+const TTSService = require('./src/services/ai/tts.service');
+
+/*
+  adminRoutes - Everything under /api/admin
+  
+  ROLE: The admin console's API (users, sessions, violation log)
+  SECURITY: Admins only; the router checks the role itself (checkRole)
+*/
+const adminRoutes = require('./src/routes/admin.routes');
+
+/*
+  mentorRoutes - Everything under /api/mentor
+  
+  ROLE: Which interviews a mentor may watch, and their notes
+  SECURITY: Mentors and admins only (checkRole)
+*/
+const mentorRoutes = require('./src/routes/mentor.routes');
+
 
 // =============================================================================
 // CONFIGURATION
@@ -295,7 +347,11 @@ app.get('/api/me', verifyFirebaseToken, async function (req, res) {
       email: req.user.email,
       displayName: req.user.name || null,
       photoURL: req.user.picture || null,
-      authProvider: 'google' // For now, we only support Google
+      authProvider: 'google', // For now, we only support Google
+      
+      // The browser's timezone (?timezone=Asia/Kolkata): the daily budget
+      // resets at the user's local midnight. Ignored if Intl doesn't know it.
+      timezone: QuotaService.isValidTimeZone(req.query.timezone) ? req.query.timezone : null
     };
     
     /*
@@ -313,6 +369,23 @@ app.get('/api/me', verifyFirebaseToken, async function (req, res) {
       console.log('👋 /api/me: Returning user, updated lastLoginAt');
     }
     
+    /*
+      Keep the role claim in the token in step with Firestore
+      
+      New users, users from before custom claims, or a sync that failed
+      when an admin changed the role. The client sees that its token's
+      role differs from profile.role and refreshes the token.
+    */
+    if (req.user.role !== user.role) {
+      try {
+        if (await UserService.syncRoleClaim(req.user.uid, user.role)) {
+          user.claimsUpdatedAt = Date.now();
+        }
+      } catch (error) {
+        console.error('⚠️ /api/me: Could not sync the role claim:', error.message);
+      }
+    }
+    
     /*
       Return the full Firestore profile
       
@@ -359,8 +432,8 @@ app.post('/api/session/start', verifyFirebaseToken, async function (req, res) {
 // 2. HEARTBEAT (The Pulse)
 app.post('/api/session/heartbeat', verifyFirebaseToken, async function (req, res) {
   try {
-    await UserService.updateHeartbeat(req.user.uid);
-    res.json({ success: true });
+    const quota = await UserService.updateHeartbeat(req.user.uid);
+    res.json({ success: true, quota });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
   }
@@ -370,14 +443,187 @@ app.post('/api/session/heartbeat', verifyFirebaseToken, async function (req, res
 app.post('/api/session/end', verifyFirebaseToken, async function (req, res) {
   try {
     // Note: We don't need duration from client anymore (Security Fix)
-    await UserService.endInterviewSession(req.user.uid);
-    res.json({ success: true });
+    const sessionId = await UserService.endInterviewSession(req.user.uid);
+    res.json({ success: true, sessionId: sessionId || null });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
   }
 });
 
 
+/*
+  session history routes - GET /api/sessions/...
+  
+  ROLE: Let the user browse their past interviews (powers "My Analytics")
+  SECURITY: SessionService only returns sessions owned by req.user.uid
+*/
+
+// 4. LIST MY SESSIONS
+app.get('/api/sessions', verifyFirebaseToken, async function (req, res) {
+  try {
+    const sessions = await SessionService.listSessionsForUser(req.user.uid);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('❌ /api/sessions: Error listing sessions:', error);
+    res.status(500).json({ success: false, error: 'Failed to load sessions', message: error.message });
+  }
+});
+
+// 5. GET ONE SESSION (with full transcript and integrity timeline)
+app.get('/api/sessions/:id', verifyFirebaseToken, async function (req, res) {
+  try {
+    const session = await SessionService.getSessionForUser(req.user.uid, req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'NotFound', message: 'Session not found' });
+    }
+    
+    // Proctoring events, so the candidate sees what was flagged and why
+    session.violations = await SessionService.listViolations({
+      sessionId: session.sessionId,
+      limit: SessionService.MAX_VIOLATIONS_LISTED
+    });
+    
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error('❌ /api/sessions/:id: Error loading session:', error);
+    res.status(500).json({ success: false, error: 'Failed to load session', message: error.message });
+  }
+});
+
+
+/*
+  quota routes - GET /api/quota
+  
+  ROLE: What's left of the user's daily / weekly time budget (see QuotaService)
+  NOTE: Includes the session running right now, if any
+*/
+
+// 6. GET MY QUOTA
+app.get('/api/quota', verifyFirebaseToken, async function (req, res) {
+  try {
+    const quota = await UserService.getQuotaForUser(req.user.uid);
+    res.json({ success: true, quota });
+  } catch (error) {
+    console.error('❌ /api/quota: Error loading quota:', error);
+    res.status(500).json({ success: false, error: 'Failed to load quota', message: error.message });
+  }
+});
+
+
+/*
+  interview template routes - GET /api/templates
+  
+  ROLE: Feed the dashboard's template picker
+  NOTE: Only the public summary is sent; prompt fragments stay on the server
+*/
+
+// 7. LIST INTERVIEW TEMPLATES
+app.get('/api/templates', verifyFirebaseToken, function (req, res) {
+  try {
+    res.json({
+      success: true,
+      templates: TemplateService.listTemplates(),
+      defaultTemplateId: TemplateService.DEFAULT_TEMPLATE_ID
+    });
+  } catch (error) {
+    console.error('❌ /api/templates: Error listing templates:', error);
+    res.status(500).json({ success: false, error: 'Failed to load templates', message: error.message });
+  }
+});
+
+
+/*
+  admin routes - /api/admin/...
+  
+  ROLE: Manage users, sessions and proctoring (see src/routes/admin.routes.js)
+  SECURITY: verifyFirebaseToken + checkRole([ADMIN]) on every route
+*/
+
+// 8. ADMIN CONSOLE
+app.use('/api/admin', adminRoutes);
+
+/*
+  mentor routes - /api/mentor/...
+  
+  ROLE: Live observation with the candidate's consent (see src/routes/mentor.routes.js)
+  SECURITY: verifyFirebaseToken + checkRole([MENTOR, ADMIN]) on every route
+*/
+
+// 9. MENTOR OBSERVATION
+app.use('/api/mentor', mentorRoutes);
+
+
+/*
+  cohort routes - /api/cohorts/...
+  
+  ROLE: The candidate's side of cohorts (mentors manage them under /api/mentor)
+  NOTE: Any signed-in user may join with an invite code; the code is the secret
+*/
+
+// 10. MY COHORTS (and their assignments)
+app.get('/api/cohorts', verifyFirebaseToken, async function (req, res) {
+  try {
+    const cohorts = await CohortService.listCohortsForMember(req.user.uid);
+    res.json({ success: true, cohorts });
+  } catch (error) {
+    console.error('❌ /api/cohorts: Error listing cohorts:', error);
+    res.status(500).json({ success: false, error: 'Failed to load cohorts', message: error.message });
+  }
+});
+
+// 11. JOIN A COHORT (invite link /join/<code>)
+app.post('/api/cohorts/join', verifyFirebaseToken, async function (req, res) {
+  const code = typeof req.body?.code === 'string' ? req.body.code.trim() : '';
+  if (!code) {
+    return res.status(400).json({ success: false, error: 'InvalidCode', message: 'code is required' });
+  }
+
+  try {
+    const cohort = await CohortService.joinCohort(req.user.uid, code);
+    if (!cohort) {
+      return res.status(404).json({ success: false, error: 'NotFound', message: 'This invite link is not valid anymore' });
+    }
+    res.json({ success: true, cohort: { cohortId: cohort.cohortId, name: cohort.name, mentorName: cohort.mentorName || null } });
+  } catch (error) {
+    res.status(400).json({ success: false, error: 'JoinFailed', message: error.message });
+  }
+});
+
+
+/*
+  calibration routes - GET /api/calibration/speaker-test?template=<id>
+  
+  ROLE: The pre-interview check plays one line in the interviewer's voice,
+        so the candidate knows their speakers work before it counts
+  NOTE: Same line for everyone: synthesized once per voice and cached
+        (a failed synthesis is not cached)
+*/
+const SPEAKER_TEST_TEXT = "Hello, I am your interviewer. If you can hear me clearly, your speakers are ready.";
+const speakerTestCache = new Map(); // voice -> Promise<{ audio (base64), mimeType }>
+
+// 12. SPEAKER TEST (pre-interview check)
+app.get('/api/calibration/speaker-test', verifyFirebaseToken, async function (req, res) {
+  const template = TemplateService.resolveTemplate(typeof req.query.template === 'string' ? req.query.template : null);
+  const voice = template?.voice || null;
+  const cacheKey = voice || 'default';
+
+  if (!speakerTestCache.has(cacheKey)) {
+    speakerTestCache.set(cacheKey, TTSService.generateAudio(SPEAKER_TEST_TEXT, { voice })
+      .then(({ audio, mimeType }) => ({ audio: audio.toString('base64'), mimeType })));
+  }
+
+  try {
+    const sample = await speakerTestCache.get(cacheKey);
+    res.json({ success: true, text: SPEAKER_TEST_TEXT, audio: sample.audio, mimeType: sample.mimeType });
+  } catch (error) {
+    speakerTestCache.delete(cacheKey);
+    console.error('❌ /api/calibration/speaker-test: Error synthesizing:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to play the speaker test', message: error.message });
+  }
+});
+
+
 // =============================================================================
 // START THE SERVER
 // =============================================================================
@@ -410,6 +656,9 @@ server.listen(PORT, function () {
   
   // Initialize Socket.io (After server is created)
   initializeSocket(server);
+
+  // Close sessions whose heartbeat stopped (see src/jobs/session-reaper.js)
+  startSessionReaper();
   
   console.log('Visit: http://localhost:' + PORT);
   console.log('=================================');
@@ -18,27 +18,58 @@ RULES COVERED:
   2. LIMITS: How much can a user talk? How much can the AI write?
   3. COSTS: Strict token caps to prevent expensive bills.
   4. SAFETY: Abuse detection thresholds.
+  5. PROVIDERS: Which LLM backend to talk to (env: LLM_PROVIDER).
 ================================================================================
 */
 
+/*
+  dotenv - Provider selection and API keys come from the environment.
+  NOTE: This file can be required before index.js calls dotenv.config()
+        (e.g. via the socket handlers), so we ensure it here too.
+*/
+require('dotenv').config();
+
 const AI_CONFIG = {
   
   // ===========================================================================
-  // 1. SPEECH-TO-TEXT (STT) CONFIGURATION - DEEPGRAM
+  // 1. SPEECH-TO-TEXT (STT) CONFIGURATION
   // ===========================================================================
   STT: {
     /*
-      DEEPGRAM_MODEL:
-      The transcription model to use.
-      'nova-2' is Deepgram's fastest, most accurate model.
+      PROVIDER:
+      Which adapter STTService uses (see services/ai/providers/stt/).
+        - 'deepgram': Deepgram live streaming (cloud, needs DEEPGRAM_API_KEY)
+        - 'vosk':     Local Vosk server over WebSocket (audio transcoded by ffmpeg)
+        - 'replay':   Replays a WAV/webm fixture's transcript. No network. For CI/dev.
     */
-    DEEPGRAM_MODEL: 'nova-3',
-    
+    PROVIDER: process.env.STT_PROVIDER || 'deepgram',
+
     /*
-      DEEPGRAM_LANGUAGE:
-      Primary language for transcription.
+      PROVIDERS:
+      Per-adapter settings.
     */
-    DEEPGRAM_LANGUAGE: 'en-IN',
+    PROVIDERS: {
+      deepgram: {
+        // 'nova-3' is Deepgram's fastest, most accurate model.
+        MODEL: 'nova-3',
+        LANGUAGE: 'en-IN',
+        ENDPOINTING_MS: 900,   // Silence that ends an utterance
+        DIARIZE: true,         // Detect multiple speakers (anti-cheating)
+        API_KEY_ENV: 'DEEPGRAM_API_KEY',
+      },
+      vosk: {
+        // e.g. `docker run -p 2700:2700 alphacep/kaldi-en`
+        URL: process.env.VOSK_URL || 'ws://localhost:2700',
+        SAMPLE_RATE: 16000,
+        FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+      },
+      replay: {
+        // Audio fixture (.wav or .webm) with a `<name>.transcript.json` sidecar
+        FIXTURE_PATH: process.env.STT_REPLAY_FIXTURE || null,
+        // Start the script over once the fixture has been fully "heard"
+        LOOP: true,
+      },
+    },
 
     /*
       SILENCE_TIMEOUT_MS: 
@@ -60,17 +91,61 @@ const AI_CONFIG = {
   // ===========================================================================
   LLM: {
     /*
-      MODEL_NAME: 
-      Cerebras Cloud API Model.
-      'llama-3.1-8b' is blazing fast (Instant).
+      PROVIDER:
+      Which adapter LLMService uses (see services/ai/providers/llm/).
+        - 'openai':    Any OpenAI-compatible endpoint (Cerebras by default)
+        - 'anthropic': Anthropic-style /v1/messages API
+        - 'ollama':    Local Ollama server (native /api/chat)
+        - 'llamacpp':  Local llama.cpp server (OpenAI-compatible /v1)
+        - 'mock':      Scripted, deterministic replies. No network. For CI/dev.
     */
-    MODEL_NAME: 'gpt-oss-120b', 
-    
+    PROVIDER: process.env.LLM_PROVIDER || 'openai',
+
+    /*
+      PROVIDERS:
+      Per-adapter connection settings.
+      - API_KEY_ENV: Name of the env var holding the key (null = no key needed).
+      - LLM_MODEL / LLM_BASE_URL override the selected provider's defaults.
+    */
+    PROVIDERS: {
+      openai: {
+        // Cerebras Cloud API. 'gpt-oss-120b' is blazing fast.
+        MODEL_NAME: process.env.LLM_MODEL || 'gpt-oss-120b',
+        BASE_URL: process.env.LLM_BASE_URL || 'https://api.cerebras.ai/v1',
+        API_KEY_ENV: 'CEREBRAS_API_KEY',
+      },
+      anthropic: {
+        MODEL_NAME: process.env.LLM_MODEL || 'claude-3-5-haiku-latest',
+        BASE_URL: process.env.LLM_BASE_URL || 'https://api.anthropic.com/v1',
+        API_KEY_ENV: 'ANTHROPIC_API_KEY',
+        API_VERSION: '2023-06-01',
+      },
+      ollama: {
+        MODEL_NAME: process.env.LLM_MODEL || 'llama3.1',
+        BASE_URL: process.env.LLM_BASE_URL || 'http://localhost:11434',
+        API_KEY_ENV: null,
+      },
+      llamacpp: {
+        // llama-server ignores the model name but the field is required
+        MODEL_NAME: process.env.LLM_MODEL || 'local',
+        BASE_URL: process.env.LLM_BASE_URL || 'http://localhost:8080/v1',
+        API_KEY_ENV: null,
+      },
+      mock: {
+        MODEL_NAME: 'mock-interviewer',
+        // JSON file with { interviewer: [String], evaluation: {...} }
+        SCRIPT_PATH: process.env.MOCK_LLM_SCRIPT || null,
+        // Delay between streamed words, so the UI behaves like a real stream
+        TOKEN_DELAY_MS: 20,
+      },
+    },
+
     /*
-      BASE_URL:
-      The endpoint for Cerebras Cloud API.
+      MAX_PROMPT_TOKENS:
+      Estimated size cap for one interviewer request (system + history + input).
+      Oldest history is dropped first when we go over.
     */
-    BASE_URL: 'https://api.cerebras.ai/v1',
+    MAX_PROMPT_TOKENS: 6000,
 
     /*
       MAX_TOKENS_PER_RESPONSE:
@@ -88,10 +163,24 @@ const AI_CONFIG = {
 
     /*
       TIMEOUT_MS:
-      If Cerebras doesn't respond in this time, we abort.
+      If the provider doesn't respond in this time, we abort.
       Better to fail fast than hang the UI.
     */
     TIMEOUT_MS: 15 * 1000, // 15 Seconds
+
+    /*
+      EVALUATION:
+      Settings for the post-interview grading pass (non-streaming).
+      - Needs far more tokens than a spoken reply (it returns a JSON report).
+      - Low temperature so the same transcript gets a stable grade.
+      - MAX_TRANSCRIPT_CHARACTERS caps the prompt size (cost control).
+    */
+    EVALUATION: {
+      MAX_TOKENS: 1500,
+      TEMPERATURE: 0.2,
+      TIMEOUT_MS: 60 * 1000, // 1 Minute (nobody is waiting on audio)
+      MAX_TRANSCRIPT_CHARACTERS: 30000,
+    },
   },
 
   // ===========================================================================
@@ -99,16 +188,43 @@ const AI_CONFIG = {
   // ===========================================================================
   TTS: {
     /*
-      VOICE_NAME:
-      Microsoft Edge Neural voice to use.
-      'en-IN-NeerjaNeural' is a professional Indian English female voice.
-      
-      Other options:
-        - 'en-US-AriaNeural' (Female, US)
-        - 'en-US-AndrewNeural' (Male, US)
-        - 'en-US-JennyNeural' (Female, friendly)
+      PROVIDER:
+      Which adapter TTSService uses (see services/ai/providers/tts/).
+        - 'edge':  Microsoft Edge neural voices over WebSocket (in-process)
+        - 'piper': Local Piper binary, fully offline (needs PIPER_MODEL)
+        - 'stub':  Generated beep/silence WAVs. No network. For tests.
+    */
+    PROVIDER: process.env.TTS_PROVIDER || 'edge',
+
+    /*
+      PROVIDERS:
+      Per-adapter settings.
     */
-    VOICE_NAME: 'en-US-AvaNeural',
+    PROVIDERS: {
+      edge: {
+        /*
+          VOICE_NAME:
+          Microsoft Edge Neural voice to use.
+          Other options:
+            - 'en-IN-NeerjaNeural' (Female, Indian English)
+            - 'en-US-AriaNeural' (Female, US)
+            - 'en-US-AndrewNeural' (Male, US)
+            - 'en-US-JennyNeural' (Female, friendly)
+        */
+        VOICE_NAME: 'en-US-AvaNeural',
+        OUTPUT_FORMAT: 'audio-24khz-48kbitrate-mono-mp3',
+        TIMEOUT_MS: 10 * 1000,
+      },
+      piper: {
+        BINARY_PATH: process.env.PIPER_PATH || 'piper',
+        MODEL_PATH: process.env.PIPER_MODEL || null,
+        TIMEOUT_MS: 10 * 1000,
+      },
+      stub: {
+        MODE: process.env.TTS_STUB_MODE || 'beep', // 'beep' | 'silence'
+        MS_PER_WORD: 250,
+      },
+    },
     
     /*
       MAX_CHARACTERS:
@@ -126,14 +242,51 @@ const AI_CONFIG = {
       MAX_TURNS:
       Maximum number of Q&A exchanges allowed per session.
       Prevents a session from going on indefinitely.
+      Caps every template's maxTurns (see SessionPolicy).
     */
     MAX_TURNS: 20,
     
     /*
       PROFANITY_FILTER:
       Whether to aggressively block bad language.
+      Candidate transcripts are masked and count as a violation; interviewer
+      sentences that fail the filter are never spoken (see SessionPolicy).
     */
     PROFANITY_FILTER: true,
+  },
+
+  // ===========================================================================
+  // 5. BARGE-IN (Candidate interrupts the interviewer)
+  // ===========================================================================
+  BARGE_IN: {
+    /*
+      ENABLED:
+      Keep listening while the interviewer speaks, and stop talking
+      the moment the candidate starts. Set BARGE_IN=false to go back to
+      strict turn-taking.
+    */
+    ENABLED: process.env.BARGE_IN !== 'false',
+
+    /*
+      MIN_WORDS:
+      Words the candidate must say before we cut the interviewer off.
+      A cough or an "uh" shouldn't stop the question.
+    */
+    MIN_WORDS: 2,
+
+    /*
+      ECHO_OVERLAP_RATIO:
+      If this share of the heard words also appear in what the interviewer
+      just said, it's the speakers leaking into the mic, not the candidate.
+    */
+    ECHO_OVERLAP_RATIO: 0.6,
+
+    /*
+      ACK_TIMEOUT_MS:
+      How long we wait for the client to report where playback stopped
+      before assuming every sentence already sent was heard.
+    */
+    ACK_TIMEOUT_MS: 1500,
   }
 };
 
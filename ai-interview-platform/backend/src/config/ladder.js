@@ -0,0 +1,23 @@
+/*
+  DIFFICULTY LADDER
+  ROLE: The six rungs from interviewer.prompt.js, as data.
+  WHY:  The prompt describes the ladder in prose for the model, but the
+        backend also needs it (e.g. to validate "highest rung reached"
+        in evaluation reports). Keep both in sync.
+*/
+const DIFFICULTY_LADDER = [
+  'BASIC',        // High level definitions only
+  'EASY',         // Basic usage and common properties
+  'MEDIUM',       // Behavior and side effects
+  'INTERMEDIATE', // Security and trade offs
+  'ADVANCED',     // Mechanisms and internals
+  'EXPERT'        // Performance and edge cases
+];
+
+// "You must stay at each level for 3 questions before moving up."
+const QUESTIONS_PER_RUNG = 3;
+
+module.exports = {
+  DIFFICULTY_LADDER,
+  QUESTIONS_PER_RUNG
+};
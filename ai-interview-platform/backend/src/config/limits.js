@@ -2,12 +2,53 @@
   LIMITS CONFIGURATION
   ROLE: Central place for all application limits.
 */
+const ROLES = require('./roles');
+
+// 30 minutes per day (in seconds), the default plan's budget
+const DAILY_TIME_BUDGET_SECONDS = 30 * 60;
+
 const LIMITS = {
-  // 15 minutes per day (in seconds)
-  DAILY_TIME_BUDGET_SECONDS: 30 * 60, 
+  DAILY_TIME_BUDGET_SECONDS: DAILY_TIME_BUDGET_SECONDS,
+
+  // Time budget per plan (see services/quota.service.js), in seconds.
+  // A user's `plan` field picks the row, else their role. null = no limit.
+  QUOTA_PLANS: {
+    [ROLES.USER]:   { dailySec: DAILY_TIME_BUDGET_SECONDS, weeklySec: null },
+    [ROLES.MENTOR]: { dailySec: 2 * DAILY_TIME_BUDGET_SECONDS, weeklySec: null },
+    [ROLES.ADMIN]:  { dailySec: null, weeklySec: null },
+    pro:            { dailySec: 3 * DAILY_TIME_BUDGET_SECONDS, weeklySec: 10 * 60 * 60 }
+  },
+
+  // Timezone of users who haven't reported one yet (the daily budget resets
+  // at midnight in the user's own timezone, see quota.service.js)
+  DEFAULT_TIMEZONE: 'UTC',
+
+  // The interview page warns when this much quota is left
+  QUOTA_WARNING_SECONDS: 2 * 60,
+
+  // Once the quota runs out the interviewer wraps up; a session still
+  // running this long after that is ended by the server
+  QUOTA_OVERRUN_SECONDS: 60,
   
   // Max duration for a single session (safety cap)
-  MAX_SESSION_DURATION_SECONDS: 30 * 60 
+  MAX_SESSION_DURATION_SECONDS: 30 * 60,
+
+  // How long after a disconnect the interview can still be resumed
+  // (matches the 2-minute heartbeat window for abandoned sessions)
+  RESUME_WINDOW_SECONDS: 2 * 60,
+
+  // A session whose last heartbeat (sent every 15s) is older than this is
+  // abandoned and closed by the session reaper (jobs/session-reaper.js).
+  // Keep it >= RESUME_WINDOW_SECONDS so a resumable session is never reaped.
+  STALE_SESSION_SECONDS: 2 * 60,
+
+  // How often the session reaper sweeps (one instance per sweep)
+  SESSION_REAPER_INTERVAL_SECONDS: 60,
+
+  // Longest stretch between two heartbeats (sent every 15s) that is charged.
+  // Past that the user wasn't there, and the rest of the gap is free
+  // (see services/billing.service.js).
+  BILLING_GRACE_SECONDS: 30
 };
 
 module.exports = LIMITS;
\ No newline at end of file
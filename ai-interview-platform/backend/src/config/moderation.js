@@ -0,0 +1,36 @@
+/*
+  MODERATION WORD LISTS
+  ROLE: The data behind the local profanity/abuse classifier
+        (services/moderation/profanity.filter.js).
+  WHY:  Kept apart from the code so the lists can grow without touching logic.
+
+  - PROFANITY:      Single words. Matched on whole words after normalizing
+                    (lowercase, leetspeak, repeated letters), so "sh1iit"
+                    matches "shit". Listed forms cover common inflections.
+  - ABUSE_PATTERNS: Phrases aimed at the interviewer (insults, threats).
+                    Regexes, run on lowercase text without punctuation
+                    (apostrophes dropped: "I'll" -> "ill"). An insult word
+                    only counts when it is said *to* the interviewer
+                    ("you are stupid", not "stupid code"): answers talk
+                    about useless features and dumb bugs all the time.
+*/
+const PROFANITY = [
+  'fuck', 'fucking', 'fucked', 'fucker', 'fuckers', 'motherfucker', 'fck', 'fuk',
+  'shit', 'shitty', 'bullshit', 'shite',
+  'bitch', 'bitches', 'bastard', 'bastards',
+  'asshole', 'assholes', 'dickhead',
+  'cunt', 'twat', 'wanker', 'bollocks'
+];
+
+const ABUSE_PATTERNS = [
+  /\b(i will|ill|im going to|i am going to|gonna) (kill|hurt|beat) you\b/,
+  /\byou(re| are) (a |an |so |such a |such an )?(stupid|idiot|moron|useless|pathetic|worthless|dumb)\b/,
+  /\byou (stupid|useless|dumb|pathetic|worthless) (bot|machine|ai|interviewer|idiot)\b/,
+  /\bgo (die|kill yourself)\b/,
+  /\bkys\b/
+];
+
+module.exports = {
+  PROFANITY,
+  ABUSE_PATTERNS
+};
@@ -0,0 +1,47 @@
+/*
+  PROCTORING POLICY DEFAULTS
+  ROLE: How much each proctoring event counts, and when we warn or end the
+        interview (services/interview/proctoring-policy.js).
+  WHY:  Kept apart from the code so it can be tuned without touching logic.
+        A template can override any part of it with a "proctoring" block
+        (see TemplateService).
+
+  - MODE:                  'enforce' (warn, then terminate) or 'record_only'
+                           (practice: everything is logged, nothing is acted on)
+  - GRACE_PERIOD_SECONDS:  After the interview starts, events are logged but
+                           don't count (camera and mic are still settling)
+  - WARN_AT, TERMINATE_AT: Score thresholds. The score is the sum of every
+                           event's weight, each decaying on its own half-life
+  - RULES:                 Per event type (reason codes from
+                           shared/proctoring-events.json): weight, and
+                           halfLifeSeconds (null = never decays). Weight 0 = log only
+  - DEFAULT_RULE:          For event types not listed in RULES
+*/
+const MODES = ['enforce', 'record_only'];
+
+const DEFAULT_POLICY = {
+  MODE: 'enforce',
+  GRACE_PERIOD_SECONDS: 20,
+  WARN_AT: 1,
+  TERMINATE_AT: 2,
+  RULES: {
+    tab_switch:       { weight: 1,    halfLifeSeconds: null },
+    profanity:        { weight: 1,    halfLifeSeconds: null },
+    abuse:            { weight: 1,    halfLifeSeconds: null },
+    looking_away:     { weight: 0.5,  halfLifeSeconds: 300 },
+    face_not_visible: { weight: 0.5,  halfLifeSeconds: 300 },
+    moved_away:       { weight: 0.5,  halfLifeSeconds: 300 },
+    eyes_wandering:   { weight: 0.35, halfLifeSeconds: 180 },
+    multiple_faces:   { weight: 1,    halfLifeSeconds: 600 },
+    // The object detector mistakes dark rectangles for screens now and then
+    device_in_view:   { weight: 0.5,  halfLifeSeconds: 300 },
+    // The STT speaker id is too unreliable to act on (a cough, a TV)
+    multiple_voices:  { weight: 0,    halfLifeSeconds: null }
+  },
+  DEFAULT_RULE: { weight: 1, halfLifeSeconds: null }
+};
+
+module.exports = {
+  MODES,
+  DEFAULT_POLICY
+};
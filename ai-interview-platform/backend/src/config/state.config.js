@@ -0,0 +1,25 @@
+/*
+  STATE CONFIGURATION
+  ROLE: Where state shared between backend instances lives
+        (see services/state/).
+
+  - STORE:      'memory' (one instance, the default) or 'redis' (several
+                replicas behind a load balancer; also turns on the
+                socket.io Redis adapter)
+  - REDIS_URL:  e.g. redis://localhost:6379 (`docker run -p 6379:6379 redis`)
+  - KEY_PREFIX: Prepended to every key, so one Redis can serve several apps
+*/
+require('dotenv').config();
+
+const os = require('os');
+
+const STATE_CONFIG = {
+  STORE: process.env.STATE_STORE || 'memory',
+  REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
+  KEY_PREFIX: process.env.STATE_KEY_PREFIX || 'verboai:',
+
+  // Names this process in ownership records (e.g. who holds an STT stream)
+  INSTANCE_ID: process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`
+};
+
+module.exports = STATE_CONFIG;
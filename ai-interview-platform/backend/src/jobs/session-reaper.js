@@ -0,0 +1,121 @@
+/*
+================================================================================
+SESSION REAPER
+================================================================================
+ROLE: The Night Watch 🕯️
+
+WHY:
+  - session.handler.js doesn't end a session on 'disconnect' (a refresh
+    shouldn't cost the user their interview).
+  - Stale sessions were only cleaned up the next time that user started a
+    new one. Until then they kept activeSessionId set, their time was never
+    recorded and no report was generated.
+
+HOW:
+  - Every LIMITS.SESSION_REAPER_INTERVAL_SECONDS, look for users with an
+    active session whose lastHeartbeatAt is older than
+    LIMITS.STALE_SESSION_SECONDS.
+  - Close each one with UserService.endInterviewSession(closedBy: 'reaper'),
+    billed up to the last heartbeat (not up to now), then drop the resume
+    checkpoint. The transcript is graded like after a normal 'session:end'
+    (endInterviewSession starts the report).
+  - With several replicas, a RateLimiter claim lets only one of them sweep
+    per interval. endInterviewSession re-checks the heartbeat in its
+    transaction, so a user who comes back mid-sweep keeps their session.
+================================================================================
+*/
+
+const LIMITS = require('../config/limits');
+const UserService = require('../services/user.service');
+const CheckpointStore = require('../services/interview/checkpoint-store');
+const RateLimiter = require('../services/state/rate-limiter');
+const { getIO } = require('../socket/socket.server');
+const { closeObservation } = require('../socket/rooms');
+
+// Most sessions closed per sweep (the rest wait for the next one)
+const BATCH_SIZE = 50;
+
+let reaperTimer = null;
+
+/*
+  reapStaleSessions()
+
+  ROLE: One sweep.
+  RETURNS: The ids of the sessions that were closed.
+*/
+async function reapStaleSessions() {
+  const staleBefore = Date.now() - LIMITS.STALE_SESSION_SECONDS * 1000;
+  const users = await UserService.findUsersWithActiveSession(BATCH_SIZE);
+
+  const reaped = [];
+  for (const user of users) {
+    // Sessions from before heartbeats existed count from their start
+    const lastSeenAt = user.lastHeartbeatAt || user.currentSessionStartTime || 0;
+    if (lastSeenAt >= staleBefore) continue;
+
+    try {
+      const sessionId = await UserService.endInterviewSession(user.uid, {
+        closedBy: 'reaper',
+        endedAt: lastSeenAt,
+        staleBefore: staleBefore
+      });
+      if (!sessionId) continue;
+
+      console.log(`🕯️ SessionReaper: Closed abandoned session ${sessionId} of ${user.uid}.`);
+      reaped.push(sessionId);
+
+      CheckpointStore.delete(sessionId).catch(() => {});
+      closeObservation(getIO(), sessionId, 'ended');
+    } catch (error) {
+      console.error(`❌ SessionReaper: Could not close the session of ${user.uid}:`, error.message);
+    }
+  }
+
+  return reaped;
+}
+
+/*
+  sweep()
+
+  ROLE: Timer callback. Claims the interval, then reaps. Never throws.
+*/
+async function sweep() {
+  const intervalMs = LIMITS.SESSION_REAPER_INTERVAL_SECONDS * 1000;
+
+  try {
+    // Another instance already swept in this interval
+    if (!(await RateLimiter.tryAcquire('session-reaper', 'sweep', intervalMs))) return;
+
+    await reapStaleSessions();
+  } catch (error) {
+    console.error('❌ SessionReaper: Sweep failed:', error.message);
+  }
+}
+
+/*
+  startSessionReaper()
+
+  ROLE: Start sweeping (called once, when the server starts).
+*/
+function startSessionReaper() {
+  if (reaperTimer) return;
+
+  reaperTimer = setInterval(sweep, LIMITS.SESSION_REAPER_INTERVAL_SECONDS * 1000);
+  reaperTimer.unref(); // Never keeps the process alive on its own
+
+  console.log(`🕯️ SessionReaper: Sweeping every ${LIMITS.SESSION_REAPER_INTERVAL_SECONDS}s (stale after ${LIMITS.STALE_SESSION_SECONDS}s).`);
+}
+
+/*
+  stopSessionReaper()
+*/
+function stopSessionReaper() {
+  if (reaperTimer) clearInterval(reaperTimer);
+  reaperTimer = null;
+}
+
+module.exports = {
+  startSessionReaper,
+  stopSessionReaper,
+  reapStaleSessions
+};
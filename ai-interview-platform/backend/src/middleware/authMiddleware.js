@@ -167,13 +167,17 @@ async function verifyFirebaseToken(req, res, next) {
         - emailVerified: For extra security checks
         - name: Display purposes
         - picture: Avatar
+        - role: From the custom claims (see UserService.syncRoleClaim).
+                undefined for tokens minted before the claim was set
+                (checkRole then treats the user as 'user').
     */
     req.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
       emailVerified: decodedToken.email_verified,
       name: decodedToken.name || null,
-      picture: decodedToken.picture || null
+      picture: decodedToken.picture || null,
+      role: decodedToken.role
     };
     
     
@@ -1,10 +1,16 @@
 /**
  * Role-Based Access Control (RBAC) Middleware
- * 
+ *
  * ROLE: Checks if the logged-in user has permission to view a route.
- * WHY:  Even though we only have 'user' role right now, this prepares
- *       us for future admin features without rewriting code.
+ * WHY:  Admin routes (/api/admin/*) must only be reachable by admins.
+ * HOW:  The role comes from the verified token's custom claims
+ *       (req.user.role, see UserService.syncRoleClaim), so no database read.
+ *       A token without the claim counts as 'user'; /api/me sets the claim
+ *       and the client refreshes its token. A role change applies once the
+ *       token is refreshed (on the next profile load, or within the hour).
  */
+const ROLES = require('../config/roles');
+
 const checkRole = (allowedRoles) => {
   return (req, res, next) => {
     // 1. Check if user is logged in (handled by previous middleware)
@@ -12,21 +18,19 @@ const checkRole = (allowedRoles) => {
       return res.status(401).json({ error: 'Unauthorized', message: 'User not authenticated' });
     }
 
-    // 2. IMPORTANT: In a real app with 1M users, we would put the role 
-    //    inside the Firebase Token (Custom Claims) to avoid a database call here.
-    //    For this version, we assume req.user.role exists.
-    const userRole = req.user.role || 'user'; // Default to 'user' if missing
+    // 2. The role claim (tokens without one count as 'user')
+    const userRole = req.user.role || ROLES.USER;
 
     // 3. Check if the user's role is in the allowed list
     if (allowedRoles.includes(userRole)) {
       next(); // Role matches! Proceed.
     } else {
-      res.status(403).json({ 
-        error: 'Forbidden', 
-        message: 'You do not have permission to access this resource' 
+      res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to access this resource'
       });
     }
   };
 };
 
-module.exports = checkRole;
\ No newline at end of file
+module.exports = checkRole;
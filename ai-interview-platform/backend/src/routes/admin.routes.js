@@ -0,0 +1,262 @@
+/*
+================================================================================
+ADMIN ROUTES (/api/admin/*)
+================================================================================
+ROLE: The Control Room 🎛️
+WHY:  Support had no way to see who is practising, end a stuck session,
+      give someone more time or look at proctoring strikes without opening
+      the Firestore console.
+HOW:  An express.Router mounted at /api/admin by index.js. Every route runs
+      verifyFirebaseToken, then checkRole([ADMIN]) (the role comes from the
+      token's custom claims, see UserService.syncRoleClaim). The admin
+      console page (/admin) is the only client.
+================================================================================
+
+ROUTES:
+  GET  /users                     Users, most recent login first, with their quota
+                                  (plus the roles and plans that can be assigned)
+  PUT  /users/:uid                Change role, plan or dailyTimeLimitSec
+  POST /users/:uid/end-session    Force-end the user's active session
+  GET  /sessions/active           Sessions that are running right now
+  GET  /sessions/:id              One session with its transcript, violations and mentor notes
+  GET  /violations                Proctoring log (?uid=, ?sessionId=, ?limit=)
+================================================================================
+*/
+
+const express = require('express');
+
+const { verifyFirebaseToken } = require('../middleware/authMiddleware');
+const checkRole = require('../middleware/roleMiddleware');
+const ROLES = require('../config/roles');
+const LIMITS = require('../config/limits');
+const UserService = require('../services/user.service');
+const SessionService = require('../services/session.service');
+const QuotaService = require('../services/quota.service');
+const CheckpointStore = require('../services/interview/checkpoint-store');
+const { getIO } = require('../socket/socket.server');
+const { userRoom, closeObservation } = require('../socket/rooms');
+
+// Page size of the user and active session lists
+const MAX_USERS_LISTED = 100;
+
+// Largest daily limit an admin can set (a whole day)
+const MAX_DAILY_LIMIT_SEC = 24 * 60 * 60;
+
+const router = express.Router();
+router.use(verifyFirebaseToken, checkRole([ROLES.ADMIN]));
+
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/*
+  toMillis(value)
+
+  RETURNS: A Firestore Timestamp, Date or number as ms since epoch (or null).
+*/
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value === 'number') return value;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return null;
+}
+
+/*
+  summarizeUser(user)
+
+  ROLE: What the console shows for one user (no billing internals).
+*/
+function summarizeUser(user) {
+  return {
+    uid: user.uid,
+    email: user.email || null,
+    displayName: user.displayName || null,
+    role: user.role || ROLES.USER,
+    plan: user.plan || null,
+    dailyTimeLimitSec: user.dailyTimeLimitSec ?? null,
+    timezone: user.timezone || null,
+    activeSessionId: user.activeSessionId || null,
+    lastHeartbeatAt: user.lastHeartbeatAt || null,
+    lastLoginAt: toMillis(user.lastLoginAt),
+    quota: QuotaService.getQuota(user)
+  };
+}
+
+/*
+  validateUserChanges(body, { self })
+
+  ROLE: Keep only the fields an admin may change, checked.
+  RETURNS: { changes } or { error }
+*/
+function validateUserChanges(body, { self }) {
+  const changes = {};
+
+  if (body.role !== undefined) {
+    if (!Object.values(ROLES).includes(body.role)) {
+      return { error: `Unknown role "${body.role}"` };
+    }
+    if (self && body.role !== ROLES.ADMIN) {
+      return { error: 'You cannot remove your own admin role' };
+    }
+    changes.role = body.role;
+  }
+
+  if (body.plan !== undefined) {
+    if (body.plan !== null && !LIMITS.QUOTA_PLANS[body.plan]) {
+      return { error: `Unknown plan "${body.plan}"` };
+    }
+    changes.plan = body.plan;
+  }
+
+  if (body.dailyTimeLimitSec !== undefined) {
+    const limit = body.dailyTimeLimitSec;
+    if (limit !== null && !(Number.isInteger(limit) && limit >= 0 && limit <= MAX_DAILY_LIMIT_SEC)) {
+      return { error: `dailyTimeLimitSec must be null or a whole number of seconds up to ${MAX_DAILY_LIMIT_SEC}` };
+    }
+    changes.dailyTimeLimitSec = limit;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to change (expected role, plan or dailyTimeLimitSec)' };
+  }
+  return { changes };
+}
+
+
+// =============================================================================
+// USERS
+// =============================================================================
+
+router.get('/users', async function (req, res) {
+  try {
+    const users = await UserService.listUsers(MAX_USERS_LISTED);
+    res.json({
+      success: true,
+      users: users.map(summarizeUser),
+      roles: Object.values(ROLES),          // What the console can assign
+      plans: Object.keys(LIMITS.QUOTA_PLANS)
+    });
+  } catch (error) {
+    console.error('❌ /api/admin/users: Error listing users:', error);
+    res.status(500).json({ success: false, error: 'Failed to load users', message: error.message });
+  }
+});
+
+router.put('/users/:uid', async function (req, res) {
+  const { changes, error } = validateUserChanges(req.body || {}, { self: req.params.uid === req.user.uid });
+  if (error) {
+    return res.status(400).json({ success: false, error: 'InvalidChange', message: error });
+  }
+
+  try {
+    const user = await UserService.updateUserAdminFields(req.params.uid, changes);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'NotFound', message: 'User not found' });
+    }
+
+    console.log(`🎛️ Admin: ${req.user.uid} updated ${req.params.uid}:`, changes);
+    res.json({ success: true, user: summarizeUser(user) });
+  } catch (error) {
+    console.error('❌ /api/admin/users/:uid: Error updating user:', error);
+    res.status(500).json({ success: false, error: 'Failed to update user', message: error.message });
+  }
+});
+
+/*
+  POST /users/:uid/end-session
+
+  ROLE: End a stuck or abusive session now, billed like a normal end.
+  HOW:  The candidate's sockets (on any replica) get 'session:end' with
+        reason 'admin' and are then disconnected, which also stops their
+        interview loop and speech recognition.
+*/
+router.post('/users/:uid/end-session', async function (req, res) {
+  const uid = req.params.uid;
+
+  try {
+    const sessionId = await UserService.endInterviewSession(uid, { closedBy: 'admin' });
+    if (!sessionId) {
+      return res.status(404).json({ success: false, error: 'NotFound', message: 'This user has no active session' });
+    }
+
+    console.log(`🎛️ Admin: ${req.user.uid} ended session ${sessionId} of ${uid}`);
+    res.json({ success: true, sessionId });
+
+    CheckpointStore.delete(sessionId).catch(() => {});
+
+    getIO().to(userRoom(uid)).emit('session:end', { reason: 'admin', message: 'Your session was ended by an administrator.' });
+    getIO().in(userRoom(uid)).disconnectSockets(true);
+    closeObservation(getIO(), sessionId, 'ended');
+  } catch (error) {
+    console.error('❌ /api/admin/users/:uid/end-session: Error ending session:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: 'Failed to end session', message: error.message });
+    }
+  }
+});
+
+
+// =============================================================================
+// SESSIONS
+// =============================================================================
+
+router.get('/sessions/active', async function (req, res) {
+  try {
+    const sessions = await UserService.findUsersWithActiveSession(MAX_USERS_LISTED);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('❌ /api/admin/sessions/active: Error listing sessions:', error);
+    res.status(500).json({ success: false, error: 'Failed to load active sessions', message: error.message });
+  }
+});
+
+router.get('/sessions/:id', async function (req, res) {
+  try {
+    const session = await SessionService.getSessionWithTurns(req.params.id);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'NotFound', message: 'Session not found' });
+    }
+
+    const [violations, notes] = await Promise.all([
+      SessionService.listViolations({ sessionId: req.params.id, limit: SessionService.MAX_VIOLATIONS_LISTED }),
+      SessionService.listMentorNotes(req.params.id)
+    ]);
+    res.json({ success: true, session: { ...session, violations, notes } });
+  } catch (error) {
+    console.error('❌ /api/admin/sessions/:id: Error loading session:', error);
+    res.status(500).json({ success: false, error: 'Failed to load session', message: error.message });
+  }
+});
+
+
+// =============================================================================
+// VIOLATIONS
+// =============================================================================
+
+router.get('/violations', async function (req, res) {
+  const { uid, sessionId } = req.query;
+
+  // ?uid[]=x arrives as an array; only plain strings may reach where(...)
+  if ((uid !== undefined && typeof uid !== 'string') || (sessionId !== undefined && typeof sessionId !== 'string')) {
+    return res.status(400).json({ success: false, error: 'InvalidFilter', message: 'uid and sessionId must be single values' });
+  }
+
+  const limit = parseInt(req.query.limit, 10);
+
+  try {
+    const violations = await SessionService.listViolations({
+      uid: uid || null,
+      sessionId: sessionId || null,
+      limit: limit > 0 ? Math.min(limit, SessionService.MAX_VIOLATIONS_LISTED) : undefined
+    });
+    res.json({ success: true, violations });
+  } catch (error) {
+    console.error('❌ /api/admin/violations: Error listing violations:', error);
+    res.status(500).json({ success: false, error: 'Failed to load violations', message: error.message });
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,222 @@
+/*
+================================================================================
+MENTOR ROUTES (/api/mentor/*)
+================================================================================
+ROLE: The Gallery Guide 🗺️
+WHY:  Before a mentor can watch an interview (socket 'observe:join', see
+      mentor.handler.js) they need to know which ones they may watch, and
+      afterwards they want their notes back.
+      Mentors also run cohorts: invite candidates, assign templates with a
+      deadline and follow everyone's results (see CohortService).
+HOW:  An express.Router mounted at /api/mentor by index.js, for mentors and
+      admins (checkRole). The mentor page (/mentor) and the cohorts page
+      (/cohorts) are the only clients.
+      A mentor only sees and changes their own cohorts; admins see all.
+================================================================================
+
+ROUTES:
+  GET    /sessions                            Live sessions whose candidate allowed observers
+  GET    /sessions/:id/notes                  The caller's notes on a session (admins: all notes)
+  GET    /cohorts                             The caller's cohorts (admins: all cohorts)
+  POST   /cohorts                             Create a cohort { name }
+  GET    /cohorts/:id                         The cohort table: members, sessions, scores, assignments
+  POST   /cohorts/:id/invite                  New invite link (the old one stops working)
+  DELETE /cohorts/:id/members/:uid            Remove a member
+  POST   /cohorts/:id/assignments             Assign a template { templateId, dueAt }
+  DELETE /cohorts/:id/assignments/:assignmentId
+================================================================================
+*/
+
+const express = require('express');
+
+const { verifyFirebaseToken } = require('../middleware/authMiddleware');
+const checkRole = require('../middleware/roleMiddleware');
+const ROLES = require('../config/roles');
+const SessionService = require('../services/session.service');
+const CohortService = require('../services/cohort.service');
+const TemplateService = require('../services/template.service');
+
+// Longest cohort name
+const MAX_COHORT_NAME_LENGTH = 80;
+
+const router = express.Router();
+router.use(verifyFirebaseToken, checkRole([ROLES.MENTOR, ROLES.ADMIN]));
+
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/*
+  loadOwnedCohort(req, res)
+
+  ROLE: Load the cohort in req.params.id, if the caller may manage it.
+  RETURNS: The cohort, or null after answering 404 (someone else's cohort
+           looks the same as a missing one).
+*/
+async function loadOwnedCohort(req, res) {
+  const cohort = await CohortService.getCohort(req.params.id);
+
+  if (!cohort || (cohort.mentorUid !== req.user.uid && req.user.role !== ROLES.ADMIN)) {
+    res.status(404).json({ success: false, error: 'NotFound', message: 'Cohort not found' });
+    return null;
+  }
+  return cohort;
+}
+
+
+// =============================================================================
+// OBSERVATION
+// =============================================================================
+
+router.get('/sessions', async function (req, res) {
+  try {
+    const sessions = await SessionService.listObservableSessions();
+    res.json({
+      success: true,
+      sessions: sessions
+        .filter(session => session.uid !== req.user.uid) // Not your own interview
+        .map(session => ({
+          sessionId: session.sessionId,
+          uid: session.uid,
+          startedAt: session.startedAt,
+          templateName: session.templateName || null,
+          turnCount: session.turnCount || 0,
+          violationCount: session.violationCount || 0
+        }))
+    });
+  } catch (error) {
+    console.error('❌ /api/mentor/sessions: Error listing sessions:', error);
+    res.status(500).json({ success: false, error: 'Failed to load sessions', message: error.message });
+  }
+});
+
+router.get('/sessions/:id/notes', async function (req, res) {
+  try {
+    const notes = await SessionService.listMentorNotes(req.params.id, {
+      mentorUid: req.user.role === ROLES.ADMIN ? null : req.user.uid
+    });
+    res.json({ success: true, notes });
+  } catch (error) {
+    console.error('❌ /api/mentor/sessions/:id/notes: Error listing notes:', error);
+    res.status(500).json({ success: false, error: 'Failed to load notes', message: error.message });
+  }
+});
+
+
+
+// =============================================================================
+// COHORTS
+// =============================================================================
+
+router.get('/cohorts', async function (req, res) {
+  try {
+    const cohorts = await CohortService.listCohortsForMentor(req.user.role === ROLES.ADMIN ? null : req.user.uid);
+    res.json({ success: true, cohorts });
+  } catch (error) {
+    console.error('❌ /api/mentor/cohorts: Error listing cohorts:', error);
+    res.status(500).json({ success: false, error: 'Failed to load cohorts', message: error.message });
+  }
+});
+
+router.post('/cohorts', async function (req, res) {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > MAX_COHORT_NAME_LENGTH) {
+    return res.status(400).json({ success: false, error: 'InvalidName', message: `name must be 1 to ${MAX_COHORT_NAME_LENGTH} characters` });
+  }
+
+  try {
+    const cohort = await CohortService.createCohort({
+      name,
+      mentorUid: req.user.uid,
+      mentorName: req.user.name || req.user.email || null
+    });
+    res.json({ success: true, cohort });
+  } catch (error) {
+    console.error('❌ POST /api/mentor/cohorts: Error creating cohort:', error);
+    res.status(500).json({ success: false, error: 'Failed to create cohort', message: error.message });
+  }
+});
+
+router.get('/cohorts/:id', async function (req, res) {
+  try {
+    const cohort = await loadOwnedCohort(req, res);
+    if (!cohort) return;
+
+    const table = await CohortService.getCohortTable(cohort);
+    res.json({ success: true, cohort, ...table });
+  } catch (error) {
+    console.error('❌ /api/mentor/cohorts/:id: Error loading cohort:', error);
+    res.status(500).json({ success: false, error: 'Failed to load cohort', message: error.message });
+  }
+});
+
+router.post('/cohorts/:id/invite', async function (req, res) {
+  try {
+    const cohort = await loadOwnedCohort(req, res);
+    if (!cohort) return;
+
+    const inviteCode = await CohortService.regenerateInviteCode(cohort.cohortId);
+    res.json({ success: true, inviteCode });
+  } catch (error) {
+    console.error('❌ /api/mentor/cohorts/:id/invite: Error renewing invite:', error);
+    res.status(500).json({ success: false, error: 'Failed to renew the invite link', message: error.message });
+  }
+});
+
+router.delete('/cohorts/:id/members/:uid', async function (req, res) {
+  try {
+    const cohort = await loadOwnedCohort(req, res);
+    if (!cohort) return;
+
+    await CohortService.removeMember(cohort.cohortId, req.params.uid);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ /api/mentor/cohorts/:id/members/:uid: Error removing member:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove member', message: error.message });
+  }
+});
+
+router.post('/cohorts/:id/assignments', async function (req, res) {
+  const { templateId, dueAt } = req.body || {};
+  const template = TemplateService.listTemplates().find(candidate => candidate.id === templateId);
+
+  if (!template) {
+    return res.status(400).json({ success: false, error: 'InvalidTemplate', message: 'Unknown templateId' });
+  }
+  if (!Number.isInteger(dueAt) || dueAt <= Date.now()) {
+    return res.status(400).json({ success: false, error: 'InvalidDueDate', message: 'dueAt must be a time in the future (ms since epoch)' });
+  }
+
+  try {
+    const cohort = await loadOwnedCohort(req, res);
+    if (!cohort) return;
+
+    const assignment = await CohortService.addAssignment(cohort.cohortId, {
+      templateId: template.id,
+      templateName: template.name,
+      dueAt,
+      createdBy: req.user.uid
+    });
+    res.json({ success: true, assignment });
+  } catch (error) {
+    console.error('❌ /api/mentor/cohorts/:id/assignments: Error adding assignment:', error);
+    res.status(500).json({ success: false, error: 'Failed to add assignment', message: error.message });
+  }
+});
+
+router.delete('/cohorts/:id/assignments/:assignmentId', async function (req, res) {
+  try {
+    const cohort = await loadOwnedCohort(req, res);
+    if (!cohort) return;
+
+    await CohortService.removeAssignment(cohort.cohortId, req.params.assignmentId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ /api/mentor/cohorts/:id/assignments/:assignmentId: Error removing assignment:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove assignment', message: error.message });
+  }
+});
+
+
+module.exports = router;
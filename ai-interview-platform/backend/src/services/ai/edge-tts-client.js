@@ -1,112 +1,199 @@
+/*
+================================================================================
+EDGE TTS CLIENT (WebSocket, In-Process)
+================================================================================
+ROLE: Talks to Microsoft Edge's "Read Aloud" speech service directly.
+
+WHY:
+  - No Python, no shell, no temp files: text goes over a WebSocket and MP3
+    bytes come back as they are synthesized.
+
+PROTOCOL NOTES:
+  - The service rejects connections without a `Sec-MS-GEC` token (403).
+    The token is a SHA-256 of the current 5-minute window (in Windows file
+    time ticks) + the public client token.
+  - Binary frames are: [2-byte big-endian header length][headers][audio].
+  - Text frames with `Path:audio.metadata` carry word boundaries as JSON.
+    Offset/Duration are in 100ns ticks from the start of the audio.
+  - A text frame with `Path:turn.end` marks the end of the synthesis.
+================================================================================
+*/
+
+const crypto = require('crypto');
 const WebSocket = require('ws');
-const { v4: uuidv4 } = require('uuid');
 
-const WSS_URL = "wss://speech.platform.bing.com/consumer/speech/synthesize/readaloud/edge/v1?TrustedClientToken=6A5AA1D4EAFF4E9FB37E23D68491D6F4";
+const TRUSTED_CLIENT_TOKEN = '6A5AA1D4EAFF4E9FB37E23D68491D6F4';
+const WSS_URL = `wss://speech.platform.bing.com/consumer/speech/synthesize/readaloud/edge/v1?TrustedClientToken=${TRUSTED_CLIENT_TOKEN}`;
 
-class EdgeTTSClient {
-  constructor() {
-    this.ws = null;
+// The token version must match a real Edge build, and the User-Agent must agree with it
+const CHROMIUM_FULL_VERSION = '130.0.2849.68';
+const CHROMIUM_MAJOR_VERSION = CHROMIUM_FULL_VERSION.split('.')[0];
+const SEC_MS_GEC_VERSION = `1-${CHROMIUM_FULL_VERSION}`;
+
+// Seconds between 1601-01-01 (Windows epoch) and 1970-01-01 (Unix epoch)
+const WIN_EPOCH_SECONDS = 11644473600n;
+
+// Metadata offsets/durations are in 100-nanosecond ticks
+const TICKS_PER_MS = 10000;
+
+/*
+  generateSecMsGec()
+
+  RETURNS: Uppercase hex SHA-256 of "<ticks><TRUSTED_CLIENT_TOKEN>", where
+           ticks = start of the current 5-minute window in 100ns units.
+*/
+function generateSecMsGec() {
+  let seconds = BigInt(Math.floor(Date.now() / 1000)) + WIN_EPOCH_SECONDS;
+  seconds -= seconds % 300n;
+  const ticks = seconds * 10000000n;
+
+  return crypto.createHash('sha256')
+    .update(`${ticks}${TRUSTED_CLIENT_TOKEN}`, 'ascii')
+    .digest('hex')
+    .toUpperCase();
+}
+
+/*
+  escapeXml(text)
+
+  ROLE: Make arbitrary LLM output safe to embed in SSML.
+  WHY:  Replaces the old shell-escaping: the only interpreter now is XML.
+*/
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/*
+  parseWordBoundaries(message)
+
+  PARAMS:
+    - message: Text frame (headers + blank line + JSON body)
+  RETURNS: [{ text, startMs, endMs }] for every WordBoundary in the frame.
+*/
+function parseWordBoundaries(message) {
+  const bodyStart = message.indexOf('\r\n\r\n');
+  if (bodyStart === -1) return [];
+
+  try {
+    const { Metadata = [] } = JSON.parse(message.substring(bodyStart + 4));
+    return Metadata
+      .filter(item => item.Type === 'WordBoundary' && item.Data?.text?.Text)
+      .map(({ Data }) => ({
+        text: Data.text.Text,
+        startMs: Math.round(Data.Offset / TICKS_PER_MS),
+        endMs: Math.round((Data.Offset + Data.Duration) / TICKS_PER_MS)
+      }));
+  } catch {
+    return [];
   }
+}
 
+class EdgeTTSClient {
   /**
-   * Synthesize text to speech
-   * @param {string} text - Text to speak
-   * @param {string} voice - Voice name (e.g. 'en-US-AriaNeural')
-   * @returns {Promise<Buffer>} - MP3 Audio Buffer
+   * Stream synthesized speech as it arrives.
+   * @param {string} text - Plain text to speak (escaped here)
+   * @param {object} options - { voice, outputFormat, timeoutMs }
+   * @returns {AsyncGenerator<{audio: Buffer}|{word: {text, startMs, endMs}}>}
+   *          Audio pieces (together one file) and word boundaries, in arrival order
    */
-  async synthesize(text, voice) {
-    return new Promise((resolve, reject) => {
-      const ws = new WebSocket(WSS_URL, {
-        headers: {
-          "Pragma": "no-cache",
-          "Cache-Control": "no-cache",
-          "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0",
-          "Origin": "chrome-extension://jdiccldimpdaibmpdkjnbmckianbfold",
-          "Accept-Encoding": "gzip, deflate, br",
-          "Accept-Language": "en-US,en;q=0.9"
-        }
-      });
-      const requestId = uuidv4();
-      const audioChunks = [];
-
-      ws.on('open', () => {
-        console.log('🗣️ EdgeTTSClient: Connected to Microsoft Edge TTS');
-
-        // 1. Send Configuration
-        const configMsg = {
-          context: {
-            synthesis: {
-              audio: {
-                metadataoptions: {
-                  sentenceBoundaryEnabled: false,
-                  wordBoundaryEnabled: false
-                },
-                outputFormat: "audio-24khz-48kbitrate-mono-mp3"
-              }
+  async *stream(text, { voice, outputFormat, timeoutMs }) {
+    const connectionId = crypto.randomUUID().replace(/-/g, '');
+    const url = `${WSS_URL}&ConnectionId=${connectionId}&Sec-MS-GEC=${generateSecMsGec()}&Sec-MS-GEC-Version=${SEC_MS_GEC_VERSION}`;
+
+    const ws = new WebSocket(url, {
+      headers: {
+        "Pragma": "no-cache",
+        "Cache-Control": "no-cache",
+        "User-Agent": `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROMIUM_MAJOR_VERSION}.0.0.0 Safari/537.36 Edg/${CHROMIUM_MAJOR_VERSION}.0.0.0`,
+        "Origin": "chrome-extension://jdiccldimpdaibmpdkjnbmckianbfold",
+        "Accept-Encoding": "gzip, deflate, br",
+        "Accept-Language": "en-US,en;q=0.9"
+      }
+    });
+
+    // Events are pushed here by the socket and pulled by the generator below
+    const queue = [];
+    let wake = null;
+    const push = (event) => {
+      queue.push(event);
+      if (wake) { wake(); wake = null; }
+    };
+
+    const timer = setTimeout(() => push({ type: 'error', error: new Error(`Edge TTS timed out after ${timeoutMs}ms`) }), timeoutMs);
+
+    ws.on('open', () => {
+      const timestamp = new Date().toString();
+
+      // 1. Send Configuration
+      const configMsg = {
+        context: {
+          synthesis: {
+            audio: {
+              metadataoptions: {
+                sentenceBoundaryEnabled: false,
+                wordBoundaryEnabled: true
+              },
+              outputFormat: outputFormat
             }
           }
-        };
-        
-        const configHeader = `Content-Type:application/json; charset=utf-8\r\nPath:speech.config\r\n\r\n`;
-        ws.send(configHeader + JSON.stringify(configMsg));
-
-        // 2. Send SSML
-        const ssml = `
-          <speak version='1.0' xml:lang='en-US'>
-            <voice name='${voice}'>
-              ${text}
-            </voice>
-          </speak>
-        `.trim();
-
-        const ssmlHeader = `X-RequestId:${requestId}\r\nContent-Type:application/ssml+xml\r\nPath:ssml\r\n\r\n`;
-        ws.send(ssmlHeader + ssml);
-      });
-
-      ws.on('message', (data, isBinary) => {
-        if (!isBinary) {
-          const message = data.toString();
-          if (message.includes('Path:turn.end')) {
-            // End of stream
-            ws.close();
-            const resultBuffer = Buffer.concat(audioChunks);
-            console.log(`🗣️ EdgeTTSClient: Finished. Total bytes: ${resultBuffer.length}`);
-            resolve(resultBuffer);
-          }
-          return;
         }
+      };
+      ws.send(`X-Timestamp:${timestamp}\r\nContent-Type:application/json; charset=utf-8\r\nPath:speech.config\r\n\r\n${JSON.stringify(configMsg)}`);
 
-        // Handle Binary Audio Data
-        const buffer = Buffer.from(data);
-        const headerEnd = buffer.indexOf('\r\n\r\n');
-        
-        if (headerEnd > -1) {
-          const header = buffer.slice(0, headerEnd).toString();
-          const body = buffer.slice(headerEnd + 4);
+      // 2. Send SSML
+      const ssml = `<speak version='1.0' xmlns='http://www.w3.org/2001/10/synthesis' xml:lang='en-US'><voice name='${voice}'>${escapeXml(text)}</voice></speak>`;
+      ws.send(`X-RequestId:${connectionId}\r\nContent-Type:application/ssml+xml\r\nX-Timestamp:${timestamp}Z\r\nPath:ssml\r\n\r\n${ssml}`);
+    });
 
-          if (header.includes('Path:audio')) {
-            audioChunks.push(body);
-          }
+    ws.on('message', (data, isBinary) => {
+      if (!isBinary) {
+        const message = data.toString();
+        if (message.includes('Path:audio.metadata')) {
+          parseWordBoundaries(message).forEach(word => push({ type: 'word', word }));
+        } else if (message.includes('Path:turn.end')) {
+          push({ type: 'end' });
         }
-      });
+        return;
+      }
 
-      ws.on('error', (error) => {
-        console.error('❌ EdgeTTSClient: WebSocket Error:', error);
-        reject(error);
-      });
+      // Binary: [2-byte header length][headers][audio bytes]
+      const buffer = Buffer.from(data);
+      if (buffer.length < 2) return;
+      const headerLength = buffer.readUInt16BE(0);
+      const header = buffer.subarray(2, 2 + headerLength).toString();
+      const body = buffer.subarray(2 + headerLength);
 
-      ws.on('close', (code, reason) => {
-        if (code !== 1000 && code !== 1005) {
-          console.warn(`🗣️ EdgeTTSClient: Closed with code ${code}`);
-        }
-        // If we closed manually after turn.end, this is fine.
-        // If closed prematurely without turn.end (audioChunks empty), reject.
-        if (audioChunks.length === 0) {
-           // reject(new Error(`WebSocket closed without receiving audio (code ${code})`));
-           // Actually, sometimes open->close happens fast on error.
-        }
-      });
+      if (header.includes('Path:audio') && body.length > 0) {
+        push({ type: 'audio', data: body });
+      }
     });
+
+    ws.on('error', (error) => push({ type: 'error', error }));
+    ws.on('close', (code) => push({ type: 'close', code }));
+
+    try {
+      while (true) {
+        if (queue.length === 0) await new Promise(resolve => { wake = resolve; });
+        const event = queue.shift();
+
+        if (event.type === 'audio') yield { audio: event.data };
+        else if (event.type === 'word') yield { word: event.word };
+        else if (event.type === 'end') return;
+        else if (event.type === 'error') throw event.error;
+        else if (event.type === 'close') throw new Error(`Edge TTS closed before the end of speech (code ${event.code})`);
+      }
+    } finally {
+      // Runs on completion, error, OR the consumer stopping early
+      clearTimeout(timer);
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) ws.terminate();
+    }
   }
 }
 
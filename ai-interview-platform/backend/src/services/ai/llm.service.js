@@ -13,78 +13,118 @@ HOW:
   - We use the "Sandwich Method" for every request:
       Layer 1: Immutable System Prompt (Top Bun)
       Layer 2: Conversation History (Meat)
-      Layer 3: User Input (Bottom Bun)
-  - We pass `max_tokens` to OpenAI to strictly limit output length.
+      Layer 3: Server State Header (Optional, see InterviewLadder)
+      Layer 4: User Input (Bottom Bun)
+  - We pass `maxTokens` to the provider to strictly limit output length.
+  - The actual API call goes through a PROVIDER (see providers/llm/), chosen
+    by AI_CONFIG.LLM.PROVIDER: OpenAI-compatible, Anthropic, Ollama,
+    llama.cpp or the offline scripted mock.
 
 SAFEGUARDS IMPLEMENTED:
   1. IMMUTABLE PROMPT (prevents identity theft).
   2. TOKEN LIMITS (prevents huge bills).
   3. TIMEOUTS (prevents UI hanging).
+  4. PROMPT BUDGET (oldest history dropped above MAX_PROMPT_TOKENS).
+
+MODES:
+  - generateResponseStream: The interviewer persona (streaming, spoken).
+  - generateEvaluation:     The grader (non-streaming, structured JSON).
 ================================================================================
 */
 
-const OpenAI = require('openai');
+const { createLLMProvider } = require('./providers/llm');
 const AI_CONFIG = require('../../config/ai.config');
 const SYSTEM_PROMPT = require('../../config/prompts/interviewer.prompt');
+const EVALUATOR_PROMPT = require('../../config/prompts/evaluator.prompt');
 
 class LLMService {
   constructor() {
-    // secure initialization using env vars
-    this.openai = new OpenAI({
-      baseURL: AI_CONFIG.LLM.BASE_URL,
-      apiKey: process.env.CEREBRAS_API_KEY || 'mock-key', // Look for CEREBRAS key
-    });
+    // Built on first use, so a missing API key fails the first request with
+    // a clear message instead of crashing the server at require() time.
+    this.provider = null;
   }
 
   // ===========================================================================
-  // GENERATE RESPONSE
+  // PROVIDER
   // ===========================================================================
   /*
-    generateResponse(history, userMessage)
+    getProvider()
 
-    PARAMS:
-      - history: Array of previous messages [{role: 'user', content: '...'}, ...]
-      - userMessage: The new text from the user.
+    RETURNS: The configured LLMProvider (built once, then cached).
+    THROWS:  If the provider name is unknown or its API key is missing.
+  */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createLLMProvider(AI_CONFIG.LLM);
+    }
+    return this.provider;
+  }
+
+  /*
+    fitToBudget(provider, messages)
 
-    RETURNS: String (The AI's spoken response)
+    ROLE: Drop the oldest history until the prompt fits MAX_PROMPT_TOKENS.
+    NOTE: The leading system messages (prompt + template) and the state
+          header + user input (last two) are never dropped.
   */
+  fitToBudget(provider, messages) {
+    const fitted = [...messages];
+    const pinnedHead = Math.max(1, fitted.findIndex(message => message.role !== 'system'));
+    while (fitted.length > pinnedHead + 2 && provider.countTokens(fitted) > AI_CONFIG.LLM.MAX_PROMPT_TOKENS) {
+      fitted.splice(pinnedHead, 1);
+    }
+
+    if (fitted.length < messages.length) {
+      console.warn(`✂️ LLM: Prompt over budget. Dropped ${messages.length - fitted.length} old messages.`);
+    }
+    return fitted;
+  }
+
   // ===========================================================================
   // GENERATE RESPONSE (STREAMING)
   // ===========================================================================
   /*
-    generateResponseStream(history, userMessage)
+    generateResponseStream(history, userMessage, options)
+
+    PARAMS:
+      - history: Array of previous messages [{role: 'user', content: '...'}, ...]
+      - userMessage: The new text from the user.
+      - options.stateHeader: String. Authoritative interview state from the
+        server (rung, questions asked...). Sent as a system message right
+        before the user's input so it is never lost to history trimming.
+      - options.templatePrompt: String. The interview template (role, stack,
+        topics, persona). Sent right after the system prompt.
+      - options.sessionId: String. Passed to the provider (see LLMProvider).
 
     RETURNS: Async Generator (Yields chunks of text)
   */
-  async *generateResponseStream(history, userMessage) {
+  async *generateResponseStream(history, userMessage, { stateHeader = null, templatePrompt = null, sessionId = null } = {}) {
     if (!userMessage) return;
 
     console.log(`🧠 LLM: Thinking (Stream)... Input length: ${userMessage.length}`);
 
     const messages = [
       { role: 'system', content: SYSTEM_PROMPT },
+      ...(templatePrompt ? [{ role: 'system', content: templatePrompt }] : []),
       ...history,
+      ...(stateHeader ? [{ role: 'system', content: stateHeader }] : []),
       { role: 'user', content: userMessage }
     ];
 
     try {
-      const stream = await this.openai.chat.completions.create({
-        model: AI_CONFIG.LLM.MODEL_NAME,
-        messages: messages,
-        max_tokens: AI_CONFIG.LLM.MAX_TOKENS_PER_RESPONSE,
+      const provider = this.getProvider();
+
+      const stream = provider.stream(this.fitToBudget(provider, messages), {
+        maxTokens: AI_CONFIG.LLM.MAX_TOKENS_PER_RESPONSE,
         temperature: AI_CONFIG.LLM.TEMPERATURE,
-        stream: true, // ENABLE STREAMING
-      }, {
-        timeout: AI_CONFIG.LLM.TIMEOUT_MS 
+        timeoutMs: AI_CONFIG.LLM.TIMEOUT_MS,
+        sessionId
       });
 
-      for await (const chunk of stream) {
-        const token = chunk.choices[0]?.delta?.content || "";
-        if (token) {
-           yield token;
-        }
+      for await (const token of stream) {
+        yield token;
       }
-      
+
       console.log(`🧠 LLM: Stream finished.`);
 
     } catch (error) {
@@ -92,6 +132,54 @@ class LLMService {
       yield "I'm having trouble thinking right now.";
     }
   }
+
+  // ===========================================================================
+  // GENERATE EVALUATION (NON-STREAMING, JSON)
+  // ===========================================================================
+  /*
+    generateEvaluation(transcript)
+
+    PARAMS:
+      - transcript: String. The whole interview, one "SPEAKER: text" per line.
+
+    RETURNS: Object parsed from the model's JSON (see evaluator.prompt.js).
+    THROWS:  If the request fails or the model does not return valid JSON.
+             Unlike the spoken path there is no friendly fallback: a fake
+             report is worse than no report.
+  */
+  async generateEvaluation(transcript) {
+    if (!transcript) throw new Error('Cannot evaluate an empty transcript');
+
+    let safeTranscript = transcript;
+    if (safeTranscript.length > AI_CONFIG.LLM.EVALUATION.MAX_TRANSCRIPT_CHARACTERS) {
+      console.warn(`✂️ LLM: Transcript too long for evaluation (${safeTranscript.length} chars). Keeping the end.`);
+      safeTranscript = safeTranscript.slice(-AI_CONFIG.LLM.EVALUATION.MAX_TRANSCRIPT_CHARACTERS);
+    }
+
+    console.log(`🧠 LLM: Evaluating transcript... Input length: ${safeTranscript.length}`);
+
+    const content = await this.getProvider().complete([
+      { role: 'system', content: EVALUATOR_PROMPT },
+      { role: 'user', content: `### TRANSCRIPT\n${safeTranscript}` }
+    ], {
+      maxTokens: AI_CONFIG.LLM.EVALUATION.MAX_TOKENS,
+      temperature: AI_CONFIG.LLM.EVALUATION.TEMPERATURE,
+      timeoutMs: AI_CONFIG.LLM.EVALUATION.TIMEOUT_MS,
+      json: true
+    });
+
+    // Some models still wrap JSON in ```json fences despite instructions
+    const jsonText = content.replace(/^\s*```(?:json)?/i, '').replace(/```\s*$/, '').trim();
+
+    try {
+      const evaluation = JSON.parse(jsonText);
+      console.log('🧠 LLM: Evaluation finished.');
+      return evaluation;
+    } catch (error) {
+      console.error('❌ LLM: Evaluation was not valid JSON:', content.slice(0, 200));
+      throw new Error('Evaluator returned malformed JSON');
+    }
+  }
 }
 
 module.exports = new LLMService();
@@ -0,0 +1,114 @@
+/*
+================================================================================
+ANTHROPIC-STYLE PROVIDER
+================================================================================
+ROLE: Talks to the Anthropic Messages API (POST /v1/messages).
+
+DIFFERENCES FROM OPENAI (handled here, invisible to LLMService):
+  1. System prompts go in a top-level `system` field, not in `messages`.
+  2. Roles must alternate user/assistant and start with 'user'.
+  3. Streaming is Server-Sent Events: we want `content_block_delta` events.
+  4. There is no JSON mode; the evaluator prompt already demands raw JSON.
+================================================================================
+*/
+
+const LLMProvider = require('./base.provider');
+const { postJson, readLines } = require('./http.util');
+
+// Anthropic rejects a conversation that opens with the assistant (our greeting)
+const OPENING_USER_MESSAGE = '(The interview has started.)';
+
+/*
+  toAnthropicFormat(messages)
+
+  ROLE: Split out system prompts and merge consecutive same-role messages.
+  RETURNS: { system: String, messages: [{ role, content }] }
+*/
+function toAnthropicFormat(messages) {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+
+  const conversation = [];
+  for (const message of messages) {
+    if (message.role === 'system') continue;
+
+    const previous = conversation[conversation.length - 1];
+    if (previous && previous.role === message.role) {
+      previous.content += `\n\n${message.content}`;
+    } else {
+      conversation.push({ role: message.role, content: message.content });
+    }
+  }
+
+  if (conversation.length === 0 || conversation[0].role !== 'user') {
+    conversation.unshift({ role: 'user', content: OPENING_USER_MESSAGE });
+  }
+
+  return { system, messages: conversation };
+}
+
+class AnthropicProvider extends LLMProvider {
+  constructor(name, settings, apiKey) {
+    super(name, settings);
+    this.apiKey = apiKey;
+  }
+
+  buildRequest(messages, { maxTokens, temperature }, stream) {
+    const { system, messages: conversation } = toAnthropicFormat(messages);
+    return {
+      model: this.model,
+      system: system || undefined,
+      messages: conversation,
+      max_tokens: maxTokens,
+      temperature: temperature,
+      stream: stream,
+    };
+  }
+
+  get headers() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.settings.API_VERSION,
+    };
+  }
+
+  async *stream(messages, options = {}) {
+    const response = await postJson(
+      `${this.settings.BASE_URL}/messages`,
+      this.buildRequest(messages, options, true),
+      { headers: this.headers, timeoutMs: options.timeoutMs }
+    );
+
+    // SSE: we only care about "data: {...}" lines
+    for await (const line of readLines(response)) {
+      if (!line.startsWith('data:')) continue;
+
+      const event = JSON.parse(line.slice(5).trim());
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        if (event.delta.text) yield event.delta.text;
+      } else if (event.type === 'error') {
+        throw new Error(event.error?.message || 'Anthropic stream error');
+      } else if (event.type === 'message_stop') {
+        return;
+      }
+    }
+  }
+
+  async complete(messages, options = {}) {
+    const response = await postJson(
+      `${this.settings.BASE_URL}/messages`,
+      this.buildRequest(messages, options, false),
+      { headers: this.headers, timeoutMs: options.timeoutMs }
+    );
+
+    const data = await response.json();
+    return (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,70 @@
+/*
+================================================================================
+LLM PROVIDER (The Interface)
+================================================================================
+ROLE: The Contract 📜
+
+WHY:
+  - LLMService used to be welded to the OpenAI SDK + Cerebras.
+  - Swapping to another vendor, a local model, or an offline mock should
+    not touch the interview logic at all.
+
+HOW:
+  - Every adapter extends LLMProvider and implements:
+      stream(messages, options)   -> Async Generator of text tokens
+      complete(messages, options) -> Promise<String> (full reply)
+      countTokens(messages)       -> Number (estimate is fine)
+  - `messages` always use the OpenAI shape: [{ role, content }] where role is
+    'system' | 'user' | 'assistant'. Adapters translate if their API differs.
+
+OPTIONS (both stream and complete):
+  - maxTokens:   Hard cap on the reply length
+  - temperature: Creativity
+  - timeoutMs:   Abort the request after this long
+  - json:        Ask for a single JSON object (best effort on some providers)
+  - sessionId:   The interview the call belongs to (stateful adapters only,
+                 e.g. the mock's script cursor; others ignore it)
+================================================================================
+*/
+
+// Rough average for English text. Good enough for budget checks.
+const CHARACTERS_PER_TOKEN = 4;
+
+// Per-message overhead (role markers etc.) used by most chat formats
+const TOKENS_PER_MESSAGE = 4;
+
+class LLMProvider {
+  /*
+    PARAMS:
+      - name:     Provider id from AI_CONFIG.LLM.PROVIDER (for logs)
+      - settings: AI_CONFIG.LLM.PROVIDERS[name]
+  */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+    this.model = settings.MODEL_NAME;
+  }
+
+  async *stream() {
+    throw new Error(`LLM provider "${this.name}" does not implement stream()`);
+  }
+
+  async complete() {
+    throw new Error(`LLM provider "${this.name}" does not implement complete()`);
+  }
+
+  /*
+    countTokens(messages)
+
+    RETURNS: Estimated prompt size in tokens.
+    NOTE: Adapters with a real tokenizer may override this.
+  */
+  countTokens(messages) {
+    return messages.reduce((total, message) => {
+      const length = typeof message.content === 'string' ? message.content.length : 0;
+      return total + TOKENS_PER_MESSAGE + Math.ceil(length / CHARACTERS_PER_TOKEN);
+    }, 0);
+  }
+}
+
+module.exports = LLMProvider;
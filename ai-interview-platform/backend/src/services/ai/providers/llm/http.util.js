@@ -0,0 +1,63 @@
+/*
+================================================================================
+HTTP HELPERS (For SDK-less providers)
+================================================================================
+ROLE: The small amount of plumbing shared by the fetch()-based adapters.
+WHY:  Anthropic (SSE) and Ollama (NDJSON) both stream line-by-line over a
+      plain HTTP response. No extra SDK dependency needed.
+================================================================================
+*/
+
+/*
+  postJson(url, body, { headers, timeoutMs })
+
+  ROLE: POST a JSON body and fail loudly on non-2xx responses.
+  RETURNS: The fetch Response (body not yet consumed).
+  THROWS:  Error including the status and the start of the error body.
+*/
+async function postJson(url, body, { headers = {}, timeoutMs } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status} from ${url}: ${errorText.slice(0, 200)}`);
+  }
+
+  return response;
+}
+
+/*
+  readLines(response)
+
+  ROLE: Turn a streamed response body into complete text lines.
+  WHY:  Network chunks don't respect line boundaries, so we buffer the tail.
+  RETURNS: Async Generator of non-empty lines (without the trailing newline).
+*/
+async function* readLines(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line) yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer.trim();
+}
+
+module.exports = {
+  postJson,
+  readLines
+};
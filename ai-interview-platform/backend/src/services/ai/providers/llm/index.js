@@ -0,0 +1,40 @@
+/*
+================================================================================
+LLM PROVIDER FACTORY
+================================================================================
+ROLE: Pick and build the adapter named by AI_CONFIG.LLM.PROVIDER.
+      (Lookup and API key checks: see ../registry.js)
+================================================================================
+*/
+
+const { createProviderRegistry } = require('../registry');
+const OpenAICompatibleProvider = require('./openai-compatible.provider');
+const AnthropicProvider = require('./anthropic.provider');
+const OllamaProvider = require('./ollama.provider');
+const MockProvider = require('./mock.provider');
+
+const PROVIDER_CLASSES = {
+  openai: OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider,
+  llamacpp: OpenAICompatibleProvider,
+  mock: MockProvider,
+};
+
+/*
+  createLLMProvider(llmConfig)
+
+  PARAMS:
+    - llmConfig: AI_CONFIG.LLM
+  RETURNS: An LLMProvider instance.
+  THROWS:  Unknown provider name, or missing API key.
+*/
+const createLLMProvider = createProviderRegistry('LLM', PROVIDER_CLASSES, 'LLM_PROVIDER', {
+  icon: '🧠',
+  offlineProvider: 'mock',
+  describe: (name, settings) => `model: ${settings.MODEL_NAME}`
+});
+
+module.exports = {
+  createLLMProvider
+};
@@ -0,0 +1,101 @@
+/*
+================================================================================
+MOCK PROVIDER (Scripted, Deterministic)
+================================================================================
+ROLE: The Understudy 🎭
+
+WHY:
+  - Lets the whole interview loop (STT -> LLM -> TTS -> persistence -> report)
+    run offline: in CI, on a plane, or without burning API credits.
+  - Same conversation in = same replies out. Tests can assert on them.
+
+HOW:
+  - Replays lines from a JSON script (default: fixtures/llm/interview.script.json).
+  - One cursor per interview (options.sessionId): each reply takes the next
+    script line, so concurrent interviews don't interfere with each other
+    and a resumed interview carries on where it was. Past the end of the
+    script the last line repeats.
+  - Without a sessionId the line is picked by counting interviewer replies
+    in `messages` (only reliable until LLMService starts trimming history).
+  - complete({ json: true }) returns the script's canned evaluation.
+================================================================================
+*/
+
+const fs = require('fs');
+const path = require('path');
+const LLMProvider = require('./base.provider');
+
+const DEFAULT_SCRIPT_PATH = path.join(__dirname, '../../../../../fixtures/llm/interview.script.json');
+
+// Cursors kept at most (oldest dropped first), so ended interviews don't pile up
+const MAX_CURSORS = 1000;
+
+class MockProvider extends LLMProvider {
+  constructor(name, settings) {
+    super(name, settings);
+
+    const scriptPath = settings.SCRIPT_PATH || DEFAULT_SCRIPT_PATH;
+    this.script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+
+    if (!Array.isArray(this.script.interviewer) || this.script.interviewer.length === 0) {
+      throw new Error(`Mock LLM script ${scriptPath} has no "interviewer" lines`);
+    }
+
+    this.cursors = new Map(); // sessionId -> index of the next line
+
+    console.log(`🎭 MockLLM: Loaded ${this.script.interviewer.length} scripted lines from ${scriptPath}`);
+  }
+
+  /*
+    nextIndex(messages, sessionId)
+
+    RETURNS: The script line for this reply.
+    HOW:  With a sessionId, that interview's cursor (then advanced).
+          Without one, the count of interviewer replies so far; the greeting
+          is the first one and is not part of the script, hence the -1.
+  */
+  nextIndex(messages, sessionId) {
+    if (!sessionId) {
+      const repliesSoFar = messages.filter(message => message.role === 'assistant').length;
+      return Math.max(repliesSoFar - 1, 0);
+    }
+
+    const index = this.cursors.get(sessionId) || 0;
+    this.cursors.delete(sessionId); // Re-inserted last: most recently used
+    this.cursors.set(sessionId, index + 1);
+    if (this.cursors.size > MAX_CURSORS) {
+      this.cursors.delete(this.cursors.keys().next().value);
+    }
+    return index;
+  }
+
+  /*
+    pickLine(messages, sessionId)
+
+    ROLE: Choose the next scripted line for this conversation.
+  */
+  pickLine(messages, sessionId) {
+    const index = Math.min(this.nextIndex(messages, sessionId), this.script.interviewer.length - 1);
+    return this.script.interviewer[index];
+  }
+
+  async *stream(messages, { sessionId = null } = {}) {
+    const words = this.pickLine(messages, sessionId).split(' ');
+
+    for (let i = 0; i < words.length; i++) {
+      if (this.settings.TOKEN_DELAY_MS) {
+        await new Promise(resolve => setTimeout(resolve, this.settings.TOKEN_DELAY_MS));
+      }
+      yield (i === 0 ? '' : ' ') + words[i];
+    }
+  }
+
+  async complete(messages, { json = false, sessionId = null } = {}) {
+    if (json) {
+      return JSON.stringify(this.script.evaluation || {});
+    }
+    return this.pickLine(messages, sessionId);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,63 @@
+/*
+================================================================================
+OLLAMA PROVIDER
+================================================================================
+ROLE: Talks to a local Ollama server (POST /api/chat).
+
+WHY NOT THE OPENAI ADAPTER?
+  - Ollama's native API exposes `format: 'json'` and `num_predict`
+    reliably across versions; its OpenAI shim lags behind.
+  - Streaming is newline-delimited JSON: one object per line, the last
+    one has `done: true`.
+
+NOTE: For llama.cpp, use PROVIDER 'llamacpp' (OpenAI-compatible adapter).
+================================================================================
+*/
+
+const LLMProvider = require('./base.provider');
+const { postJson, readLines } = require('./http.util');
+
+class OllamaProvider extends LLMProvider {
+  buildRequest(messages, { maxTokens, temperature, json = false }, stream) {
+    return {
+      model: this.model,
+      messages: messages,
+      stream: stream,
+      ...(json ? { format: 'json' } : {}),
+      options: {
+        num_predict: maxTokens,
+        temperature: temperature,
+      },
+    };
+  }
+
+  async *stream(messages, options = {}) {
+    const response = await postJson(
+      `${this.settings.BASE_URL}/api/chat`,
+      this.buildRequest(messages, options, true),
+      { timeoutMs: options.timeoutMs }
+    );
+
+    for await (const line of readLines(response)) {
+      const event = JSON.parse(line);
+      if (event.error) throw new Error(event.error);
+
+      const token = event.message?.content || '';
+      if (token) yield token;
+      if (event.done) return;
+    }
+  }
+
+  async complete(messages, options = {}) {
+    const response = await postJson(
+      `${this.settings.BASE_URL}/api/chat`,
+      this.buildRequest(messages, options, false),
+      { timeoutMs: options.timeoutMs }
+    );
+
+    const data = await response.json();
+    return data.message?.content || '';
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,64 @@
+/*
+================================================================================
+OPENAI-COMPATIBLE PROVIDER
+================================================================================
+ROLE: Talks to anything that speaks the OpenAI chat completions API.
+
+USED FOR:
+  - Cerebras Cloud (the default)
+  - OpenAI, Groq, Together, OpenRouter...
+  - llama.cpp's `llama-server` (exposes /v1/chat/completions locally)
+================================================================================
+*/
+
+const OpenAI = require('openai');
+const LLMProvider = require('./base.provider');
+
+class OpenAICompatibleProvider extends LLMProvider {
+  /*
+    PARAMS:
+      - apiKey: Resolved by the factory. Local servers get a placeholder
+                because the SDK refuses an empty key.
+  */
+  constructor(name, settings, apiKey) {
+    super(name, settings);
+
+    this.client = new OpenAI({
+      baseURL: settings.BASE_URL,
+      apiKey: apiKey || 'not-required',
+    });
+  }
+
+  async *stream(messages, { maxTokens, temperature, timeoutMs } = {}) {
+    const stream = await this.client.chat.completions.create({
+      model: this.model,
+      messages: messages,
+      max_tokens: maxTokens,
+      temperature: temperature,
+      stream: true,
+    }, {
+      timeout: timeoutMs
+    });
+
+    for await (const chunk of stream) {
+      const token = chunk.choices[0]?.delta?.content || '';
+      if (token) yield token;
+    }
+  }
+
+  async complete(messages, { maxTokens, temperature, timeoutMs, json = false } = {}) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: messages,
+      max_tokens: maxTokens,
+      temperature: temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+    }, {
+      timeout: timeoutMs
+    });
+
+    return completion.choices[0]?.message?.content || '';
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
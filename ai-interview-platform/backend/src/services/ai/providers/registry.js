@@ -0,0 +1,62 @@
+/*
+================================================================================
+PROVIDER REGISTRY
+================================================================================
+ROLE: The one factory behind llm/, stt/ and tts/index.js.
+
+WHY:
+  - The three factories only differed in their provider list and log line.
+
+HOW:
+  - Each kind registers its adapter classes by name. The returned factory
+    reads <config>.PROVIDER and <config>.PROVIDERS[name] (see ai.config.js)
+    and builds the adapter as new ProviderClass(name, settings, apiKey).
+
+SAFEGUARD:
+  - A provider that needs an API key and doesn't have one fails with a clear
+    error, instead of sending a placeholder key and failing later.
+================================================================================
+*/
+
+/*
+  createProviderRegistry(kind, providers, envVar, options)
+
+  PARAMS:
+    - kind: 'LLM' | 'STT' | 'TTS' (for errors and logs)
+    - providers: { name: ProviderClass }
+    - envVar: The env var that picks the provider (e.g. 'LLM_PROVIDER')
+    - options.icon: Log prefix
+    - options.offlineProvider: Suggested when an API key is missing
+    - options.describe: (name, settings) -> String, extra detail for the log
+  RETURNS: createProvider(config) -> a provider instance.
+           THROWS: Unknown provider name, missing API key, or whatever the
+           provider's constructor throws.
+*/
+function createProviderRegistry(kind, providers, envVar, { icon = '🔌', offlineProvider = null, describe = null } = {}) {
+  return function createProvider(config) {
+    const name = config.PROVIDER;
+    const ProviderClass = providers[name];
+    const settings = config.PROVIDERS[name];
+
+    if (!ProviderClass || !settings) {
+      throw new Error(`Unknown ${kind} provider "${name}" (${envVar}). Use one of: ${Object.keys(providers).join(', ')}`);
+    }
+
+    let apiKey = null;
+    if (settings.API_KEY_ENV) {
+      apiKey = process.env[settings.API_KEY_ENV];
+      if (!apiKey) {
+        const hint = offlineProvider ? ` (or set ${envVar}=${offlineProvider} for offline use)` : '';
+        throw new Error(`${kind} provider "${name}" requires ${settings.API_KEY_ENV} to be set${hint}`);
+      }
+    }
+
+    const detail = describe ? ` (${describe(name, settings)})` : '';
+    console.log(`${icon} ${kind}: Using provider "${name}"${detail}`);
+    return new ProviderClass(name, settings, apiKey);
+  };
+}
+
+module.exports = {
+  createProviderRegistry
+};
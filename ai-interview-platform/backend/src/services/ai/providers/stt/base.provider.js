@@ -0,0 +1,43 @@
+/*
+================================================================================
+STT PROVIDER (The Interface)
+================================================================================
+ROLE: The Contract 📜
+
+WHY:
+  - STTService used to be welded to Deepgram's `listen.live`.
+  - The interview loop only cares about ONE thing: a stream of
+    { text, isFinal, speaker, confidence } results.
+
+HOW:
+  - Every adapter extends STTProvider and implements:
+      createConnection(userId, callbacks) -> { send(chunk), finish() }
+  - `callbacks`:
+      onTranscript({ text, isFinal, speaker, confidence })
+      onOpen()        The connection can accept audio now
+      onClose()       The connection is gone (STTService forgets the stream)
+      onError(error)  Logged by STTService; not fatal on its own
+  - Audio arrives exactly as the browser sends it: MediaRecorder webm/opus.
+    Adapters that need raw PCM must transcode.
+  - STTService keeps the safeguards (silence, filibuster, buffering before
+    open), so adapters stay small.
+================================================================================
+*/
+
+class STTProvider {
+  /*
+    PARAMS:
+      - name:     Provider id from AI_CONFIG.STT.PROVIDER (for logs)
+      - settings: AI_CONFIG.STT.PROVIDERS[name]
+  */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+  }
+
+  createConnection() {
+    throw new Error(`STT provider "${this.name}" does not implement createConnection()`);
+  }
+}
+
+module.exports = STTProvider;
@@ -0,0 +1,58 @@
+/*
+================================================================================
+DEEPGRAM PROVIDER
+================================================================================
+ROLE: Deepgram live transcription over their WebSocket API.
+
+NOTES:
+  - WebM is a container format, so Deepgram auto-detects encoding.
+    Do NOT specify 'encoding' or 'sample_rate' for containerized audio.
+  - `diarize` gives us a speaker index per word, used for the
+    "multiple voices" anti-cheating check.
+================================================================================
+*/
+
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+const STTProvider = require('./base.provider');
+
+class DeepgramProvider extends STTProvider {
+  constructor(name, settings, apiKey) {
+    super(name, settings);
+    this.deepgram = createClient(apiKey);
+  }
+
+  createConnection(userId, { onTranscript, onOpen, onClose, onError }) {
+    const connection = this.deepgram.listen.live({
+      model: this.settings.MODEL,
+      language: this.settings.LANGUAGE,
+      smart_format: true,      // Auto-punctuation
+      interim_results: true,   // Get results as user speaks
+      endpointing: this.settings.ENDPOINTING_MS,
+      punctuate: true,         // Add punctuation
+      diarize: this.settings.DIARIZE,
+    });
+
+    connection.on(LiveTranscriptionEvents.Transcript, (data) => {
+      const alternative = data.channel.alternatives[0];
+
+      onTranscript({
+        text: alternative?.transcript || '',
+        isFinal: data.is_final,
+        // Deepgram returns a 'speaker' index for each word
+        speaker: alternative?.words?.[0]?.speaker ?? 0,
+        confidence: alternative?.confidence ?? null
+      });
+    });
+
+    connection.on(LiveTranscriptionEvents.Open, onOpen);
+    connection.on(LiveTranscriptionEvents.Close, onClose);
+    connection.on(LiveTranscriptionEvents.Error, onError);
+
+    return {
+      send: (chunk) => connection.send(chunk),
+      finish: () => connection.finish()
+    };
+  }
+}
+
+module.exports = DeepgramProvider;
@@ -0,0 +1,36 @@
+/*
+================================================================================
+STT PROVIDER FACTORY
+================================================================================
+ROLE: Pick and build the adapter named by AI_CONFIG.STT.PROVIDER.
+      (Lookup and API key checks: see ../registry.js)
+================================================================================
+*/
+
+const { createProviderRegistry } = require('../registry');
+const DeepgramProvider = require('./deepgram.provider');
+const VoskProvider = require('./vosk.provider');
+const ReplayProvider = require('./replay.provider');
+
+const PROVIDER_CLASSES = {
+  deepgram: DeepgramProvider,
+  vosk: VoskProvider,
+  replay: ReplayProvider,
+};
+
+/*
+  createSTTProvider(sttConfig)
+
+  PARAMS:
+    - sttConfig: AI_CONFIG.STT
+  RETURNS: An STTProvider instance.
+  THROWS:  Unknown provider name, missing API key, or unreadable fixture.
+*/
+const createSTTProvider = createProviderRegistry('STT', PROVIDER_CLASSES, 'STT_PROVIDER', {
+  icon: '👂',
+  offlineProvider: 'replay'
+});
+
+module.exports = {
+  createSTTProvider
+};
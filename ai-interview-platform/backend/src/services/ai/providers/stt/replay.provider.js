@@ -0,0 +1,144 @@
+/*
+================================================================================
+REPLAY PROVIDER (Fixture Stub)
+================================================================================
+ROLE: The Parrot 🦜
+
+WHY:
+  - Exercises interview.handler.js end-to-end with no API key, no network,
+    and no speech recognizer installed.
+  - Deterministic: the same audio bytes in give the same transcripts out.
+
+HOW:
+  - A fixture is an audio file (.wav or .webm) plus a sidecar
+    `<name>.transcript.json`:
+      {
+        "durationMs": 12000,          // required for .webm (read from header for .wav)
+        "segments": [
+          { "startMs": 0, "endMs": 1800, "text": "Web development.",
+            "confidence": 0.97, "speaker": 0 }
+        ]
+      }
+  - We never decode audio. We count the bytes we receive and map them onto
+    the fixture's timeline: receiving 50% of the file's size means 50% of its
+    duration has been "heard".
+  - A segment is emitted as interim when its start is reached and as final
+    when its end is reached. A test client that streams the fixture file
+    itself gets every transcript at exactly the right moment.
+  - With LOOP on, the script restarts after the whole fixture was heard
+    (useful when a real browser keeps streaming in local dev).
+================================================================================
+*/
+
+const fs = require('fs');
+const path = require('path');
+const STTProvider = require('./base.provider');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '../../../../../fixtures/stt/sample.wav');
+
+/*
+  readWavDurationMs(buffer)
+
+  ROLE: Duration of a PCM WAV from its header (byteRate + data chunk size).
+  RETURNS: Number, or null if this isn't a WAV we understand.
+*/
+function readWavDurationMs(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ') byteRate = buffer.readUInt32LE(offset + 16);
+    if (chunkId === 'data' && byteRate) return Math.round((chunkSize / byteRate) * 1000);
+
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+/*
+  loadFixture(audioPath)
+
+  RETURNS: { sizeBytes, durationMs, segments }
+  THROWS:  If the audio or sidecar is missing, or the duration is unknown.
+*/
+function loadFixture(audioPath) {
+  const audio = fs.readFileSync(audioPath);
+  const sidecarPath = audioPath.replace(/\.(wav|webm)$/i, '') + '.transcript.json';
+  const sidecar = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+
+  const durationMs = readWavDurationMs(audio) ?? sidecar.durationMs;
+  if (!durationMs) {
+    throw new Error(`STT fixture ${audioPath} needs "durationMs" in ${path.basename(sidecarPath)}`);
+  }
+
+  const segments = (sidecar.segments || [])
+    .filter(segment => segment && typeof segment.text === 'string')
+    .sort((a, b) => a.startMs - b.startMs);
+
+  return { sizeBytes: audio.length, durationMs, segments };
+}
+
+class ReplayProvider extends STTProvider {
+  constructor(name, settings) {
+    super(name, settings);
+
+    this.fixturePath = settings.FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+    this.fixture = loadFixture(this.fixturePath);
+
+    console.log(`🦜 Replay STT: Loaded ${this.fixture.segments.length} segments from ${this.fixturePath}`);
+  }
+
+  createConnection(userId, { onTranscript, onOpen, onClose }) {
+    const { sizeBytes, durationMs, segments } = this.fixture;
+
+    let receivedBytes = 0;
+    let nextSegment = 0;   // Index of the first segment not yet finalized
+    let interimSent = -1;  // Index of the last segment sent as interim
+
+    // Behave like a network connection: open on the next tick
+    setImmediate(onOpen);
+
+    return {
+      send: (chunk) => {
+        receivedBytes += chunk?.byteLength ?? chunk?.length ?? 0;
+        const heardMs = (receivedBytes / sizeBytes) * durationMs;
+
+        while (nextSegment < segments.length) {
+          const segment = segments[nextSegment];
+          const result = {
+            text: segment.text,
+            speaker: segment.speaker ?? 0,
+            confidence: segment.confidence ?? null
+          };
+
+          if (heardMs >= segment.endMs) {
+            onTranscript({ ...result, isFinal: true });
+            nextSegment++;
+          } else {
+            if (heardMs >= segment.startMs && interimSent !== nextSegment) {
+              onTranscript({ ...result, isFinal: false });
+              interimSent = nextSegment;
+            }
+            break;
+          }
+        }
+
+        // Whole fixture heard: start over (the leftover bytes carry into the next pass)
+        if (this.settings.LOOP && nextSegment >= segments.length && heardMs >= durationMs) {
+          receivedBytes -= sizeBytes;
+          nextSegment = 0;
+          interimSent = -1;
+        }
+      },
+      finish: () => setImmediate(onClose)
+    };
+  }
+}
+
+module.exports = ReplayProvider;
@@ -0,0 +1,120 @@
+/*
+================================================================================
+VOSK PROVIDER (Local / Offline)
+================================================================================
+ROLE: Streams audio to a local Vosk server (e.g. alphacep/kaldi-en).
+
+WHY VOSK:
+  - Runs fully offline on a CPU, no API key.
+  - It is a true streaming recognizer (partials + finals), which our turn
+    logic depends on. whisper.cpp's server is request/response only.
+
+HOW:
+  1. The browser sends webm/opus. Vosk wants raw 16-bit mono PCM.
+     -> One ffmpeg process per connection transcodes stdin -> stdout.
+        (spawned with an args array: no shell, no temp files)
+  2. PCM is forwarded to the Vosk WebSocket.
+  3. Vosk replies with { partial } (interim) or { text, result[] } (final).
+  4. finish(): close ffmpeg's stdin, flush, then send { eof: 1 }.
+
+LIMITATIONS:
+  - No diarization: speaker is always 0.
+  - No punctuation: the handler falls back to its longer pause timer.
+================================================================================
+*/
+
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const STTProvider = require('./base.provider');
+
+class VoskProvider extends STTProvider {
+  createConnection(userId, { onTranscript, onOpen, onClose, onError }) {
+    const ws = new WebSocket(this.settings.URL);
+
+    const ffmpeg = spawn(this.settings.FFMPEG_PATH, [
+      '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-f', 's16le',
+      '-acodec', 'pcm_s16le',
+      '-ac', '1',
+      '-ar', String(this.settings.SAMPLE_RATE),
+      'pipe:1'
+    ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      onClose();
+    };
+
+    // -------------------------------------------------------------------------
+    // FFMPEG: webm in, PCM out
+    // -------------------------------------------------------------------------
+    ffmpeg.on('error', (error) => {
+      // Usually ENOENT: ffmpeg is not installed / not on PATH
+      onError(new Error(`ffmpeg failed to start (${error.message})`));
+      ws.terminate();
+    });
+    ffmpeg.stdin.on('error', () => {}); // EPIPE after ffmpeg exits is expected
+    ffmpeg.stderr.on('data', (data) => {
+      console.warn(`⚠️ Vosk STT [${userId}]: ffmpeg: ${data.toString().trim()}`);
+    });
+
+    ffmpeg.stdout.on('data', (pcm) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(pcm);
+    });
+
+    // Once ffmpeg has flushed everything, tell Vosk the audio is over
+    ffmpeg.on('close', () => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ eof: 1 }));
+    });
+
+    // -------------------------------------------------------------------------
+    // VOSK: PCM in, JSON results out
+    // -------------------------------------------------------------------------
+    ws.on('open', () => {
+      ws.send(JSON.stringify({ config: { sample_rate: this.settings.SAMPLE_RATE } }));
+      onOpen();
+    });
+
+    ws.on('message', (raw) => {
+      let result;
+      try {
+        result = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+
+      if (typeof result.partial === 'string') {
+        onTranscript({ text: result.partial, isFinal: false, speaker: 0, confidence: null });
+      } else if (typeof result.text === 'string') {
+        const words = Array.isArray(result.result) ? result.result : [];
+        const confidence = words.length
+          ? words.reduce((sum, word) => sum + (word.conf || 0), 0) / words.length
+          : null;
+
+        onTranscript({ text: result.text, isFinal: true, speaker: 0, confidence });
+      }
+    });
+
+    ws.on('error', onError);
+    ws.on('close', () => {
+      ffmpeg.kill();
+      close();
+    });
+
+    return {
+      send: (chunk) => {
+        if (ffmpeg.stdin.writable) ffmpeg.stdin.write(Buffer.from(chunk));
+      },
+      finish: () => {
+        ffmpeg.stdin.end();
+        // If Vosk never answers the EOF, don't leave the socket hanging
+        setTimeout(() => ws.terminate(), 2000).unref();
+      }
+    };
+  }
+}
+
+module.exports = VoskProvider;
@@ -0,0 +1,42 @@
+/*
+================================================================================
+TTS PROVIDER (The Interface)
+================================================================================
+ROLE: The Contract 📜
+
+WHY:
+  - TTSService used to shell out to `python3 -m edge_tts`, interpolating LLM
+    output into a command line and round-tripping through a temp MP3.
+  - Providers now synthesize in-process (or via a child process fed on
+    stdin) and stream the audio back.
+
+HOW:
+  - Every adapter extends TTSProvider and implements:
+      stream(text, options) -> Async Generator of { audio?: Buffer, words?: [Word] }
+  - Concatenating every `audio` piece gives ONE playable file of `mimeType`.
+  - Word = { text, startMs, endMs }, relative to the start of that file.
+    Used for live captions. Providers without real timings estimate them
+    (see timing.util.js) so captions work everywhere.
+  - `options.voice` overrides the provider's default voice (if it has voices).
+================================================================================
+*/
+
+class TTSProvider {
+  /*
+    PARAMS:
+      - name:     Provider id from AI_CONFIG.TTS.PROVIDER (for logs)
+      - settings: AI_CONFIG.TTS.PROVIDERS[name]
+      - mimeType: What the concatenated audio is (sent to the browser)
+  */
+  constructor(name, settings = {}, mimeType = 'audio/mpeg') {
+    this.name = name;
+    this.settings = settings;
+    this.mimeType = mimeType;
+  }
+
+  async *stream() {
+    throw new Error(`TTS provider "${this.name}" does not implement stream()`);
+  }
+}
+
+module.exports = TTSProvider;
@@ -0,0 +1,32 @@
+/*
+================================================================================
+EDGE PROVIDER
+================================================================================
+ROLE: Microsoft Edge neural voices via our in-process WebSocket client.
+      The only provider with real word timings (from the synthesizer).
+================================================================================
+*/
+
+const TTSProvider = require('./base.provider');
+const EdgeTTSClient = require('../../edge-tts-client');
+
+class EdgeProvider extends TTSProvider {
+  constructor(name, settings) {
+    super(name, settings, 'audio/mpeg');
+  }
+
+  async *stream(text, { voice } = {}) {
+    const audioStream = EdgeTTSClient.stream(text, {
+      voice: voice || this.settings.VOICE_NAME,
+      outputFormat: this.settings.OUTPUT_FORMAT,
+      timeoutMs: this.settings.TIMEOUT_MS
+    });
+
+    for await (const event of audioStream) {
+      if (event.audio) yield { audio: event.audio };
+      else if (event.word) yield { words: [event.word] };
+    }
+  }
+}
+
+module.exports = EdgeProvider;
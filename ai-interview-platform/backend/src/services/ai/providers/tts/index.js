@@ -0,0 +1,36 @@
+/*
+================================================================================
+TTS PROVIDER FACTORY
+================================================================================
+ROLE: Pick and build the adapter named by AI_CONFIG.TTS.PROVIDER.
+      (Lookup and API key checks: see ../registry.js)
+================================================================================
+*/
+
+const { createProviderRegistry } = require('../registry');
+const EdgeProvider = require('./edge.provider');
+const PiperProvider = require('./piper.provider');
+const StubProvider = require('./stub.provider');
+
+const PROVIDER_CLASSES = {
+  edge: EdgeProvider,
+  piper: PiperProvider,
+  stub: StubProvider,
+};
+
+/*
+  createTTSProvider(ttsConfig)
+
+  PARAMS:
+    - ttsConfig: AI_CONFIG.TTS
+  RETURNS: A TTSProvider instance.
+  THROWS:  Unknown provider name, or a misconfigured provider.
+*/
+const createTTSProvider = createProviderRegistry('TTS', PROVIDER_CLASSES, 'TTS_PROVIDER', {
+  icon: '🗣️',
+  offlineProvider: 'stub'
+});
+
+module.exports = {
+  createTTSProvider
+};
@@ -0,0 +1,106 @@
+/*
+================================================================================
+PIPER PROVIDER (Local / Offline)
+================================================================================
+ROLE: Fast local neural TTS with the `piper` binary (rhasspy/piper).
+
+HOW:
+  - `piper --model <voice.onnx> --output_raw` reads text on STDIN and writes
+    raw 16-bit mono PCM to STDOUT as it synthesizes.
+  - We spawn it with an args array (no shell) and write the text to stdin,
+    so LLM output is never parsed as a command.
+  - The first chunk we yield is a streaming WAV header, then the PCM as-is.
+  - Piper doesn't report word boundaries, so once it's done we estimate
+    them from the PCM length (see timing.util.js).
+
+SETUP:
+  - Install piper and download a voice, e.g. en_US-lessac-medium.onnx
+    (+ its .onnx.json). Point PIPER_MODEL at the .onnx file.
+  - The sample rate is read from the voice's .onnx.json when present.
+
+NOTE: options.voice is ignored; a Piper "voice" is the model file.
+================================================================================
+*/
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const TTSProvider = require('./base.provider');
+const { buildWavHeader } = require('./wav.util');
+const { estimateWordTimings } = require('./timing.util');
+
+const DEFAULT_SAMPLE_RATE = 22050;
+
+/*
+  readSampleRate(modelPath)
+
+  RETURNS: audio.sample_rate from "<model>.onnx.json", or the Piper default.
+*/
+function readSampleRate(modelPath) {
+  try {
+    const modelConfig = JSON.parse(fs.readFileSync(`${modelPath}.json`, 'utf8'));
+    return modelConfig?.audio?.sample_rate || DEFAULT_SAMPLE_RATE;
+  } catch {
+    return DEFAULT_SAMPLE_RATE;
+  }
+}
+
+class PiperProvider extends TTSProvider {
+  constructor(name, settings) {
+    super(name, settings, 'audio/wav');
+
+    if (!settings.MODEL_PATH) {
+      throw new Error('TTS provider "piper" requires PIPER_MODEL (path to a .onnx voice)');
+    }
+
+    this.sampleRate = readSampleRate(settings.MODEL_PATH);
+  }
+
+  async *stream(text) {
+    const child = spawn(this.settings.BINARY_PATH, [
+      '--model', this.settings.MODEL_PATH,
+      '--output_raw'
+    ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+    let stderr = '';
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.stdin.on('error', () => {}); // EPIPE if piper failed to start
+
+    // Resolves with the exit code, or the spawn error (e.g. ENOENT)
+    const exited = new Promise((resolve) => {
+      child.on('error', resolve);
+      child.on('close', resolve);
+    });
+
+    const timer = setTimeout(() => child.kill('SIGKILL'), this.settings.TIMEOUT_MS);
+
+    try {
+      child.stdin.end(text + '\n');
+
+      yield { audio: buildWavHeader({ sampleRate: this.sampleRate }) };
+
+      let pcmBytes = 0;
+      for await (const pcm of child.stdout) {
+        pcmBytes += pcm.length;
+        yield { audio: pcm };
+      }
+
+      const result = await exited;
+      if (result instanceof Error) {
+        throw new Error(`piper failed to start (${result.message})`);
+      }
+      if (result !== 0) {
+        throw new Error(`piper exited with code ${result}: ${stderr.trim().slice(-200)}`);
+      }
+
+      // 16-bit mono: 2 bytes per sample
+      const durationMs = (pcmBytes / 2 / this.sampleRate) * 1000;
+      yield { words: estimateWordTimings(text, durationMs) };
+    } finally {
+      clearTimeout(timer);
+      // Consumer stopped early (or we failed): don't leave piper running
+      if (child.exitCode === null && !child.killed) child.kill('SIGKILL');
+    }
+  }
+}
+
+module.exports = PiperProvider;
@@ -0,0 +1,59 @@
+/*
+================================================================================
+STUB PROVIDER (Silence / Beep)
+================================================================================
+ROLE: The Mime 🤐
+
+WHY:
+  - Tests and offline dev need audio that behaves like speech (it takes time
+    to play, so turn-taking and playback logic are exercised) without any
+    network or binary.
+
+HOW:
+  - Duration scales with the word count (MS_PER_WORD), like real speech.
+  - MODE 'beep':    a short soft tone at the start, then silence
+                    (you can hear that the interviewer "spoke").
+  - MODE 'silence': pure silence.
+  - Output is a complete 16 kHz mono WAV, yielded in one piece, with
+    estimated word timings so captions can be tested offline too.
+================================================================================
+*/
+
+const TTSProvider = require('./base.provider');
+const { buildWavHeader } = require('./wav.util');
+const { estimateWordTimings } = require('./timing.util');
+
+const SAMPLE_RATE = 16000;
+const MIN_DURATION_MS = 300;
+const BEEP_MS = 150;
+const BEEP_FREQUENCY_HZ = 660;
+const BEEP_AMPLITUDE = 0.2 * 32767;
+
+class StubProvider extends TTSProvider {
+  constructor(name, settings) {
+    super(name, settings, 'audio/wav');
+  }
+
+  async *stream(text) {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const durationMs = Math.max(MIN_DURATION_MS, words * this.settings.MS_PER_WORD);
+
+    const sampleCount = Math.round((durationMs / 1000) * SAMPLE_RATE);
+    const pcm = Buffer.alloc(sampleCount * 2); // zero = silence
+
+    if (this.settings.MODE === 'beep') {
+      const beepSamples = Math.min(sampleCount, Math.round((BEEP_MS / 1000) * SAMPLE_RATE));
+      for (let i = 0; i < beepSamples; i++) {
+        const sample = Math.sin((2 * Math.PI * BEEP_FREQUENCY_HZ * i) / SAMPLE_RATE) * BEEP_AMPLITUDE;
+        pcm.writeInt16LE(Math.round(sample), i * 2);
+      }
+    }
+
+    yield {
+      audio: Buffer.concat([buildWavHeader({ sampleRate: SAMPLE_RATE, dataBytes: pcm.length }), pcm]),
+      words: estimateWordTimings(text, durationMs)
+    };
+  }
+}
+
+module.exports = StubProvider;
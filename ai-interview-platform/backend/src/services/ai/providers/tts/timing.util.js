@@ -0,0 +1,39 @@
+/*
+================================================================================
+WORD TIMING HELPERS
+================================================================================
+ROLE: Fake word boundaries for providers whose engine doesn't report them.
+USED BY: Piper (timed from the PCM length) and the stub provider.
+
+HOW:
+  - Longer words take longer to say, so each word gets a share of the audio
+    proportional to its length (+1 for the gap after it).
+  - Good enough for captions; Edge reports real boundaries instead.
+================================================================================
+*/
+
+/*
+  estimateWordTimings(text, durationMs)
+
+  PARAMS:
+    - text:       What was synthesized
+    - durationMs: Length of the audio
+  RETURNS: [{ text, startMs, endMs }]
+*/
+function estimateWordTimings(text, durationMs) {
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  const totalWeight = words.reduce((sum, word) => sum + word.length + 1, 0);
+  if (totalWeight === 0 || !(durationMs > 0)) return [];
+
+  let elapsed = 0;
+  return words.map((word) => {
+    const startMs = Math.round((elapsed / totalWeight) * durationMs);
+    elapsed += word.length + 1;
+    const endMs = Math.round(((elapsed - 1) / totalWeight) * durationMs);
+    return { text: word, startMs, endMs };
+  });
+}
+
+module.exports = {
+  estimateWordTimings
+};
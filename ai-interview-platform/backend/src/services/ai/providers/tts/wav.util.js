@@ -0,0 +1,47 @@
+/*
+================================================================================
+WAV HELPERS
+================================================================================
+ROLE: Wrap raw 16-bit PCM into something a browser <audio> element can play.
+USED BY: Piper (raw PCM on stdout) and the stub provider (generated tones).
+================================================================================
+*/
+
+// Size placeholder for streamed WAVs whose final length isn't known yet.
+// Browsers treat it as "read until the end of the data".
+const UNKNOWN_SIZE = 0xFFFFFFFF;
+
+/*
+  buildWavHeader({ sampleRate, dataBytes })
+
+  PARAMS:
+    - sampleRate: Hz (mono, 16-bit little-endian PCM)
+    - dataBytes:  Length of the PCM that follows, or null when streaming
+  RETURNS: 44-byte Buffer
+*/
+function buildWavHeader({ sampleRate, dataBytes = null }) {
+  const channels = 1;
+  const bitsPerSample = 16;
+  const blockAlign = channels * bitsPerSample / 8;
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(dataBytes === null ? UNKNOWN_SIZE : 36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);                        // fmt chunk size
+  header.writeUInt16LE(1, 20);                         // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);   // byte rate
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes === null ? UNKNOWN_SIZE : dataBytes, 40);
+
+  return header;
+}
+
+module.exports = {
+  buildWavHeader
+};
@@ -1,71 +1,104 @@
 /*
 ================================================================================
-STT SERVICE (Speech-to-Text) - DEEPGRAM EDITION
+STT SERVICE (Speech-to-Text)
 ================================================================================
 ROLE: The Ear 👂
 
 WHY:
   - We need to convert real-time audio into text.
-  - Deepgram is the industry leader for fast, accurate STT.
-  - Their 'nova-2' model is blazing fast and works great with accents.
+  - Deepgram is the default; a local Vosk server or a fixture replay stub
+    can stand in for it (AI_CONFIG.STT.PROVIDER, see providers/stt/).
 
 HOW:
-  - We use the @deepgram/sdk npm package.
-  - For each user, we maintain a persistent WebSocket connection.
-  - Audio chunks are streamed to Deepgram, and transcripts stream back.
+  - For each user, we maintain one provider connection.
+  - Audio chunks are streamed to it, and transcripts stream back as
+    { text, isFinal, speaker, confidence }.
 
 SAFEGUARDS:
   1. SILENCE TIMEOUT (user went AFK).
   2. MAX DURATION (user filibustering).
+
+OWNERSHIP:
+  - A stream belongs to the socket that started it (`owner`). After a
+    reconnect the old socket's 'disconnect' may arrive late; endStream()
+    with an owner leaves a newer socket's stream alone.
+  - The owner is also recorded in the shared state store
+    (`stt:owner:<userId>`), so every replica can see which instance and
+    socket hold a user's stream (getOwner).
 ================================================================================
 */
 
-const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+const { createSTTProvider } = require('./providers/stt');
 const AI_CONFIG = require('../../config/ai.config');
+const LIMITS = require('../../config/limits');
+const { getStateStore } = require('../state');
+
+const OWNER_KEY_PREFIX = 'stt:owner:';
 
 class STTService {
   constructor() {
-    // Initialize Deepgram client with API key from environment
-    this.deepgram = createClient(process.env.DEEPGRAM_API_KEY);
-    
+    // Built on first use (see getProvider), so a missing key doesn't crash boot
+    this.provider = null;
+
     // Track active streams per user
-    // Key: userId, Value: { connection, lastVoiceTime, continuousSpeechStart, onTranscript }
+    // Key: userId, Value: { connection, owner, lastVoiceTime, continuousSpeechStart, onTranscript }
     this.streams = new Map();
     
-    console.log('👂 Deepgram STT: Service initialized.');
+    console.log('👂 STT: Service initialized.');
+  }
+
+  /*
+    getProvider()
+
+    RETURNS: The configured STTProvider (built once, then cached).
+    THROWS:  If the provider is unknown or misconfigured.
+  */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createSTTProvider(AI_CONFIG.STT);
+    }
+    return this.provider;
   }
 
   // ===========================================================================
   // 1. START STREAM
   // ===========================================================================
   /*
-    startStream(userId, onTranscript)
+    startStream(userId, onTranscript, options)
     
     PARAMS:
       - userId: String (unique identifier for the user)
       - onTranscript: Function (callback when transcript is ready)
+      - options.owner: Who holds the stream, e.g. `<instance>:<socket.id>`
     
-    Creates a live WebSocket connection to Deepgram for this user.
+    Opens a live connection to the STT provider for this user. A stream the
+    user already has (e.g. a socket that reconnected) is finished first, so
+    its provider connection (Deepgram socket, ffmpeg process) doesn't leak.
+    RETURNS: true if the stream started, false if the provider is unavailable.
   */
-  startStream(userId, onTranscript) {
-    console.log(`👂 Deepgram STT: Starting stream for ${userId}`);
-    
-    // Create live transcription connection
-    // NOTE: WebM is a container format, so Deepgram auto-detects encoding.
-    // Do NOT specify 'encoding' or 'sample_rate' for containerized audio.
-    const connection = this.deepgram.listen.live({
-      model: AI_CONFIG.STT.DEEPGRAM_MODEL,
-      language: AI_CONFIG.STT.DEEPGRAM_LANGUAGE,
-      smart_format: true,      // Auto-punctuation
-      interim_results: true,   // Get results as user speaks
-      endpointing: 900,        // 900ms silence detection
-      punctuate: true,         // Add punctuation
-      diarize: true,           // NEW: Detect multiple speakers
-    });
+  startStream(userId, onTranscript, { owner = null } = {}) {
+    console.log(`👂 STT: Starting stream for ${userId}`);
 
-    // Store stream state
+    let provider;
+    try {
+      provider = this.getProvider();
+    } catch (error) {
+      console.error(`❌ STT: Provider unavailable:`, error.message);
+      return false;
+    }
+
+    // Replace, don't orphan: its onClose won't touch the new entry
+    const previous = this.streams.get(userId);
+    if (previous) {
+      console.log(`👂 STT: Replacing the open stream for ${userId}`);
+      if (previous.connection) previous.connection.finish();
+      this.streams.delete(userId);
+    }
+
+    // Store stream state (connection is attached below)
     const streamState = {
-      connection,
+      connection: null,
+      owner: owner,
       lastVoiceTime: Date.now(),
       continuousSpeechStart: null,
       isSpeaking: false,
@@ -76,68 +109,68 @@ class STTService {
     };
     this.streams.set(userId, streamState);
 
-    // -------------------------------------------------------------------------
-    // EVENT: Transcript Received
-    // -------------------------------------------------------------------------
-    connection.on(LiveTranscriptionEvents.Transcript, (data) => {
-      const alternative = data.channel.alternatives[0];
-      const transcript = alternative?.transcript || '';
-      const isFinal = data.is_final;
-      
-      // Extract Speaker Info (if available from Deepgram Diarization)
-      // Deepgram returns 'speaker' index for each word/segment
-      const speaker = alternative?.words?.[0]?.speaker ?? 0;
+    if (owner) {
+      getStateStore()
+        .set(OWNER_KEY_PREFIX + userId, owner, { ttlMs: LIMITS.MAX_SESSION_DURATION_SECONDS * 1000 })
+        .catch((error) => console.error(`❌ STT: Could not record stream owner for ${userId}:`, error.message));
+    }
+
+    streamState.connection = provider.createConnection(userId, {
+      // -----------------------------------------------------------------------
+      // EVENT: Transcript Received ({ text, isFinal, speaker, confidence })
+      // -----------------------------------------------------------------------
+      onTranscript: ({ text, isFinal, speaker = 0, confidence = null }) => {
+        const transcript = text || '';
+        if (!transcript.trim()) return;
 
-      if (transcript.trim()) {
         console.log(`👂 STT [${userId}]: ${isFinal ? '✅' : '⏳'} [Speaker ${speaker}] "${transcript}"`);
-        
+
         // Update voice activity time
         streamState.lastVoiceTime = Date.now();
         streamState.isSpeaking = true;
         if (!streamState.continuousSpeechStart) {
           streamState.continuousSpeechStart = Date.now();
         }
-        
-        // Send transcript with speaker ID
-        streamState.onTranscript({ 
-          text: transcript, 
-          isFinal,
-          speaker: speaker // Pass speaker ID to handler
-        });
-      }
-    });
 
-    // -------------------------------------------------------------------------
-    // EVENT: Connection Opened
-    // -------------------------------------------------------------------------
-    connection.on(LiveTranscriptionEvents.Open, () => {
-      console.log(`👂 Deepgram STT: Connection opened for ${userId}`);
-      streamState.isReady = true;
-      
-      // Send any buffered chunks now that connection is open
-      if (streamState.pendingChunks.length > 0) {
-        console.log(`👂 Deepgram STT: Sending ${streamState.pendingChunks.length} buffered chunks`);
-        for (const chunk of streamState.pendingChunks) {
-          connection.send(chunk);
+        // Send transcript with speaker ID (diarization) and confidence (stored with the turn)
+        streamState.onTranscript({ text: transcript, isFinal, speaker, confidence });
+      },
+
+      // -----------------------------------------------------------------------
+      // EVENT: Connection Opened
+      // -----------------------------------------------------------------------
+      onOpen: () => {
+        console.log(`👂 STT: Connection opened for ${userId}`);
+        streamState.isReady = true;
+
+        // Send any buffered chunks now that connection is open
+        if (streamState.pendingChunks.length > 0) {
+          console.log(`👂 STT: Sending ${streamState.pendingChunks.length} buffered chunks`);
+          for (const chunk of streamState.pendingChunks) {
+            streamState.connection.send(chunk);
+          }
+          streamState.pendingChunks = [];
         }
-        streamState.pendingChunks = [];
-      }
-    });
+      },
 
-    // -------------------------------------------------------------------------
-    // EVENT: Connection Closed
-    // -------------------------------------------------------------------------
-    connection.on(LiveTranscriptionEvents.Close, () => {
-      console.log(`👂 Deepgram STT: Connection closed for ${userId}`);
-      this.streams.delete(userId);
-    });
+      // -----------------------------------------------------------------------
+      // EVENT: Connection Closed
+      // -----------------------------------------------------------------------
+      onClose: () => {
+        console.log(`👂 STT: Connection closed for ${userId}`);
+        // Only forget the stream if it hasn't been replaced by a newer one
+        if (this.streams.get(userId) === streamState) this.streams.delete(userId);
+      },
 
-    // -------------------------------------------------------------------------
-    // EVENT: Error
-    // -------------------------------------------------------------------------
-    connection.on(LiveTranscriptionEvents.Error, (error) => {
-      console.error(`❌ Deepgram STT [${userId}]: Error -`, error.message);
+      // -----------------------------------------------------------------------
+      // EVENT: Error
+      // -----------------------------------------------------------------------
+      onError: (error) => {
+        console.error(`❌ STT [${userId}]: Error -`, error?.message || error);
+      }
     });
+
+    return true;
   }
 
   // ===========================================================================
@@ -146,7 +179,7 @@ class STTService {
   /*
     processAudio(userId, audioChunk)
     
-    ROLE: Send audio data to Deepgram and check safeguards.
+    ROLE: Send audio data to the STT provider and check safeguards.
     RETURNS: 
       - 'CONTINUE': Keep listening.
       - 'SILENCE_TIMEOUT': User has been silent too long.
@@ -158,7 +191,7 @@ class STTService {
 
     const now = Date.now();
 
-    // Send audio to Deepgram (or buffer if not ready yet)
+    // Send audio to the provider (or buffer if not ready yet)
     if (stream.connection && audioChunk) {
       if (stream.isReady) {
         // Connection is open, send directly
@@ -212,13 +245,45 @@ class STTService {
   // ===========================================================================
   // 3. END STREAM
   // ===========================================================================
-  endStream(userId) {
+  /*
+    endStream(userId, options)
+
+    PARAMS:
+      - options.owner: Only end the stream if this owner still holds it
+                       (omit to end whatever stream the user has)
+  */
+  endStream(userId, { owner = null } = {}) {
     const stream = this.streams.get(userId);
+
+    if (owner && stream && stream.owner !== owner) {
+      console.log(`👂 STT: ${owner} no longer owns the stream for ${userId}. Leaving it open.`);
+      return;
+    }
+
     if (stream && stream.connection) {
       stream.connection.finish();
     }
     this.streams.delete(userId);
-    console.log(`👂 Deepgram STT: Ended stream for ${userId}`);
+    console.log(`👂 STT: Ended stream for ${userId}`);
+
+    if (owner) {
+      getStateStore()
+        .deleteIfEquals(OWNER_KEY_PREFIX + userId, owner)
+        .catch((error) => console.error(`❌ STT: Could not release stream owner for ${userId}:`, error.message));
+    }
+  }
+
+  // ===========================================================================
+  // 4. OWNER
+  // ===========================================================================
+  /*
+    getOwner(userId)
+
+    RETURNS: Promise<String|null>, the owner recorded by the latest startStream
+             on any instance.
+  */
+  getOwner(userId) {
+    return getStateStore().get(OWNER_KEY_PREFIX + userId);
   }
 }
 
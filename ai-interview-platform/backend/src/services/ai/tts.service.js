@@ -1,117 +1,139 @@
 /*
 ================================================================================
-TTS SERVICE (The Mouth - Python Edge TTS Edition)
+TTS SERVICE (The Mouth)
 ================================================================================
 ROLE: The Speaker 🗣️
 
 WHY:
   - We need to convert the AI's text response into audio.
-  - The Node.js libraries (even custom ones) are getting blocked (403).
-  - The Python `edge-tts` library is actively maintained and works reliably.
+  - The old version built a `python3 -m edge_tts` shell command out of LLM
+    output and round-tripped through a temp MP3. One bad character away from
+    command injection, and slow.
 
 HOW:
-  - We spawn a child process to run `edge-tts`.
-  - We capture the output to a temporary file or stdout.
-  - We read the buffer and return it.
+  - Synthesis goes through a PROVIDER (see providers/tts/), chosen by
+    AI_CONFIG.TTS.PROVIDER: Edge (WebSocket), Piper (local) or a stub.
+  - Providers stream audio pieces in-process. No shell, no temp files.
+  - streamAudio() exposes the stream; generateAudio() collects one sentence
+    into a single playable file (what the browser's audio queue expects).
 
 SAFEGUARDS:
   1. MAX CHARACTER LIMIT.
-  2. ERROR HANDLING on spawn.
+  2. SPEAKABLE TEXT ONLY (markdown and symbols stripped).
+  3. ERRORS surface as one clear 'TTS Service Failed'.
 ================================================================================
 */
 
-const { exec } = require('child_process');
-const fs = require('fs');
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-const util = require('util');
-const execPromise = util.promisify(exec);
-const readFilePromise = util.promisify(fs.readFile);
-const unlinkPromise = util.promisify(fs.unlink);
-
+const { createTTSProvider } = require('./providers/tts');
 const AI_CONFIG = require('../../config/ai.config');
 
 // ===========================================================================
 // CONFIGURATION (Read from centralized ai.config.js)
 // ===========================================================================
-const VOICE_NAME = AI_CONFIG.TTS.VOICE_NAME; // e.g. "en-US-AriaNeural"
 const MAX_CHARACTERS = AI_CONFIG.TTS.MAX_CHARACTERS;
 
 class TTSService {
   constructor() {
-    console.log(`🗣️ EdgeTTS (Python): Service initialized with voice: ${VOICE_NAME}`);
+    // Built on first use (see getProvider), so a misconfigured provider doesn't crash boot
+    this.provider = null;
+    console.log(`🗣️ TTS: Service initialized.`);
   }
 
-  // ===========================================================================
-  // GENERATE AUDIO
-  // ===========================================================================
   /*
-    generateAudio(text)
-    
-    PARAMS:
-      - text: String (The raw text from LLM)
-    
-    RETURNS: Buffer (MP3 audio data)
+    getProvider()
+
+    RETURNS: The configured TTSProvider (built once, then cached).
+    THROWS:  If the provider is unknown or misconfigured.
+  */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createTTSProvider(AI_CONFIG.TTS);
+    }
+    return this.provider;
+  }
+
+  /*
+    cleanText(text)
+
+    ROLE: Strip what a voice can't (or shouldn't) pronounce and cap the length.
+    NOTE: This is about speech quality, not security. Nothing here reaches a
+          shell; providers escape for their own format (e.g. SSML).
   */
-  async generateAudio(text = '') {
-    console.log(`🗣️ EdgeTTS: Request received. Text length: ${(text || '').length}`);
-
-    // -------------------------------------------------------------------------
-    // SAFEGUARD 1: INPUT SANITIZATION & TRUNCATION
-    // -------------------------------------------------------------------------
-    let cleanText = text || '';
-    
-    // Remove/replace special characters that might break the CLI shell command
-    // - Double quotes -> single quotes (for shell safety)
-    // - Newlines -> spaces (for single-line command)
-    // - Backticks -> removed (shell command substitution chars)
-    // - Asterisks -> removed (markdown bold that TTS can't pronounce anyway)
-    // - Dollar signs -> removed (shell variable chars)
-    // - Backslashes -> removed (escape chars)
-    cleanText = cleanText
-      .replace(/"/g, "'")           // Double quotes to single
-      .replace(/\n/g, " ")          // Newlines to spaces
-      .replace(/`/g, "")            // Remove backticks (shell danger!)
-      .replace(/\*/g, "")           // Remove asterisks (markdown formatting)
-      .replace(/\$/g, "")           // Remove dollar signs (shell variables)
-      .replace(/\\/g, "")           // Remove backslashes
-      .replace(/[{}[\]]/g, "")      // Remove braces and brackets
+  cleanText(text) {
+    let cleanText = (text || '')
+      .replace(/\s*\n\s*/g, ' ')    // Newlines to spaces
+      .replace(/[*`#_\\]/g, '')     // Markdown formatting / escape chars
+      .replace(/[{}[\]]/g, '')      // Braces and brackets
       .trim();
 
     if (cleanText.length > MAX_CHARACTERS) {
-      console.warn(`✂️ EdgeTTS: Text too long (${cleanText.length} chars). Truncating.`);
+      console.warn(`✂️ TTS: Text too long (${cleanText.length} chars). Truncating.`);
       cleanText = cleanText.substring(0, MAX_CHARACTERS) + '...';
     }
 
-    const tempFile = path.resolve(__dirname, `../../temp-${uuidv4()}.mp3`);
-    
+    return cleanText;
+  }
+
+  // ===========================================================================
+  // STREAM AUDIO
+  // ===========================================================================
+  /*
+    streamAudio(text, options)
+
+    PARAMS:
+      - text: String (The raw text from LLM)
+      - options.voice: Optional voice override (provider-specific)
+
+    RETURNS: Async Generator of { audio?: Buffer, words?: [{ text, startMs, endMs }] }.
+             All audio pieces together form one file of `mimeType`.
+  */
+  async *streamAudio(text = '', { voice } = {}) {
+    const cleanText = this.cleanText(text);
+    if (!cleanText) return;
+
+    yield* this.getProvider().stream(cleanText, { voice });
+  }
+
+  /*
+    mimeType
+
+    RETURNS: The MIME type of the audio the current provider produces.
+  */
+  get mimeType() {
+    return this.getProvider().mimeType;
+  }
+
+  // ===========================================================================
+  // GENERATE AUDIO
+  // ===========================================================================
+  /*
+    generateAudio(text, options)
+
+    PARAMS:
+      - text: String (The raw text from LLM)
+      - options.voice: Optional voice override (provider-specific)
+
+    RETURNS: { audio: Buffer, mimeType: String, words: [{ text, startMs, endMs }] }
+             `words` are timed from the start of `audio` (for captions).
+  */
+  async generateAudio(text = '', { voice } = {}) {
+    console.log(`🗣️ TTS: Request received. Text length: ${(text || '').length}`);
+
     try {
-      // -----------------------------------------------------------------------
-      // EXECUTE PYTHON CLI
-      // -----------------------------------------------------------------------
-      // Command: edge-tts --voice "en-US-AriaNeural" --text "Hello world" --write-media "/path/to/temp.mp3"
-      console.log('🗣️ EdgeTTS: Spawning python process...');
-      
-      // Use 'python3 -m edge_tts' to avoid PATH issues
-      const command = `python3 -m edge_tts --voice "${VOICE_NAME}" --text "${cleanText}" --write-media "${tempFile}"`;
-      console.log(`🗣️ EdgeTTS: Executing command: ${command}`);
-      await execPromise(command);
-
-      // Read the file back into buffer
-      console.log('🗣️ EdgeTTS: Reading generated file...');
-      const audioBuffer = await readFilePromise(tempFile);
-      
-      console.log(`🗣️ EdgeTTS: Audio generated successfully. Size: ${audioBuffer.length} bytes.`);
-      
-      // Cleanup
-      await unlinkPromise(tempFile);
-      
-      return audioBuffer;
+      const pieces = [];
+      const words = [];
+      for await (const chunk of this.streamAudio(text, { voice })) {
+        if (chunk.audio) pieces.push(chunk.audio);
+        if (chunk.words) words.push(...chunk.words);
+      }
+
+      const audio = Buffer.concat(pieces);
+      console.log(`🗣️ TTS: Audio generated successfully. Size: ${audio.length} bytes, ${words.length} word timings.`);
+
+      return { audio, mimeType: this.mimeType, words };
 
     } catch (error) {
-      console.error('❌ EdgeTTS: Generation failed:', error.message);
-      // Try to cleanup even on error
-      if (fs.existsSync(tempFile)) await unlinkPromise(tempFile).catch(() => {});
+      console.error('❌ TTS: Generation failed:', error.message);
       throw new Error('TTS Service Failed');
     }
   }
@@ -0,0 +1,164 @@
+/*
+================================================================================
+BILLING SERVICE
+================================================================================
+ROLE: The Meter ⏲️
+WHY:  Session time used to be charged as `end - currentSessionStartTime`.
+      A user whose browser crashed was billed for the whole gap until they
+      came back (capped only by the daily limit), and the time the AI spent
+      thinking was charged too.
+HOW:  A session is charged for the time covered by heartbeats, not for wall
+      clock time. Every heartbeat adds the interval since the previous one
+      to a LEDGER kept on the user document:
+        - Up to LIMITS.BILLING_GRACE_SECONDS of an interval is charged.
+          Anything beyond that is a gap (the user wasn't there) and is free.
+        - Time the interview spent THINKING in that interval (reported by
+          the socket's PauseMeter) is paused, not charged.
+      When the session ends, the final interval is added the same way and
+      the breakdown is stored on the session document for audits.
+================================================================================
+
+LEDGER (users/{uid}.currentSessionBilling):
+  - activeMs:   Charged time so far
+  - pausedMs:   Covered by heartbeats, but the AI was thinking (free)
+  - gapMs:      Not covered by heartbeats (free)
+  - heartbeats: Number of intervals counted
+
+BREAKDOWN (sessions/{sessionId}.billing):
+  - The ledger, plus chargedSec, wallClockMs and graceSec
+================================================================================
+*/
+
+const LIMITS = require('../config/limits');
+
+const GRACE_MS = LIMITS.BILLING_GRACE_SECONDS * 1000;
+
+
+// =============================================================================
+// LEDGER
+// =============================================================================
+
+/*
+  newLedger()
+
+  RETURNS: The ledger of a session that just started.
+*/
+function newLedger() {
+  return { activeMs: 0, pausedMs: 0, gapMs: 0, heartbeats: 0 };
+}
+
+/*
+  ledgerOf(user)
+
+  ROLE: The ledger of the user's current session.
+  NOTE: Sessions started before heartbeat billing have no ledger. They are
+        charged by wall clock up to their last heartbeat, as before.
+*/
+function ledgerOf(user) {
+  if (user.currentSessionBilling) return { ...newLedger(), ...user.currentSessionBilling };
+
+  const ledger = newLedger();
+  if (user.currentSessionStartTime && user.lastHeartbeatAt) {
+    ledger.activeMs = Math.max(0, user.lastHeartbeatAt - user.currentSessionStartTime);
+  }
+  return ledger;
+}
+
+/*
+  addInterval(ledger, fromMs, toMs, pausedMs)
+
+  ROLE: Count the time between two heartbeats (or the last one and the end).
+  PARAMS:
+    - fromMs, toMs: The interval (ms since epoch). A negative one counts as 0.
+    - pausedMs:     How long the AI was thinking in it
+  RETURNS: A new ledger.
+*/
+function addInterval(ledger, fromMs, toMs, pausedMs = 0) {
+  const intervalMs = Math.max(0, toMs - fromMs);
+  const coveredMs = Math.min(intervalMs, GRACE_MS);
+  const paused = Math.min(Math.max(0, pausedMs), coveredMs);
+
+  return {
+    activeMs: ledger.activeMs + coveredMs - paused,
+    pausedMs: ledger.pausedMs + paused,
+    gapMs: ledger.gapMs + intervalMs - coveredMs,
+    heartbeats: ledger.heartbeats + 1
+  };
+}
+
+/*
+  summarize(ledger, { startedAt, endedAt })
+
+  RETURNS: The breakdown stored on the session, with chargedSec (rounded up
+           to the second) being what is deducted from the daily budget.
+*/
+function summarize(ledger, { startedAt, endedAt }) {
+  return {
+    chargedSec: Math.ceil(ledger.activeMs / 1000),
+    activeMs: ledger.activeMs,
+    pausedMs: ledger.pausedMs,
+    gapMs: ledger.gapMs,
+    heartbeats: ledger.heartbeats,
+    wallClockMs: Math.max(0, endedAt - startedAt),
+    graceSec: LIMITS.BILLING_GRACE_SECONDS
+  };
+}
+
+
+// =============================================================================
+// PAUSE METER
+// =============================================================================
+
+/*
+  PauseMeter
+
+  ROLE: Measures how long one socket's interview spent THINKING.
+  HOW:  The interview handler calls pause()/resume() as its state changes.
+        The session handler drains the total with every heartbeat (and on
+        'session:end'). It lives on socket.data, shared by both handlers.
+*/
+class PauseMeter {
+  constructor() {
+    this.pausedSince = null;
+    this.pausedMs = 0;
+  }
+
+  pause(at = Date.now()) {
+    if (this.pausedSince === null) this.pausedSince = at;
+  }
+
+  resume(at = Date.now()) {
+    if (this.pausedSince === null) return;
+    this.pausedMs += Math.max(0, at - this.pausedSince);
+    this.pausedSince = null;
+  }
+
+  /*
+    drain()
+
+    RETURNS: Paused ms since the previous drain (an ongoing pause counts up
+             to now and keeps running).
+  */
+  drain(at = Date.now()) {
+    let total = this.pausedMs;
+    if (this.pausedSince !== null) {
+      total += Math.max(0, at - this.pausedSince);
+      this.pausedSince = at;
+    }
+    this.pausedMs = 0;
+    return total;
+  }
+}
+
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  newLedger,
+  ledgerOf,
+  addInterval,
+  summarize,
+  PauseMeter
+};
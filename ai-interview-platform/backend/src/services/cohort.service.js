@@ -0,0 +1,433 @@
+/*
+================================================================================
+COHORT SERVICE
+================================================================================
+ROLE: Handle all Firestore operations related to cohorts.
+WHY:  Bootcamp mentors look after a group of candidates, not single
+      sessions: they invite people in, assign interview templates with a
+      deadline and follow everyone's results in one table.
+HOW:  We export functions that interact with the `cohorts` collection and
+      its `assignments` subcollection. Member profiles come from
+      UserService, their sessions and reports from SessionService.
+================================================================================
+
+DATA MODEL:
+  cohorts/{cohortId}
+    - cohortId, name, createdAt (ms since epoch)
+    - mentorUid, mentorName:  The mentor who owns the cohort
+    - memberUids:             [uid] candidates who joined (see joinCohort)
+    - inviteCode:             Secret part of the invite link (/join/<inviteCode>).
+                              A new code turns the old link off.
+
+  cohorts/{cohortId}/assignments/{assignmentId}
+    - assignmentId, templateId, templateName
+    - dueAt:                  Deadline (ms since epoch)
+    - createdAt, createdBy
+
+ASSIGNMENT STATUS (computed, never stored):
+  An assignment is done by the member's first ended session with that
+  template, started after the assignment was made.
+    'done'    - ended before dueAt
+    'late'    - ended after dueAt
+    'pending' - not yet, still time left
+    'overdue' - not yet, and dueAt has passed
+
+PRIVACY:
+  Joining a cohort shares your sessions (started after the cohort was
+  created) and their report scores with its mentor. Transcripts stay private.
+================================================================================
+*/
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { db } = require('../config/firebase.config');
+const UserService = require('./user.service');
+const SessionService = require('./session.service');
+
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const COHORTS_COLLECTION = 'cohorts';
+const ASSIGNMENTS_SUBCOLLECTION = 'assignments';
+
+/*
+  MAX_COHORT_MEMBERS - memberUids lives on the cohort document, and the
+  cohort table loads every member's sessions, so cohorts stay small.
+*/
+const MAX_COHORT_MEMBERS = 100;
+
+// How many cohorts one list returns
+const MAX_COHORTS_LISTED = 50;
+
+// How many of a member's sessions the cohort table looks at
+const MAX_MEMBER_SESSIONS = 50;
+
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/*
+  newInviteCode()
+
+  RETURNS: A random, URL-safe code for the invite link.
+*/
+function newInviteCode() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+/*
+  summarizeSession(session)
+
+  ROLE: What a mentor sees of a member's session (no transcript).
+  NOTE: `overall` is the mean of the report's scores (1-10), or null
+        while there is no report.
+*/
+function summarizeSession(session) {
+  const scores = session.report?.scores || null;
+  const values = scores ? Object.values(scores) : [];
+
+  return {
+    sessionId: session.sessionId,
+    templateId: session.templateId || null,
+    templateName: session.templateName || null,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt || null,
+    durationSec: session.durationSec || 0,
+    reportStatus: session.reportStatus || null,
+    highestRung: session.report?.highestRung || null,
+    scores: scores,
+    overall: values.length > 0 ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 : null
+  };
+}
+
+/*
+  assignmentStatus(assignment, sessions, now)
+
+  ROLE: Where a member stands on one assignment (see ASSIGNMENT STATUS).
+  PARAMS:
+    - sessions: The member's ended sessions, any order
+  RETURNS: { status, sessionId }
+*/
+function assignmentStatus(assignment, sessions, now = Date.now()) {
+  const attempt = sessions
+    .filter(session => session.templateId === assignment.templateId && session.startedAt >= assignment.createdAt)
+    .sort((a, b) => a.endedAt - b.endedAt)[0];
+
+  if (attempt) {
+    return { status: attempt.endedAt <= assignment.dueAt ? 'done' : 'late', sessionId: attempt.sessionId };
+  }
+  return { status: now > assignment.dueAt ? 'overdue' : 'pending', sessionId: null };
+}
+
+/*
+  listEndedSessions(uid, since)
+
+  RETURNS: The member's ended sessions started since `since`, summarized.
+*/
+async function listEndedSessions(uid, since) {
+  const sessions = await SessionService.listSessionsForUser(uid, { since, limit: MAX_MEMBER_SESSIONS });
+  return sessions
+    .filter(session => session.status === 'ended')
+    .map(summarizeSession);
+}
+
+
+// =============================================================================
+// SERVICE FUNCTIONS
+// =============================================================================
+
+/*
+  createCohort({ name, mentorUid, mentorName })
+
+  RETURNS: The new cohort document.
+*/
+async function createCohort({ name, mentorUid, mentorName = null }) {
+  try {
+    const ref = db.collection(COHORTS_COLLECTION).doc();
+    const cohort = {
+      cohortId: ref.id,
+      name: name,
+      mentorUid: mentorUid,
+      mentorName: mentorName,
+      memberUids: [],
+      inviteCode: newInviteCode(),
+      createdAt: Date.now()
+    };
+    await ref.set(cohort);
+
+    console.log(`🎓 CohortService: ${mentorUid} created cohort ${ref.id}`);
+    return cohort;
+  } catch (error) {
+    console.error('❌ CohortService: Error creating a cohort:', error);
+    throw error;
+  }
+}
+
+
+/*
+  getCohort(cohortId)
+
+  RETURNS: The cohort document, or null
+*/
+async function getCohort(cohortId) {
+  try {
+    const snapshot = await db.collection(COHORTS_COLLECTION).doc(cohortId).get();
+    return snapshot.exists ? snapshot.data() : null;
+  } catch (error) {
+    console.error(`❌ CohortService: Error fetching cohort ${cohortId}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  listCohortsForMentor(mentorUid)
+
+  ROLE: The cohorts a mentor owns, newest first (all cohorts when
+        mentorUid is null, for admins).
+  NOTE: The mentor query uses the composite index in firestore.indexes.json.
+*/
+async function listCohortsForMentor(mentorUid) {
+  try {
+    let query = db.collection(COHORTS_COLLECTION);
+    if (mentorUid) query = query.where('mentorUid', '==', mentorUid);
+
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .limit(MAX_COHORTS_LISTED)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  } catch (error) {
+    console.error(`❌ CohortService: Error listing cohorts of ${mentorUid || 'everyone'}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  regenerateInviteCode(cohortId)
+
+  ROLE: Replace the invite link (the old one stops working).
+  RETURNS: The new code
+*/
+async function regenerateInviteCode(cohortId) {
+  const inviteCode = newInviteCode();
+  await db.collection(COHORTS_COLLECTION).doc(cohortId).update({ inviteCode });
+  return inviteCode;
+}
+
+
+/*
+  joinCohort(uid, inviteCode)
+
+  ROLE: Add a candidate to the cohort behind an invite link.
+  NOTE: Joining twice is harmless. The member cap is checked in a
+        transaction, so a link shared widely can't overfill the cohort.
+  THROWS: If the cohort is full.
+  RETURNS: The cohort, or null if no cohort has this code.
+*/
+async function joinCohort(uid, inviteCode) {
+  const snapshot = await db.collection(COHORTS_COLLECTION)
+    .where('inviteCode', '==', inviteCode)
+    .limit(1)
+    .get();
+  if (snapshot.empty) return null;
+
+  const ref = snapshot.docs[0].ref;
+  const cohort = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const current = doc.data();
+
+    if (current.memberUids.includes(uid)) return current;
+    if (current.memberUids.length >= MAX_COHORT_MEMBERS) {
+      throw new Error('This cohort is full.');
+    }
+
+    transaction.update(ref, { memberUids: admin.firestore.FieldValue.arrayUnion(uid) });
+    return { ...current, memberUids: [...current.memberUids, uid] };
+  });
+
+  console.log(`🎓 CohortService: ${uid} joined cohort ${cohort.cohortId}`);
+  return cohort;
+}
+
+
+/*
+  removeMember(cohortId, uid)
+
+  ROLE: Take a candidate out of a cohort. Their sessions are untouched.
+*/
+async function removeMember(cohortId, uid) {
+  await db.collection(COHORTS_COLLECTION).doc(cohortId).update({
+    memberUids: admin.firestore.FieldValue.arrayRemove(uid)
+  });
+}
+
+
+/*
+  addAssignment(cohortId, assignment)
+
+  PARAMS:
+    - assignment: { templateId, templateName, dueAt, createdBy }
+  RETURNS: The stored assignment, with its id.
+*/
+async function addAssignment(cohortId, assignment) {
+  try {
+    const ref = db.collection(COHORTS_COLLECTION).doc(cohortId)
+      .collection(ASSIGNMENTS_SUBCOLLECTION)
+      .doc();
+    const stored = {
+      assignmentId: ref.id,
+      templateId: assignment.templateId,
+      templateName: assignment.templateName,
+      dueAt: assignment.dueAt,
+      createdAt: Date.now(),
+      createdBy: assignment.createdBy
+    };
+    await ref.set(stored);
+    return stored;
+  } catch (error) {
+    console.error(`❌ CohortService: Error adding an assignment to ${cohortId}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  removeAssignment(cohortId, assignmentId)
+*/
+async function removeAssignment(cohortId, assignmentId) {
+  await db.collection(COHORTS_COLLECTION).doc(cohortId)
+    .collection(ASSIGNMENTS_SUBCOLLECTION)
+    .doc(assignmentId)
+    .delete();
+}
+
+
+/*
+  listAssignments(cohortId)
+
+  RETURNS: The cohort's assignments, earliest deadline first.
+*/
+async function listAssignments(cohortId) {
+  try {
+    const snapshot = await db.collection(COHORTS_COLLECTION).doc(cohortId)
+      .collection(ASSIGNMENTS_SUBCOLLECTION)
+      .orderBy('dueAt', 'asc')
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  } catch (error) {
+    console.error(`❌ CohortService: Error listing assignments of ${cohortId}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  getCohortTable(cohort)
+
+  ROLE: The mentor's cohort-wide table: every member with their completed
+        sessions (and report scores) and where they stand on each assignment.
+  RETURNS: {
+    assignments: [...],
+    members: [{ uid, displayName, email, sessions, averageScore,
+                assignments: { [assignmentId]: { status, sessionId } } }]
+  }
+*/
+async function getCohortTable(cohort) {
+  const [assignments, users] = await Promise.all([
+    listAssignments(cohort.cohortId),
+    UserService.findUsersByUids(cohort.memberUids)
+  ]);
+  const now = Date.now();
+
+  const members = await Promise.all(users.map(async (user) => {
+    const sessions = await listEndedSessions(user.uid, cohort.createdAt);
+    const graded = sessions.filter(session => session.overall !== null);
+
+    return {
+      uid: user.uid,
+      displayName: user.displayName || null,
+      email: user.email || null,
+      sessions: sessions,
+      averageScore: graded.length > 0
+        ? Math.round((graded.reduce((sum, session) => sum + session.overall, 0) / graded.length) * 10) / 10
+        : null,
+      assignments: Object.fromEntries(
+        assignments.map(assignment => [assignment.assignmentId, assignmentStatus(assignment, sessions, now)])
+      )
+    };
+  }));
+
+  return { assignments, members };
+}
+
+
+/*
+  listCohortsForMember(uid)
+
+  ROLE: The candidate's side (dashboard): their cohorts and assignments,
+        with where they stand on each.
+  NOTE: array-contains on a single field, so no composite index is needed.
+  RETURNS: [{ cohortId, name, mentorName, assignments: [{ ...assignment, status, sessionId }] }]
+*/
+async function listCohortsForMember(uid) {
+  try {
+    const snapshot = await db.collection(COHORTS_COLLECTION)
+      .where('memberUids', 'array-contains', uid)
+      .limit(MAX_COHORTS_LISTED)
+      .get();
+    const cohorts = snapshot.docs.map(doc => doc.data());
+    if (cohorts.length === 0) return [];
+
+    const since = Math.min(...cohorts.map(cohort => cohort.createdAt));
+    const [sessions, assignmentLists] = await Promise.all([
+      listEndedSessions(uid, since),
+      Promise.all(cohorts.map(cohort => listAssignments(cohort.cohortId)))
+    ]);
+    const now = Date.now();
+
+    return cohorts.map((cohort, index) => ({
+      cohortId: cohort.cohortId,
+      name: cohort.name,
+      mentorName: cohort.mentorName || null,
+      assignments: assignmentLists[index].map(assignment => ({
+        ...assignment,
+        ...assignmentStatus(assignment, sessions, now)
+      }))
+    }));
+  } catch (error) {
+    console.error(`❌ CohortService: Error listing cohorts of member ${uid}:`, error);
+    throw error;
+  }
+}
+
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  MAX_COHORT_MEMBERS,
+  assignmentStatus,
+  createCohort,
+  getCohort,
+  listCohortsForMentor,
+  regenerateInviteCode,
+  joinCohort,
+  removeMember,
+  addAssignment,
+  removeAssignment,
+  listAssignments,
+  getCohortTable,
+  listCohortsForMember
+};
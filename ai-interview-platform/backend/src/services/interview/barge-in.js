@@ -0,0 +1,98 @@
+/*
+================================================================================
+BARGE-IN HELPERS
+================================================================================
+ROLE: The Referee 🏁
+
+WHY:
+  - The candidate may start talking while the interviewer is still speaking.
+  - We have to tell real interruptions apart from the interviewer's own voice
+    leaking from the speakers back into the microphone (echo).
+  - When we do cut the interviewer off, history must only contain what the
+    candidate actually heard, not the full reply the LLM generated.
+
+HOW:
+  - isLikelyEcho(): compares the transcript with what the interviewer has
+    spoken so far. Mostly overlapping words = echo, not the candidate.
+  - buildHeardText(): the client reports which sentence was playing and how
+    far into it; we keep every earlier sentence plus that share of the words.
+================================================================================
+*/
+
+/*
+  toWords(text)
+
+  RETURNS: Lowercase words without punctuation.
+*/
+function toWords(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9'\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/*
+  countWords(text)
+
+  RETURNS: Number of words in the transcript.
+*/
+function countWords(text) {
+  return toWords(text).length;
+}
+
+/*
+  isLikelyEcho(transcript, spokenText, overlapRatio)
+
+  PARAMS:
+    - transcript:   What STT heard while the interviewer was speaking
+    - spokenText:   What the interviewer has said so far in this reply
+    - overlapRatio: Share of transcript words found in spokenText that
+                    makes it count as echo (AI_CONFIG.BARGE_IN.ECHO_OVERLAP_RATIO)
+  RETURNS: true if the transcript is probably the interviewer's own voice.
+*/
+function isLikelyEcho(transcript, spokenText, overlapRatio) {
+  const heardWords = toWords(transcript);
+  if (heardWords.length === 0) return true;
+
+  const spokenWords = new Set(toWords(spokenText));
+  if (spokenWords.size === 0) return false;
+
+  const overlapping = heardWords.filter((word) => spokenWords.has(word)).length;
+  return overlapping / heardWords.length >= overlapRatio;
+}
+
+/*
+  buildHeardText(chunks, lastSeq, lastSeqFraction)
+
+  PARAMS:
+    - chunks:          Sentences sent to the client, in order (index = seq)
+    - lastSeq:         Sentence that was playing when playback stopped (-1 = none)
+    - lastSeqFraction: How far into that sentence playback got (0..1)
+  RETURNS: The text the candidate actually heard.
+*/
+function buildHeardText(chunks, lastSeq, lastSeqFraction) {
+  if (!Array.isArray(chunks) || lastSeq < 0) return '';
+
+  const heard = chunks.slice(0, lastSeq);
+  const current = chunks[lastSeq];
+
+  if (current) {
+    const words = current.split(/\s+/).filter(Boolean);
+    const fraction = Math.min(1, Math.max(0, lastSeqFraction || 0));
+    const spokenWords = words.slice(0, Math.round(words.length * fraction));
+    if (spokenWords.length === words.length) {
+      heard.push(current);
+    } else if (spokenWords.length > 0) {
+      heard.push(spokenWords.join(' ') + '...');
+    }
+  }
+
+  return heard.join(' ').trim();
+}
+
+module.exports = {
+  countWords,
+  isLikelyEcho,
+  buildHeardText
+};
@@ -0,0 +1,129 @@
+/*
+================================================================================
+INTERVIEW CHECKPOINT STORE
+================================================================================
+ROLE: The Bookmark 🔖
+
+WHY:
+  - session.handler.js keeps the Firestore session alive on 'disconnect' (a
+    refresh shouldn't end the interview), but the conversation itself lived
+    only in the interview handler's closure and died with the socket.
+  - A refresh resumed billing but restarted the conversation from scratch.
+
+HOW:
+  - The interview handler saves a checkpoint (history, ladder, limits, turn
+    counter...) keyed by activeSessionId at every stable point.
+  - 'interview:resume' on the new socket loads it and carries on.
+  - Checkpoints live in the shared state store (services/state), so the
+    reconnect may land on another backend replica. They are stored as JSON
+    and expire LIMITS.RESUME_WINDOW_SECONDS after the last save (the handler
+    saves once more on 'disconnect').
+  - Writes to one session run in order, and load() waits for the ones this
+    process still has in flight, so a quick refresh never reads the
+    checkpoint from before the 'disconnect' save.
+  - Each session has one owner (`<instance>:<socket id>`, like STT streams).
+    The handler claims it on start/resume and releases it after the
+    'disconnect' save, so a second tab can't resume an interview in use.
+================================================================================
+*/
+
+const LIMITS = require('../../config/limits');
+const { getStateStore } = require('../state');
+
+const KEY_PREFIX = 'checkpoint:';
+const OWNER_PREFIX = 'checkpoint:owner:';
+
+class CheckpointStore {
+  constructor({
+    ttlMs = LIMITS.RESUME_WINDOW_SECONDS * 1000,
+    ownerTtlMs = LIMITS.MAX_SESSION_DURATION_SECONDS * 1000
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.ownerTtlMs = ownerTtlMs;
+    this.pendingWrites = new Map(); // sessionId -> Promise of the last queued write
+  }
+
+  /*
+    queueWrite(sessionId, write)
+
+    ROLE: Run a write after the ones already queued for the session.
+    RETURNS: The write's promise (a failed write doesn't block the next one).
+  */
+  queueWrite(sessionId, write) {
+    const previous = this.pendingWrites.get(sessionId) || Promise.resolve();
+    const queued = previous.catch(() => {}).then(write);
+    this.pendingWrites.set(sessionId, queued);
+
+    queued.catch(() => {}).finally(() => {
+      if (this.pendingWrites.get(sessionId) === queued) this.pendingWrites.delete(sessionId);
+    });
+    return queued;
+  }
+
+  /*
+    save(sessionId, checkpoint)
+
+    ROLE: Replace the checkpoint of a session and restart its expiry.
+  */
+  save(sessionId, checkpoint) {
+    const json = JSON.stringify({ ...checkpoint, savedAt: Date.now() });
+    return this.queueWrite(sessionId, () => getStateStore().set(KEY_PREFIX + sessionId, json, { ttlMs: this.ttlMs }));
+  }
+
+  /*
+    load(sessionId)
+
+    RETURNS: The checkpoint, or null if there is none (or it expired).
+  */
+  async load(sessionId) {
+    await this.pendingWrites.get(sessionId)?.catch(() => {});
+    const json = await getStateStore().get(KEY_PREFIX + sessionId);
+    return json ? JSON.parse(json) : null;
+  }
+
+  /*
+    delete(sessionId)
+
+    ROLE: The interview is over; nothing to resume.
+  */
+  delete(sessionId) {
+    return this.queueWrite(sessionId, () => getStateStore().del(KEY_PREFIX + sessionId));
+  }
+
+  /*
+    claimOwner(sessionId, owner, { force })
+
+    ROLE: Make `owner` the socket running the interview.
+    PARAMS:
+      - force: Take over from the current owner (a new interview, or an
+               owner whose socket is gone)
+    RETURNS: true if `owner` holds the session now.
+  */
+  async claimOwner(sessionId, owner, { force = false } = {}) {
+    const claimed = await getStateStore().set(OWNER_PREFIX + sessionId, owner, {
+      ttlMs: this.ownerTtlMs,
+      onlyIfAbsent: !force
+    });
+    return claimed || (await this.getOwner(sessionId)) === owner;
+  }
+
+  /*
+    getOwner(sessionId)
+
+    RETURNS: The owner id, or null if nobody holds the session.
+  */
+  async getOwner(sessionId) {
+    return getStateStore().get(OWNER_PREFIX + sessionId);
+  }
+
+  /*
+    releaseOwner(sessionId, owner)
+
+    ROLE: Let the session go, unless another socket took it over already.
+  */
+  async releaseOwner(sessionId, owner) {
+    await getStateStore().deleteIfEquals(OWNER_PREFIX + sessionId, owner);
+  }
+}
+
+module.exports = new CheckpointStore();
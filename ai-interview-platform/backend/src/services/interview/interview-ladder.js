@@ -0,0 +1,207 @@
+/*
+================================================================================
+INTERVIEW LADDER (Server-Side Difficulty State Machine)
+================================================================================
+ROLE: The Scorekeeper 📋
+
+WHY:
+  - The difficulty ladder and "3 questions per level" rule used to live only
+    as prose in INTERVIEWER_PROMPT. The model drifts, and once the history
+    is trimmed to the last 20 messages it forgets where it was.
+  - The server now owns that state and tells the model, on every call,
+    exactly where the interview stands.
+
+HOW:
+  - One InterviewLadder instance per interview (per socket).
+  - The handler feeds it every candidate answer and every interviewer reply.
+  - buildStateHeader() renders a compact block that LLMService injects
+    next to the user's message.
+
+PHASES:
+  1. DOMAIN: We don't know the candidate's broad domain yet.
+  2. NICHE:  We know the domain, but not the specific niche.
+  3. LADDER: Climbing BASIC -> EXPERT, QUESTIONS_PER_RUNG questions per rung.
+
+TEMPLATES:
+  - An interview template may already know the domain/niche and start
+    higher up the ladder. The ladder then starts in a later phase.
+
+RESUME:
+  - toJSON()/fromJSON() carry the position over to a reconnected socket.
+================================================================================
+*/
+
+const { DIFFICULTY_LADDER, QUESTIONS_PER_RUNG } = require('../../config/ladder');
+
+// Candidate answers are stored verbatim as domain/niche, so keep them short.
+const MAX_LABEL_LENGTH = 80;
+
+const PHASES = {
+  DOMAIN: 'DOMAIN',
+  NICHE: 'NICHE',
+  LADDER: 'LADDER'
+};
+
+function toLabel(text) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_LABEL_LENGTH ? clean.substring(0, MAX_LABEL_LENGTH) + '...' : clean;
+}
+
+class InterviewLadder {
+  /*
+    PARAMS (all optional, from the interview template):
+      - domain, niche: Already-known answers to the opening questions
+      - startingRung:  Rung to start the LADDER phase at (default BASIC)
+  */
+  constructor({ domain = null, niche = null, startingRung = null } = {}) {
+    this.domain = domain ? toLabel(domain) : null;
+    this.niche = this.domain && niche ? toLabel(niche) : null;
+    this.phase = this.niche ? PHASES.LADDER : (this.domain ? PHASES.NICHE : PHASES.DOMAIN);
+    this.rungIndex = Math.max(0, DIFFICULTY_LADDER.indexOf(startingRung));
+    this.questionsAtRung = 0;
+  }
+
+  /*
+    fromJSON(json)
+
+    RETURNS: An InterviewLadder at the position toJSON() captured.
+  */
+  static fromJSON(json) {
+    const ladder = new InterviewLadder();
+    ladder.domain = json.domain || null;
+    ladder.niche = json.niche || null;
+    ladder.phase = PHASES[json.phase] || PHASES.DOMAIN;
+    ladder.rungIndex = Math.min(Math.max(0, json.rungIndex || 0), DIFFICULTY_LADDER.length - 1);
+    ladder.questionsAtRung = json.questionsAtRung || 0;
+    return ladder;
+  }
+
+  toJSON() {
+    return {
+      domain: this.domain,
+      niche: this.niche,
+      phase: this.phase,
+      rungIndex: this.rungIndex,
+      questionsAtRung: this.questionsAtRung
+    };
+  }
+
+  // ===========================================================================
+  // GETTERS
+  // ===========================================================================
+  get rung() {
+    return this.phase === PHASES.LADDER ? DIFFICULTY_LADDER[this.rungIndex] : null;
+  }
+
+  // ===========================================================================
+  // 1. CANDIDATE ANSWERED
+  // ===========================================================================
+  /*
+    recordCandidateAnswer(text)
+
+    ROLE: Capture domain/niche during the opening questions.
+    NOTE: We take the answer at face value (truncated). The model still
+          does the talking; the server only needs a stable label.
+    RETURNS: true if the ladder state changed.
+  */
+  recordCandidateAnswer(text) {
+    if (!text || !text.trim()) return false;
+
+    if (this.phase === PHASES.DOMAIN) {
+      this.domain = toLabel(text);
+      this.phase = PHASES.NICHE;
+      return true;
+    }
+
+    if (this.phase === PHASES.NICHE) {
+      this.niche = toLabel(text);
+      this.phase = PHASES.LADDER;
+      return true;
+    }
+
+    return false;
+  }
+
+  // ===========================================================================
+  // 2. INTERVIEWER REPLIED
+  // ===========================================================================
+  /*
+    recordInterviewerReply(text)
+
+    ROLE: Count questions asked at the current rung and climb when full.
+    HOW:  A reply that contains a question mark counts as one question.
+          After QUESTIONS_PER_RUNG questions we move up one rung.
+          EXPERT is the top; we stay there.
+    RETURNS: true if the ladder state changed.
+  */
+  recordInterviewerReply(text) {
+    if (this.phase !== PHASES.LADDER) return false;
+    if (!text || !text.includes('?')) return false;
+
+    this.questionsAtRung++;
+
+    const isTopRung = this.rungIndex >= DIFFICULTY_LADDER.length - 1;
+    if (this.questionsAtRung >= QUESTIONS_PER_RUNG && !isTopRung) {
+      this.rungIndex++;
+      this.questionsAtRung = 0;
+      console.log(`🪜 Ladder: Climbed to ${this.rung}`);
+    }
+
+    return true;
+  }
+
+  // ===========================================================================
+  // 3. STATE HEADER (Injected into every LLM call)
+  // ===========================================================================
+  /*
+    buildStateHeader()
+
+    RETURNS: String. A short system block the model treats as ground truth.
+    WHY SHORT: It is sent on every turn, so every word costs tokens.
+  */
+  buildStateHeader() {
+    const lines = ['### SERVER INTERVIEW STATE (AUTHORITATIVE, NEVER READ ALOUD)'];
+
+    if (this.phase === PHASES.DOMAIN) {
+      lines.push('Phase: DOMAIN SELECTION');
+      lines.push('Instruction: The candidate has not given their domain yet. Ask for their broad technical domain.');
+      return lines.join('\n');
+    }
+
+    lines.push(`Domain: ${this.domain}`);
+
+    if (this.phase === PHASES.NICHE) {
+      lines.push('Phase: NICHE SELECTION');
+      lines.push('Instruction: Ask for their specific niche within this domain. Do not ask technical questions yet.');
+      return lines.join('\n');
+    }
+
+    const questionNumber = Math.min(this.questionsAtRung + 1, QUESTIONS_PER_RUNG);
+    lines.push(`Niche: ${this.niche}`);
+    lines.push(`Current level: ${this.rung} (level ${this.rungIndex + 1} of ${DIFFICULTY_LADDER.length})`);
+    lines.push(`Next question: ${questionNumber} of ${QUESTIONS_PER_RUNG} at this level`);
+    lines.push(`Instruction: Ask exactly one ${this.rung} level question about the niche. Do not move to another level.`);
+    return lines.join('\n');
+  }
+
+  // ===========================================================================
+  // 4. PROGRESS (For the UI: 'interview:progress')
+  // ===========================================================================
+  getProgress() {
+    return {
+      phase: this.phase,
+      domain: this.domain,
+      niche: this.niche,
+      rung: this.rung,
+      rungIndex: this.rungIndex,
+      totalRungs: DIFFICULTY_LADDER.length,
+      questionsAtRung: this.questionsAtRung,
+      questionsPerRung: QUESTIONS_PER_RUNG
+    };
+  }
+}
+
+module.exports = {
+  InterviewLadder,
+  PHASES
+};
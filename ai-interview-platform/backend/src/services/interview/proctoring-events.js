@@ -0,0 +1,125 @@
+/*
+================================================================================
+PROCTORING EVENT HELPERS
+================================================================================
+ROLE: The Evidence Clerk 🗂️
+
+WHY:
+  - Every proctoring event (face tracker, tab switch, STT voice check,
+    moderation) is stored with the numbers that triggered it, so a
+    reviewer can tell a real strike from a glitchy camera.
+  - Those numbers come from the browser. They are evidence, not truth,
+    and must never let a client write arbitrary data into Firestore.
+  - The browser and the handler used to disagree on reason codes
+    ('face_not_visible' vs 'not_visible'), so face problems got the
+    tab-switch warning. Both now read the same schema.
+
+HOW:
+  - The schema lives in shared/proctoring-events.json (see shared/README.md):
+    reason codes, where each comes from, severity, messages, metric keys.
+  - normalizeClientEvent(): validates a 'session:violation' payload.
+    Unknown reasons, server-only reasons and newer schema versions are
+    rejected; metrics keep only the keys the schema declares for that
+    reason, with the declared type (numbers rounded).
+================================================================================
+
+CLIENT PAYLOAD ('session:violation'):
+  {
+    version:  Schema version the client was built with (missing = 1)
+    reason:   'tab_switch' | 'looking_away' | 'face_not_visible' | ...
+    metrics:  { positionDrift, gazeDrift, horizontalAsymmetry, trigger, ... }
+    clientAt: When the browser saw it (ms since epoch)
+  }
+================================================================================
+*/
+
+const PROCTORING_SCHEMA = require('../../../../shared/proctoring-events.json');
+
+const PROCTORING_SCHEMA_VERSION = PROCTORING_SCHEMA.version;
+const PROCTORING_EVENTS = PROCTORING_SCHEMA.events;
+
+const MAX_METRIC_STRING_LENGTH = 40;
+
+// How far the browser clock may be off before clientAt is dropped
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+/*
+  isKnownEvent(reason)
+
+  RETURNS: true if the schema lists this reason code.
+*/
+function isKnownEvent(reason) {
+  return typeof reason === 'string' && Object.prototype.hasOwnProperty.call(PROCTORING_EVENTS, reason);
+}
+
+/*
+  normalizeMetric(value, type)
+
+  PARAMS:
+    - type: 'number' | 'boolean' | 'string' | [allowed strings] (from the schema)
+  RETURNS: The value to store, or undefined to drop it.
+*/
+function normalizeMetric(value, type) {
+  if (Array.isArray(type)) return type.includes(value) ? value : undefined;
+
+  if (type === 'number' && typeof value === 'number' && Number.isFinite(value)) {
+    return Math.round(value * 1000) / 1000;
+  }
+  if (type === 'boolean' && typeof value === 'boolean') return value;
+  if (type === 'string' && typeof value === 'string' && value.trim()) {
+    return value.trim().slice(0, MAX_METRIC_STRING_LENGTH);
+  }
+  return undefined;
+}
+
+/*
+  normalizeMetrics(reason, metrics)
+
+  RETURNS: A flat object with the schema's metric keys for this reason,
+           or null if nothing usable was sent.
+*/
+function normalizeMetrics(reason, metrics) {
+  if (!metrics || typeof metrics !== 'object' || Array.isArray(metrics)) return null;
+
+  const result = {};
+  for (const [key, type] of Object.entries(PROCTORING_EVENTS[reason].metrics)) {
+    const value = normalizeMetric(metrics[key], type);
+    if (value !== undefined) result[key] = value;
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/*
+  normalizeClientEvent(payload, now)
+
+  ROLE: Turn whatever the client sent with 'session:violation' into
+        { reason, metrics, clientAt }.
+  RETURNS: { event } or { error } (the payload was rejected; nothing counts).
+*/
+function normalizeClientEvent(payload, now = Date.now()) {
+  if (!payload || typeof payload !== 'object') return { error: 'Missing violation payload.' };
+
+  const version = payload.version ?? 1;
+  if (!Number.isInteger(version) || version < 1 || version > PROCTORING_SCHEMA_VERSION) {
+    return { error: `Unsupported proctoring schema version: ${version}` };
+  }
+
+  const reason = payload.reason;
+  if (!isKnownEvent(reason)) return { error: `Unknown violation reason: ${String(reason).slice(0, 32)}` };
+  if (PROCTORING_EVENTS[reason].source !== 'client') return { error: `Clients may not report ${reason}` };
+
+  const clientAt = Number.isFinite(payload.clientAt) && Math.abs(payload.clientAt - now) < MAX_CLOCK_SKEW_MS
+    ? Math.round(payload.clientAt)
+    : null;
+
+  return { event: { reason, metrics: normalizeMetrics(reason, payload.metrics), clientAt } };
+}
+
+module.exports = {
+  PROCTORING_SCHEMA_VERSION,
+  PROCTORING_EVENTS,
+  isKnownEvent,
+  normalizeMetrics,
+  normalizeClientEvent
+};
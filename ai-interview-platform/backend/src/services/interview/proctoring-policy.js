@@ -0,0 +1,213 @@
+/*
+================================================================================
+PROCTORING POLICY
+================================================================================
+ROLE: The Referee 🏁
+
+WHY:
+  - The handler used to end the interview on the second event of any kind,
+    so one glance away plus a roommate's cough killed a session.
+  - Not every event is worth the same, old ones should matter less than
+    fresh ones, and practice sessions shouldn't be policed at all.
+
+HOW:
+  - Each event type has a weight and a half-life (config/proctoring.js,
+    overridden per template). The score is the sum of all weights, each
+    decaying on its own half-life; it is kept per type as { value, at }.
+  - evaluate() adds one event and says what to do with it:
+      'logged'     - below WARN_AT, weight 0, grace period or record-only mode
+      'warning'    - the score reached WARN_AT
+      'terminated' - the score reached TERMINATE_AT
+  - toJSON()/fromJSON() let a resumed interview keep its score.
+================================================================================
+
+TEMPLATE OVERRIDE ("proctoring" in a template file, every field optional):
+  {
+    mode:               'enforce' | 'record_only'
+    gracePeriodSeconds: Number >= 0
+    warnAt:             Number > 0
+    terminateAt:        Number >= warnAt
+    rules:              { <eventType>: { weight, halfLifeSeconds } } (unset fields keep
+                        the default for that type)
+  }
+================================================================================
+*/
+
+const { MODES, DEFAULT_POLICY } = require('../../config/proctoring');
+const { isKnownEvent } = require('./proctoring-events');
+
+// Stored scores are rounded to this many decimals
+const SCORE_PRECISION = 100;
+
+/*
+  normalizeRule(raw, field)
+
+  THROWS: With a message naming the broken field.
+*/
+function normalizeRule(raw, field) {
+  const weight = raw.weight;
+  if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+    throw new Error(`${field}.weight must be a number >= 0`);
+  }
+
+  const halfLifeSeconds = raw.halfLifeSeconds ?? null;
+  if (halfLifeSeconds !== null && (typeof halfLifeSeconds !== 'number' || !(halfLifeSeconds > 0))) {
+    throw new Error(`${field}.halfLifeSeconds must be a number > 0 or null`);
+  }
+
+  return { weight, halfLifeSeconds };
+}
+
+/*
+  resolveProctoringPolicy(override)
+
+  ROLE: Merge a template's "proctoring" block over DEFAULT_POLICY.
+  RETURNS: { mode, gracePeriodSeconds, warnAt, terminateAt, rules, defaultRule }
+  THROWS: With a message naming the broken field (see TemplateService).
+*/
+function resolveProctoringPolicy(override = null) {
+  if (override !== null && (typeof override !== 'object' || Array.isArray(override))) {
+    throw new Error('proctoring must be an object');
+  }
+  const raw = override || {};
+
+  const mode = raw.mode ?? DEFAULT_POLICY.MODE;
+  if (!MODES.includes(mode)) throw new Error(`proctoring.mode must be one of ${MODES.join(', ')}`);
+
+  const gracePeriodSeconds = raw.gracePeriodSeconds ?? DEFAULT_POLICY.GRACE_PERIOD_SECONDS;
+  if (typeof gracePeriodSeconds !== 'number' || !(gracePeriodSeconds >= 0)) {
+    throw new Error('proctoring.gracePeriodSeconds must be a number >= 0');
+  }
+
+  const warnAt = raw.warnAt ?? DEFAULT_POLICY.WARN_AT;
+  if (typeof warnAt !== 'number' || !(warnAt > 0)) throw new Error('proctoring.warnAt must be a number > 0');
+
+  const terminateAt = raw.terminateAt ?? DEFAULT_POLICY.TERMINATE_AT;
+  if (typeof terminateAt !== 'number' || !(terminateAt >= warnAt)) {
+    throw new Error('proctoring.terminateAt must be a number >= warnAt');
+  }
+
+  if (raw.rules !== undefined && (!raw.rules || typeof raw.rules !== 'object' || Array.isArray(raw.rules))) {
+    throw new Error('proctoring.rules must be an object');
+  }
+
+  const rules = {};
+  for (const [type, rule] of Object.entries(DEFAULT_POLICY.RULES)) rules[type] = { ...rule };
+  for (const [type, rule] of Object.entries(raw.rules || {})) {
+    if (!isKnownEvent(type)) throw new Error(`proctoring.rules: "${type}" is not in shared/proctoring-events.json`);
+    if (!rule || typeof rule !== 'object') throw new Error(`proctoring.rules.${type} must be an object`);
+    rules[type] = normalizeRule({ ...rules[type], ...rule }, `proctoring.rules.${type}`); // Unset fields keep the default
+  }
+
+  return {
+    mode,
+    gracePeriodSeconds,
+    warnAt,
+    terminateAt,
+    rules,
+    defaultRule: { ...DEFAULT_POLICY.DEFAULT_RULE }
+  };
+}
+
+class ProctoringPolicy {
+  /*
+    PARAMS:
+      - config:    From resolveProctoringPolicy() (template.proctoring)
+      - startedAt: When the interview started; the grace period runs from here
+  */
+  constructor(config = resolveProctoringPolicy(), { startedAt = Date.now() } = {}) {
+    this.config = config;
+    this.startedAt = startedAt;
+    this.scores = {};  // eventType -> { value, at } (value as of `at`)
+    this.strikes = 0;  // Warnings and terminations so far
+  }
+
+  /*
+    fromJSON(json)
+
+    RETURNS: A ProctoringPolicy in the state toJSON() captured.
+  */
+  static fromJSON(json) {
+    const policy = new ProctoringPolicy(json.config, { startedAt: json.startedAt });
+    policy.scores = json.scores || {};
+    policy.strikes = json.strikes || 0;
+    return policy;
+  }
+
+  toJSON() {
+    return {
+      config: this.config,
+      startedAt: this.startedAt,
+      scores: this.scores,
+      strikes: this.strikes
+    };
+  }
+
+  get recordOnly() {
+    return this.config.mode === 'record_only';
+  }
+
+  ruleFor(type) {
+    return this.config.rules[type] || this.config.defaultRule;
+  }
+
+  /*
+    decayed(type, now)
+
+    RETURNS: What the events of this type are worth at `now`.
+  */
+  decayed(type, now) {
+    const entry = this.scores[type];
+    if (!entry) return 0;
+
+    const { halfLifeSeconds } = this.ruleFor(type);
+    if (!halfLifeSeconds) return entry.value;
+    return entry.value * Math.pow(0.5, Math.max(0, now - entry.at) / (halfLifeSeconds * 1000));
+  }
+
+  /*
+    scoreAt(now)
+
+    RETURNS: The session's score (all event types) at `now`.
+  */
+  scoreAt(now = Date.now()) {
+    const total = Object.keys(this.scores).reduce((sum, type) => sum + this.decayed(type, now), 0);
+    return Math.round(total * SCORE_PRECISION) / SCORE_PRECISION;
+  }
+
+  /*
+    evaluate(type, options)
+
+    ROLE: Count one event and decide what happens.
+    PARAMS:
+      - type:        Event type, e.g. 'tab_switch'
+      - options.now: Event time (ms since epoch)
+    RETURNS: { action, weight, score, strike }
+      - weight: What this event added (0 in the grace period)
+      - score:  The session's score after it
+      - strike: The strike number (warnings + terminations so far)
+  */
+  evaluate(type, { now = Date.now() } = {}) {
+    const inGracePeriod = now - this.startedAt < this.config.gracePeriodSeconds * 1000;
+    const weight = inGracePeriod ? 0 : this.ruleFor(type).weight;
+
+    if (weight > 0) {
+      this.scores[type] = { value: this.decayed(type, now) + weight, at: now };
+    }
+    const score = this.scoreAt(now);
+
+    let action = 'logged';
+    if (!this.recordOnly && weight > 0) {
+      if (score >= this.config.terminateAt) action = 'terminated';
+      else if (score >= this.config.warnAt) action = 'warning';
+    }
+
+    if (action !== 'logged') this.strikes++;
+    return { action, weight, score, strike: this.strikes };
+  }
+}
+
+module.exports = {
+  ProctoringPolicy,
+  resolveProctoringPolicy
+};
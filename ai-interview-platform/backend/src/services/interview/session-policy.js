@@ -0,0 +1,171 @@
+/*
+================================================================================
+SESSION POLICY
+================================================================================
+ROLE: The Timekeeper ⏱️
+
+WHY:
+  - AI_CONFIG.SESSION.MAX_TURNS and PROFANITY_FILTER were declared but never
+    enforced. Templates brought their own turn and time limits, checked
+    inline in the interview handler.
+  - One object per interview now owns "should we stop?" and "may this be
+    said?", so the handler only acts on the answers.
+
+HOW:
+  - Turn limit = the template's maxTurns, capped by AI_CONFIG.SESSION.MAX_TURNS.
+    Time limit = the template's timeLimitMinutes, from startClock() on (the
+    handler owns the timer and calls markTimeUp()).
+  - The user's time budget (QuotaService) can run out first; the session
+    handler says so and the handler calls markQuotaExhausted().
+  - toJSON()/fromJSON() let a resumed interview keep its counts and deadline.
+  - reviewCandidateText(): masks profanity before it is stored or sent to the
+    LLM and tells the handler which violation to register ('profanity' or
+    'abuse'). ProctoringPolicy decides between a warning and termination;
+    a word-list match alone never ends the session.
+  - reviewInterviewerText(): a sentence the LLM produced that fails the
+    filter is swapped for a neutral line before it reaches TTS.
+================================================================================
+*/
+
+const AI_CONFIG = require('../../config/ai.config');
+const { classify, mask } = require('../moderation/profanity.filter');
+
+const SESSION = AI_CONFIG.SESSION;
+
+// Said instead of an LLM sentence that failed the filter
+const INTERVIEWER_FALLBACK = "Let's move on to the next question.";
+
+class SessionPolicy {
+  /*
+    PARAMS:
+      - maxTurns:         Candidate answers allowed (template.maxTurns)
+      - timeLimitMinutes: Interview length (template.timeLimitMinutes)
+  */
+  constructor({ maxTurns = SESSION.MAX_TURNS, timeLimitMinutes = null } = {}) {
+    this.maxTurns = Math.min(maxTurns, SESSION.MAX_TURNS);
+    this.timeLimitMinutes = timeLimitMinutes;
+    this.candidateTurns = 0;
+    this.timeUp = false;
+    this.quotaExhausted = false; // Not checkpointed: re-sent after a resume
+    this.endsAt = null; // Set by startClock()
+  }
+
+  /*
+    fromJSON(json)
+
+    RETURNS: A SessionPolicy in the state toJSON() captured.
+  */
+  static fromJSON(json) {
+    const policy = new SessionPolicy(json);
+    policy.candidateTurns = json.candidateTurns || 0;
+    policy.timeUp = Boolean(json.timeUp);
+    policy.endsAt = json.endsAt || null;
+    return policy;
+  }
+
+  toJSON() {
+    return {
+      maxTurns: this.maxTurns,
+      timeLimitMinutes: this.timeLimitMinutes,
+      candidateTurns: this.candidateTurns,
+      timeUp: this.timeUp,
+      endsAt: this.endsAt
+    };
+  }
+
+  /*
+    startClock()
+
+    ROLE: The interview is live; the time limit starts counting.
+  */
+  startClock() {
+    this.endsAt = Date.now() + this.timeLimitMinutes * 60 * 1000;
+  }
+
+  /*
+    remainingMs
+
+    RETURNS: Milliseconds until the time limit (0 once it has passed).
+  */
+  get remainingMs() {
+    if (!this.endsAt) return this.timeLimitMinutes * 60 * 1000;
+    return Math.max(0, this.endsAt - Date.now());
+  }
+
+  /*
+    recordCandidateTurn()
+
+    ROLE: Count one answer from the candidate.
+    RETURNS: The wrap-up reason if that was the last answer, else null.
+  */
+  recordCandidateTurn() {
+    this.candidateTurns++;
+    return this.wrapUpReason;
+  }
+
+  /*
+    markTimeUp()
+
+    ROLE: The handler's time-limit timer fired.
+  */
+  markTimeUp() {
+    this.timeUp = true;
+  }
+
+  /*
+    markQuotaExhausted()
+
+    ROLE: The user's daily / weekly time budget ran out.
+  */
+  markQuotaExhausted() {
+    this.quotaExhausted = true;
+  }
+
+  /*
+    wrapUpReason
+
+    RETURNS: 'quota' | 'time_limit' | 'turn_limit' | null (keep going)
+  */
+  get wrapUpReason() {
+    if (this.quotaExhausted) return 'quota';
+    if (this.timeUp) return 'time_limit';
+    if (this.candidateTurns >= this.maxTurns) return 'turn_limit';
+    return null;
+  }
+
+  /*
+    reviewCandidateText(text)
+
+    RETURNS: { text, verdict }
+      - text:    Safe to store and send to the LLM (profanity masked)
+      - verdict: null | 'profanity' | 'abuse' (a violation type)
+  */
+  reviewCandidateText(text) {
+    if (!SESSION.PROFANITY_FILTER) return { text, verdict: null };
+
+    const { category } = classify(text);
+    if (category === 'clean') return { text, verdict: null };
+
+    return { text: mask(text), verdict: category };
+  }
+
+  /*
+    reviewInterviewerText(sentence)
+
+    RETURNS: { text, blocked }. A blocked sentence is replaced by a neutral
+             line so the candidate never hears it.
+  */
+  reviewInterviewerText(sentence) {
+    if (!SESSION.PROFANITY_FILTER) return { text: sentence, blocked: false };
+
+    const { category, matches } = classify(sentence);
+    if (category === 'clean') return { text: sentence, blocked: false };
+
+    console.warn(`🧼 SessionPolicy: Blocked interviewer sentence (${category}: ${matches.join(', ')})`);
+    return { text: INTERVIEWER_FALLBACK, blocked: true };
+  }
+}
+
+module.exports = {
+  SessionPolicy
+};
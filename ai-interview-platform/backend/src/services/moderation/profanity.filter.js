@@ -0,0 +1,118 @@
+/*
+================================================================================
+PROFANITY FILTER (Local Classifier)
+================================================================================
+ROLE: The Bouncer 🚪
+
+WHY:
+  - AI_CONFIG.SESSION.PROFANITY_FILTER promised "block bad language", but
+    nothing checked. Both sides need it: the candidate's transcript (an
+    interview is a professional setting) and the LLM's output (it must never
+    be spoken to a candidate).
+  - Runs locally: no extra API call, no latency, no data leaves the server.
+
+HOW:
+  - normalize(): lowercase, undo leetspeak (sh1t, @ss), drop punctuation.
+    Punctuation around a word is stripped first, so "stupid!" is "stupid",
+    not "stupidi" ('!' only stands for 'i' inside a word, as in "sh!t").
+  - PROFANITY words are matched as whole words (so "Scunthorpe" is fine),
+    with repeated letters collapsed on both sides (fuuuck -> fuck).
+  - ABUSE_PATTERNS are phrases aimed at the interviewer (insults, threats).
+  - classify() returns the worst category found; mask() replaces profane
+    words with asterisks for storage and history.
+================================================================================
+*/
+
+const { PROFANITY, ABUSE_PATTERNS } = require('../../config/moderation');
+
+const LEET_MAP = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+// Leading / trailing punctuation (keeps the leet characters @ and $, as in "@ss")
+const EDGE_PUNCTUATION = /^[^A-Za-z0-9@$]+|[^A-Za-z0-9@$]+$/g;
+
+/*
+  normalizeWord(word)
+
+  RETURNS: Lowercase letters only, leetspeak undone.
+*/
+function normalizeWord(word) {
+  return word
+    .replace(EDGE_PUNCTUATION, '')
+    .toLowerCase()
+    .replace(/[013457@$!]/g, (char) => LEET_MAP[char])
+    .replace(/[^a-z]/g, '');
+}
+
+/*
+  collapse(word)
+
+  RETURNS: The word with repeated letters squashed ("fuuuck" -> "fuck").
+*/
+function collapse(word) {
+  return word.replace(/(.)\1+/g, '$1');
+}
+
+// Compared in collapsed form (e.g. "asshole" -> "ashole")
+const PROFANE_WORDS = new Set(PROFANITY.map(word => collapse(normalizeWord(word))));
+
+function isProfane(word) {
+  return PROFANE_WORDS.has(collapse(normalizeWord(word)));
+}
+
+/*
+  normalize(text)
+
+  RETURNS: Lowercase words separated by single spaces, each normalized.
+*/
+function normalize(text) {
+  return (text || '')
+    .replace(/[’']/g, '')
+    .split(/\s+/)
+    .map(normalizeWord)
+    .filter(Boolean)
+    .join(' ');
+}
+
+/*
+  classify(text)
+
+  RETURNS: {
+    category: 'clean' | 'profanity' | 'abuse',
+    matches:  [String] the offending words or phrases (normalized)
+  }
+*/
+function classify(text) {
+  const normalized = normalize(text);
+  if (!normalized) return { category: 'clean', matches: [] };
+
+  const abusive = ABUSE_PATTERNS
+    .map((pattern) => normalized.match(pattern))
+    .filter(Boolean)
+    .map((match) => match[0]);
+  if (abusive.length > 0) return { category: 'abuse', matches: abusive };
+
+  const profane = normalized.split(' ').filter(isProfane).map(collapse);
+  if (profane.length > 0) return { category: 'profanity', matches: profane };
+
+  return { category: 'clean', matches: [] };
+}
+
+/*
+  mask(text)
+
+  RETURNS: The text with every profane word replaced by asterisks
+           (first letter kept, so the transcript still reads naturally).
+*/
+function mask(text) {
+  return (text || '').replace(/\S+/g, (token) => {
+    const core = token.match(/^([^A-Za-z0-9@$]*)(.*?)([^A-Za-z0-9@$]*)$/); // Same edges as EDGE_PUNCTUATION
+    const [, lead, word, trail] = core;
+    if (!word || !isProfane(word)) return token;
+    return `${lead}${word[0]}${'*'.repeat(Math.max(word.length - 1, 3))}${trail}`;
+  });
+}
+
+module.exports = {
+  classify,
+  mask
+};
@@ -0,0 +1,242 @@
+/*
+================================================================================
+QUOTA SERVICE
+================================================================================
+ROLE: The Allowance 🎟️
+WHY:  The daily budget checks were commented out, LIMITS.DAILY_TIME_BUDGET_SECONDS
+      was never read and `dailyTimeLimitSec: 1800` was a literal on every user.
+      Nothing stopped anyone from practising all day.
+HOW:  - A user's limits come from their PLAN (users/{uid}.plan, falling back
+        to their role): a daily limit and an optional weekly cap
+        (LIMITS.QUOTA_PLANS). users/{uid}.dailyTimeLimitSec, when set,
+        overrides the plan's daily limit for that one user.
+      - Usage is stored on the user (dailyTimeUsedSec / lastResetDate,
+        weeklyTimeUsedSec / weekStartDate) and resets lazily: a stored day
+        or week before the current one counts as 0.
+      - Days and weeks are the user's LOCAL ones (users/{uid}.timezone, an
+        IANA name captured from the browser at /api/me). The budget resets
+        at local midnight, not at UTC midnight (5:30 AM in India).
+        A stored day AFTER the current one (the user moved west) keeps its
+        usage, so changing timezone can't buy an extra reset.
+      - The session running right now counts too (its billing ledger, see
+        BillingService), so the countdown is live.
+      All functions here are pure; UserService does the reads and writes.
+================================================================================
+*/
+
+const LIMITS = require('../config/limits');
+const roles = require('../config/roles');
+
+
+// =============================================================================
+// CALENDAR KEYS
+// =============================================================================
+
+// Intl formatters are slow to build; one per timezone
+const dayFormatters = new Map();
+
+/*
+  isValidTimeZone(timeZone)
+
+  RETURNS: true for an IANA timezone name Intl knows, e.g. "Asia/Kolkata".
+*/
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone || timeZone.length > 64) return false;
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/*
+  dayKey(now, timeZone)
+
+  RETURNS: The budget day in that timezone, "YYYY-MM-DD".
+           An unknown timezone falls back to LIMITS.DEFAULT_TIMEZONE.
+*/
+function dayKey(now = Date.now(), timeZone = LIMITS.DEFAULT_TIMEZONE) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : LIMITS.DEFAULT_TIMEZONE;
+
+  if (!dayFormatters.has(zone)) {
+    dayFormatters.set(zone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: zone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    dayFormatters.get(zone).formatToParts(new Date(now)).map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/*
+  weekKey(now, timeZone)
+
+  RETURNS: The budget week, as the dayKey of its (local) Monday.
+*/
+function weekKey(now = Date.now(), timeZone = LIMITS.DEFAULT_TIMEZONE) {
+  // Calendar arithmetic on the local date, so DST never shifts the day
+  const date = new Date(`${dayKey(now, timeZone)}T00:00:00Z`);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+  return date.toISOString().split('T')[0];
+}
+
+/*
+  currentKey(storedKey, key)
+
+  RETURNS: The key usage is counted under: the stored one if it isn't in
+           the past (keys are "YYYY-MM-DD", so they compare as strings).
+*/
+function currentKey(storedKey, key) {
+  return storedKey && storedKey > key ? storedKey : key;
+}
+
+
+// =============================================================================
+// PLANS & USAGE
+// =============================================================================
+
+/*
+  planFor(user)
+
+  RETURNS: { name, dailySec, weeklySec } (null = no limit)
+*/
+function planFor(user) {
+  const name = [user.plan, user.role].find(key => key && LIMITS.QUOTA_PLANS[key]) || roles.USER;
+  const plan = LIMITS.QUOTA_PLANS[name];
+
+  const override = user.dailyTimeLimitSec;
+  return {
+    name,
+    dailySec: Number.isFinite(override) && override >= 0 ? override : plan.dailySec,
+    weeklySec: plan.weeklySec
+  };
+}
+
+/*
+  usageOf(user, now)
+
+  RETURNS: { dailyUsedSec, weeklyUsedSec, day, week } of finished sessions,
+           with the daily / weekly resets applied (day and week are the
+           keys that usage belongs to).
+*/
+function usageOf(user, now = Date.now()) {
+  const day = currentKey(user.lastResetDate, dayKey(now, user.timezone));
+  const week = currentKey(user.weekStartDate, weekKey(now, user.timezone));
+
+  return {
+    dailyUsedSec: user.lastResetDate === day ? (user.dailyTimeUsedSec || 0) : 0,
+    weeklyUsedSec: user.weekStartDate === week ? (user.weeklyTimeUsedSec || 0) : 0,
+    day,
+    week
+  };
+}
+
+/*
+  chargeUsage(user, chargedSec, now)
+
+  ROLE: Add a finished session to the user's usage (chargedSec = 0 just
+        applies the resets).
+  RETURNS: The fields to write on the user document.
+*/
+function chargeUsage(user, chargedSec, now = Date.now()) {
+  const usage = usageOf(user, now);
+  return {
+    dailyTimeUsedSec: usage.dailyUsedSec + chargedSec,
+    lastResetDate: usage.day,
+    weeklyTimeUsedSec: usage.weeklyUsedSec + chargedSec,
+    weekStartDate: usage.week
+  };
+}
+
+/*
+  needsReset(user, now)
+
+  RETURNS: true if the stored usage belongs to a past day or week.
+*/
+function needsReset(user, now = Date.now()) {
+  const usage = usageOf(user, now);
+  return user.lastResetDate !== usage.day || user.weekStartDate !== usage.week;
+}
+
+
+// =============================================================================
+// QUOTA
+// =============================================================================
+
+/*
+  getQuota(user, now)
+
+  RETURNS: {
+    plan, dailyLimitSec, dailyUsedSec, weeklyLimitSec, weeklyUsedSec,
+    sessionUsedSec,  // Charged so far in the running session
+    remainingSec,    // What's left of the tighter limit (null = unlimited)
+    limitedBy,       // 'daily' | 'weekly' | null
+    warningSec,      // The client warns when remainingSec drops below this
+    exhausted,
+    timezone         // The budget resets at midnight here
+  }
+*/
+function getQuota(user, now = Date.now()) {
+  const plan = planFor(user);
+  const usage = usageOf(user, now);
+  const sessionUsedSec = user.activeSessionId && user.currentSessionBilling
+    ? Math.floor(user.currentSessionBilling.activeMs / 1000)
+    : 0;
+
+  const remaining = [
+    { scope: 'daily', limitSec: plan.dailySec, usedSec: usage.dailyUsedSec },
+    { scope: 'weekly', limitSec: plan.weeklySec, usedSec: usage.weeklyUsedSec }
+  ]
+    .filter(limit => limit.limitSec !== null)
+    .map(limit => ({ scope: limit.scope, sec: Math.max(0, limit.limitSec - limit.usedSec - sessionUsedSec) }))
+    .sort((a, b) => a.sec - b.sec)[0] || null;
+
+  return {
+    plan: plan.name,
+    dailyLimitSec: plan.dailySec,
+    dailyUsedSec: usage.dailyUsedSec,
+    weeklyLimitSec: plan.weeklySec,
+    weeklyUsedSec: usage.weeklyUsedSec,
+    sessionUsedSec,
+    remainingSec: remaining ? remaining.sec : null,
+    limitedBy: remaining ? remaining.scope : null,
+    warningSec: LIMITS.QUOTA_WARNING_SECONDS,
+    exhausted: remaining !== null && remaining.sec <= 0,
+    timezone: isValidTimeZone(user.timezone) ? user.timezone : LIMITS.DEFAULT_TIMEZONE
+  };
+}
+
+/*
+  assertCanStart(quota)
+
+  THROWS: With a message for the candidate if there's no time left.
+*/
+function assertCanStart(quota) {
+  if (!quota.exhausted) return;
+
+  if (quota.limitedBy === 'weekly') {
+    throw new Error('Weekly time budget exceeded. Your budget resets on Monday.');
+  }
+  throw new Error('Daily time budget exceeded. Come back tomorrow!');
+}
+
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  isValidTimeZone,
+  dayKey,
+  weekKey,
+  planFor,
+  usageOf,
+  chargeUsage,
+  needsReset,
+  getQuota,
+  assertCanStart
+};
@@ -0,0 +1,206 @@
+/*
+================================================================================
+REPORT SERVICE
+================================================================================
+ROLE: Turn a finished interview into a structured evaluation report.
+WHY:  The interviewer persona is forbidden from giving feedback during the
+      interview. After `session:end` we run a SECOND, separate LLM pass over
+      the saved transcript to grade the candidate.
+HOW:
+  1. Load the session and its turns (SessionService).
+  2. Flatten the turns into an "INTERVIEWER: / CANDIDATE:" transcript.
+  3. Ask LLMService.generateEvaluation() for JSON.
+  4. Validate + clamp that JSON (never trust model output blindly).
+  5. Store it on the session document as `report`.
+================================================================================
+
+REPORT SHAPE (sessions/{sessionId}.report):
+  {
+    summary:     String,
+    highestRung: 'BASIC' ... 'EXPERT' | null,
+    scores:      { correctness, depth, communication },   // 1-10 each
+    strengths:   [String],
+    gaps:        [String],
+    topics:      [{ topic, rung, scores: { ... }, notes }]
+  }
+================================================================================
+*/
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const LLMService = require('./ai/llm.service');
+const SessionService = require('./session.service');
+const { DIFFICULTY_LADDER } = require('../config/ladder');
+
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SCORE_DIMENSIONS = ['correctness', 'depth', 'communication'];
+const MAX_LIST_ITEMS = 5;
+const MAX_TOPICS = 10;
+
+/*
+  MIN_CANDIDATE_TURNS - Below this, there is nothing meaningful to grade.
+  WHY: Avoids paying for an LLM call on sessions that ended after the greeting.
+*/
+const MIN_CANDIDATE_TURNS = 1;
+
+
+// =============================================================================
+// HELPERS (Validation)
+// =============================================================================
+
+function clampScore(value) {
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) return 1;
+  return Math.min(10, Math.max(1, number));
+}
+
+function normalizeScores(scores = {}) {
+  const result = {};
+  for (const dimension of SCORE_DIMENSIONS) {
+    result[dimension] = clampScore(scores?.[dimension]);
+  }
+  return result;
+}
+
+function normalizeRung(rung) {
+  if (typeof rung !== 'string') return null;
+  const upper = rung.trim().toUpperCase();
+  return DIFFICULTY_LADDER.includes(upper) ? upper : null;
+}
+
+function normalizeStringList(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim())
+    .slice(0, MAX_LIST_ITEMS);
+}
+
+/*
+  normalizeEvaluation(raw)
+
+  ROLE: Force whatever the model returned into the documented report shape.
+  WHY:  The model might return scores as strings, rungs in lowercase,
+        11/10, or extra keys. Firestore should only ever see clean data.
+*/
+function normalizeEvaluation(raw = {}) {
+  const topics = Array.isArray(raw.topics) ? raw.topics : [];
+
+  return {
+    summary: typeof raw.summary === 'string' ? raw.summary.trim() : '',
+    highestRung: normalizeRung(raw.highestRung),
+    scores: normalizeScores(raw.scores),
+    strengths: normalizeStringList(raw.strengths),
+    gaps: normalizeStringList(raw.gaps),
+    topics: topics
+      .filter(topic => topic && typeof topic.topic === 'string')
+      .slice(0, MAX_TOPICS)
+      .map(topic => ({
+        topic: topic.topic.trim(),
+        rung: normalizeRung(topic.rung),
+        scores: normalizeScores(topic.scores),
+        notes: typeof topic.notes === 'string' ? topic.notes.trim() : ''
+      }))
+  };
+}
+
+/*
+  formatTranscript(turns)
+
+  ROLE: Flatten turn documents into plain text for the evaluator prompt.
+  NOTE: Interviewer turns carry the rung they were asked at (e.g.
+        "INTERVIEWER [MEDIUM]:") so the evaluator does not have to guess.
+        Replies the candidate talked over are flagged, since they only
+        contain what was heard before the interruption.
+*/
+function formatTranscript(turns) {
+  return turns
+    .map(turn => {
+      if (turn.speaker === 'candidate') return `CANDIDATE: ${turn.text}`;
+      const interrupted = turn.interrupted ? ' (interrupted by candidate)' : '';
+      return `INTERVIEWER${turn.rung ? ` [${turn.rung}]` : ''}${interrupted}: ${turn.text}`;
+    })
+    .join('\n');
+}
+
+
+// =============================================================================
+// SERVICE FUNCTIONS
+// =============================================================================
+
+/*
+  generateSessionReport(sessionId)
+
+  ROLE: Grade a finished session and store the report on it.
+  WHEN: Called (fire-and-forget) by UserService whenever a session is
+        closed, whoever closed it. Turn writes still in flight are
+        awaited first (SessionService.waitForTurnWrites).
+
+  STATUS FLOW (sessions/{sessionId}.reportStatus):
+    pending -> ready    (report stored)
+    pending -> failed   (LLM or parsing error; reportError stored)
+    skipped             (not enough candidate answers to grade)
+
+  RETURNS: The normalized report, or null if skipped/failed.
+*/
+async function generateSessionReport(sessionId) {
+  if (!sessionId) return null;
+
+  console.log(`📊 ReportService: Generating report for ${sessionId}`);
+
+  try {
+    await SessionService.waitForTurnWrites(sessionId);
+    const session = await SessionService.getSessionWithTurns(sessionId);
+    if (!session) {
+      console.warn(`⚠️ ReportService: Session ${sessionId} not found`);
+      return null;
+    }
+
+    const candidateTurns = session.turns.filter(turn => turn.speaker === 'candidate');
+    if (candidateTurns.length < MIN_CANDIDATE_TURNS) {
+      console.log(`📊 ReportService: Skipping ${sessionId} (no candidate answers)`);
+      await SessionService.updateSession(sessionId, { reportStatus: 'skipped' });
+      return null;
+    }
+
+    await SessionService.updateSession(sessionId, { reportStatus: 'pending', reportError: null });
+
+    const rawEvaluation = await LLMService.generateEvaluation(formatTranscript(session.turns));
+    const report = normalizeEvaluation(rawEvaluation);
+
+    await SessionService.updateSession(sessionId, {
+      report: report,
+      reportStatus: 'ready',
+      reportGeneratedAt: Date.now()
+    });
+
+    console.log(`✅ ReportService: Report ready for ${sessionId}`);
+    return report;
+
+  } catch (error) {
+    console.error(`❌ ReportService: Report failed for ${sessionId}:`, error.message);
+
+    await SessionService.updateSession(sessionId, {
+      reportStatus: 'failed',
+      reportError: error.message
+    }).catch(() => {});
+
+    return null;
+  }
+}
+
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  generateSessionReport,
+  normalizeEvaluation
+};
@@ -0,0 +1,571 @@
+/*
+================================================================================
+SESSION SERVICE
+================================================================================
+ROLE: Handle all Firestore operations related to interview sessions.
+WHY:  The interview handler keeps the conversation in memory, which is lost
+      the moment the socket disconnects. Every turn needs to be written to
+      Firestore so the candidate (and later, reports) can look back at it.
+HOW:  We export functions that interact with the `sessions` collection and
+      its `turns` subcollection.
+================================================================================
+
+DATA MODEL:
+  sessions/{sessionId}
+    - uid, status ('active' | 'ended'), startedAt, endedAt, durationSec, turnCount
+    - closedBy ('user' | 'restart' | 'reaper' | 'max_duration' | 'quota' | 'admin' | 'violation')
+    - billing: how durationSec was charged (see BillingService)
+    - reportStatus ('pending' | 'ready' | 'failed' | 'skipped'), report (see ReportService)
+    - templateId, templateName (interview template used, see TemplateService)
+    - proctoringMode ('enforce' | 'record_only'): the template's proctoring policy
+    - observerConsent: { granted, updatedAt } - the candidate lets mentors watch
+      this session (see mentor.handler.js). Absent = not allowed.
+
+  sessions/{sessionId}/turns/{turnId}      (turnId = zero-padded index, e.g. "0007")
+    - index:            Order of the turn within the session (0, 1, 2...)
+    - speaker:          'assistant' | 'candidate'
+    - text:             What was said
+    - startedAt:        When the turn began (ms since epoch)
+    - endedAt:          When the turn finished (ms since epoch)
+    - sttConfidence:    Average STT confidence (candidate turns only)
+    - rung:             Difficulty rung the question was asked at (assistant turns only)
+    - stateTransitions: [{ from, to, at }] recorded since the previous turn
+    - interrupted:      true if the candidate cut the interviewer off (assistant turns only)
+    - fullText:         The whole generated reply when `text` was cut short
+    - words:            [{ seq, text, startMs, endMs }] caption timings (assistant turns only).
+                        seq = sentence within the reply; ms are from that sentence's audio start
+
+  sessions/{sessionId}/notes/{noteId}      (private to mentors and admins)
+    - mentorUid, mentorName
+    - text:             The note
+    - at:               When it was written (ms since epoch)
+
+  violations/{violationId}                 (top-level, so admins can browse them across sessions)
+    One document per proctoring event (the integrity timeline):
+    - sessionId, uid
+    - reason:           A reason code from shared/proctoring-events.json ('tab_switch',
+                        'looking_away', 'face_not_visible', 'multiple_voices', 'abuse' ...)
+    - count:            The session's strike number (1, 2...) after this event
+    - action:           The handler's decision: 'warning' | 'terminated' | 'logged' (evidence only, no strike)
+    - weight, score:    What the event added and the session's proctoring score after it
+                        (see ProctoringPolicy; weight 0 = grace period or not counted)
+    - source:           'client' (browser checks) | 'server' (STT, moderation)
+    - metrics:          What the detector measured, e.g. { positionDrift, gazeDrift,
+                        horizontalAsymmetry } or { trigger: 'blur' }. Client-reported. null if none.
+    - clientAt:         When the browser saw it (ms since epoch, client clock) or null
+    - at:               When the server received it (ms since epoch)
+  The session also keeps a running `violationCount` (strikes only).
+
+GOLDEN RULE:
+  Like users, sessions are ONLY written here, on the backend.
+  The frontend may read its own sessions, but never writes them.
+================================================================================
+*/
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { db } = require('../config/firebase.config');
+
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SESSIONS_COLLECTION = 'sessions';
+const TURNS_SUBCOLLECTION = 'turns';
+const VIOLATIONS_COLLECTION = 'violations';
+const NOTES_SUBCOLLECTION = 'notes';
+
+/*
+  MAX_SESSIONS_LISTED - How many sessions GET /api/sessions returns.
+  WHY: The dashboard only needs recent history; this keeps reads cheap.
+*/
+const MAX_SESSIONS_LISTED = 20;
+
+/*
+  MAX_VIOLATIONS_LISTED - Upper bound for one page of the admin violation log.
+*/
+const MAX_VIOLATIONS_LISTED = 200;
+
+/*
+  MAX_OBSERVABLE_SESSIONS - How many live sessions the mentor picker lists.
+*/
+const MAX_OBSERVABLE_SESSIONS = 50;
+
+// Turn writes still in flight, per session (see waitForTurnWrites)
+const pendingTurnWrites = new Map(); // sessionId -> Set<Promise>
+
+/*
+  turnDocId(index)
+
+  ROLE: Turn documents are keyed by their index so a turn can be amended
+        later (see updateTurn) without looking it up first.
+*/
+function turnDocId(index) {
+  return String(index).padStart(4, '0');
+}
+
+/*
+  trackTurnWrite(sessionId, write)
+
+  ROLE: Remember a turn write until it settles, so waitForTurnWrites can
+        wait for it. The interview handler doesn't await its writes.
+  RETURNS: The same promise.
+*/
+function trackTurnWrite(sessionId, write) {
+  let writes = pendingTurnWrites.get(sessionId);
+  if (!writes) {
+    writes = new Set();
+    pendingTurnWrites.set(sessionId, writes);
+  }
+  writes.add(write);
+
+  write.catch(() => {}).finally(() => {
+    writes.delete(write);
+    if (writes.size === 0 && pendingTurnWrites.get(sessionId) === writes) {
+      pendingTurnWrites.delete(sessionId);
+    }
+  });
+  return write;
+}
+
+
+// =============================================================================
+// SERVICE FUNCTIONS
+// =============================================================================
+
+/*
+  buildSessionDocument(uid, sessionId, startedAt)
+
+  ROLE: The SINGLE place where the session schema is defined.
+  WHY:  startInterviewSession writes this inside its own transaction,
+        so we return the plain object instead of writing it here.
+*/
+function buildSessionDocument(uid, sessionId, startedAt) {
+  return {
+    sessionId: sessionId,
+    uid: uid,
+    status: 'active',
+    startedAt: startedAt,
+    endedAt: null,
+    durationSec: null,
+    turnCount: 0
+  };
+}
+
+
+/*
+  updateSession(sessionId, fields)
+
+  ROLE: Merge arbitrary fields onto the session document.
+  WHY:  Used by other backend services (e.g. ReportService) that attach
+        data to a session after it was created.
+*/
+async function updateSession(sessionId, fields) {
+  try {
+    await db.collection(SESSIONS_COLLECTION).doc(sessionId).set(fields, { merge: true });
+  } catch (error) {
+    console.error(`❌ SessionService: Error updating session ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  markSessionEnded(sessionId, fields)
+
+  ROLE: Flag a session as finished and record how long it lasted.
+  PARAMS:
+    - sessionId: The `sess_<ts>` id
+    - fields:    { endedAt, durationSec, ...extra } merged onto the document
+*/
+async function markSessionEnded(sessionId, fields) {
+  try {
+    await db.collection(SESSIONS_COLLECTION).doc(sessionId).set({
+      status: 'ended',
+      ...fields
+    }, { merge: true });
+
+    console.log(`✅ SessionService: Session ${sessionId} marked as ended`);
+  } catch (error) {
+    console.error(`❌ SessionService: Error ending session ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  appendTurn(sessionId, turn)
+
+  ROLE: Persist one turn of the conversation.
+  WHY:  Writing turn-by-turn means a crash or closed tab loses at most
+        the turn that was in flight.
+
+  PARAMS:
+    - sessionId: The `sess_<ts>` id
+    - turn:      { index, speaker, text, startedAt, endedAt, sttConfidence, rung, stateTransitions, interrupted, fullText, words }
+*/
+function appendTurn(sessionId, turn) {
+  return trackTurnWrite(sessionId, writeTurn(sessionId, turn));
+}
+
+async function writeTurn(sessionId, turn) {
+  const admin = require('firebase-admin');
+
+  try {
+    const sessionRef = db.collection(SESSIONS_COLLECTION).doc(sessionId);
+
+    const batch = db.batch();
+    batch.set(sessionRef.collection(TURNS_SUBCOLLECTION).doc(turnDocId(turn.index)), {
+      index: turn.index,
+      speaker: turn.speaker,
+      text: turn.text,
+      startedAt: turn.startedAt,
+      endedAt: turn.endedAt,
+      sttConfidence: turn.sttConfidence ?? null,
+      rung: turn.rung ?? null,
+      stateTransitions: turn.stateTransitions || [],
+      interrupted: turn.interrupted || false,
+      fullText: turn.fullText ?? null,
+      words: turn.words ?? null
+    });
+    batch.set(sessionRef, {
+      turnCount: admin.firestore.FieldValue.increment(1),
+      lastTurnAt: turn.endedAt
+    }, { merge: true });
+
+    await batch.commit();
+  } catch (error) {
+    console.error(`❌ SessionService: Error saving turn ${turn.index} for ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+
+
+/*
+  updateTurn(sessionId, index, fields)
+
+  ROLE: Amend a turn that was already written.
+  WHY:  When the candidate interrupts the interviewer after the reply was
+        recorded, the turn is cut down to what they actually heard.
+
+  PARAMS:
+    - sessionId: The `sess_<ts>` id
+    - index:     The turn's index
+    - fields:    e.g. { text, interrupted, fullText }
+*/
+function updateTurn(sessionId, index, fields) {
+  const write = db.collection(SESSIONS_COLLECTION).doc(sessionId)
+    .collection(TURNS_SUBCOLLECTION).doc(turnDocId(index))
+    .set(fields, { merge: true })
+    .catch((error) => {
+      console.error(`❌ SessionService: Error updating turn ${index} for ${sessionId}:`, error);
+      throw error;
+    });
+  return trackTurnWrite(sessionId, write);
+}
+
+
+/*
+  waitForTurnWrites(sessionId)
+
+  ROLE: Resolve once every turn write this server started for the session
+        has settled (failed ones included).
+  WHY:  The report must not grade a transcript whose last turns are still
+        on their way to Firestore.
+  NOTE: Only sees writes made by this process. A session ended from
+        another replica (admin, reaper) may still race the interview's
+        last write there.
+*/
+async function waitForTurnWrites(sessionId) {
+  let writes = pendingTurnWrites.get(sessionId);
+  while (writes && writes.size > 0) {
+    await Promise.allSettled([...writes]);
+    writes = pendingTurnWrites.get(sessionId);
+  }
+}
+
+/*
+  listSessionsForUser(uid, { since, limit })
+
+  ROLE: Return the user's most recent sessions (without turns).
+  PARAMS (optional):
+    - since: Only sessions started at or after this (ms since epoch)
+    - limit: How many (default MAX_SESSIONS_LISTED)
+  RETURNS: Array of session documents, newest first.
+*/
+async function listSessionsForUser(uid, { since = null, limit = MAX_SESSIONS_LISTED } = {}) {
+  try {
+    let query = db.collection(SESSIONS_COLLECTION).where('uid', '==', uid);
+    if (since) query = query.where('startedAt', '>=', since);
+
+    const snapshot = await query
+      .orderBy('startedAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  } catch (error) {
+    console.error(`❌ SessionService: Error listing sessions for ${uid}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  getSession(sessionId)
+
+  ROLE: Return one session document (without turns), regardless of owner.
+  WARNING: Backend-internal only, like getSessionWithTurns().
+  RETURNS: The session, or null
+*/
+async function getSession(sessionId) {
+  try {
+    const sessionSnap = await db.collection(SESSIONS_COLLECTION).doc(sessionId).get();
+    return sessionSnap.exists ? sessionSnap.data() : null;
+  } catch (error) {
+    console.error(`❌ SessionService: Error fetching session ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  getSessionWithTurns(sessionId)
+
+  ROLE: Return one session with its full transcript, regardless of owner.
+  WARNING: Backend-internal only. Routes must use getSessionForUser().
+
+  RETURNS: { ...session, turns: [...] } or null
+*/
+async function getSessionWithTurns(sessionId) {
+  try {
+    const sessionRef = db.collection(SESSIONS_COLLECTION).doc(sessionId);
+    const sessionSnap = await sessionRef.get();
+
+    if (!sessionSnap.exists) {
+      return null;
+    }
+
+    const turnsSnap = await sessionRef.collection(TURNS_SUBCOLLECTION)
+      .orderBy('index', 'asc')
+      .get();
+
+    return {
+      ...sessionSnap.data(),
+      turns: turnsSnap.docs.map(doc => doc.data())
+    };
+  } catch (error) {
+    console.error(`❌ SessionService: Error fetching session ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  getSessionForUser(uid, sessionId)
+
+  ROLE: Return one session with its full transcript.
+  SECURITY: Returns null if the session belongs to someone else, so the
+            route can answer 404 without revealing that the session exists.
+
+  RETURNS: { ...session, turns: [...] } or null
+*/
+async function getSessionForUser(uid, sessionId) {
+  const session = await getSessionWithTurns(sessionId);
+
+  if (!session || session.uid !== uid) {
+    return null;
+  }
+
+  return session;
+}
+
+
+/*
+  recordViolation(sessionId, violation)
+
+  ROLE: Log one proctoring event (see interview.handler logViolation).
+  PARAMS:
+    - violation: { uid, reason, count, action, weight, score, source, metrics, clientAt, at }
+*/
+async function recordViolation(sessionId, violation) {
+  const admin = require('firebase-admin');
+
+  try {
+    const batch = db.batch();
+    batch.set(db.collection(VIOLATIONS_COLLECTION).doc(), {
+      sessionId: sessionId,
+      uid: violation.uid,
+      reason: violation.reason,
+      count: violation.count,
+      action: violation.action,
+      weight: violation.weight ?? null,
+      score: violation.score ?? null,
+      source: violation.source || 'server',
+      metrics: violation.metrics || null,
+      clientAt: violation.clientAt || null,
+      at: violation.at || Date.now()
+    });
+    if (violation.action !== 'logged') {
+      batch.set(db.collection(SESSIONS_COLLECTION).doc(sessionId), {
+        violationCount: admin.firestore.FieldValue.increment(1)
+      }, { merge: true });
+    }
+
+    await batch.commit();
+  } catch (error) {
+    console.error(`❌ SessionService: Error recording violation for ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  listViolations({ uid, sessionId, limit })
+
+  ROLE: The admin violation log, newest first.
+  PARAMS (all optional):
+    - uid:       Only this candidate's violations
+    - sessionId: Only this session's violations
+    - limit:     Page size (capped at MAX_VIOLATIONS_LISTED)
+  NOTE: The filtered queries use the composite indexes in
+        firebase/firestore.indexes.json. With both filters only sessionId
+        is queried (a session has one candidate) and uid is checked here,
+        so no (uid, sessionId, at) index is needed.
+*/
+async function listViolations({ uid = null, sessionId = null, limit = 50 } = {}) {
+  try {
+    let query = db.collection(VIOLATIONS_COLLECTION);
+    if (sessionId) query = query.where('sessionId', '==', sessionId);
+    else if (uid) query = query.where('uid', '==', uid);
+
+    const snapshot = await query
+      .orderBy('at', 'desc')
+      .limit(Math.min(Math.max(1, limit), MAX_VIOLATIONS_LISTED))
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(violation => !uid || violation.uid === uid);
+  } catch (error) {
+    console.error('❌ SessionService: Error listing violations:', error);
+    throw error;
+  }
+}
+
+
+/*
+  setObserverConsent(sessionId, granted)
+
+  ROLE: Record whether the candidate lets mentors watch this session.
+*/
+async function setObserverConsent(sessionId, granted) {
+  await updateSession(sessionId, {
+    observerConsent: { granted: granted, updatedAt: Date.now() }
+  });
+}
+
+
+/*
+  listObservableSessions()
+
+  ROLE: Live sessions whose candidate allowed observers (the mentor picker).
+  NOTE: Equality filters only, so no composite index is needed.
+  RETURNS: Session documents (without turns).
+*/
+async function listObservableSessions() {
+  try {
+    const snapshot = await db.collection(SESSIONS_COLLECTION)
+      .where('status', '==', 'active')
+      .where('observerConsent.granted', '==', true)
+      .limit(MAX_OBSERVABLE_SESSIONS)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  } catch (error) {
+    console.error('❌ SessionService: Error listing observable sessions:', error);
+    throw error;
+  }
+}
+
+
+/*
+  addMentorNote(sessionId, note)
+
+  ROLE: Attach a mentor's private note to the session.
+  PARAMS:
+    - note: { mentorUid, mentorName, text, at }
+  RETURNS: The stored note, with its id.
+*/
+async function addMentorNote(sessionId, note) {
+  try {
+    const stored = {
+      mentorUid: note.mentorUid,
+      mentorName: note.mentorName || null,
+      text: note.text,
+      at: note.at || Date.now()
+    };
+    const ref = await db.collection(SESSIONS_COLLECTION).doc(sessionId)
+      .collection(NOTES_SUBCOLLECTION)
+      .add(stored);
+
+    return { id: ref.id, ...stored };
+  } catch (error) {
+    console.error(`❌ SessionService: Error saving a note for ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+
+/*
+  listMentorNotes(sessionId, { mentorUid })
+
+  ROLE: The notes on a session, oldest first.
+  PARAMS:
+    - mentorUid: Only this mentor's notes (omit for all of them, admins)
+  NOTE: Sorted here; a session only has a handful of notes.
+*/
+async function listMentorNotes(sessionId, { mentorUid = null } = {}) {
+  try {
+    let query = db.collection(SESSIONS_COLLECTION).doc(sessionId).collection(NOTES_SUBCOLLECTION);
+    if (mentorUid) query = query.where('mentorUid', '==', mentorUid);
+
+    const snapshot = await query.get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.at - b.at);
+  } catch (error) {
+    console.error(`❌ SessionService: Error listing notes for ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  SESSIONS_COLLECTION,
+  MAX_VIOLATIONS_LISTED,
+  buildSessionDocument,
+  updateSession,
+  markSessionEnded,
+  appendTurn,
+  updateTurn,
+  waitForTurnWrites,
+  listSessionsForUser,
+  getSession,
+  getSessionWithTurns,
+  getSessionForUser,
+  recordViolation,
+  listViolations,
+  setObserverConsent,
+  listObservableSessions,
+  addMentorNote,
+  listMentorNotes
+};
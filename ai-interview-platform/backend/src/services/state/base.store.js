@@ -0,0 +1,53 @@
+/*
+================================================================================
+STATE STORE (The Interface)
+================================================================================
+ROLE: The Shared Notebook 📓
+
+WHY:
+  - Rate limits, interview checkpoints and STT stream ownership used to live
+    in per-process Maps. With two backend replicas behind a load balancer,
+    each one sees only half the picture.
+
+HOW:
+  - Every store extends StateStore and implements a small, Redis-shaped
+    key/value API. Values are strings (callers JSON-encode).
+      get(key)                                  -> String | null
+      set(key, value, { ttlMs, onlyIfAbsent })  -> true if written
+      del(key)
+      deleteIfEquals(key, expected)             -> true if deleted
+      close()
+  - onlyIfAbsent + ttlMs is an atomic "claim" (Redis SET NX PX), which is
+    all a cooldown or a lock needs.
+================================================================================
+*/
+
+class StateStore {
+  /*
+    PARAMS:
+      - name: Store id from STATE_CONFIG.STORE (for logs)
+  */
+  constructor(name) {
+    this.name = name;
+  }
+
+  async get() {
+    throw new Error(`State store "${this.name}" does not implement get()`);
+  }
+
+  async set() {
+    throw new Error(`State store "${this.name}" does not implement set()`);
+  }
+
+  async del() {
+    throw new Error(`State store "${this.name}" does not implement del()`);
+  }
+
+  async deleteIfEquals() {
+    throw new Error(`State store "${this.name}" does not implement deleteIfEquals()`);
+  }
+
+  async close() {}
+}
+
+module.exports = StateStore;
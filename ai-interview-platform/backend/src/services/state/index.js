@@ -0,0 +1,56 @@
+/*
+================================================================================
+STATE STORE FACTORY
+================================================================================
+ROLE: Pick and build the store named by STATE_CONFIG.STORE.
+HOW:  getStateStore() builds it once and every caller shares it.
+================================================================================
+*/
+
+const MemoryStateStore = require('./memory.store');
+const RedisStateStore = require('./redis.store');
+const STATE_CONFIG = require('../../config/state.config');
+
+const STORE_CLASSES = {
+  memory: MemoryStateStore,
+  redis: RedisStateStore,
+};
+
+let store = null;
+
+/*
+  createStateStore(stateConfig)
+
+  PARAMS:
+    - stateConfig: STATE_CONFIG
+  RETURNS: A StateStore instance.
+  THROWS:  Unknown store name.
+*/
+function createStateStore(stateConfig) {
+  const name = stateConfig.STORE;
+  const StoreClass = STORE_CLASSES[name];
+
+  if (!StoreClass) {
+    throw new Error(`Unknown state store "${name}". Use one of: ${Object.keys(STORE_CLASSES).join(', ')}`);
+  }
+
+  console.log(`📓 State: Using store "${name}" (instance ${stateConfig.INSTANCE_ID})`);
+  return new StoreClass(name, stateConfig);
+}
+
+/*
+  getStateStore()
+
+  RETURNS: The shared StateStore (built on first use).
+*/
+function getStateStore() {
+  if (!store) {
+    store = createStateStore(STATE_CONFIG);
+  }
+  return store;
+}
+
+module.exports = {
+  createStateStore,
+  getStateStore
+};
@@ -0,0 +1,72 @@
+/*
+================================================================================
+MEMORY STATE STORE
+================================================================================
+ROLE: Single-instance store (the default), and the fake for Redis in dev.
+NOTE: State is lost on restart and not shared between processes.
+================================================================================
+*/
+
+const StateStore = require('./base.store');
+
+class MemoryStateStore extends StateStore {
+  constructor(name) {
+    super(name);
+    this.entries = new Map(); // key -> { value, expiresAt }
+  }
+
+  /*
+    read(key)
+
+    RETURNS: The live entry, or undefined (expired entries are dropped).
+  */
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /*
+    purgeExpired()
+
+    ROLE: Drop keys nobody read again after they expired (Redis does this itself).
+  */
+  purgeExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, { ttlMs = null, onlyIfAbsent = false } = {}) {
+    this.purgeExpired();
+    if (onlyIfAbsent && this.read(key)) return false;
+
+    this.entries.set(key, {
+      value: String(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+    return true;
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async deleteIfEquals(key, expected) {
+    const entry = this.read(key);
+    if (!entry || entry.value !== expected) return false;
+    this.entries.delete(key);
+    return true;
+  }
+}
+
+module.exports = MemoryStateStore;
@@ -0,0 +1,35 @@
+/*
+================================================================================
+RATE LIMITER
+================================================================================
+ROLE: "At most one X per window" across every backend instance.
+HOW:  Claims `ratelimit:<action>:<id>` in the state store for windowMs.
+      The claim fails while a previous one is still alive.
+================================================================================
+*/
+
+const { getStateStore } = require('./index');
+
+/*
+  tryAcquire(action, id, windowMs)
+
+  PARAMS:
+    - action:   What is limited, e.g. 'session:start'
+    - id:       Who is limited, e.g. the uid
+    - windowMs: Minimum time between two allowed requests
+  RETURNS: true if allowed, false if rate limited.
+           Fails open (true) if the store is unreachable, so a Redis
+           outage doesn't lock everyone out.
+*/
+async function tryAcquire(action, id, windowMs) {
+  try {
+    return await getStateStore().set(`ratelimit:${action}:${id}`, Date.now(), { ttlMs: windowMs, onlyIfAbsent: true });
+  } catch (error) {
+    console.error(`❌ RateLimiter: Store unavailable for ${action}:`, error.message);
+    return true;
+  }
+}
+
+module.exports = {
+  tryAcquire
+};
@@ -0,0 +1,71 @@
+/*
+================================================================================
+REDIS STATE STORE
+================================================================================
+ROLE: Store shared by every backend replica (STATE_STORE=redis).
+HOW:  ioredis with STATE_CONFIG.KEY_PREFIX on every key. Expiry is Redis'
+      own (PX), and deleteIfEquals is a small Lua script so check-and-delete
+      is atomic.
+NOTE: Commands give up after a couple of reconnect attempts, so callers
+      (e.g. the rate limiter) can fall back quickly while Redis is down.
+================================================================================
+*/
+
+const Redis = require('ioredis');
+const StateStore = require('./base.store');
+
+// Delete KEYS[1] only if it still holds ARGV[1]
+const DELETE_IF_EQUALS_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+class RedisStateStore extends StateStore {
+  /*
+    PARAMS:
+      - name:     Store id (for logs)
+      - settings: STATE_CONFIG
+  */
+  constructor(name, settings) {
+    super(name);
+    this.client = new Redis(settings.REDIS_URL, {
+      keyPrefix: settings.KEY_PREFIX,
+      maxRetriesPerRequest: 2
+    });
+
+    // Without a listener, ioredis connection errors crash the process
+    this.client.on('error', (error) => {
+      console.error('❌ State: Redis error:', error.message);
+    });
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async set(key, value, { ttlMs = null, onlyIfAbsent = false } = {}) {
+    const args = [key, String(value)];
+    if (ttlMs) args.push('PX', Math.ceil(ttlMs));
+    if (onlyIfAbsent) args.push('NX');
+
+    const result = await this.client.set(...args);
+    return result === 'OK';
+  }
+
+  async del(key) {
+    await this.client.del(key);
+  }
+
+  async deleteIfEquals(key, expected) {
+    const deleted = await this.client.eval(DELETE_IF_EQUALS_SCRIPT, 1, key, expected);
+    return deleted === 1;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisStateStore;
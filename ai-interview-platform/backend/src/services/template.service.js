@@ -0,0 +1,247 @@
+/*
+================================================================================
+TEMPLATE SERVICE
+================================================================================
+ROLE: Load and serve interview templates.
+WHY:  Everyone used to get the same generic session: one hard-coded greeting,
+      one persona, domain and niche asked from scratch. Teams running mock
+      loops for different roles need the session shaped for that role.
+HOW:  Templates are JSON files in src/config/templates/ (one per file).
+      They are read and validated once, on first use, and cached.
+      A broken file is logged and skipped; it never takes the server down.
+================================================================================
+
+TEMPLATE FORMAT (src/config/templates/<id>.json):
+  - id:               Lowercase slug, must match the file name
+  - name:             Shown in the dashboard picker, e.g. "Senior Backend, Go"
+  - description:      One line for the picker
+  - role, seniority:  e.g. "Backend Engineer", "senior" (null = not fixed)
+  - domain, niche:    Pre-filled ladder answers. When both are set the
+                      interview skips domain/niche selection (see InterviewLadder)
+  - stack:            [String] technologies the questions should stay within
+  - seedTopics:       [String] topics the interviewer should draw from
+  - startingRung:     One of DIFFICULTY_LADDER (config/ladder.js)
+  - maxTurns:         Candidate answers before the interview wraps up
+  - timeLimitMinutes: Interview length before it wraps up
+  - voice:            TTS voice override (provider-specific, null = default)
+  - greeting:         First thing the interviewer says
+  - persona:          Extra prompt fragment describing the interviewer
+  - closing:          (optional) Last thing the interviewer says
+  - proctoring:       (optional) Overrides config/proctoring.js: mode
+                      ('enforce' | 'record_only' for practice), grace period,
+                      thresholds and per-event weights (see ProctoringPolicy)
+================================================================================
+*/
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { DIFFICULTY_LADDER } = require('../config/ladder');
+const LIMITS = require('../config/limits');
+const AI_CONFIG = require('../config/ai.config');
+const { resolveProctoringPolicy } = require('./interview/proctoring-policy');
+
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const TEMPLATES_DIR = path.join(__dirname, '../config/templates');
+
+/*
+  DEFAULT_TEMPLATE_ID - Used when the client doesn't pick one (or picks
+  one that doesn't exist). It reproduces the original generic session.
+*/
+const DEFAULT_TEMPLATE_ID = 'general';
+
+const DEFAULT_CLOSING = "That brings us to the end of today's interview. Thank you for your time. Your evaluation report will be ready shortly.";
+
+const ID_PATTERN = /^[a-z0-9-]+$/;
+const MAX_TURNS_CAP = AI_CONFIG.SESSION.MAX_TURNS;
+const MAX_TIME_LIMIT_MINUTES = LIMITS.MAX_SESSION_DURATION_SECONDS / 60;
+
+// Loaded templates, keyed by id (see loadTemplates)
+let templatesById = null;
+
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/*
+  normalizeTemplate(raw, fileId)
+
+  ROLE: Validate one template file and fill in defaults.
+  THROWS: With a message naming the broken field.
+*/
+function normalizeTemplate(raw, fileId) {
+  if (!raw || typeof raw !== 'object') throw new Error('not a JSON object');
+  if (raw.id !== fileId) throw new Error(`id "${raw.id}" must match the file name "${fileId}"`);
+  if (!ID_PATTERN.test(raw.id)) throw new Error('id must be a lowercase slug');
+  if (typeof raw.name !== 'string' || !raw.name.trim()) throw new Error('name is required');
+  if (typeof raw.greeting !== 'string' || !raw.greeting.trim()) throw new Error('greeting is required');
+
+  const startingRung = raw.startingRung || DIFFICULTY_LADDER[0];
+  if (!DIFFICULTY_LADDER.includes(startingRung)) {
+    throw new Error(`startingRung must be one of ${DIFFICULTY_LADDER.join(', ')}`);
+  }
+
+  const maxTurns = raw.maxTurns;
+  if (!Number.isInteger(maxTurns) || maxTurns < 1 || maxTurns > MAX_TURNS_CAP) {
+    throw new Error(`maxTurns must be an integer between 1 and ${MAX_TURNS_CAP}`);
+  }
+
+  const timeLimitMinutes = raw.timeLimitMinutes;
+  if (typeof timeLimitMinutes !== 'number' || timeLimitMinutes <= 0 || timeLimitMinutes > MAX_TIME_LIMIT_MINUTES) {
+    throw new Error(`timeLimitMinutes must be between 0 and ${MAX_TIME_LIMIT_MINUTES}`);
+  }
+
+  const toList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : []);
+
+  return {
+    id: raw.id,
+    name: raw.name.trim(),
+    description: raw.description || '',
+    role: raw.role || null,
+    seniority: raw.seniority || null,
+    domain: raw.domain || null,
+    niche: raw.domain ? (raw.niche || null) : null, // A niche without a domain makes no sense
+    stack: toList(raw.stack),
+    seedTopics: toList(raw.seedTopics),
+    startingRung: startingRung,
+    maxTurns: maxTurns,
+    timeLimitMinutes: timeLimitMinutes,
+    voice: raw.voice || null,
+    greeting: raw.greeting.trim(),
+    persona: raw.persona || null,
+    closing: raw.closing || DEFAULT_CLOSING,
+    proctoring: resolveProctoringPolicy(raw.proctoring ?? null)
+  };
+}
+
+/*
+  loadTemplates()
+
+  ROLE: Read every *.json in TEMPLATES_DIR (once) and cache the valid ones.
+  RETURNS: Map of id -> template
+*/
+function loadTemplates() {
+  if (templatesById) return templatesById;
+
+  templatesById = new Map();
+
+  let files = [];
+  try {
+    files = fs.readdirSync(TEMPLATES_DIR).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    console.error(`❌ TemplateService: Cannot read ${TEMPLATES_DIR}:`, error.message);
+  }
+
+  for (const file of files) {
+    const fileId = path.basename(file, '.json');
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8'));
+      templatesById.set(fileId, normalizeTemplate(raw, fileId));
+    } catch (error) {
+      console.error(`❌ TemplateService: Skipping template ${file}: ${error.message}`);
+    }
+  }
+
+  if (!templatesById.has(DEFAULT_TEMPLATE_ID)) {
+    console.error(`❌ TemplateService: Default template "${DEFAULT_TEMPLATE_ID}" is missing or invalid.`);
+  }
+
+  console.log(`📋 TemplateService: Loaded ${templatesById.size} interview templates.`);
+  return templatesById;
+}
+
+
+// =============================================================================
+// SERVICE FUNCTIONS
+// =============================================================================
+
+/*
+  listTemplates()
+
+  ROLE: What the dashboard picker shows (GET /api/templates).
+  NOTE: Prompt fragments (persona, greeting...) stay on the server.
+  RETURNS: [{ id, name, description, role, seniority, stack, startingRung, maxTurns,
+             timeLimitMinutes, proctoringMode }]
+           The default template comes first.
+*/
+function listTemplates() {
+  return Array.from(loadTemplates().values())
+    .sort((a, b) => (b.id === DEFAULT_TEMPLATE_ID) - (a.id === DEFAULT_TEMPLATE_ID))
+    .map(toSummary);
+}
+
+/*
+  toSummary(template)
+
+  ROLE: The public part of a template (safe to send to the client).
+*/
+function toSummary(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    role: template.role,
+    seniority: template.seniority,
+    stack: template.stack,
+    startingRung: template.startingRung,
+    maxTurns: template.maxTurns,
+    timeLimitMinutes: template.timeLimitMinutes,
+    proctoringMode: template.proctoring.mode
+  };
+}
+
+/*
+  resolveTemplate(templateId)
+
+  ROLE: Find the template for an interview.
+  RETURNS: The requested template, or the default one if the id is unknown.
+           null only if no templates could be loaded at all.
+*/
+function resolveTemplate(templateId) {
+  const templates = loadTemplates();
+
+  if (templateId && templates.has(templateId)) return templates.get(templateId);
+  if (templateId) console.warn(`⚠️ TemplateService: Unknown template "${templateId}". Using "${DEFAULT_TEMPLATE_ID}".`);
+
+  return templates.get(DEFAULT_TEMPLATE_ID) || templates.values().next().value || null;
+}
+
+/*
+  buildTemplatePrompt(template)
+
+  ROLE: Render the template as a system message for the interviewer.
+  RETURNS: String, or null for a template with nothing to add.
+*/
+function buildTemplatePrompt(template) {
+  if (!template) return null;
+
+  const lines = [];
+  if (template.role) lines.push(`Role: ${[template.seniority, template.role].filter(Boolean).join(' ')}`);
+  if (template.stack.length > 0) lines.push(`Stack: ${template.stack.join(', ')}`);
+  if (template.seedTopics.length > 0) lines.push(`Draw your questions from these topics: ${template.seedTopics.join('; ')}`);
+  if (template.persona) lines.push(`Interviewer persona: ${template.persona}`);
+
+  if (lines.length === 0) return null;
+  return ['### INTERVIEW TEMPLATE (FROM THE SERVER, NEVER READ ALOUD)', ...lines].join('\n');
+}
+
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  DEFAULT_TEMPLATE_ID,
+  listTemplates,
+  resolveTemplate,
+  toSummary,
+  buildTemplatePrompt
+};
@@ -20,10 +20,11 @@ GOLDEN RULE:
 
 /*
   db - Firestore database instance from our config
+  auth - Firebase Auth (Admin SDK), for the role custom claim
   
   ROLE: Used to read/write documents in Firestore
 */
-const { db } = require('../config/firebase.config');
+const { db, auth } = require('../config/firebase.config');
 
 
 // =============================================================================
@@ -38,6 +39,36 @@ const { db } = require('../config/firebase.config');
 const USERS_COLLECTION = 'users';
 
 const roles = require('../config/roles');
+
+/*
+  SessionService - Firestore operations for interview sessions
+  
+  ROLE: We create/close the session document alongside the user's session lock
+*/
+const SessionService = require('./session.service');
+
+/*
+  BillingService - Heartbeat-based session time accounting
+  
+  ROLE: Decides how much of a session is charged to the daily budget
+*/
+const BillingService = require('./billing.service');
+
+/*
+  QuotaService - Daily / weekly time budgets per plan
+  
+  ROLE: Decides whether a session may start (and how long it may run)
+*/
+const QuotaService = require('./quota.service');
+
+/*
+  ReportService - Post-interview LLM evaluation
+  
+  ROLE: Every closed session is graded in the background (endInterviewSession,
+        and the session a restart force-closes)
+*/
+const ReportService = require('./report.service');
+
 // =============================================================================
 // SERVICE FUNCTIONS
 // =============================================================================
@@ -123,6 +154,7 @@ async function createUser(userData) {
     email: userData.email || null,
     displayName: userData.displayName || null,
     photoURL: userData.photoURL || null,
+    timezone: userData.timezone || null, // IANA name from the browser (budget resets at local midnight)
     lastHeartbeatAt: null,
     
     // Auth Metadata
@@ -135,9 +167,9 @@ async function createUser(userData) {
     // App-specific flags
     onboardingCompleted: false,
     role: roles.USER,
-    dailyTimeLimitSec: 1800, // Default 30 mins
-    dailyTimeUsedSec: 0,
-    lastResetDate: new Date().toISOString().split('T')[0], // "YYYY-MM-DD"
+    plan: null,               // Quota plan (null = by role, see QuotaService)
+    dailyTimeLimitSec: null,  // Per-user override of the plan's daily limit
+    ...QuotaService.chargeUsage({ timezone: userData.timezone }, 0), // dailyTimeUsedSec, lastResetDate, weekly...
     activeSessionId: null
   };
   
@@ -164,17 +196,18 @@ async function createUser(userData) {
 
 
 /*
-  updateLastLogin(uid)
+  updateLastLogin(uid, options)
   
   ROLE: Update the lastLoginAt timestamp for a returning user
   WHY:  Tracks user engagement and activity
   
   PARAMS:
     - uid: The Firebase UID (string)
+    - options.timezone: The browser's timezone, stored when given
   
   RETURNS: The updated timestamp
 */
-async function updateLastLogin(uid) {
+async function updateLastLogin(uid, { timezone = null } = {}) {
   console.log(`🕐 UserService: Updating lastLoginAt for user: ${uid}`);
   
   const now = new Date();
@@ -188,7 +221,8 @@ async function updateLastLogin(uid) {
     */
     const docRef = db.collection(USERS_COLLECTION).doc(uid);
     await docRef.update({
-      lastLoginAt: now
+      lastLoginAt: now,
+      ...(timezone ? { timezone } : {})
     });
     
     console.log(`✅ UserService: lastLoginAt updated for ${uid}`);
@@ -210,7 +244,7 @@ async function updateLastLogin(uid) {
         It handles both first-time and returning users in one function
   
   PARAMS:
-    - userData: Object with { uid, email, displayName, photoURL, authProvider }
+    - userData: Object with { uid, email, displayName, photoURL, authProvider, timezone }
   
   RETURNS: 
     - { user, isNewUser } 
@@ -223,11 +257,12 @@ async function getOrCreateUser(userData) {
   
   if (existingUser) {
     // Returning user: just update the login timestamp
-    await updateLastLogin(userData.uid);
+    await updateLastLogin(userData.uid, { timezone: userData.timezone });
     
     return {
       user: {
         ...existingUser,
+        ...(userData.timezone ? { timezone: userData.timezone } : {}),
         lastLoginAt: new Date() // Return the updated timestamp
       },
       isNewUser: false
@@ -246,18 +281,16 @@ async function getOrCreateUser(userData) {
 
 /*
   [NEW] Helper: Check daily reset
-  ROLE: If it's a new day, reset the user's used time to 0.
+  ROLE: If it's a new day (or week), reset the user's used time to 0.
+  NOTE: Usage also resets lazily wherever it's read (see QuotaService).
 */
 async function checkAndResetDailyBudget(user) {
-  const today = new Date().toISOString().split('T')[0];
+  const now = Date.now();
   
-  if (user.lastResetDate !== today) {
+  if (QuotaService.needsReset(user, now)) {
     console.log(`📅 New day detected for ${user.uid}. Resetting budget.`);
     // Reset usage and update date
-    await db.collection(USERS_COLLECTION).doc(user.uid).update({
-      dailyTimeUsedSec: 0,
-      lastResetDate: today
-    });
+    await db.collection(USERS_COLLECTION).doc(user.uid).update(QuotaService.chargeUsage(user, 0, now));
     return true; // Budget was reset
   }
   return false;
@@ -268,129 +301,388 @@ async function checkAndResetDailyBudget(user) {
   ROLE: Try to start a session. Fails if budget empty or already active.
   
   UPDATED: Now handles page refresh gracefully by force-ending the previous session.
+  QUOTA:   Daily / weekly limits come from the user's plan (see QuotaService).
 */
 async function startInterviewSession(uid) {
+  let closedSessionId = null; // A previous session this start force-closed
+
   // [SECURITY] Transaction to prevent race conditions (Concurrent Socket Exploit)
-  return await db.runTransaction(async (transaction) => {
+  const result = await db.runTransaction(async (transaction) => {
+    closedSessionId = null; // The transaction may be retried
     
     // 1. Get User (Transactional Read)
     const userRef = db.collection(USERS_COLLECTION).doc(uid);
     const userDoc = await transaction.get(userRef);
     
     if (!userDoc.exists) throw new Error('User not found');
-    const user = userDoc.data();
-
-    // 2. Lazy Reset Logic (In-Memory check)
-    // Note: In transaction, if we need to write, we must do it as part of this transaction
-    const today = new Date().toISOString().split('T')[0];
-    let currentDailyUsed = user.dailyTimeUsedSec || 0;
-    
-    if (user.lastResetDate !== today) {
-        // It's a new day, so effectively usage is 0
-         currentDailyUsed = 0;
-         transaction.update(userRef, {
-             dailyTimeUsedSec: 0,
-             lastResetDate: today
-         });
-    }
-
-    // 3. Check Budget
-    // if (currentDailyUsed >= (user.dailyTimeLimitSec || 1800)) {
-    //     throw new Error('Daily time budget exceeded. Come back tomorrow!');
-    // }
+    let user = userDoc.data();
+    const now = Date.now();
 
-    // 4. Handle Existing Session (Force Resume / Force Close)
+    // 2. Handle Existing Session (Force Resume / Force Close)
     // ----------------------------------------------------------
     // DESIGN DECISION:
     //   Instead of blocking the user with "active session" error (frustrating on page refresh),
     //   we calculate how much time they USED in the old session, deduct it, and start fresh.
     //   This is more user-friendly but prevents "free time" exploits.
+    //   USED = heartbeat-covered time (see BillingService), not the wall clock
+    //   gap since a tab that may have crashed long ago.
     // ----------------------------------------------------------
-    const now = Date.now();
     if (user.activeSessionId) {
-        const sessionStart = user.currentSessionStartTime || now;
-        const elapsedSeconds = Math.floor((now - sessionStart) / 1000);
+        const previousSessionId = user.activeSessionId;
+        const billing = closeLedger(user, now);
+        const elapsedSeconds = billing.chargedSec;
         
-        console.log(`⚠️ Force-ending previous session for ${uid}. Elapsed: ${elapsedSeconds}s`);
+        console.log(`⚠️ Force-ending previous session for ${uid}. Charged: ${elapsedSeconds}s of ${Math.round(billing.wallClockMs / 1000)}s`);
         
         // Deduct the time from the old session (prevent exploit)
-        const newDailyUsed = Math.min(
-          currentDailyUsed + elapsedSeconds,
-          user.dailyTimeLimitSec || 1800 // Cap at max to be safe
-        );
-        
-        // Update the daily used time immediately
-        currentDailyUsed = newDailyUsed;
+        const usage = QuotaService.chargeUsage(user, elapsedSeconds, now);
         transaction.update(userRef, {
-            dailyTimeUsedSec: newDailyUsed
+            ...usage,
+            activeSessionId: null,
+            currentSessionStartTime: null,
+            currentSessionBilling: null
         });
-        
-        // Re-check budget after deducting old session time
-        // if (currentDailyUsed >= (user.dailyTimeLimitSec || 1800)) {
-        //     throw new Error('Daily time budget exceeded. Come back tomorrow!');
-        // }
+        user = { ...user, ...usage, activeSessionId: null, currentSessionStartTime: null, currentSessionBilling: null };
+
+        // Close the abandoned session's transcript record too
+        transaction.set(
+          db.collection(SessionService.SESSIONS_COLLECTION).doc(previousSessionId),
+          { status: 'ended', endedAt: now, durationSec: elapsedSeconds, closedBy: 'restart', billing: billing },
+          { merge: true }
+        );
+        closedSessionId = previousSessionId;
     }
 
-    // 5. Lock Session (Start New)
+    // 3. Check Budget (after deducting the old session's time)
+    // The old session stays closed even if there's no time left for a new one,
+    // so we report the error once the transaction has committed.
+    const quota = QuotaService.getQuota(user, now);
+    if (quota.exhausted) return { quota };
+
+    // 4. Lock Session (Start New)
     const sessionId = `sess_${now}`;
     transaction.update(userRef, {
         lastHeartbeatAt: now,
         activeSessionId: sessionId,
-        currentSessionStartTime: now
+        currentSessionStartTime: now,
+        currentSessionBilling: BillingService.newLedger()
     });
 
-    return sessionId;
+    // 5. Create the session document (turns are appended by the interview handler)
+    transaction.set(
+      db.collection(SessionService.SESSIONS_COLLECTION).doc(sessionId),
+      SessionService.buildSessionDocument(uid, sessionId, now)
+    );
+
+    return { sessionId };
   });
+
+  // Grade the force-closed session like any other (the report page polls for it)
+  if (closedSessionId) ReportService.generateSessionReport(closedSessionId);
+
+  if (!result.sessionId) QuotaService.assertCanStart(result.quota);
+  return result.sessionId;
 }
-async function updateHeartbeat(uid) {
-   const MAX_DURATION_MS = 60 * 60 * 1000; // 1 Hour Hard Limit
-   
-   // 1. Get current session start time
-   const user = await findUserByUid(uid);
-   if (!user || !user.activeSessionId) return;
 
-   // 2. Check total duration
+/*
+  getQuotaForUser(uid)
+  ROLE: What's left of the user's time budget (GET /api/quota).
+  RETURNS: See QuotaService.getQuota
+*/
+async function getQuotaForUser(uid) {
+  const user = await findUserByUid(uid);
+  if (!user) throw new Error('User not found');
+  return QuotaService.getQuota(user);
+}
+
+/*
+  closeLedger(user, endedAt, pausedMs)
+  ROLE: Add the final interval (last heartbeat -> endedAt) to the user's
+        ledger and summarize it (see BillingService).
+  RETURNS: The breakdown stored on the session; chargedSec is what is deducted.
+*/
+function closeLedger(user, endedAt, pausedMs = 0) {
+  const startedAt = user.currentSessionStartTime || endedAt;
+  const ledger = BillingService.addInterval(
+    BillingService.ledgerOf(user),
+    user.lastHeartbeatAt || startedAt,
+    endedAt,
+    pausedMs
+  );
+  return BillingService.summarize(ledger, { startedAt, endedAt });
+}
+
+/*
+  updateHeartbeat(uid, options)
+  ROLE: Keep the session alive and charge the time since the previous heartbeat.
+  
+  OPTIONS:
+    - pausedMs: How long the AI was thinking since the previous heartbeat
+                (not charged, see BillingService)
+  
+  RETURNS: The user's quota including this session (see QuotaService),
+           or null if no session is active.
+*/
+async function updateHeartbeat(uid, { pausedMs = 0 } = {}) {
+   const MAX_DURATION_MS = 60 * 60 * 1000; // 1 Hour Hard Limit
+   const userRef = db.collection(USERS_COLLECTION).doc(uid);
    const now = Date.now();
-   if (user.currentSessionStartTime && (now - user.currentSessionStartTime > MAX_DURATION_MS)) {
+
+   // Transaction: the ledger is read-modify-write, and the session may be
+   // ending (or being reaped) at the same moment
+   const result = await db.runTransaction(async (transaction) => {
+     // 1. Get current session start time
+     const userDoc = await transaction.get(userRef);
+     const user = userDoc.exists ? userDoc.data() : null;
+     if (!user || !user.activeSessionId) return { quota: null };
+
+     // 2. Check total duration
+     if (user.currentSessionStartTime && (now - user.currentSessionStartTime > MAX_DURATION_MS)) {
+       return { exceeded: true };
+     }
+
+     // 3. Update heartbeat and charge the interval since the previous one
+     const update = {
+       lastHeartbeatAt: now,
+       currentSessionBilling: BillingService.addInterval(
+         BillingService.ledgerOf(user),
+         user.lastHeartbeatAt || user.currentSessionStartTime,
+         now,
+         pausedMs
+       )
+     };
+     transaction.update(userRef, update);
+     return { quota: QuotaService.getQuota({ ...user, ...update }, now) };
+   });
+
+   if (result.exceeded) {
        console.error(`🚨 Security: Session for ${uid} exceeded hard limit. Force closing.`);
-       await endInterviewSession(uid);
+       await endInterviewSession(uid, { closedBy: 'max_duration' });
        throw new Error('Session exceeded maximum duration');
    }
 
-   // 3. Update heartbeat
-   await db.collection(USERS_COLLECTION).doc(uid).update({
-     lastHeartbeatAt: now
-   });
+   return result.quota;
 }
 /*
-  [NEW] endInterviewSession(uid)
+  [NEW] endInterviewSession(uid, options)
   ROLE: Conclusion. Deduct time and unlock.
   SECURITY: Calculates duration server-side to prevent tampering.
-*/
-async function endInterviewSession(uid) {
-  const user = await findUserByUid(uid);
   
-  if (!user.activeSessionId || !user.currentSessionStartTime) {
-    console.warn(`⚠️ Security warning: User ${uid} tried to end invalid session`);
-    return;
-  }
+  OPTIONS:
+    - closedBy:    Who ended the session, stored on the session document
+                   ('user' by default, 'max_duration' for the hard limit,
+                   'reaper' for abandoned sessions, 'quota' when the
+                   time budget ran out, 'admin' when force-ended from
+                   the admin console, 'violation' when proctoring
+                   terminated it)
+    - endedAt:     When the session is considered over (default: now).
+                   The reaper passes the last heartbeat, so an abandoned
+                   tab isn't billed for the time nobody was there.
+    - staleBefore: Only end the session if the last heartbeat is older than
+                   this. Checked in the same transaction, so a user who
+                   came back a moment ago keeps their session.
+    - pausedMs:    How long the AI was thinking since the last heartbeat
+  
+  BILLING: Only heartbeat-covered time is charged (see BillingService).
+           The breakdown is stored on the session as `billing`.
+  REPORT:  The session is graded in the background (ReportService), so
+           every way of ending a session gets a report. Callers don't
+           start it themselves.
+  
+  RETURNS: The id of the session that was ended (or undefined if none was active)
+*/
+async function endInterviewSession(uid, { closedBy = 'user', endedAt = null, staleBefore = null, pausedMs = 0 } = {}) {
+  const userRef = db.collection(USERS_COLLECTION).doc(uid);
 
-  // Calculate actual duration
-  const now = Date.now();
-  const durationMs = now - user.currentSessionStartTime;
-  const durationSec = Math.ceil(durationMs / 1000); // Round up to nearest second
+  // [SECURITY] Transaction: the user (or the reaper on another instance)
+  // may be ending or restarting this session at the same time
+  const ended = await db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const user = userDoc.exists ? userDoc.data() : null;
 
-  // Update time used and unlock (clear activeSessionId)
-  const admin = require('firebase-admin'); 
-  
-  await db.collection(USERS_COLLECTION).doc(uid).update({
-    dailyTimeUsedSec: admin.firestore.FieldValue.increment(durationSec),
-    activeSessionId: null,
-    currentSessionStartTime: null // Clear start time
+    if (!user || !user.activeSessionId || !user.currentSessionStartTime) {
+      console.warn(`⚠️ Security warning: User ${uid} tried to end invalid session`);
+      return null;
+    }
+
+    if (staleBefore && (user.lastHeartbeatAt || 0) >= staleBefore) {
+      console.log(`💓 UserService: Session ${user.activeSessionId} of ${uid} is alive again. Not ending it.`);
+      return null;
+    }
+
+    // Calculate the charged duration (never before the start)
+    const endTime = Math.max(user.currentSessionStartTime, endedAt || Date.now());
+    const billing = closeLedger(user, endTime, pausedMs);
+    const durationSec = billing.chargedSec;
+
+    // Update time used (daily and weekly, see QuotaService) and unlock (clear activeSessionId)
+    transaction.update(userRef, {
+      ...QuotaService.chargeUsage(user, durationSec, endTime),
+      activeSessionId: null,
+      currentSessionStartTime: null, // Clear start time
+      currentSessionBilling: null
+    });
+
+    return { sessionId: user.activeSessionId, endTime, durationSec, billing };
+  });
+
+  if (!ended) return;
+
+  await SessionService.markSessionEnded(ended.sessionId, {
+    endedAt: ended.endTime,
+    durationSec: ended.durationSec,
+    closedBy: closedBy,
+    billing: ended.billing
   });
   
-  console.log(`✅ Session ended for ${uid}. Used ${durationSec}s.`);
+  console.log(`✅ Session ended for ${uid} (${closedBy}). Used ${ended.durationSec}s.`);
+
+  // Fire-and-forget: the report page polls for it
+  ReportService.generateSessionReport(ended.sessionId);
+
+  return ended.sessionId;
+}
+
+/*
+  findUsersWithActiveSession(limit)
+
+  ROLE: Candidates for the session reaper (jobs/session-reaper.js).
+  NOTE: A single inequality filter, so no composite index is needed.
+        The caller checks lastHeartbeatAt itself.
+  RETURNS: [{ uid, activeSessionId, lastHeartbeatAt, currentSessionStartTime }]
+*/
+async function findUsersWithActiveSession(limit) {
+  const snapshot = await db.collection(USERS_COLLECTION)
+    .where('activeSessionId', '!=', null)
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const user = doc.data();
+    return {
+      uid: doc.id,
+      activeSessionId: user.activeSessionId,
+      lastHeartbeatAt: user.lastHeartbeatAt || null,
+      currentSessionStartTime: user.currentSessionStartTime || null
+    };
+  });
+}
+
+
+/*
+  syncRoleClaim(uid, role)
+
+  ROLE: Copy the user's Firestore role into their Firebase custom claims.
+  WHY:  With the role inside the ID token, verifyFirebaseToken and socketAuth
+        know it without a database read (req.user.role / socket.user.role),
+        and that is what checkRole and mentor observation go by.
+  HOW:  Other claims are kept. users/{uid}.claimsUpdatedAt tells the client
+        its token is out of date; it then forces a token refresh (auth.store
+        fetchProfile).
+  RETURNS: true if the claim changed.
+*/
+async function syncRoleClaim(uid, role) {
+  if (!await setRoleClaim(uid, role)) return false;
+
+  await db.collection(USERS_COLLECTION).doc(uid).update({ claimsUpdatedAt: Date.now() });
+  return true;
+}
+
+/*
+  setRoleClaim(uid, role)
+
+  ROLE: Write the role claim only (the caller records claimsUpdatedAt).
+  RETURNS: true if the claim changed.
+*/
+async function setRoleClaim(uid, role) {
+  const { customClaims } = await auth.getUser(uid);
+  if (customClaims?.role === role) return false;
+
+  await auth.setCustomUserClaims(uid, { ...customClaims, role });
+  console.log(`🏷️ UserService: Role claim of ${uid} set to '${role}'`);
+  return true;
+}
+
+
+/*
+  listUsers(limit)
+
+  ROLE: The admin console's user table (routes/admin.routes.js).
+  RETURNS: Up to `limit` user documents, most recent login first.
+*/
+async function listUsers(limit) {
+  try {
+    const snapshot = await db.collection(USERS_COLLECTION)
+      .orderBy('lastLoginAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  } catch (error) {
+    console.error('❌ UserService: Error listing users:', error);
+    throw error;
+  }
+}
+
+
+/*
+  findUsersByUids(uids)
+
+  ROLE: Load several user documents in one round trip (cohort tables).
+  RETURNS: The users that exist, in the order of `uids`.
+*/
+async function findUsersByUids(uids) {
+  if (uids.length === 0) return [];
+
+  try {
+    const refs = uids.map(uid => db.collection(USERS_COLLECTION).doc(uid));
+    const snapshots = await db.getAll(...refs);
+    return snapshots.filter(doc => doc.exists).map(doc => doc.data());
+  } catch (error) {
+    console.error('❌ UserService: Error loading users:', error);
+    throw error;
+  }
 }
+
+
+/*
+  updateUserAdminFields(uid, fields)
+
+  ROLE: Apply an admin's changes (role, plan, dailyTimeLimitSec) to a user.
+  NOTE: The route validates the values; this only writes them.
+        A new role is written to the custom claims first, then to Firestore
+        with claimsUpdatedAt, so the user's client refreshes its token (and
+        keeps its session) on the next profile load.
+  RETURNS: The updated user document, or null if the user doesn't exist.
+  THROWS:  If the claim or the write fails. A failed claim changes nothing;
+           after a failed write, /api/me syncs the claim back to the stored
+           role (retrying is safe).
+*/
+async function updateUserAdminFields(uid, fields) {
+  const userRef = db.collection(USERS_COLLECTION).doc(uid);
+
+  try {
+    const existing = await userRef.get();
+    if (!existing.exists) return null;
+
+    const update = { ...fields };
+    if (fields.role !== undefined && await setRoleClaim(uid, fields.role)) {
+      update.claimsUpdatedAt = Date.now();
+    }
+
+    return await db.runTransaction(async (t) => {
+      const doc = await t.get(userRef);
+      if (!doc.exists) return null;
+
+      t.update(userRef, update);
+      return { ...doc.data(), ...update };
+    });
+  } catch (error) {
+    console.error(`❌ UserService: Error updating user ${uid}:`, error);
+    throw error;
+  }
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -409,6 +701,12 @@ module.exports = {
   getOrCreateUser,
   startInterviewSession,
   endInterviewSession,
+  findUsersWithActiveSession,
+  syncRoleClaim,
+  listUsers,
+  findUsersByUids,
+  updateUserAdminFields,
   checkAndResetDailyBudget,
+  getQuotaForUser,
   updateHeartbeat
 };
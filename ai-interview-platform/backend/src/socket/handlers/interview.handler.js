@@ -16,11 +16,79 @@ HOW:
 STATE MACHINE:
   1. LISTENING: Waiting for user audio. (Ignore AI output)
   2. THINKING:  User finished. AI is generating text. (Ignore user audio)
-  3. SPEAKING:  AI is playing audio. (Ignore user audio)
+  3. SPEAKING:  AI is playing audio. (Only a barge-in gets through)
 
 SAFEGUARDS IMPLEMENTED:
   - TURN ENFORCEMENT: We block user audio while AI is thinking/speaking.
   - PIPELINE TIMEOUTS: If any service hangs, we reset state to LISTENING.
+
+PERSISTENCE:
+  - Every turn (and the state transitions leading up to it) is written to
+    sessions/{sessionId}/turns via SessionService, so the transcript
+    survives the socket going away.
+
+DIFFICULTY LADDER:
+  - InterviewLadder tracks domain, niche, rung and questions-at-rung on the
+    server. Its state header rides along with every LLM call, and every
+    change is pushed to the client as 'interview:progress'.
+
+BARGE-IN:
+  - While the interviewer speaks we keep feeding audio to STT. A transcript
+    that is long enough and isn't our own voice echoing back cancels the
+    LLM stream and TTS, and 'audio:stop' flushes the client's audio queue.
+  - The client answers with 'audio:played' (which sentence, how far in), so
+    history and the transcript only keep what the candidate actually heard.
+
+TEMPLATES:
+  - 'interview:start' may name a templateId (see TemplateService). The
+    template sets the greeting, persona, voice, starting rung and limits.
+  - When the candidate has answered maxTurns times (capped by
+    AI_CONFIG.SESSION.MAX_TURNS), or timeLimitMinutes is up, the interviewer
+    says the closing line and we emit 'interview:complete' so the client can
+    end the session. SessionPolicy decides when.
+  - The same happens when the user's time budget runs out ('quota:exhausted'
+    from the session handler, see QuotaService).
+
+MODERATION:
+  - Candidate transcripts go through SessionPolicy before they are stored or
+    sent to the LLM: profanity is masked and counts as a violation, abuse
+    ends the session (same path as 'session:violation').
+  - Every LLM sentence is checked before TTS; one that fails is replaced.
+
+RESUME:
+  - The interview is checkpointed (CheckpointStore, keyed by activeSessionId)
+    at every stable point. After a refresh or reconnect, 'interview:resume'
+    restores history, ladder and limits on the new socket and re-speaks the
+    last interviewer question.
+  - Each socket starts the STT stream as its owner; the old socket's late
+    'disconnect' can't close the stream the resumed socket opened.
+  - The socket running the interview also owns its checkpoint. A resume is
+    refused while the owner is still connected (a second tab). If the owner
+    just dropped, the resume waits for its 'disconnect' save first.
+
+PROCTORING LOG:
+  - Reason codes, messages and metric keys come from the shared schema
+    (shared/proctoring-events.json, read by the browser too); client reports
+    that don't match it are rejected (see proctoring-events.js).
+  - Every proctoring event is stored (SessionService.recordViolation) with
+    its type, source ('client' | 'server'), the metrics behind it (face
+    drift, gaze, asymmetry, tab-switch trigger...) and what we decided:
+    'warning', 'terminated', or 'logged' (kept as evidence, no strike).
+  - ProctoringPolicy decides, from the template's weights, decay, thresholds
+    and grace period. Practice templates run it 'record_only': everything is
+    logged, nobody is warned or terminated.
+  - The report page and the admin console show them as an integrity timeline.
+  - Diarization hints (multiple_voices) go through the policy too, throttled;
+    by default they weigh nothing (the STT speaker id is too unreliable).
+
+OBSERVERS:
+  - Mentors the candidate allowed in (see mentor.handler.js) get every turn,
+    amendment and violation through observerRoom(sessionId).
+
+CAPTIONS:
+  - Every 'audio:chunk' carries word timings ({ text, startMs, endMs },
+    relative to the start of that chunk) so the client can highlight each
+    word as it is spoken. They are stored on the turn for replays.
 ================================================================================
 */
 
@@ -28,10 +96,31 @@ const STTService = require('../../services/ai/stt.service');
 const LLMService = require('../../services/ai/llm.service');
 const TTSService = require('../../services/ai/tts.service');
 const AI_CONFIG = require('../../config/ai.config');
+const UserService = require('../../services/user.service');
+const SessionService = require('../../services/session.service');
+const TemplateService = require('../../services/template.service');
+const { InterviewLadder } = require('../../services/interview/interview-ladder');
+const { countWords, isLikelyEcho, buildHeardText } = require('../../services/interview/barge-in');
+const { SessionPolicy } = require('../../services/interview/session-policy');
+const CheckpointStore = require('../../services/interview/checkpoint-store');
+const { PROCTORING_EVENTS, normalizeClientEvent } = require('../../services/interview/proctoring-events');
+const { ProctoringPolicy } = require('../../services/interview/proctoring-policy');
+const { observerRoom, closeObservation } = require('../rooms');
+
+const STATE_CONFIG = require('../../config/state.config');
+
+const BARGE_IN = AI_CONFIG.BARGE_IN;
+
+// A resume waits this long for a dropped owner's final checkpoint save
+const OWNER_RELEASE_WAIT_MS = 2000;
+const OWNER_RELEASE_POLL_MS = 200;
 
 module.exports = (io, socket) => {
   const uid = socket.user.uid;
 
+  // This socket's claim on the user's STT stream (see STTService OWNERSHIP)
+  const sttOwner = `${STATE_CONFIG.INSTANCE_ID}:${socket.id}`;
+
   // ---------------------------------------------------------------------------
   // LOCAL STATE (Per Connection)
   // ---------------------------------------------------------------------------
@@ -39,6 +128,37 @@ module.exports = (io, socket) => {
   let state = 'IDLE'; 
   let conversationHistory = []; // To keep context for LLM
 
+  // Transcript persistence (see SessionService)
+  let activeSessionId = null;  // The `sess_<ts>` id this interview belongs to
+  let turnIndex = 0;           // Order of the next turn written to Firestore
+  let pendingTransitions = []; // State changes since the last recorded turn
+
+  // Difficulty ladder (see InterviewLadder)
+  let ladder = new InterviewLadder();
+
+  // Interview template and its limits (see TemplateService, SessionPolicy)
+  let template = null;
+  let policy = new SessionPolicy();
+  let timeLimitTimer = null;    // Fires after template.timeLimitMinutes
+  let interviewFinished = false;
+
+  // Proctoring score and strikes (see registerViolation, ProctoringPolicy)
+  let proctoring = new ProctoringPolicy();
+  let lastVoiceEventAt = 0; // Throttles multiple_voices events (see startListening)
+
+  // Resume after a reconnect (see saveCheckpoint)
+  let lastCheckpoint = null;   // Last stable state saved for activeSessionId
+
+  // Transcript buffer (see startListening): split utterances become one answer
+  let transcriptBuffer = '';
+  let transcriptTimer = null;
+  let transcriptStartedAt = null;   // When the candidate started this answer
+  let transcriptConfidences = [];   // STT confidence of each final segment
+
+  // Interviewer replies (see beginResponse)
+  let currentResponse = null;  // The reply being generated or played right now
+  let responseCounter = 0;
+
   // ---------------------------------------------------------------------------
   // SECURITY CONSTANTS (Hardcoded for safety, not configurable)
   // ---------------------------------------------------------------------------
@@ -47,53 +167,435 @@ module.exports = (io, socket) => {
 
   
   // ===========================================================================
-  // EVENT: interview:start
+  // HELPERS: STATE & TRANSCRIPT PERSISTENCE
   // ===========================================================================
+
+  /*
+    setState(nextState)
+
+    ROLE: Change the pipeline state AND remember the transition.
+    WHY:  Transitions are stored with the next turn so a transcript shows
+          how long the AI spent thinking/speaking around each answer.
+  */
+  function setState(nextState) {
+    if (nextState === state) return;
+    const now = Date.now();
+    pendingTransitions.push({ from: state, to: nextState, at: now });
+    state = nextState;
+
+    // Thinking time isn't billed (see BillingService)
+    if (nextState === 'THINKING') socket.data.pauseMeter?.pause(now);
+    else socket.data.pauseMeter?.resume(now);
+  }
+
+  /*
+    recordTurn(speaker, text, timing)
+
+    ROLE: Write one turn to Firestore without blocking the conversation.
+    WHY:  A slow or failed write must never stall the interview loop,
+          so we fire-and-forget and only log failures.
+    RETURNS: { sessionId, index, saved } (saved: Promise<Boolean>), so the
+             turn can be amended later, or null if nothing was written.
+  */
+  function recordTurn(speaker, text, {
+    startedAt, endedAt = Date.now(), sttConfidence = null, rung = null, interrupted = false, fullText = null, words = null
+  }) {
+    if (!activeSessionId || !text) return null;
+
+    const turn = {
+      index: turnIndex++,
+      speaker,
+      text,
+      startedAt,
+      endedAt,
+      sttConfidence,
+      rung,
+      stateTransitions: pendingTransitions,
+      interrupted,
+      fullText,
+      words
+    };
+    pendingTransitions = [];
+
+    const saved = SessionService.appendTurn(activeSessionId, turn)
+      .then(() => true)
+      .catch((error) => {
+        console.error(`❌ Interview: Failed to persist turn ${turn.index} for ${uid}:`, error.message);
+        return false;
+      });
+
+    notifyObservers('observe:turn', {
+      turn: { index: turn.index, speaker, text, startedAt, endedAt, rung, interrupted }
+    });
+
+    return { sessionId: activeSessionId, index: turn.index, saved };
+  }
+
+  /*
+    notifyObservers(event, data)
+
+    ROLE: Mirror the interview to mentors watching it (see mentor.handler.js).
+          Nothing is sent if nobody is in the room.
+  */
+  function notifyObservers(event, data) {
+    if (!activeSessionId) return;
+    io.to(observerRoom(activeSessionId)).emit(event, { sessionId: activeSessionId, ...data });
+  }
+
+  /*
+    emitProgress()
+
+    ROLE: Tell the client where the candidate is on the difficulty ladder.
+  */
+  function emitProgress() {
+    socket.emit('interview:progress', ladder.getProgress());
+  }
+
+
   // ===========================================================================
-  // EVENT: interview:start
+  // HELPERS: INTERVIEWER REPLIES & BARGE-IN
   // ===========================================================================
-  socket.on('interview:start', async () => {
-    console.log(`🎤 Interview: Starting for ${uid}`);
-    
-    // STARTING GREETING (VerboAI Persona)
-    const GREETING_TEXT = "Hello, I am Verbo-AI, your technical interviewer for today's session. What topics have you prepared?";
-    
-    // Add to History so LLM knows it already said this
-    conversationHistory.push({ role: 'assistant', content: GREETING_TEXT });
-    
-    // Set initial state to SPEAKING
-    state = 'SPEAKING';
-    socket.emit('interview:status', { state: 'SPEAKING', message: 'Initializing...' });
-    
-    // Send Greeting Audio (Async - don't block listening)
-    sendAudioChunk(GREETING_TEXT);
-    
-    // Immediately start listening so we don't miss user input while TTS generates
-    state = 'LISTENING';
-    
-    // Start Deepgram stream with a callback for when transcripts arrive
-    // Transcript Buffer to handle split utterances
-    let transcriptBuffer = '';
-    let transcriptTimer = null;
-    const TRANSCRIPT_DEBOUNCE_MS = 800; // 0.8s silence after speech ends
 
-    STTService.startStream(uid, async (data) => {
-      // Only process if we are listening
-      if (state !== 'LISTENING') return;
+  /*
+    beginResponse()
+
+    ROLE: Start tracking one interviewer reply (the greeting or an LLM answer).
+    WHY:  To cut a reply short we need to know which sentences went out
+          (chunks, index = seq), whether it is still being generated and
+          whether the client is still playing it.
+  */
+  function beginResponse() {
+    let markSettled;
+    const response = {
+      id: `resp_${Date.now()}_${++responseCounter}`,
+      chunks: [],            // Sentences sent as audio, index = seq
+      words: [],             // Word timings of those sentences ({ seq, text, startMs, endMs })
+      streaming: true,       // LLM/TTS are still producing sentences
+      playbackActive: true,  // Client hasn't finished playing it yet
+      lastPlayedSeq: -1,     // Last sentence the client reported as played
+      aborted: false,        // The candidate barged in
+      heard: null,           // Promise<String> of what was heard (after a barge-in)
+      resolveAck: null,      // Resolves `heard` when 'audio:played' arrives
+      historyEntry: null,    // This reply's message in conversationHistory
+      turn: null,            // recordTurn() result, for amending
+      settled: new Promise((resolve) => { markSettled = resolve; })
+    };
+    response.markSettled = markSettled;
+    currentResponse = response;
+    return response;
+  }
+
+  /*
+    finishResponse(response, fullText, timing)
 
+    ROLE: The reply is done generating. Put what the candidate heard into
+          history and the transcript.
+    NOTE: Not interrupted -> synchronous, so a barge-in can't slip in
+          between the flag and the history entry.
+    RETURNS: The text that was kept (may be empty).
+  */
+  async function finishResponse(response, fullText, { startedAt, rung = null }) {
+    response.streaming = false;
+    if (response.lastPlayedSeq >= response.chunks.length - 1) response.playbackActive = false;
+
+    const generated = fullText.trim();
+    const text = response.aborted ? await response.heard : generated;
+
+    if (text) {
+      response.historyEntry = { role: 'assistant', content: text };
+      conversationHistory.push(response.historyEntry);
+      response.turn = recordTurn('assistant', text, {
+        startedAt,
+        rung,
+        interrupted: response.aborted,
+        fullText: response.aborted ? generated : null,
+        words: response.words
+      });
+    }
+
+    response.markSettled();
+    return text;
+  }
+
+  /*
+    isPlaybackActive()
+
+    RETURNS: true while the client is (probably) still playing the reply.
+             The server finishes streaming well before the audio ends.
+  */
+  function isPlaybackActive() {
+    return Boolean(currentResponse && currentResponse.playbackActive && !currentResponse.aborted);
+  }
+
+  /*
+    isBargeIn(text)
+
+    RETURNS: true if this transcript is the candidate talking over the
+             interviewer, not a cough or the interviewer's own echo.
+  */
+  function isBargeIn(text) {
+    if (countWords(text) < BARGE_IN.MIN_WORDS) return false;
+    return !isLikelyEcho(text, currentResponse?.chunks.join(' '), BARGE_IN.ECHO_OVERLAP_RATIO);
+  }
+
+  /*
+    interruptResponse()
+
+    ROLE: Stop the interviewer mid-reply.
+    HOW:  1. Flag the reply so the LLM loop and TTS stop producing audio.
+          2. 'audio:stop' makes the client flush its queue and report how
+             far playback got ('audio:played' with interrupted: true).
+          3. The heard text replaces the full reply (finishResponse, or
+             amendInterruptedTurn if the reply was already finished).
+  */
+  function interruptResponse() {
+    const response = currentResponse;
+    if (!response || response.aborted) return;
+
+    response.aborted = true;
+    response.playbackActive = false;
+    console.log(`✋ Interview: ${uid} barged in on ${response.id}`);
+
+    response.heard = new Promise((resolve) => {
+      // No answer from the client: assume everything sent so far was heard
+      const timer = setTimeout(() => {
+        resolve({ lastSeq: response.chunks.length - 1, lastSeqFraction: 1 });
+      }, BARGE_IN.ACK_TIMEOUT_MS);
+
+      response.resolveAck = (ack) => {
+        clearTimeout(timer);
+        resolve(ack);
+      };
+    }).then(({ lastSeq, lastSeqFraction }) => buildHeardText(response.chunks, lastSeq, lastSeqFraction));
+
+    socket.emit('audio:stop', { responseId: response.id });
+
+    if (!response.streaming) {
+      response.settled = amendInterruptedTurn(response);
+    }
+  }
+
+  /*
+    amendInterruptedTurn(response)
+
+    ROLE: The candidate cut off a reply that was already in history and
+          (maybe) already written to Firestore. Shorten both to what was heard.
+  */
+  async function amendInterruptedTurn(response) {
+    const heard = await response.heard;
+    const entry = response.historyEntry;
+    if (!entry) return;
+
+    const fullText = entry.content;
+    if (heard) {
+      entry.content = heard;
+    } else {
+      conversationHistory = conversationHistory.filter((message) => message !== entry);
+    }
+
+    const turn = response.turn;
+    if (turn && await turn.saved) {
+      SessionService.updateTurn(turn.sessionId, turn.index, { text: heard, interrupted: true, fullText })
+        .catch((error) => {
+          console.error(`❌ Interview: Failed to amend turn ${turn.index} for ${uid}:`, error.message);
+        });
+    }
+    if (turn) {
+      notifyObservers('observe:turn_update', { index: turn.index, text: heard, interrupted: true });
+    }
+
+    saveCheckpoint();
+  }
+
+
+  // ===========================================================================
+  // HELPERS: SESSION POLICY & VIOLATIONS
+  // ===========================================================================
+
+  // For reasons the shared schema (PROCTORING_EVENTS) gives no message of their own
+  const DEFAULT_WARNING = '⚠️ Warning: Integrity violation detected. Further violations will terminate the interview.';
+  const DEFAULT_TERMINATION = '🚫 Interview Terminated. Integrity violation detected.';
+
+  // One multiple_voices event per this many ms (STT reports it on every segment)
+  const VOICE_EVENT_INTERVAL_MS = 10000;
+
+  /*
+    logViolation(reason, verdict, evidence)
+
+    ROLE: Keep a record of the event for the integrity timeline and the
+          admin console (SessionService) and show it to mentors watching live.
+    PARAMS:
+      - verdict:  { action, weight, score, strike } from ProctoringPolicy
+      - evidence: { source, metrics, clientAt } (see PROCTORING LOG)
+  */
+  function logViolation(reason, verdict, { source = 'server', metrics = null, clientAt = null } = {}) {
+    if (!activeSessionId) return;
+    const violation = {
+      uid,
+      reason,
+      count: verdict.strike,
+      action: verdict.action,
+      weight: verdict.weight,
+      score: verdict.score,
+      source,
+      metrics,
+      clientAt,
+      at: Date.now()
+    };
+
+    SessionService.recordViolation(activeSessionId, violation)
+      .catch(() => {}); // Logged by SessionService; never blocks the interview
+    notifyObservers('observe:violation', { violation });
+  }
+
+  /*
+    registerViolation(reason, options)
+
+    ROLE: Let ProctoringPolicy weigh the event, then log it, warn the
+          candidate or end the session.
+    PARAMS:
+      - reason:            Reason code from shared/proctoring-events.json
+      - options.evidence:  Stored with the event (see logViolation)
+    RETURNS: true if the session was terminated (or is already over).
+    NOTE: Events that arrive after the interview ended are ignored, so a
+          late report can't terminate (and end the session) a second time.
+  */
+  function registerViolation(reason, { evidence = {} } = {}) {
+    if (interviewFinished) {
+      console.log(`🔇 Security: Ignoring ${reason} from ${uid}; the interview is over`);
+      return true;
+    }
+
+    const verdict = proctoring.evaluate(reason);
+    console.warn(`🚨 Security: Violation detected for ${uid} (Reason: ${reason}, Score: ${verdict.score}, Action: ${verdict.action})`);
+
+    logViolation(reason, verdict, evidence);
+
+    if (verdict.action === 'logged') return false;
+
+    if (verdict.action === 'warning') {
+      socket.emit('session:warning', { message: PROCTORING_EVENTS[reason]?.warning || DEFAULT_WARNING });
+      return false;
+    }
+
+    // Over the threshold: Termination
+    console.error(`🛑 Security: Terminating session for ${uid} due to repeated violations (last: ${reason}).`);
+    clearCheckpoint();
+    interviewFinished = true;
+    clearTimeout(timeLimitTimer);
+    if (currentResponse && (currentResponse.streaming || isPlaybackActive())) interruptResponse();
+    setState('IDLE'); // Kill the loop
+    STTService.endStream(uid, { owner: sttOwner });
+    socket.emit('session:end', {
+      reason: 'violation',
+      message: PROCTORING_EVENTS[reason]?.termination || DEFAULT_TERMINATION
+    });
+    endTerminatedSession();
+    return true;
+  }
+
+  /*
+    endTerminatedSession()
+
+    ROLE: Close a session proctoring terminated, on the server.
+    WHY:  The locked-out client never ends it itself, so billing would run
+          on until the reaper found it, and no report would be made.
+          endInterviewSession stops the clock and starts the report.
+  */
+  async function endTerminatedSession() {
+    try {
+      const sessionId = await UserService.endInterviewSession(uid, {
+        closedBy: 'violation',
+        pausedMs: socket.data.pauseMeter?.drain() || 0
+      });
+      if (sessionId) closeObservation(io, sessionId, 'ended');
+    } catch (error) {
+      console.error(`❌ Interview: Could not end the terminated session of ${uid}:`, error.message);
+    }
+  }
+
+  /*
+    finishInterview(reason)
+
+    ROLE: Wrap up gracefully when a session limit is reached.
+    HOW:  Say the template's closing line, stop listening, then tell the
+          client ('interview:complete') so it ends the session and opens
+          the report once the audio has played.
+  */
+  async function finishInterview(reason) {
+    if (interviewFinished) return;
+    clearCheckpoint();
+    interviewFinished = true;
+    clearTimeout(timeLimitTimer);
+    console.log(`🏁 Interview: Wrapping up for ${uid} (${reason})`);
+
+    setState('SPEAKING');
+    socket.emit('interview:status', { state: 'SPEAKING', message: 'Wrapping up...' });
+
+    const closing = beginResponse();
+    const startedAt = Date.now();
+    await sendAudioChunk(template.closing, closing);
+    await finishResponse(closing, template.closing, { startedAt });
+
+    setState('IDLE');
+    STTService.endStream(uid, { owner: sttOwner });
+    socket.emit('interview:complete', { reason });
+  }
+
+
+  // ===========================================================================
+  // HELPERS: LISTENING, TIME LIMIT & RESUME
+  // ===========================================================================
+
+  /*
+    startListening()
+
+    ROLE: Open the STT stream and turn transcripts into candidate answers.
+    HOW:  Final segments are buffered; after a pause the buffer becomes one
+          answer (handleUserTurnComplete).
+    RETURNS: false if speech recognition couldn't be started.
+  */
+  function startListening() {
+    transcriptBuffer = '';
+    transcriptStartedAt = null;
+    transcriptConfidences = [];
+    clearTimeout(transcriptTimer);
+
+    return STTService.startStream(uid, async (data) => {
       // Handle both legacy string and new object format
-      const { text, isFinal, speaker } = (typeof data === 'string') 
-        ? { text: data, isFinal: true, speaker: 0 } 
+      const { text, isFinal, speaker, confidence } = (typeof data === 'string') 
+        ? { text: data, isFinal: true, speaker: 0, confidence: null } 
         : data;
 
+      // BARGE-IN: The candidate talks while the interviewer is still speaking.
+      // Echo and short noises are dropped; real speech stops the interviewer
+      // and becomes the start of the candidate's answer.
+      const interviewerTalking = state === 'SPEAKING' || (state === 'LISTENING' && isPlaybackActive());
+      if (BARGE_IN.ENABLED && interviewerTalking) {
+        if (!isBargeIn(text)) return;
+
+        interruptResponse();
+        setState('LISTENING');
+        socket.emit('interview:status', { state: 'LISTENING', message: 'Go ahead...' });
+      }
+
+      // Only process if we are listening
+      if (state !== 'LISTENING') return;
+
       // SPEAKER MONITORING (Anti-Cheating)
-      // If speaker ID is not 0, it means Deepgram detected a different voice profile.
+      // If speaker ID is not 0, the STT provider detected a different voice profile.
       if (speaker > 0) {
         console.warn(`🚨 Security: Voice Profile mismatch for ${uid} (Speaker ${speaker} detected)`);
-        socket.emit('session:violation', { reason: 'multiple_voices' });
+
+        const now = Date.now();
+        if (now - lastVoiceEventAt > VOICE_EVENT_INTERVAL_MS) {
+          lastVoiceEventAt = now;
+          if (registerViolation('multiple_voices', { evidence: { metrics: { speaker } } })) return;
+        }
       }
 
       if (!text || !text.trim()) return;
+      if (!transcriptStartedAt) transcriptStartedAt = Date.now();
 
       // 1. ALWAYS reset timer on ANY activity (Interim or Final)
       // This ensures we never cut the user off while they are actively speaking
@@ -103,6 +605,7 @@ module.exports = (io, socket) => {
       if (isFinal) {
         console.log(`📝 Buffering Final: "${text}"`);
         transcriptBuffer += (transcriptBuffer ? ' ' : '') + text.trim();
+        if (typeof confidence === 'number') transcriptConfidences.push(confidence);
       }
 
       // 3. Set the timer with DYNAMIC logic based on punctuation
@@ -121,7 +624,13 @@ module.exports = (io, socket) => {
         console.log(`🚀 Processing Turn (Waited ${waitTime}ms): "${transcriptBuffer}"`);
         
         let safeTranscript = transcriptBuffer;
+        const turnTiming = {
+          startedAt: transcriptStartedAt || Date.now(),
+          sttConfidence: averageConfidence(transcriptConfidences)
+        };
         transcriptBuffer = ''; // Clear immediately
+        transcriptStartedAt = null;
+        transcriptConfidences = [];
         
         // Truncate if too long
         if (safeTranscript.length > MAX_TRANSCRIPT_LENGTH) {
@@ -129,13 +638,314 @@ module.exports = (io, socket) => {
           safeTranscript = safeTranscript.substring(0, MAX_TRANSCRIPT_LENGTH) + '...';
         }
         
-        await handleUserTurnComplete(safeTranscript);
+        await handleUserTurnComplete(safeTranscript, turnTiming);
       }, waitTime);
+    }, { owner: sttOwner });
+  }
+
+  /*
+    startTimeLimit()
+
+    ROLE: Wrap up when policy.remainingMs runs out: right away if the
+          candidate isn't mid-answer, otherwise right after their current
+          answer (handleUserTurnComplete).
+  */
+  function startTimeLimit() {
+    clearTimeout(timeLimitTimer);
+    timeLimitTimer = setTimeout(() => {
+      policy.markTimeUp();
+      console.log(`⏰ Interview: Time limit reached for ${uid}`);
+      finishIfIdle();
+    }, policy.remainingMs);
+  }
+
+  /*
+    finishIfIdle()
+
+    ROLE: A limit was reached. Wrap up now if the candidate is just
+          listening; otherwise the answer in progress is the last one
+          (see policy.recordCandidateTurn in handleUserTurnComplete).
+  */
+  function finishIfIdle() {
+    if (state === 'LISTENING' && !isPlaybackActive() && !transcriptBuffer.trim()) {
+      finishInterview(policy.wrapUpReason);
+    }
+  }
+
+  /*
+    saveCheckpoint()
+
+    ROLE: Remember what a new socket needs to pick the interview up.
+    WHEN: At stable points only (greeting said, reply finished and the
+          ladder updated, interrupted reply amended), never mid-reply.
+  */
+  function saveCheckpoint() {
+    if (!activeSessionId || interviewFinished || !template) return;
+
+    lastCheckpoint = {
+      uid,
+      templateId: template.id,
+      history: conversationHistory.map(message => ({ ...message })),
+      ladder: ladder.toJSON(),
+      policy: policy.toJSON(),
+      proctoring: proctoring.toJSON(),
+      turnIndex
+    };
+
+    CheckpointStore.save(activeSessionId, lastCheckpoint).catch((error) => {
+      console.error(`❌ Interview: Failed to checkpoint ${activeSessionId}:`, error.message);
+    });
+  }
+
+  /*
+    claimSession(sessionId)
+
+    ROLE: Make this socket the one running the interview before it is resumed.
+    RETURNS: false if another connected socket (a second tab) runs it.
+    NOTE: An owner whose socket is gone is still saving its last checkpoint
+          (it releases the session afterwards), so give it a moment.
+          Fails open like RateLimiter: a state store outage shouldn't block resumes.
+  */
+  async function claimSession(sessionId) {
+    try {
+      if (await CheckpointStore.claimOwner(sessionId, sttOwner)) return true;
+
+      const owner = await CheckpointStore.getOwner(sessionId);
+      const ownerSocketId = owner?.split(':').pop();
+      if (ownerSocketId && (await io.in(ownerSocketId).fetchSockets()).length > 0) return false;
+
+      const giveUpAt = Date.now() + OWNER_RELEASE_WAIT_MS;
+      while (Date.now() < giveUpAt) {
+        await new Promise(resolve => setTimeout(resolve, OWNER_RELEASE_POLL_MS));
+        if (await CheckpointStore.claimOwner(sessionId, sttOwner)) return true;
+      }
+
+      console.warn(`⚠️ Interview: Taking over ${sessionId} from ${owner}`);
+      return CheckpointStore.claimOwner(sessionId, sttOwner, { force: true });
+    } catch (error) {
+      console.error(`❌ Interview: Could not claim ${sessionId}:`, error.message);
+      return true;
+    }
+  }
+
+  /*
+    clearCheckpoint()
+
+    ROLE: The interview is over; it must not be resumed.
+  */
+  function clearCheckpoint() {
+    lastCheckpoint = null;
+    if (!activeSessionId) return;
+    CheckpointStore.delete(activeSessionId).catch((error) => {
+      console.error(`❌ Interview: Failed to clear checkpoint ${activeSessionId}:`, error.message);
     });
+  }
+
+  /*
+    repeatLastQuestion()
+
+    ROLE: After a resume, say the last interviewer message again.
+    NOTE: It is already in history and the transcript, so it isn't added
+          a second time (the reply has no historyEntry to amend either).
+  */
+  async function repeatLastQuestion() {
+    const lastQuestion = [...conversationHistory].reverse().find(message => message.role === 'assistant');
+    if (!lastQuestion) return;
+
+    const response = beginResponse();
+    await sendAudioChunk(lastQuestion.content, response);
+
+    response.streaming = false;
+    if (response.lastPlayedSeq >= response.chunks.length - 1) response.playbackActive = false;
+    response.markSettled();
+  }
+
+
+  // ===========================================================================
+  // EVENT: interview:start
+  // ===========================================================================
+  /*
+    PARAMS:
+      - payload.templateId: Optional. Unknown ids fall back to the default template.
+  */
+  socket.on('interview:start', async (payload) => {
+    console.log(`🎤 Interview: Starting for ${uid}`);
+
+    template = TemplateService.resolveTemplate(typeof payload?.templateId === 'string' ? payload.templateId : null);
+    if (!template) {
+      socket.emit('error', { message: 'No interview templates are available.' });
+      return;
+    }
+    console.log(`📋 Interview: Using template "${template.id}" for ${uid}`);
+
+    // Find the session this interview belongs to (created by session:start)
+    try {
+      const user = await UserService.findUserByUid(uid);
+      activeSessionId = user?.activeSessionId || null;
+    } catch (error) {
+      console.error(`❌ Interview: Could not load active session for ${uid}:`, error.message);
+    }
+
+    if (!activeSessionId) {
+      console.warn(`⚠️ Interview: No active session for ${uid}. Transcript will not be saved.`);
+    } else {
+      SessionService.updateSession(activeSessionId, {
+        templateId: template.id,
+        templateName: template.name,
+        proctoringMode: template.proctoring.mode
+      })
+        .catch(() => {}); // Logged by SessionService; the interview goes on
+
+      // A new interview: whoever ran this session before is replaced
+      CheckpointStore.claimOwner(activeSessionId, sttOwner, { force: true }).catch((error) => {
+        console.error(`❌ Interview: Could not claim ${activeSessionId}:`, error.message);
+      });
+    }
+
+    socket.emit('interview:template', TemplateService.toSummary(template));
+
+    // Fresh ladder for every interview (the template may skip the opening questions)
+    ladder = new InterviewLadder({
+      domain: template.domain,
+      niche: template.niche,
+      startingRung: template.startingRung
+    });
+    emitProgress();
+
+    // Fresh limits for every interview
+    policy = new SessionPolicy({
+      maxTurns: template.maxTurns,
+      timeLimitMinutes: template.timeLimitMinutes
+    });
+    proctoring = new ProctoringPolicy(template.proctoring);
+    interviewFinished = false;
+    clearTimeout(timeLimitTimer);
+    
+    // STARTING GREETING (from the template)
+    const GREETING_TEXT = template.greeting;
+    
+    // Set initial state to SPEAKING
+    setState('SPEAKING');
+    socket.emit('interview:status', { state: 'SPEAKING', message: 'Initializing...' });
+    
+    // Send Greeting Audio (Async - don't block listening)
+    // finishResponse adds it to History so LLM knows it already said this
+    const greeting = beginResponse();
+    const greetingStartedAt = Date.now();
+    sendAudioChunk(GREETING_TEXT, greeting)
+      .then(() => finishResponse(greeting, GREETING_TEXT, { startedAt: greetingStartedAt }))
+      .then(() => saveCheckpoint());
+    
+    // Immediately start listening so we don't miss user input while TTS generates
+    setState('LISTENING');
+    
+    // Start the STT stream with a callback for when transcripts arrive
+    if (!startListening()) {
+      socket.emit('error', { message: 'Speech recognition is unavailable right now.' });
+      return;
+    }
+
+    policy.startClock();
+    startTimeLimit();
     
     socket.emit('interview:status', { state: 'LISTENING', message: 'I am listening...' });
   });
 
+
+  // ===========================================================================
+  // EVENT: interview:resume (Reconnect / Page Refresh)
+  // ===========================================================================
+  /*
+    PARAMS:
+      - payload.sessionId: The session the client was in (must still be active)
+      - callback: Acknowledgement, like 'session:start'
+    REPLY:
+      { success: true, sessionId, elapsedSec, history: [{ role: 'user'|'ai', text }] }
+      { success: false, error }  -> the client starts a new interview instead
+  */
+  socket.on('interview:resume', async (payload, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    console.log(`🔁 Interview: Resume requested by ${uid}`);
+
+    let user = null;
+    try {
+      user = await UserService.findUserByUid(uid);
+    } catch (error) {
+      console.error(`❌ Interview: Could not load active session for ${uid}:`, error.message);
+    }
+
+    const sessionId = user?.activeSessionId || null;
+    if (!sessionId || (payload?.sessionId && payload.sessionId !== sessionId)) {
+      reply({ success: false, error: 'This interview has already ended.' });
+      return;
+    }
+
+    if (!(await claimSession(sessionId))) {
+      console.warn(`⚠️ Interview: ${sessionId} is already running on another socket; resume refused`);
+      reply({ success: false, error: 'This interview is already open in another tab.' });
+      return;
+    }
+
+    // The room 'session:start' joined on the old socket (admin end, observation...)
+    socket.join(sessionId);
+
+    // Waits for this instance's pending saves (the old socket's 'disconnect' one)
+    const checkpoint = await CheckpointStore.load(sessionId).catch(() => null);
+    if (!checkpoint || checkpoint.uid !== uid) {
+      reply({ success: false, error: 'This interview can no longer be resumed.' });
+      return;
+    }
+
+    template = TemplateService.resolveTemplate(checkpoint.templateId);
+    if (!template) {
+      reply({ success: false, error: 'No interview templates are available.' });
+      return;
+    }
+
+    // Restore the interview as it was at the last checkpoint
+    activeSessionId = sessionId;
+    conversationHistory = checkpoint.history;
+    ladder = InterviewLadder.fromJSON(checkpoint.ladder);
+    policy = SessionPolicy.fromJSON(checkpoint.policy);
+    turnIndex = checkpoint.turnIndex;
+    proctoring = checkpoint.proctoring
+      ? ProctoringPolicy.fromJSON(checkpoint.proctoring)
+      : new ProctoringPolicy(template.proctoring); // Saved before proctoring policies existed
+    lastCheckpoint = checkpoint;
+    pendingTransitions = [];
+    interviewFinished = false;
+    console.log(`🔁 Interview: Resuming ${sessionId} for ${uid} at turn ${turnIndex}`);
+
+    reply({
+      success: true,
+      sessionId,
+      elapsedSec: user.currentSessionStartTime ? Math.round((Date.now() - user.currentSessionStartTime) / 1000) : 0,
+      history: conversationHistory.map(message => ({
+        role: message.role === 'assistant' ? 'ai' : 'user',
+        text: message.content
+      }))
+    });
+
+    socket.emit('interview:template', TemplateService.toSummary(template));
+    emitProgress();
+
+    // Re-ask the last question (Async - don't block listening, like the greeting)
+    setState('SPEAKING');
+    socket.emit('interview:status', { state: 'SPEAKING', message: 'Picking up where we left off...' });
+    repeatLastQuestion();
+    setState('LISTENING');
+
+    if (!startListening()) {
+      socket.emit('error', { message: 'Speech recognition is unavailable right now.' });
+      return;
+    }
+
+    if (!policy.endsAt) policy.startClock();
+    startTimeLimit();
+
+    socket.emit('interview:status', { state: 'LISTENING', message: 'I am listening...' });
+  });
+
   
   // ===========================================================================
   // EVENT: audio:chunk (User Speaking)
@@ -146,8 +956,10 @@ module.exports = (io, socket) => {
     
     // -------------------------------------------------------------------------
     // SAFEGUARD: STATE CHECK
+    // While SPEAKING, audio still goes to STT so the candidate can barge in.
     // -------------------------------------------------------------------------
-    if (state !== 'LISTENING') {
+    const canBargeIn = BARGE_IN.ENABLED && state === 'SPEAKING';
+    if (state !== 'LISTENING' && !canBargeIn) {
       console.log(`🚫 Interview: Ignoring chunk - state is ${state}, not LISTENING`);
       return;
     }
@@ -160,7 +972,7 @@ module.exports = (io, socket) => {
       return;
     }
 
-    // Send audio to Deepgram for processing
+    // Send audio to the STT provider for processing
     const sttResult = STTService.processAudio(uid, audioData);
 
     // -------------------------------------------------------------------------
@@ -192,7 +1004,33 @@ module.exports = (io, socket) => {
       return;
     }
     
-    // Deepgram handles transcription and calls the callback we passed in interview:start
+    // The STT provider handles transcription and calls the callback we passed in interview:start
+  });
+
+
+  // ===========================================================================
+  // EVENT: audio:played (Client Playback Report)
+  // ===========================================================================
+  // Sent when the client's audio queue drains (interrupted: false) and in
+  // reply to 'audio:stop' (interrupted: true, with how far playback got).
+  socket.on('audio:played', (data) => {
+    const response = currentResponse;
+    if (!response || data?.responseId !== response.id) return;
+
+    const lastSeq = Number.isInteger(data.lastSeq) ? data.lastSeq : -1;
+
+    if (data.interrupted) {
+      const lastSeqFraction = Number(data.lastSeqFraction);
+      if (response.resolveAck) {
+        response.resolveAck({ lastSeq, lastSeqFraction: Number.isFinite(lastSeqFraction) ? lastSeqFraction : 0 });
+      }
+      return;
+    }
+
+    response.lastPlayedSeq = Math.max(response.lastPlayedSeq, lastSeq);
+    if (!response.streaming && response.lastPlayedSeq >= response.chunks.length - 1) {
+      response.playbackActive = false;
+    }
   });
 
 
@@ -211,7 +1049,7 @@ module.exports = (io, socket) => {
       safeTranscript = safeTranscript.substring(0, MAX_TRANSCRIPT_LENGTH) + '...';
     }
 
-    await handleUserTurnComplete(safeTranscript);
+    await handleUserTurnComplete(safeTranscript, { startedAt: Date.now() });
   });
 
 
@@ -222,43 +1060,99 @@ module.exports = (io, socket) => {
   // CORE LOGIC: HANDLE TURN COMPLETION (STREAMING)
   // ===========================================================================
   
-  async function sendAudioChunk(text) {
-    if (!text || !text.trim()) return;
+  async function sendAudioChunk(text, response) {
+    if (!text || !text.trim() || response.aborted) return;
     try {
       console.log(`🗣️ TTS: Generating chunk: "${text}"`);
-      const audioBuffer = await TTSService.generateAudio(text);
-      const audioBase64 = audioBuffer.toString('base64');
-      
+      const { audio, mimeType, words } = await TTSService.generateAudio(text, { voice: template?.voice });
+
+      // The candidate barged in while we were synthesizing
+      if (response.aborted) return;
+
+      const seq = response.chunks.push(text) - 1;
+      response.words.push(...words.map(word => ({ seq, ...word })));
+
       socket.emit('audio:chunk', {
         text: text,
-        audio: audioBase64 
+        audio: audio.toString('base64'),
+        mimeType: mimeType, // 'audio/mpeg' (Edge) or 'audio/wav' (Piper, stub)
+        words: words,       // [{ text, startMs, endMs }] for captions
+        responseId: response.id,
+        seq: seq
       });
     } catch (error) {
        console.error('❌ TTS Chunk Failed:', error.message);
     }
   }
 
-  async function handleUserTurnComplete(userText) {
-    if (!userText) return;
+  function averageConfidence(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  async function handleUserTurnComplete(rawText, turnTiming = {}) {
+    if (!rawText || interviewFinished) return;
+
+    // The reply being answered (or cut off) must be in history first
+    if (currentResponse) await currentResponse.settled;
+    if (interviewFinished || socket.disconnected) return; // A resumed socket takes over
+
+    // Masked before it is stored or reaches the LLM
+    const { text: userText, verdict } = policy.reviewCandidateText(rawText);
 
     // A. SWITCH STATE -> THINKING
-    state = 'THINKING';
+    recordTurn('candidate', userText, {
+      startedAt: turnTiming.startedAt || Date.now(),
+      sttConfidence: turnTiming.sttConfidence ?? null
+    });
+    setState('THINKING');
     socket.emit('interview:status', { state: 'THINKING', message: 'Let me think...' });
     socket.emit('user:transcript', { text: userText });
+    const responseStartedAt = Date.now();
 
     // Update History immediately with user input
     conversationHistory.push({ role: 'user', content: userText });
 
+    // MODERATION: A strike like any other violation (the policy warns or ends)
+    if (verdict && registerViolation(verdict)) return;
+
+    // SESSION LIMITS: That was the last answer -> closing line instead of a question
+    const wrapUpReason = policy.recordCandidateTurn();
+    if (wrapUpReason) {
+      await finishInterview(wrapUpReason);
+      return;
+    }
+
+    // The opening answers tell us the domain and niche
+    if (ladder.recordCandidateAnswer(userText)) emitProgress();
+
+    // The rung this reply is asked at (captured before the ladder climbs)
+    const replyRung = ladder.rung;
+    const response = beginResponse();
+
     try {
       // B. CALL LLM (Stream)
-      const stream = LLMService.generateResponseStream(conversationHistory, userText);
+      const stream = LLMService.generateResponseStream(conversationHistory, userText, {
+        stateHeader: ladder.buildStateHeader(),
+        templatePrompt: TemplateService.buildTemplatePrompt(template),
+        sessionId: activeSessionId
+      });
       
-      let fullAiResponse = "";
+      let fullAiResponse = ""; // What was actually spoken (after moderation)
       let sentenceBuffer = "";
       let isFirstChunk = true;
 
+      // Moderated sentence -> fullAiResponse -> TTS
+      const speakSentence = async (sentence) => {
+        const { text } = policy.reviewInterviewerText(sentence);
+        fullAiResponse += (fullAiResponse ? ' ' : '') + text;
+        await sendAudioChunk(text, response);
+      };
+
       for await (const chunk of stream) {
-        fullAiResponse += chunk;
+        // The candidate barged in: stop generating (closes the LLM stream)
+        if (response.aborted) break;
+
         sentenceBuffer += chunk;
         
         // Sentence Detection Logic
@@ -276,13 +1170,13 @@ module.exports = (io, socket) => {
              // Process the sentence
              if (sentence.trim()) {
                  if (isFirstChunk) {
-                     state = 'SPEAKING';
+                     setState('SPEAKING');
                      socket.emit('interview:status', { state: 'SPEAKING', message: 'Responding...' });
                      isFirstChunk = false;
                  }
                  
                  // Generate Audio for this sentence
-                 await sendAudioChunk(sentence.trim());
+                 await speakSentence(sentence.trim());
              }
              
              sentenceBuffer = remaining;
@@ -290,64 +1184,70 @@ module.exports = (io, socket) => {
       }
 
       // Handle any remaining text in buffer (e.g. no punctuation at absolute end)
-      if (sentenceBuffer.trim()) {
+      if (sentenceBuffer.trim() && !response.aborted) {
          if (isFirstChunk) {
-             state = 'SPEAKING';
+             setState('SPEAKING');
              socket.emit('interview:status', { state: 'SPEAKING', message: 'Responding...' });
          }
-         await sendAudioChunk(sentenceBuffer.trim());
+         await speakSentence(sentenceBuffer.trim());
       }
       
-      // Update History with full AI response
-      conversationHistory.push({ role: 'assistant', content: fullAiResponse });
+      // Update History with the AI response (only the heard part if interrupted)
+      const spokenText = await finishResponse(response, fullAiResponse, { startedAt: responseStartedAt, rung: replyRung });
+      if (spokenText && ladder.recordInterviewerReply(spokenText)) emitProgress();
       if (conversationHistory.length > 20) conversationHistory = conversationHistory.slice(-20);
+      saveCheckpoint();
 
       // F. RESET TO LISTENING
       // Ideally client finishes audio then we go to listening.
       // But we set it here to allow interruptions or next turn readiness.
-      state = 'LISTENING';
-      socket.emit('interview:status', { state: 'LISTENING', message: 'Your turn...' });
+      // (A barge-in already switched us to LISTENING.)
+      if (!response.aborted) {
+        setState('LISTENING');
+        socket.emit('interview:status', { state: 'LISTENING', message: 'Your turn...' });
+      }
 
     } catch (error) {
       console.error('❌ Interview Loop Failed:', error);
       socket.emit('error', { message: 'I lost my train of thought.' });
-      state = 'LISTENING'; // Reset safely
+      response.streaming = false;
+      response.playbackActive = false;
+      response.markSettled();
+      setState('LISTENING'); // Reset safely
     }
   }
 
   // ===========================================================================
   // EVENT: session:violation (Anti-Cheating)
   // ===========================================================================
-  let violationCount = 0;
-  
-  socket.on('session:violation', (data) => {
-    violationCount++;
-    const reason = data?.reason || 'tab_switch';
-    console.warn(`🚨 Security: Violation detected for ${uid} (Reason: ${reason}, Count: ${violationCount})`);
+  /*
+    PARAMS: { version, reason, metrics, clientAt } (see proctoring-events.js)
+    REPLIES: (optional) { success, error }. A payload that doesn't match the
+             shared schema is rejected and never counts.
+  */
+  socket.on('session:violation', (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
 
-    let warningMessage = '⚠️ Warning: Tab switching is PROHIBITED. One more violation will terminate the interview.';
-    
-    if (reason === 'multiple_voices') {
-      warningMessage = '⚠️ Warning: Multiple voices detected. Assistance from others is PROHIBITED.';
-    } else if (reason === 'looking_away') {
-      warningMessage = '⚠️ Warning: You are looking away from the screen too frequently.';
-    } else if (reason === 'not_visible') {
-      warningMessage = '⚠️ Warning: You are not properly visible to the camera.';
-    }
-
-    if (violationCount === 1) {
-      // Strike 1: Stern Warning
-      socket.emit('session:warning', { message: warningMessage });
-    } 
-    else if (violationCount >= 2) {
-      // Strike 2: Termination
-      console.error(`🛑 Security: Terminating session for ${uid} due to repeated violations.`);
-      state = 'IDLE'; // Kill the loop
-      socket.emit('session:end', { 
-        reason: 'violation',
-        message: '🚫 Interview Terminated. Integrity violation detected.' 
-      });
+    const { event, error } = normalizeClientEvent(data);
+    if (error) {
+      console.warn(`⚠️ Security: Rejected violation report from ${uid}: ${error}`);
+      reply({ success: false, error });
+      return;
     }
+
+    registerViolation(event.reason, { evidence: { source: 'client', metrics: event.metrics, clientAt: event.clientAt } });
+    reply({ success: true });
+  });
+
+
+  // ===========================================================================
+  // SERVER EVENT: quota:exhausted (from the session handler)
+  // ===========================================================================
+  socket.data.events?.on('quota:exhausted', () => {
+    if (interviewFinished || !template) return;
+    policy.markQuotaExhausted();
+    console.log(`⌛ Interview: Time budget ran out for ${uid}`);
+    finishIfIdle();
   });
 
 
@@ -355,7 +1255,33 @@ module.exports = (io, socket) => {
   // CLEANUP
   // ===========================================================================
   socket.on('disconnect', () => {
-    STTService.endStream(uid);
+    clearTimeout(timeLimitTimer);
+    clearTimeout(transcriptTimer);
+    STTService.endStream(uid, { owner: sttOwner });
+
+    // Keep the interview resumable for LIMITS.RESUME_WINDOW_SECONDS.
+    // Turn numbers and the proctoring score move on between checkpoints; carry
+    // them over so a resumed socket doesn't overwrite turns or reset violations.
+    // The session is released only after that save, so a resume never loads an older one.
+    if (activeSessionId) {
+      const sessionId = activeSessionId;
+      const finalSave = lastCheckpoint && !interviewFinished
+        ? CheckpointStore.save(sessionId, { ...lastCheckpoint, turnIndex, proctoring: proctoring.toJSON() }).catch((error) => {
+          console.error(`❌ Interview: Failed to checkpoint ${sessionId}:`, error.message);
+        })
+        : Promise.resolve();
+
+      finalSave
+        .then(() => CheckpointStore.releaseOwner(sessionId, sttOwner))
+        .catch((error) => {
+          console.error(`❌ Interview: Failed to release ${sessionId}:`, error.message);
+        });
+    }
+
+    // A reply still being generated is abandoned; nothing more is written
+    // from this socket (the resumed one re-asks the last question).
+    if (currentResponse && currentResponse.streaming) interruptResponse();
+    activeSessionId = null;
     conversationHistory = [];
   });
 };
@@ -0,0 +1,248 @@
+/*
+================================================================================
+MENTOR HANDLER (Observation)
+================================================================================
+ROLE: The Gallery 👁️
+
+WHY:
+  - ROLES.MENTOR existed but could do nothing. Mentors want to watch a
+    candidate's interview live and jot down feedback for later.
+  - Candidates must stay in control: nobody watches without their say-so.
+
+HOW:
+  CANDIDATE
+    - 'observe:consent' { allow } allows (or stops) observation of their
+      active session. It is stored on the session (observerConsent), so it
+      holds for that session only. Withdrawing it removes every observer.
+    - 'observe:presence' { observers } tells them how many are watching.
+
+  MENTOR (socket.user.role is 'mentor' or 'admin': the role claim of the
+  token the socket connected with)
+    - 'observe:join' { sessionId } joins observerRoom(sessionId), a room of
+      its own: mentors never get the candidate's audio or events, and
+      nothing they send reaches the interview (read-only).
+      The reply carries the transcript, violations and their notes so far.
+    - Then the interview handler pushes 'observe:turn', 'observe:turn_update'
+      and 'observe:violation' to that room, and 'observe:ended' arrives when
+      the session is over (see rooms.closeObservation).
+    - 'observe:note' { text } saves a timestamped note on the session
+      (sessions/{id}/notes). Candidates never see notes.
+    - 'observe:leave' stops watching.
+================================================================================
+*/
+
+const ROLES = require('../../config/roles');
+const UserService = require('../../services/user.service');
+const SessionService = require('../../services/session.service');
+const { userRoom, observerRoom, closeObservation } = require('../rooms');
+
+// Who may observe interviews
+const OBSERVER_ROLES = [ROLES.MENTOR, ROLES.ADMIN];
+
+// Longest note a mentor can save
+const MAX_NOTE_LENGTH = 2000;
+
+/*
+  publicTurn(turn)
+
+  ROLE: What observers see of a turn (no caption timings or transitions).
+*/
+function publicTurn(turn) {
+  return {
+    index: turn.index,
+    speaker: turn.speaker,
+    text: turn.text,
+    startedAt: turn.startedAt,
+    endedAt: turn.endedAt,
+    rung: turn.rung ?? null,
+    interrupted: turn.interrupted || false
+  };
+}
+
+module.exports = (io, socket) => {
+  const uid = socket.user.uid;
+  const canObserve = OBSERVER_ROLES.includes(socket.user.role);
+
+  let observing = null; // { sessionId, candidateUid } this socket is watching
+
+  /*
+    reply(callback, response)
+
+    ROLE: Answer an acknowledgement, if the client asked for one.
+  */
+  function reply(callback, response) {
+    if (typeof callback === 'function') callback(response);
+  }
+
+  /*
+    announcePresence(sessionId, candidateUid)
+
+    ROLE: Tell the candidate how many mentors are watching (all replicas).
+  */
+  async function announcePresence(sessionId, candidateUid) {
+    try {
+      const observers = await io.in(observerRoom(sessionId)).fetchSockets();
+      io.to(userRoom(candidateUid)).emit('observe:presence', { sessionId, observers: observers.length });
+    } catch (error) {
+      console.error(`⚠️ Mentor: Could not count observers of ${sessionId}:`, error.message);
+    }
+  }
+
+  /*
+    stopObserving()
+
+    ROLE: Leave the room this socket is watching, if any.
+  */
+  function stopObserving() {
+    if (!observing) return;
+    const { sessionId, candidateUid } = observing;
+    observing = null;
+
+    socket.leave(observerRoom(sessionId));
+    announcePresence(sessionId, candidateUid);
+  }
+
+
+  // ===========================================================================
+  // EVENT: observe:consent (Candidate)
+  // ===========================================================================
+  /*
+    PARAMS:
+      - payload.allow: true / false. Omit it to just read the current value.
+    REPLIES: { success, allow }
+  */
+  socket.on('observe:consent', async (payload, callback) => {
+    try {
+      const user = await UserService.findUserByUid(uid);
+      const sessionId = user?.activeSessionId;
+      if (!sessionId) {
+        return reply(callback, { success: false, error: 'No active session.' });
+      }
+
+      if (typeof payload?.allow !== 'boolean') {
+        const session = await SessionService.getSession(sessionId);
+        return reply(callback, { success: true, allow: session?.observerConsent?.granted === true });
+      }
+
+      await SessionService.setObserverConsent(sessionId, payload.allow);
+      console.log(`👁️ Mentor: ${uid} ${payload.allow ? 'allowed' : 'stopped'} observation of ${sessionId}`);
+
+      if (!payload.allow) {
+        closeObservation(io, sessionId, 'consent_revoked');
+        announcePresence(sessionId, uid);
+      }
+      reply(callback, { success: true, allow: payload.allow });
+    } catch (error) {
+      console.error(`❌ Mentor: Consent update failed for ${uid}:`, error.message);
+      reply(callback, { success: false, error: 'Could not update observation consent.' });
+    }
+  });
+
+
+  // ===========================================================================
+  // EVENT: observe:join (Mentor)
+  // ===========================================================================
+  /*
+    PARAMS:
+      - payload.sessionId: The session to watch
+    REPLIES: { success, session: { sessionId, uid, startedAt, templateName, turns, violations, notes } }
+  */
+  socket.on('observe:join', async (payload, callback) => {
+    if (!canObserve) {
+      return reply(callback, { success: false, error: 'Only mentors can observe interviews.' });
+    }
+
+    const sessionId = payload?.sessionId;
+    try {
+      const session = sessionId ? await SessionService.getSessionWithTurns(sessionId) : null;
+
+      if (!session || session.status !== 'active') {
+        return reply(callback, { success: false, error: 'This interview is not running.' });
+      }
+      if (session.uid === uid) {
+        return reply(callback, { success: false, error: 'You cannot observe your own interview.' });
+      }
+      if (session.observerConsent?.granted !== true) {
+        return reply(callback, { success: false, error: 'The candidate has not allowed observers for this interview.' });
+      }
+
+      stopObserving();
+      socket.join(observerRoom(sessionId));
+      observing = { sessionId, candidateUid: session.uid };
+      console.log(`👁️ Mentor: ${uid} is observing ${sessionId}`);
+
+      const [violations, notes] = await Promise.all([
+        SessionService.listViolations({ sessionId }),
+        SessionService.listMentorNotes(sessionId, { mentorUid: socket.user.role === ROLES.ADMIN ? null : uid })
+      ]);
+      announcePresence(sessionId, session.uid);
+
+      reply(callback, {
+        success: true,
+        session: {
+          sessionId,
+          uid: session.uid,
+          startedAt: session.startedAt,
+          templateName: session.templateName || null,
+          turns: session.turns.map(publicTurn),
+          violations,
+          notes
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Mentor: ${uid} could not observe ${sessionId}:`, error.message);
+      reply(callback, { success: false, error: 'Could not join the interview.' });
+    }
+  });
+
+
+  // ===========================================================================
+  // EVENT: observe:note (Mentor)
+  // ===========================================================================
+  /*
+    PARAMS:
+      - payload.text: The note
+    REPLIES: { success, note: { id, mentorUid, mentorName, text, at } }
+    NOTE: Only while watching (consent withdrawn or session over = no notes).
+  */
+  socket.on('observe:note', async (payload, callback) => {
+    const text = typeof payload?.text === 'string' ? payload.text.trim().slice(0, MAX_NOTE_LENGTH) : '';
+
+    // The room is left on every replica when observation closes
+    if (!observing || !socket.rooms.has(observerRoom(observing.sessionId))) {
+      return reply(callback, { success: false, error: 'You are not observing an interview.' });
+    }
+    if (!text) {
+      return reply(callback, { success: false, error: 'The note is empty.' });
+    }
+
+    try {
+      const note = await SessionService.addMentorNote(observing.sessionId, {
+        mentorUid: uid,
+        mentorName: socket.user.name || socket.user.email || null,
+        text,
+        at: Date.now()
+      });
+      reply(callback, { success: true, note });
+    } catch (error) {
+      reply(callback, { success: false, error: 'Could not save the note.' });
+    }
+  });
+
+
+  // ===========================================================================
+  // EVENT: observe:leave (Mentor)
+  // ===========================================================================
+  socket.on('observe:leave', (callback) => {
+    stopObserving();
+    reply(callback, { success: true });
+  });
+
+
+  // ===========================================================================
+  // CLEANUP
+  // ===========================================================================
+  socket.on('disconnect', () => {
+    stopObserving();
+  });
+};
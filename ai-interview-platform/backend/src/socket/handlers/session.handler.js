@@ -19,8 +19,14 @@ FLOW:
   2. This handler is registered for that socket.
   3. User emits 'session:start' -> We call UserService.startInterviewSession().
   4. User emits 'session:heartbeat' -> We call UserService.updateHeartbeat().
-  5. User emits 'session:end' -> We call UserService.endInterviewSession().
+  5. User emits 'session:end' -> We call UserService.endInterviewSession(),
+     which also kicks off the evaluation report in the background.
+  QUOTA: After the start and every heartbeat we send 'session:quota' (what's
+     left of the user's time budget). When it runs out, the interview
+     handler wraps up; a session still open QUOTA_OVERRUN_SECONDS later is
+     ended by the server.
   6. User disconnects -> We log it (but don't force-end the session).
+     If they never come back, the session reaper closes it.
 ================================================================================
 */
 
@@ -36,6 +42,32 @@ FLOW:
 */
 const UserService = require('../../services/user.service');
 
+/*
+  CheckpointStore - Saved interview state for 'interview:resume'.
+  
+  ROLE: A session that was ended on purpose must not be resumed.
+*/
+const CheckpointStore = require('../../services/interview/checkpoint-store');
+
+/*
+  RateLimiter - "One request per window", shared by every backend instance.
+*/
+const RateLimiter = require('../../services/state/rate-limiter');
+
+/*
+  closeObservation - Sends mentors watching a session home when it ends.
+*/
+const { closeObservation } = require('../rooms');
+
+const LIMITS = require('../../config/limits');
+
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const START_RATE_LIMIT_MS = 5000; // 5 seconds between session:start requests
+
 
 // =============================================================================
 // THE HANDLER
@@ -65,23 +97,82 @@ module.exports = (io, socket) => {
 
 
   // ---------------------------------------------------------------------------
-  // RATE LIMITING SETUP (Security)
+  // RATE LIMITING (Security)
   // ---------------------------------------------------------------------------
   /*
-    lastStartRequest: A Map to track the last time a user requested to start a session.
-    
     WHY:
       - Prevents users from spamming the "Start" button.
       - Without this, a malicious user could flood our server with requests.
     
     HOW:
-      - We store the timestamp of the last request.
-      - If a new request comes within 5 seconds, we reject it.
-    
-    NOTE: In a multi-server setup, you'd use Redis instead of a Map.
-          A Map only works for a single server instance.
+      - RateLimiter claims `session:start` for this uid for START_RATE_LIMIT_MS.
+      - The claim lives in the shared state store (Redis in production), so
+        it holds across sockets, tabs and backend replicas.
   */
-  const lastStartRequest = new Map();
+
+
+  // ---------------------------------------------------------------------------
+  // QUOTA (Live countdown & cutoff)
+  // ---------------------------------------------------------------------------
+  let quotaTimer = null;     // Fires when the quota runs out
+  let overrunTimer = null;   // Fires QUOTA_OVERRUN_SECONDS after that
+  let lastQuota = null;
+
+  function clearQuotaTimers() {
+    clearTimeout(quotaTimer);
+    clearTimeout(overrunTimer);
+    quotaTimer = null;
+    overrunTimer = null;
+  }
+
+  /*
+    applyQuota(quota)
+
+    ROLE: Send the latest quota to the client and (re)arm the cutoff.
+    NOTE: Thinking time isn't charged, so the quota can last longer than the
+          wall clock says. Every heartbeat re-arms the timer with fresh numbers.
+  */
+  function applyQuota(quota) {
+    if (!quota) return;
+    lastQuota = quota;
+    socket.emit('session:quota', quota);
+
+    if (overrunTimer) return; // Already ran out; the cutoff is armed
+    clearTimeout(quotaTimer);
+    if (quota.remainingSec === null) return; // Unlimited plan
+
+    quotaTimer = setTimeout(onQuotaExhausted, quota.remainingSec * 1000);
+  }
+
+  /*
+    onQuotaExhausted()
+
+    ROLE: Tell the client and the interview handler (which says its closing
+          line and emits 'interview:complete'), then give the client
+          QUOTA_OVERRUN_SECONDS to end the session itself.
+  */
+  function onQuotaExhausted() {
+    console.log(`⌛ Socket: ${uid} ran out of quota`);
+    socket.emit('session:quota', { ...lastQuota, remainingSec: 0, exhausted: true });
+    socket.data.events?.emit('quota:exhausted');
+
+    overrunTimer = setTimeout(async () => {
+      try {
+        const sessionId = await UserService.endInterviewSession(uid, {
+          closedBy: 'quota',
+          pausedMs: socket.data.pauseMeter?.drain() || 0
+        });
+        if (!sessionId) return; // The client ended it in time
+
+        console.log(`⌛ Socket: Ended session ${sessionId} of ${uid} (quota overrun)`);
+        CheckpointStore.delete(sessionId).catch(() => {});
+        closeObservation(io, sessionId, 'ended');
+        socket.emit('interview:complete', { reason: 'quota' });
+      } catch (error) {
+        console.error(`❌ Socket: Quota cutoff failed for ${uid}:`, error.message);
+      }
+    }, LIMITS.QUOTA_OVERRUN_SECONDS * 1000);
+  }
 
 
   // ===========================================================================
@@ -107,11 +198,9 @@ module.exports = (io, socket) => {
     // -------------------------------------------------------------------------
     // STEP 1: Rate Limiting Check
     // -------------------------------------------------------------------------
-    const now = Date.now();
-    const lastRequest = lastStartRequest.get(uid) || 0;
-    const RATE_LIMIT_MS = 5000; // 5 seconds between requests
+    const allowed = await RateLimiter.tryAcquire('session:start', uid, START_RATE_LIMIT_MS);
 
-    if (now - lastRequest < RATE_LIMIT_MS) {
+    if (!allowed) {
       console.warn(`🛑 Socket: Rate limit exceeded for ${uid}`);
       
       // Reply with error (if callback exists).
@@ -121,15 +210,13 @@ module.exports = (io, socket) => {
       return; // Stop here, don't proceed.
     }
     
-    // Record the time of this request.
-    lastStartRequest.set(uid, now);
-    
     // -------------------------------------------------------------------------
     // STEP 2: Attempt to Start Session
     // -------------------------------------------------------------------------
     try {
       // UserService handles: budget check, zombie check, session locking.
       const sessionId = await UserService.startInterviewSession(uid);
+      socket.data.pauseMeter?.drain(); // Thinking before this session isn't part of it
       
       // Reply with success.
       if (typeof callback === 'function') {
@@ -139,6 +226,12 @@ module.exports = (io, socket) => {
       // Optional: Join a "room" for this session.
       // Useful for sending targeted messages later (e.g., to just this session).
       socket.join(sessionId);
+
+      // Start the countdown
+      clearQuotaTimers();
+      UserService.getQuotaForUser(uid)
+        .then(applyQuota)
+        .catch(error => console.error(`⚠️ Socket: Quota lookup failed for ${uid}:`, error.message));
       
     } catch (error) {
       console.error(`❌ Socket: Session start failed for ${uid}:`, error.message);
@@ -157,7 +250,9 @@ module.exports = (io, socket) => {
   /*
     Fires when: Frontend sends a "pulse" every 15 seconds.
     
-    ROLE: Update the lastHeartbeatAt timestamp in the database.
+    ROLE: Update the lastHeartbeatAt timestamp in the database, and charge
+          the time since the previous heartbeat (minus the time the AI
+          spent thinking, see BillingService). Then send 'session:quota'.
     
     WHY:
       - If the backend doesn't hear from the user for 2 minutes, it assumes they're gone.
@@ -170,7 +265,8 @@ module.exports = (io, socket) => {
     // console.log(`💓 Socket: Heartbeat from ${uid}`);
     
     try {
-      await UserService.updateHeartbeat(uid);
+      const quota = await UserService.updateHeartbeat(uid, { pausedMs: socket.data.pauseMeter?.drain() || 0 });
+      applyQuota(quota);
     } catch (error) {
       // Silent fail is okay for heartbeat.
       // The backend's hard time limit will catch any abuse.
@@ -192,14 +288,21 @@ module.exports = (io, socket) => {
   */
   socket.on('session:end', async (callback) => {
     console.log(`🛑 Socket: ${uid} ending session`);
+    clearQuotaTimers();
     
     try {
       // UserService handles: duration calculation, time deduction, unlocking.
-      await UserService.endInterviewSession(uid);
+      const sessionId = await UserService.endInterviewSession(uid, { pausedMs: socket.data.pauseMeter?.drain() || 0 });
       
-      // Reply with success.
+      // Reply with success (the client can open /report/:sessionId right away).
       if (typeof callback === 'function') {
-        callback({ success: true });
+        callback({ success: true, sessionId: sessionId || null });
+      }
+      
+      // The report is graded in the background (the report page polls for it)
+      if (sessionId) {
+        CheckpointStore.delete(sessionId).catch(() => {});
+        closeObservation(io, sessionId, 'ended'); // Mentors watching it, if any
       }
       
     } catch (error) {
@@ -229,11 +332,15 @@ module.exports = (io, socket) => {
       - WHY? The user might just be refreshing the page. Ending the session
         would immediately deduct time and force them to start a new one.
       - INSTEAD: We rely on the "Zombie" logic. If no heartbeat is received
-        for 2 minutes, the backend considers the session dead and cleans it up
-        the next time that user tries to start a new session.
+        for LIMITS.STALE_SESSION_SECONDS, the session reaper
+        (jobs/session-reaper.js) closes it, billed up to the last heartbeat.
+        Starting a new session also force-closes the old one.
+      - Meanwhile the conversation can be picked up again with
+        'interview:resume' (see interview.handler.js).
   */
   socket.on('disconnect', () => {
     console.log(`👋 Socket: ${uid} disconnected`);
-    // No action taken. Zombie logic handles cleanup.
+    clearQuotaTimers();
+    // No action taken. The session reaper handles cleanup.
   });
 };
@@ -21,7 +21,7 @@ FLOW:
   2. This middleware runs.
   3. We extract the token from handshake.
   4. We verify with Firebase Admin.
-  5. If valid -> socket.user = { uid, email, name }; next()
+  5. If valid -> socket.user = { uid, email, name, role }; next()
   6. If invalid -> next(new Error('Authentication error'))
   7. The connection is either accepted or rejected.
 ================================================================================
@@ -41,6 +41,11 @@ FLOW:
 */
 const admin = require('firebase-admin');
 
+/*
+  ROLES - Role names (the default when the token carries no role claim).
+*/
+const ROLES = require('../../config/roles');
+
 
 // =============================================================================
 // THE MIDDLEWARE FUNCTION
@@ -132,11 +137,14 @@ async function socketAuth(socket, next) {
         - uid:   The unique Firebase user ID (most important).
         - email: The user's email address.
         - name:  The user's display name.
+        - role:  From the custom claims (see UserService.syncRoleClaim).
+                 No claim yet means the least privileged role, 'user'.
     */
     socket.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
-      name: decodedToken.name
+      name: decodedToken.name,
+      role: decodedToken.role || ROLES.USER
     };
 
     console.log(`✅ SocketAuth: Welcome, ${socket.user.email} (${socket.user.uid})`);
@@ -0,0 +1,51 @@
+/*
+================================================================================
+SOCKET ROOMS
+================================================================================
+ROLE: The Room Directory 🚪
+WHY:  Handlers, routes and jobs all address the same rooms. Their names live
+      here so nobody has to require socket.server.js (which requires the
+      handlers) just to know what a room is called.
+HOW:  - user:<uid>            Every socket of one user (joined on connection)
+      - observe:<sessionId>   Mentors watching that interview (read-only,
+                              see mentor.handler.js). The candidate is never in it.
+================================================================================
+*/
+
+/*
+  userRoom(uid)
+
+  RETURNS: The name of the room holding all of a user's sockets.
+*/
+function userRoom(uid) {
+  return `user:${uid}`;
+}
+
+/*
+  observerRoom(sessionId)
+
+  RETURNS: The name of the room mentors join to watch a session.
+*/
+function observerRoom(sessionId) {
+  return `observe:${sessionId}`;
+}
+
+/*
+  closeObservation(io, sessionId, reason)
+
+  ROLE: The interview is over (or consent was withdrawn): tell the mentors
+        watching it and take them out of the room, on every replica.
+  PARAMS:
+    - reason: 'ended' | 'consent_revoked'
+*/
+function closeObservation(io, sessionId, reason) {
+  const room = observerRoom(sessionId);
+  io.to(room).emit('observe:ended', { sessionId, reason });
+  io.in(room).socketsLeave(room);
+}
+
+module.exports = {
+  userRoom,
+  observerRoom,
+  closeObservation
+};
@@ -22,6 +22,13 @@ FLOW:
      a. The socketAuth middleware checks their token.
      b. If valid, we register event handlers for that socket.
   5. The socket is now ready to receive events like 'session:start'.
+
+SCALING (STATE_STORE=redis):
+  - The socket.io Redis adapter relays broadcasts and rooms between
+    backend replicas, and shared state (rate limits, interview checkpoints,
+    STT ownership) lives in Redis (see services/state).
+  - The client only uses the 'websocket' transport, so the load balancer
+    needs no sticky sessions.
 ================================================================================
 */
 
@@ -51,8 +58,17 @@ const socketAuth = require('./middleware/socketAuth');
   
   ROLE: Defines what happens on 'session:start', 'session:end', etc.
 */
+const { EventEmitter } = require('events');
 const sessionHandler = require('./handlers/session.handler');
+const { PauseMeter } = require('../services/billing.service');
 const interviewHandler = require('./handlers/interview.handler');
+const mentorHandler = require('./handlers/mentor.handler');
+const { userRoom } = require('./rooms');
+
+/*
+  STATE_CONFIG - Which state store the replicas share ('memory' or 'redis').
+*/
+const STATE_CONFIG = require('../config/state.config');
 
 
 // =============================================================================
@@ -70,6 +86,34 @@ const interviewHandler = require('./handlers/interview.handler');
 let io = null;
 
 
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/*
+  attachRedisAdapter(io)
+  
+  ROLE: Let several backend replicas act as one socket.io server.
+  HOW:  One Redis connection publishes, a duplicate subscribes
+        (a subscribed connection can't run other commands).
+        If Redis is down, commands wait for it instead of failing
+        (maxRetriesPerRequest: null), so a Redis restart doesn't crash us.
+*/
+function attachRedisAdapter(io) {
+  const Redis = require('ioredis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  const pubClient = new Redis(STATE_CONFIG.REDIS_URL, { maxRetriesPerRequest: null });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on('error', (error) => console.error('❌ SocketServer: Redis adapter error:', error.message));
+  }
+
+  io.adapter(createAdapter(pubClient, subClient));
+  console.log(`🔗 SocketServer: Redis adapter attached (${STATE_CONFIG.REDIS_URL})`);
+}
+
+
 // =============================================================================
 // INITIALIZE FUNCTION
 // =============================================================================
@@ -126,6 +170,11 @@ function initializeSocket(httpServer) {
     }
   });
 
+  // Several replicas: share rooms and broadcasts through Redis
+  if (STATE_CONFIG.STORE === 'redis') {
+    attachRedisAdapter(io);
+  }
+
   // ---------------------------------------------------------------------------
   // STEP 2: Apply Authentication Middleware
   // ---------------------------------------------------------------------------
@@ -161,9 +210,22 @@ function initializeSocket(httpServer) {
     // The user is authenticated. socket.user contains their info.
     console.log(`🟢 SocketServer: User connected - ${socket.user.uid}`);
     
+    // Time the AI spends thinking isn't billed. The interview handler
+    // measures it, the session handler reports it with each heartbeat.
+    socket.data.pauseMeter = new PauseMeter();
+
+    // Server-side events between this socket's handlers (never sent to the
+    // client), e.g. 'quota:exhausted' from the session handler
+    socket.data.events = new EventEmitter();
+
+    // Every socket of a user, on any replica (the admin console ends
+    // sessions through it, mentors' presence reaches the candidate...)
+    socket.join(userRoom(socket.user.uid));
+    
     // Register the session event handlers (start, heartbeat, end, disconnect).
     sessionHandler(io, socket);
     interviewHandler(io, socket);
+    mentorHandler(io, socket);   // Observation consent (candidates), observing & notes (mentors)
     
     // You can add more handlers here in the future.
     // For example: chatHandler(io, socket), adminHandler(io, socket), etc.
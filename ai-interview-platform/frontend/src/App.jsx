@@ -6,6 +6,11 @@ ROLE: This is the "Traffic Controller" of our application.
 WHY:  We need a way to show different pages for different URLs.
       - /login  -> Show LoginPage
       - /       -> Show DashboardPage (but only if logged in)
+      - /calibrate -> Pre-interview camera / mic / speaker check
+      - /admin  -> Show AdminPage (only for admins)
+      - /mentor -> Show MentorPage (mentors and admins)
+      - /cohorts -> Show CohortsPage (mentors and admins)
+      - /join/:code -> Join a mentor's cohort (invite link)
 
 HOW:  We use React Router to define these rules.
       We also call useAuthListener() here to ensure auth checks happen globally.
@@ -39,6 +44,12 @@ import LoginPage from "./pages/login";
 import DashboardPage from "./pages/dashboard";
 import AuthGuard from "./components/shared/AuthGuard";
 import InterviewPage from "./pages/InterviewPage";
+import CalibrationPage from "./pages/CalibrationPage";
+import ReportPage from "./pages/ReportPage";
+import AdminPage from "./pages/AdminPage";
+import MentorPage from "./pages/MentorPage";
+import CohortsPage from "./pages/CohortsPage";
+import JoinCohortPage from "./pages/JoinCohortPage";
 
 
 // =============================================================================
@@ -90,6 +101,21 @@ function App() {
           } 
         />
 
+        {/* 
+          ROUTE: Calibration Page (Protected)
+          URL: /calibrate?template=<id>
+          COMPONENT: <CalibrationPage /> wrapped in <AuthGuard>
+          NOTE: The dashboard sends every interview through here first
+        */}
+        <Route 
+          path="/calibrate" 
+          element={
+            <AuthGuard>
+              <CalibrationPage />
+            </AuthGuard>
+          } 
+        />
+
         {/* 
           ROUTE: Interview Page (Protected)
           URL: /interview
@@ -104,6 +130,77 @@ function App() {
           } 
         />
 
+        {/* 
+          ROUTE: Report Page (Protected)
+          URL: /report/:sessionId
+          COMPONENT: <ReportPage /> wrapped in <AuthGuard>
+        */}
+        <Route 
+          path="/report/:sessionId" 
+          element={
+            <AuthGuard>
+              <ReportPage />
+            </AuthGuard>
+          } 
+        />
+
+        {/* 
+          ROUTE: Admin Console (Admins only)
+          URL: /admin
+          COMPONENT: <AdminPage /> wrapped in <AuthGuard roles={['admin']}>
+        */}
+        <Route 
+          path="/admin" 
+          element={
+            <AuthGuard roles={['admin']}>
+              <AdminPage />
+            </AuthGuard>
+          } 
+        />
+
+        {/* 
+          ROUTE: Observation Deck (Mentors and admins)
+          URL: /mentor
+          COMPONENT: <MentorPage /> wrapped in <AuthGuard roles={['mentor', 'admin']}>
+        */}
+        <Route 
+          path="/mentor" 
+          element={
+            <AuthGuard roles={['mentor', 'admin']}>
+              <MentorPage />
+            </AuthGuard>
+          } 
+        />
+
+        {/* 
+          ROUTE: Cohorts (Mentors and admins)
+          URL: /cohorts
+          COMPONENT: <CohortsPage /> wrapped in <AuthGuard roles={['mentor', 'admin']}>
+        */}
+        <Route 
+          path="/cohorts" 
+          element={
+            <AuthGuard roles={['mentor', 'admin']}>
+              <CohortsPage />
+            </AuthGuard>
+          } 
+        />
+
+        {/* 
+          ROUTE: Cohort Invite Link
+          URL: /join/:code
+          COMPONENT: <JoinCohortPage /> wrapped in <AuthGuard>
+          (signed-out visitors log in first and come back here)
+        */}
+        <Route 
+          path="/join/:code" 
+          element={
+            <AuthGuard>
+              <JoinCohortPage />
+            </AuthGuard>
+          } 
+        />
+
         {/* 
           ROUTE: Catch-all (404)
           URL: * (anything else)
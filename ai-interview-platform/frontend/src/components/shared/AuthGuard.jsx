@@ -8,6 +8,9 @@ WHY:  Certain parts of our app (like the Dashboard) are private. We don't want
 HOW:  It wraps around a protected component. 
       - If you are logged in: It lets you through (returns 'children').
       - If you are NOT logged in: It grabs you and sends you to the Login page.
+      - With a `roles` prop (e.g. roles={['admin']}), it also waits for the
+        Firestore profile and sends anyone whose role isn't listed back to /.
+        The backend checks the role again on every request (checkRole).
 ================================================================================
 */
 
@@ -46,6 +49,11 @@ function AuthGuard(props) {
   */
   const children = props.children;
 
+  /*
+    roles - Optional list of roles allowed in (e.g. ['admin'])
+  */
+  const roles = props.roles;
+
   // ===========================================================================
   // STATE ACCESS
   // ===========================================================================
@@ -61,6 +69,14 @@ function AuthGuard(props) {
     return state.loading;
   });
 
+  const profile = useAuthStore(function (state) {
+    return state.profile;
+  });
+
+  const profileError = useAuthStore(function (state) {
+    return state.error;
+  });
+
   /*
     Capture the current URL path.
     We'll save this and pass it to the Login page so the app can say:
@@ -113,7 +129,31 @@ function AuthGuard(props) {
   }
 
   /*
-    CASE 3: User Authenticated (Access Granted!)
+    CASE 3: Role Required (e.g. the admin console)
+    
+    The role lives in our Firestore profile, which arrives a moment after
+    Firebase confirms the login. Wait for it, then check it.
+  */
+  if (roles) {
+    if (!profile && !profileError) {
+      return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-50">
+          <div className="flex flex-col items-center gap-4">
+            <div className="w-10 h-10 border-3 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+            <p className="text-slate-500 font-medium">Checking access...</p>
+          </div>
+        </div>
+      );
+    }
+
+    if (!profile || !roles.includes(profile.role)) {
+      console.log("🚫 AuthGuard: Role not allowed, redirecting home...");
+      return <Navigate to="/" replace />;
+    }
+  }
+
+  /*
+    CASE 4: User Authenticated (Access Granted!)
     
     If we reached this point, the user is valid! 
     We simply return the 'children' (e.g., the Dashboard) and let them in.
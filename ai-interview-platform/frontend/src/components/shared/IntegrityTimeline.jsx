@@ -0,0 +1,85 @@
+/*
+================================================================================
+INTEGRITY TIMELINE COMPONENT
+================================================================================
+ROLE: Shows a session's proctoring events in order, with the evidence.
+WHY:  "Terminated for violations" alone doesn't help anyone. Candidates (on
+      their report) and admins (in the console) need to see what was
+      flagged, when, what the detector measured and what we decided.
+HOW:  Pass the session's `violations` (one per proctoring event, see
+      SessionService on the backend; live ones from 'observe:violation'
+      have no id yet) and its `startedAt`. Each event shows
+      its time into the interview, type and severity (labels from
+      shared/proctoring-events.json), decision, proctoring score
+      (see ProctoringPolicy), source and metrics.
+================================================================================
+*/
+
+import { PROCTORING_EVENTS } from '../../services/proctoring.schema';
+
+// The schema's severity of each event type
+const SEVERITY_STYLES = {
+  high: 'text-red-400/70',
+  medium: 'text-amber-400/70',
+  low: 'text-slate-500'
+};
+
+// The handler's decision
+const DECISION_STYLES = {
+  warning: 'bg-amber-500/10 text-amber-400',
+  terminated: 'bg-red-500/10 text-red-400',
+  logged: 'bg-slate-800 text-slate-400'
+};
+
+// Helper: ms into the interview -> "MM:SS"
+const formatOffset = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+};
+
+// Helper: { gazeDrift: 0.213, trigger: 'blur' } -> "gazeDrift 0.213 • trigger blur"
+const formatMetrics = (metrics) => Object.entries(metrics)
+  .map(([key, value]) => `${key} ${value}`)
+  .join(' • ');
+
+function IntegrityTimeline(props) {
+  const events = [...(props.events || [])].sort((a, b) => a.at - b.at);
+  const startedAt = props.startedAt;
+
+  if (events.length === 0) {
+    return <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">No proctoring events recorded</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-white/10 ml-2 space-y-5">
+      {events.map((event) => (
+        <li key={event.id || `${event.at}-${event.reason}`} className="pl-5 relative">
+          <span className={`absolute -left-[5px] top-1.5 w-2 h-2 rounded-full ${event.action === 'terminated' ? 'bg-red-500' : event.action === 'warning' ? 'bg-amber-500' : 'bg-slate-600'}`}></span>
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-[10px] font-mono text-slate-500">{formatOffset(event.at - startedAt)}</span>
+            <span className="text-sm text-slate-200">{PROCTORING_EVENTS[event.reason]?.label || event.reason}</span>
+            {PROCTORING_EVENTS[event.reason] && (
+              <span className={`text-[9px] uppercase tracking-widest ${SEVERITY_STYLES[PROCTORING_EVENTS[event.reason].severity]}`}>
+                {PROCTORING_EVENTS[event.reason].severity}
+              </span>
+            )}
+            <span className={`px-2 py-0.5 rounded-full text-[9px] font-bold uppercase tracking-widest ${DECISION_STYLES[event.action] || DECISION_STYLES.logged}`}>
+              {event.action === 'logged' ? 'logged' : `${event.action} • strike ${event.count}`}
+            </span>
+            {event.score != null && (
+              <span className="text-[9px] font-mono text-slate-500">+{event.weight} → {event.score}</span>
+            )}
+            <span className="text-[9px] text-slate-600 uppercase tracking-widest">{event.source || 'client'}</span>
+          </div>
+          {event.metrics && (
+            <p className="text-[10px] font-mono text-slate-500 mt-1">{formatMetrics(event.metrics)}</p>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export default IntegrityTimeline;
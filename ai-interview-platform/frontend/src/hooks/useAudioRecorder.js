@@ -11,6 +11,19 @@ UPDATES:
 - Added isPlayingRef to track actual audio playback.
 - Prevents UI from switching to 'LISTENING' while audio is still playing.
 - Improved error logging for audio playback.
+- Barge-in: 'audio:stop' flushes the queue mid-reply, and we report back
+  how far playback got ('audio:played') so the server knows what was heard.
+- Captions: each chunk carries word timings; `caption` follows playback
+  word by word (karaoke-style) for hard-of-hearing candidates.
+- Templates: `template` is the interview template in use, and
+  onInterviewComplete fires once the closing line has finished playing
+  after the server sends 'interview:complete'.
+- Resume: restoreChatHistory() refills the transcript from the server's
+  checkpoint after a page refresh.
+- Quota: `quota` is the latest 'session:quota' (time budget left), stamped
+  with receivedAt so the page can count down between updates.
+- Forced end: 'session:end' sets isTerminated; endReason says who ended it
+  ('violation' = proctoring, 'admin' = an administrator).
 
 This hook handles:
 1. Capturing user audio (Ears) via MediaRecorder
@@ -21,8 +34,9 @@ This hook handles:
 
 import { useState, useRef, useEffect, useCallback } from 'react';
 import SocketService from '../services/socket.service';
+import { PROCTORING_REASONS } from '../services/proctoring.schema';
 
-const useAudioRecorder = () => {
+const useAudioRecorder = ({ onInterviewComplete } = {}) => {
   // ===========================================================================
   // STATE
   // ===========================================================================
@@ -34,7 +48,12 @@ const useAudioRecorder = () => {
   const [aiMessage, setAiMessage] = useState('Ready to start...');
   const [chatHistory, setChatHistory] = useState([]); // Array of { role: 'user'|'ai', text }
   const [isTerminated, setIsTerminated] = useState(false); // NEW: Track termination state
+  const [endReason, setEndReason] = useState(null); // 'violation' | 'admin' (from 'session:end')
   const [warning, setWarning] = useState(null); // NEW: Track warning state
+  const [progress, setProgress] = useState(null); // Difficulty ladder position (from 'interview:progress')
+  const [caption, setCaption] = useState(null); // { text, words, spokenCount } of the sentence playing now
+  const [template, setTemplate] = useState(null); // Interview template summary (from 'interview:template')
+  const [quota, setQuota] = useState(null); // { remainingSec, warningSec, exhausted, ..., receivedAt } (from 'session:quota')
 
   // ===========================================================================
   // REFS (Mutable state that doesn't trigger re-renders)
@@ -44,7 +63,24 @@ const useAudioRecorder = () => {
   const audioElementRef = useRef(null);  // For HTML5 Audio playback
   const listenersRegisteredRef = useRef(false);  // Track if listeners are set up
   const isPlayingRef = useRef(false); // Track if audio is currently playing
-  const audioQueueRef = useRef([]);
+  const audioQueueRef = useRef([]); // [{ blob, responseId, seq, text, words }]
+  const currentChunkRef = useRef(null); // Queue entry playing (or last played)
+  const completePendingRef = useRef(false); // 'interview:complete' arrived; waiting for audio to drain
+  const onInterviewCompleteRef = useRef(onInterviewComplete);
+
+  // Always call the latest callback (it closes over the page's state)
+  useEffect(() => {
+    onInterviewCompleteRef.current = onInterviewComplete;
+  });
+
+  // ===========================================================================
+  // HELPER: Interview finished and nothing left to play
+  // ===========================================================================
+  const notifyInterviewComplete = () => {
+    if (!completePendingRef.current) return;
+    completePendingRef.current = false;
+    if (onInterviewCompleteRef.current) onInterviewCompleteRef.current();
+  };
   const isProcessingQueueRef = useRef(false);
 
   // ===========================================================================
@@ -67,7 +103,8 @@ const useAudioRecorder = () => {
   // ===========================================================================
   // PLAY AUDIO RESPONSE (The Mouth) - Updated for Queue
   // ===========================================================================
-  const playAudioResponse = useCallback((audioBlob, onComplete, onError) => {
+  // onProgress(ms) is called every animation frame while the chunk plays (captions)
+  const playAudioResponse = useCallback((audioBlob, onComplete, onError, onProgress) => {
     if (!audioBlob) {
       if (onError) onError(new Error("No audio blob"));
       return;
@@ -83,6 +120,15 @@ const useAudioRecorder = () => {
       console.log('🔊 Audio chunk started playing');
       isPlayingRef.current = true;
       setAiState('SPEAKING'); 
+
+      if (onProgress) {
+        const tick = () => {
+          if (audio.paused || audio.ended) return;
+          onProgress(audio.currentTime * 1000);
+          requestAnimationFrame(tick);
+        };
+        requestAnimationFrame(tick);
+      }
     };
 
     audio.onended = () => {
@@ -114,15 +160,31 @@ const useAudioRecorder = () => {
     }
 
     isProcessingQueueRef.current = true;
-    const nextAudioBlob = audioQueueRef.current.shift();
+    const nextEntry = audioQueueRef.current.shift();
+    currentChunkRef.current = nextEntry;
+
+    // Caption for this sentence: highlight each word once playback reaches it
+    const words = nextEntry.words || [];
+    let spokenCount = 0;
+    setCaption({ text: nextEntry.text, words, spokenCount });
+
+    const updateCaption = (ms) => {
+      let count = spokenCount;
+      while (count < words.length && words[count].startMs <= ms) count++;
+      if (count !== spokenCount) {
+        spokenCount = count;
+        setCaption({ text: nextEntry.text, words, spokenCount });
+      }
+    };
 
     try {
       await new Promise((resolve, reject) => {
-        playAudioResponse(nextAudioBlob, resolve, reject);
+        playAudioResponse(nextEntry.blob, resolve, reject, updateCaption);
       });
     } catch (err) {
       console.error("Audio queue processing error:", err);
     } finally {
+      nextEntry.ended = true;
       isProcessingQueueRef.current = false;
       // Process next item recursively
       // We use a timeout to let the stack clear and Allow other events
@@ -135,11 +197,58 @@ const useAudioRecorder = () => {
              // But we have to be careful about race conditions with new chunks arriving
              // Usually the last chunk finishes, queue is empty -> LISTENING
              setAiState('LISTENING');
+             setCaption(null);
+             notifyInterviewComplete();
+
+             // Tell the server the reply was heard to the end
+             const lastChunk = currentChunkRef.current;
+             if (lastChunk?.responseId && !lastChunk.interrupted) {
+               SocketService.emit('audio:played', {
+                 responseId: lastChunk.responseId,
+                 lastSeq: lastChunk.seq,
+                 interrupted: false
+               });
+             }
          }
       }, 10);
     }
   }, [playAudioResponse]);
 
+  // ===========================================================================
+  // STOP AUDIO RESPONSE (Barge-in)
+  // ===========================================================================
+  // The candidate talked over the interviewer. Drop the rest of the reply
+  // and report which sentence was playing and how far into it we got.
+  const stopAudioResponse = useCallback((responseId) => {
+    audioQueueRef.current = audioQueueRef.current.filter(entry => entry.responseId !== responseId);
+
+    let lastSeq = -1;
+    let lastSeqFraction = 0;
+    const current = currentChunkRef.current;
+
+    if (current && current.responseId === responseId) {
+      current.interrupted = true;
+      lastSeq = current.seq;
+
+      if (current.ended) {
+        lastSeqFraction = 1;
+      } else if (audioElementRef.current) {
+        const audio = audioElementRef.current;
+        // Streamed WAVs may report an Infinite duration
+        if (Number.isFinite(audio.duration) && audio.duration > 0) {
+          lastSeqFraction = audio.currentTime / audio.duration;
+        }
+        audio.pause();
+        if (audio.onended) audio.onended(); // Finish the chunk now (frees URL, unblocks queue)
+      }
+    }
+
+    console.log(`✋ Barge-in: stopped reply ${responseId} at sentence ${lastSeq} (${Math.round(lastSeqFraction * 100)}%)`);
+    SocketService.emit('audio:played', { responseId, lastSeq, lastSeqFraction, interrupted: true });
+    setAiState('LISTENING');
+    setCaption(null);
+  }, []);
+
   // ===========================================================================
   // SETUP FUNCTION: Register all socket listeners
   // ===========================================================================
@@ -182,6 +291,31 @@ const useAudioRecorder = () => {
       setChatHistory(prev => [...prev, { role: 'user', text: data.text, timestamp: new Date() }]);
     });
 
+    // -------------------------------------------------------------------------
+    // LISTENER X: Difficulty Ladder Progress
+    // -------------------------------------------------------------------------
+    SocketService.socket.on('interview:progress', (data) => {
+      console.log('🪜 Ladder:', data.phase, data.rung || '');
+      setProgress(data);
+    });
+
+    // -------------------------------------------------------------------------
+    // LISTENER X: Interview Template & Completion
+    // -------------------------------------------------------------------------
+    SocketService.socket.on('interview:template', (data) => {
+      console.log('📋 Template:', data.name);
+      setTemplate(data);
+    });
+
+    SocketService.socket.on('interview:complete', (data) => {
+      console.log('🏁 Interview complete:', data.reason);
+      completePendingRef.current = true;
+      // Let the closing line finish first (see processAudioQueue)
+      if (!isPlayingRef.current && !isProcessingQueueRef.current && audioQueueRef.current.length === 0) {
+        notifyInterviewComplete();
+      }
+    });
+
     // -------------------------------------------------------------------------
     // LISTENER 2: Audio Responses (CHUNKS)
     // -------------------------------------------------------------------------
@@ -214,16 +348,24 @@ const useAudioRecorder = () => {
 
        // 2. Audio Queue Logic
        if (data.audio) {
+          // Edge sends MP3; Piper and the test stub send WAV
+          const mimeType = data.mimeType || 'audio/mpeg';
           let audioBlob = null;
           if (typeof data.audio === 'string') {
-            audioBlob = base64ToBlob(data.audio, 'audio/mpeg');
+            audioBlob = base64ToBlob(data.audio, mimeType);
           } else if (data.audio.type === 'Buffer') {
              const bytes = new Uint8Array(data.audio.data);
-             audioBlob = new Blob([bytes], { type: 'audio/mpeg' });
+             audioBlob = new Blob([bytes], { type: mimeType });
           }
 
           if (audioBlob) {
-            audioQueueRef.current.push(audioBlob);
+            audioQueueRef.current.push({
+              blob: audioBlob,
+              responseId: data.responseId,
+              seq: data.seq,
+              text: data.text,
+              words: data.words // [{ text, startMs, endMs }], may be missing
+            });
             processAudioQueue();
           }
        }
@@ -232,6 +374,13 @@ const useAudioRecorder = () => {
     SocketService.socket.on('audio:response', handleAudioEvent);
     SocketService.socket.on('audio:chunk', handleAudioEvent);
 
+    // -------------------------------------------------------------------------
+    // LISTENER X: Barge-in (Stop Speaking)
+    // -------------------------------------------------------------------------
+    SocketService.socket.on('audio:stop', (data) => {
+      stopAudioResponse(data?.responseId);
+    });
+
 
     // -------------------------------------------------------------------------
     // LISTENER 3: Security & Anti-Cheating
@@ -242,15 +391,23 @@ const useAudioRecorder = () => {
       setChatHistory(prev => [...prev, { role: 'system', text: data.message, timestamp: new Date() }]);
     });
 
+    SocketService.socket.on('session:quota', (data) => {
+      if (data.exhausted) console.warn('⌛ Time budget exhausted');
+      setQuota({ ...data, receivedAt: Date.now() });
+    });
+
     SocketService.socket.on('session:end', (data) => {
-      console.error('🛑 Session Terminated:', data.message);
+      const byAdmin = data.reason === 'admin';
+      console.error(byAdmin ? '🛑 Session ended by an administrator:' : '🛑 Session Terminated:', data.message);
       setIsRecording(false);
       setIsTerminated(true);
+      setEndReason(data.reason || 'violation');
       if (mediaRecorderRef.current) mediaRecorderRef.current.stop();
       if (streamRef.current) streamRef.current.getTracks().forEach(t => t.stop());
       
-      setChatHistory(prev => [...prev, { role: 'system', text: `🚫 TERMINATED: ${data.message}`, timestamp: new Date() }]);
-      setAiMessage("SESSION TERMINATED.");
+      const label = byAdmin ? '🛑 ENDED' : '🚫 TERMINATED';
+      setChatHistory(prev => [...prev, { role: 'system', text: `${label}: ${data.message}`, timestamp: new Date() }]);
+      setAiMessage(byAdmin ? "SESSION ENDED." : "SESSION TERMINATED.");
       setAiState("IDLE");
     });
 
@@ -266,7 +423,7 @@ const useAudioRecorder = () => {
     listenersRegisteredRef.current = true;
     console.log('✅ All socket listeners registered successfully!');
     return true;
-  }, [playAudioResponse, processAudioQueue]);
+  }, [playAudioResponse, processAudioQueue, stopAudioResponse]);
 
   // ===========================================================================
   // EFFECT: Anti-Cheating (Tab Switch, Blur, Resize/Fullscreen Detection)
@@ -277,29 +434,30 @@ const useAudioRecorder = () => {
     
     console.log(`👁️ Anti-Cheating: Monitor initialized (Recording: ${isRecording})`);
 
-    const reportViolation = (reason) => {
+    // trigger: what gave it away ('hidden' | 'blur' | 'fullscreen_exit'), stored as evidence
+    const reportViolation = (description, trigger) => {
       if (isTerminated) return; // Don't kick a dead horse
-      console.warn(`🚨 Anti-Cheat Violation detected: ${reason}`);
-      SocketService.emit('session:violation');
+      console.warn(`🚨 Anti-Cheat Violation detected: ${description}`);
+      SocketService.reportViolation(PROCTORING_REASONS.TAB_SWITCH, { trigger }, Date.now());
     };
 
     // 1. Tab Switching (Visibility API)
     const handleVisibilityChange = () => {
       if (document.hidden) {
-         reportViolation("Tab Switch / Minimized");
+         reportViolation("Tab Switch / Minimized", 'hidden');
       }
     };
 
     // 2. Window Focus (Blur = clicked outside or Alt-Tabbed)
     const handleBlur = () => {
       // Small grace period could be added here, but let's be strict for now
-      reportViolation("Window Lost Focus");
+      reportViolation("Window Lost Focus", 'blur');
     };
 
     // 3. Fullscreen Enforcement (Optional but recommended)
     const handleFullscreenChange = () => {
       if (!document.fullscreenElement) {
-        reportViolation("Exited Fullscreen");
+        reportViolation("Exited Fullscreen", 'fullscreen_exit');
       }
     };
 
@@ -344,10 +502,15 @@ const useAudioRecorder = () => {
       if (SocketService.socket) {
         SocketService.socket.off('interview:status');
         SocketService.socket.off('user:transcript');
+        SocketService.socket.off('interview:progress');
+        SocketService.socket.off('interview:template');
+        SocketService.socket.off('interview:complete');
         SocketService.socket.off('audio:response');
+        SocketService.socket.off('audio:stop');
         SocketService.socket.off('error');
         SocketService.socket.off('session:warning'); // New
         SocketService.socket.off('session:end');     // New
+        SocketService.socket.off('session:quota');
       }
       
       listenersRegisteredRef.current = false;
@@ -361,6 +524,14 @@ const useAudioRecorder = () => {
     };
   }, [setupSocketListeners]);
 
+  // ===========================================================================
+  // RESTORE CHAT HISTORY (After 'interview:resume')
+  // ===========================================================================
+  // messages: [{ role: 'user'|'ai', text }] from the server's checkpoint
+  const restoreChatHistory = useCallback((messages) => {
+    setChatHistory((messages || []).map(message => ({ ...message, timestamp: new Date() })));
+  }, []);
+
   // ===========================================================================
   // START RECORDING (The Ear)
   // ===========================================================================
@@ -432,6 +603,7 @@ const useAudioRecorder = () => {
   return {
     isRecording,
     isTerminated, 
+    endReason,      // Why the server ended the session ('violation' | 'admin')
     permissionError,
     aiState,
     aiMessage,
@@ -439,6 +611,11 @@ const useAudioRecorder = () => {
     stopRecording,
     toggleRecording,
     chatHistory,
+    restoreChatHistory, // Refill the transcript after a resume
+    progress,       // Difficulty ladder position
+    caption,        // Live caption of the interviewer's current sentence
+    template,       // Interview template in use (name, limits)
+    quota,          // Time budget left (from 'session:quota')
     warning,        // NEW: Export warning state
     setWarning      // NEW: Export setter for manual dismissal
   };
@@ -11,10 +11,35 @@ DETECTION METHODS:
   2. Face Size: Is the user moving away from the screen?
   3. Face Visibility: Is the full face visible (not turned away)?
   4. Face Lost: Has the face disappeared for too long?
+  5. Multiple Faces: FaceMesh tracks up to MAX_TRACKED_FACES; a second face
+     that stays in frame is flagged. The candidate is the largest face.
+  6. Devices (optional, VITE_OBJECT_DETECTION=true): a phone or second
+     screen in view, about once a second (see utils/objectDetector.js).
+
+OPTIONS (third argument):
+  - baseline: A calibrated baseline (see CalibrationPage, calibration.store).
+              Without one, the face at frame BASELINE_DELAY_FRAMES is used.
+  - onFrame:  Called with every frame's face metrics (utils/faceMetrics.js)
+              and { faceCount }. The calibration page samples them.
+
+EVIDENCE:
+  onViolation(reason, metrics, at) gets the numbers behind each flag (drift,
+  gaze, asymmetry...) and when it fired. They are stored server-side on the
+  integrity timeline. Reasons and metric keys must match
+  shared/proctoring-events.json (PROCTORING_REASONS).
 ================================================================================
 */
 
 import { useEffect, useRef, useState, useCallback } from 'react';
+import { PROCTORING_REASONS } from '../services/proctoring.schema';
+import { computeFaceMetrics, buildBaseline, gazeDrift, DEFAULT_GAZE_THRESHOLD } from '../utils/faceMetrics';
+import { OBJECT_DETECTION_ENABLED, loadObjectDetector, detectDevices } from '../utils/objectDetector';
+
+// Faces FaceMesh looks for. Anything above one is someone else in frame.
+const MAX_TRACKED_FACES = 3;
+
+// How often the (much heavier) object detector runs
+const OBJECT_CHECK_INTERVAL_MS = 1000;
 
 // ================================================================================
 // MODULE-LEVEL SINGLETON STATE (Survives React re-renders)
@@ -26,23 +51,31 @@ let globalIsInitialized = false;
 let globalFrameId = null;
 let globalVideoElement = null;
 let globalResultsCallback = null;
+let globalObjectDetector = null;   // Only with OBJECT_DETECTION_ENABLED
+let globalObjectCallback = null;
+let globalLastObjectCheckAt = 0;
 let activeHookCount = 0;
 let cleanupTimeoutId = null;
 
 // ================================================================================
 // THE HOOK
 // ================================================================================
-const useFaceTracker = (onViolation, externalVideoRef) => {
+const useFaceTracker = (onViolation, externalVideoRef, options = {}) => {
+  const { baseline: calibratedBaseline = null, onFrame = null } = options;
   const localVideoRef = useRef(null);
   const violationCooldownRef = useRef(0);
   const isFaceTrackedRef = useRef(false);
   const faceLastSeenRef = useRef(Date.now());
   const baselineFaceRef = useRef(null); // Store initial face position for comparison
+  const calibratedBaselineRef = useRef(calibratedBaseline); // From the calibration page, if any
+  const onFrameRef = useRef(onFrame);
   
   // Duration tracking - only flag if behavior persists
   const gazeSuspiciousStartRef = useRef(null);  // When gaze started looking away
   const eyesClosedStartRef = useRef(null);       // When eyes appeared closed
   const headTurnedStartRef = useRef(null);       // When head turned away
+  const extraFacesStartRef = useRef(null);       // When a second face appeared
+  const deviceSeenStartRef = useRef(null);       // When a phone / screen appeared
   
   const videoRef = externalVideoRef || localVideoRef;
 
@@ -79,17 +112,23 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
   
   const frameCountRef = useRef(0);
 
+  // Latest options, read by handleResults without re-subscribing to MediaPipe
+  useEffect(() => {
+    calibratedBaselineRef.current = calibratedBaseline;
+    onFrameRef.current = onFrame;
+  }, [calibratedBaseline, onFrame]);
+
   // ============================================================================
   // TRIGGER VIOLATION (with debounce)
   // ============================================================================
-  const triggerViolation = useCallback((reason) => {
+  const triggerViolation = useCallback((reason, metrics = {}) => {
     const now = Date.now();
     
     if (now - violationCooldownRef.current > CONFIG.VIOLATION_COOLDOWN) {
-        console.log(`🚨 ANTI-CHEAT VIOLATION: ${reason}`);
+        console.log(`🚨 ANTI-CHEAT VIOLATION: ${reason}`, metrics);
         violationCooldownRef.current = now;
         if (onViolation) {
-          onViolation(reason);
+          onViolation(reason, metrics, now);
         }
     }
   }, [onViolation, CONFIG.VIOLATION_COOLDOWN]);
@@ -111,7 +150,7 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
       
       // Trigger violation if face missing for too long
       if (now - faceLastSeenRef.current > CONFIG.FACE_MISSING_THRESHOLD) {
-        triggerViolation('face_not_visible');
+        triggerViolation(PROCTORING_REASONS.FACE_NOT_VISIBLE, { missingMs: now - faceLastSeenRef.current });
       }
       return;
     }
@@ -125,137 +164,48 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
       console.log("👤 Face DETECTED");
     }
 
-    const landmarks = results.multiFaceLandmarks[0];
-    
-    // ----- CALCULATE FACE METRICS -----
-    
-    // Key landmark indices
-    const NOSE_TIP = 4;
-    const LEFT_EYE_OUTER = 33;
-    const RIGHT_EYE_OUTER = 263;
-    const LEFT_EAR = 234;  // Left side of face
-    const RIGHT_EAR = 454; // Right side of face
-    const CHIN = 152;
-    const FOREHEAD = 10;
-    
-    // EYE & IRIS LANDMARKS (available with refineLandmarks: true)
-    // Left eye corners
-    const LEFT_EYE_INNER = 133;
-    const LEFT_EYE_OUTER_CORNER = 33;
-    // Right eye corners  
-    const RIGHT_EYE_INNER = 362;
-    const RIGHT_EYE_OUTER_CORNER = 263;
-    // Iris centers (only available with refineLandmarks)
-    const LEFT_IRIS_CENTER = 468;
-    const RIGHT_IRIS_CENTER = 473;
-    
-    const nose = landmarks[NOSE_TIP];
-    const leftEye = landmarks[LEFT_EYE_OUTER];
-    const rightEye = landmarks[RIGHT_EYE_OUTER];
-    const leftSide = landmarks[LEFT_EAR];
-    const rightSide = landmarks[RIGHT_EAR];
-    const chin = landmarks[CHIN];
-    const forehead = landmarks[FOREHEAD];
-    
-    // Get eye corners and iris positions
-    const leftEyeInner = landmarks[LEFT_EYE_INNER];
-    const leftEyeOuter = landmarks[LEFT_EYE_OUTER_CORNER];
-    const rightEyeInner = landmarks[RIGHT_EYE_INNER];
-    const rightEyeOuter = landmarks[RIGHT_EYE_OUTER_CORNER];
-    
-    // Additional eye landmarks for vertical gaze
-    const LEFT_EYE_TOP = 159;
-    const LEFT_EYE_BOTTOM = 145;
-    const RIGHT_EYE_TOP = 386;
-    const RIGHT_EYE_BOTTOM = 374;
-    
-    const leftEyeTop = landmarks[LEFT_EYE_TOP];
-    const leftEyeBottom = landmarks[LEFT_EYE_BOTTOM];
-    const rightEyeTop = landmarks[RIGHT_EYE_TOP];
-    const rightEyeBottom = landmarks[RIGHT_EYE_BOTTOM];
-    
-    // Iris centers (indices 468-477 are iris landmarks when refineLandmarks is true)
-    const leftIris = landmarks[LEFT_IRIS_CENTER];
-    const rightIris = landmarks[RIGHT_IRIS_CENTER];
-    
-    // Calculate face center (average of nose and eye positions)
-    const faceCenter = {
-      x: (nose.x + leftEye.x + rightEye.x) / 3,
-      y: (nose.y + leftEye.y + rightEye.y) / 3
-    };
-    
-    // Calculate face width (distance between left and right sides)
-    const faceWidth = Math.abs(rightSide.x - leftSide.x);
-    
-    // Calculate face height
-    const faceHeight = Math.abs(chin.y - forehead.y);
-    
-    // ===== HORIZONTAL ASYMMETRY (left/right head turn) =====
-    const leftSideToNose = Math.abs(nose.x - leftSide.x);
-    const rightSideToNose = Math.abs(rightSide.x - nose.x);
-    const horizontalAsymmetry = Math.abs(leftSideToNose - rightSideToNose) / (leftSideToNose + rightSideToNose);
-    
-    // ===== VERTICAL ASYMMETRY (up/down head tilt) =====
-    // Compare nose-to-forehead vs nose-to-chin distance
-    const noseToForehead = Math.abs(nose.y - forehead.y);
-    const noseToChin = Math.abs(chin.y - nose.y);
-    const verticalAsymmetry = Math.abs(noseToForehead - noseToChin) / (noseToForehead + noseToChin);
+    // ----- MULTIPLE FACES -----
+    // Someone else in frame for longer than a passer-by takes
+    const faceCount = results.multiFaceLandmarks.length;
+    if (faceCount > 1) {
+      if (!extraFacesStartRef.current) {
+        extraFacesStartRef.current = now;
+      } else if (now - extraFacesStartRef.current > CONFIG.SUSPICIOUS_DURATION_THRESHOLD) {
+        console.log(`⚠️ ${faceCount} faces in frame`);
+        triggerViolation(PROCTORING_REASONS.MULTIPLE_FACES, {
+          faceCount,
+          durationMs: now - extraFacesStartRef.current
+        });
+        extraFacesStartRef.current = null; // Reset after violation
+      }
+    } else {
+      extraFacesStartRef.current = null;
+    }
     
-    // ===== EYE GAZE CALCULATION =====
-    // Calculate where the iris is positioned within the eye socket
-    let gazeX = 0.5; // 0 = looking left, 0.5 = center, 1 = looking right
-    let gazeY = 0.5; // 0 = looking up, 0.5 = center, 1 = looking down
-    let gazeValid = false;
+    // ----- CALCULATE FACE METRICS (see utils/faceMetrics.js) -----
+    // The candidate is the largest (closest) face
+    const candidate = results.multiFaceLandmarks
+      .map((faceLandmarks) => ({ landmarks: faceLandmarks, metrics: computeFaceMetrics(faceLandmarks) }))
+      .reduce((largest, face) => (face.metrics.faceWidth > largest.metrics.faceWidth ? face : largest));
+    const { landmarks, metrics } = candidate;
+    const { faceCenter, faceWidth, horizontalAsymmetry, verticalAsymmetry, gazeX, gazeY, gazeValid } = metrics;
     
-    // Debug: Check if iris landmarks exist
-    // MediaPipe provides 478 landmarks with refineLandmarks=true (468-477 are iris)
-    const hasIrisLandmarks = landmarks.length > 468;
+    if (onFrameRef.current) onFrameRef.current(metrics, { faceCount });
     
-    if (hasIrisLandmarks && leftIris && rightIris) {
-      gazeValid = true;
-      
-      // ----- HORIZONTAL GAZE (left/right) -----
-      // Left eye: where is iris between outer (left) and inner (right) corner?
-      const leftEyeWidth = Math.abs(leftEyeInner.x - leftEyeOuter.x);
-      const leftIrisPosX = (leftIris.x - leftEyeOuter.x) / leftEyeWidth;
-      
-      // Right eye: where is iris between inner (left) and outer (right) corner?
-      const rightEyeWidth = Math.abs(rightEyeOuter.x - rightEyeInner.x);
-      const rightIrisPosX = (rightIris.x - rightEyeInner.x) / rightEyeWidth;
-      
-      // Average both eyes (clamp to reasonable range)
-      gazeX = Math.max(0, Math.min(1, (leftIrisPosX + rightIrisPosX) / 2));
-      
-      // ----- VERTICAL GAZE (up/down) -----
-      // Left eye: where is iris between top and bottom?
-      const leftEyeHeight = Math.abs(leftEyeBottom.y - leftEyeTop.y);
-      const leftIrisPosY = (leftIris.y - leftEyeTop.y) / leftEyeHeight;
-      
-      // Right eye
-      const rightEyeHeight = Math.abs(rightEyeBottom.y - rightEyeTop.y);
-      const rightIrisPosY = (rightIris.y - rightEyeTop.y) / rightEyeHeight;
-      
-      // Average both eyes (clamp to reasonable range)
-      gazeY = Math.max(0, Math.min(1, (leftIrisPosY + rightIrisPosY) / 2));
-    } else {
+    if (!gazeValid && frameCountRef.current === 60) {
       // Log once if iris not available
-      if (frameCountRef.current === 60) {
-        console.warn(`⚠️ Iris landmarks not available. Total landmarks: ${landmarks.length}. Need 478 for iris tracking.`);
-      }
+      console.warn(`⚠️ Iris landmarks not available. Total landmarks: ${landmarks.length}. Need 478 for iris tracking.`);
     }
     
-    // ----- SET BASELINE (first few frames) -----
-    if (frameCountRef.current <= CONFIG.BASELINE_DELAY_FRAMES) {
+    // ----- SET BASELINE -----
+    // A calibrated baseline (see CalibrationPage) is used as is. Without
+    // one we take a snapshot once the user has had a moment to settle.
+    if (calibratedBaselineRef.current) {
+      baselineFaceRef.current = calibratedBaselineRef.current;
+    } else if (frameCountRef.current <= CONFIG.BASELINE_DELAY_FRAMES) {
       // Still calibrating
       if (frameCountRef.current === CONFIG.BASELINE_DELAY_FRAMES) {
-        baselineFaceRef.current = {
-          center: { ...faceCenter },
-          width: faceWidth,
-          height: faceHeight,
-          gazeX: gazeX,
-          gazeY: gazeY,
-          gazeValid: gazeValid
-        };
+        baselineFaceRef.current = buildBaseline([metrics]);
         console.log("📐 Baseline set:", { 
           faceCenter: baselineFaceRef.current.center, 
           gazeX: gazeX.toFixed(2), 
@@ -281,12 +231,7 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
     const sizeRatio = faceWidth / baseline.width;
     
     // ----- CHECK 3: Eye Gaze (looking away from screen) -----
-    // Make sure baseline gaze values exist (they might not if baseline was set earlier)
-    const baseGazeX = baseline.gazeX !== undefined ? baseline.gazeX : 0.5;
-    const baseGazeY = baseline.gazeY !== undefined ? baseline.gazeY : 0.5;
-    const gazeDriftX = gazeValid ? Math.abs(gazeX - baseGazeX) : 0;
-    const gazeDriftY = gazeValid ? Math.abs(gazeY - baseGazeY) : 0;
-    const totalGazeDrift = Math.sqrt(gazeDriftX * gazeDriftX + gazeDriftY * gazeDriftY);
+    const totalGazeDrift = gazeDrift(metrics, baseline);
     
     // ----- DEBUG LOG (every 2 seconds) -----
     if (frameCountRef.current % 60 === 0) {
@@ -315,7 +260,13 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
       } else if (now - headTurnedStartRef.current > DURATION) {
         // Suspicious for too long!
         console.log(`⚠️ Head position suspicious for ${DURATION/1000}s+`);
-        triggerViolation('looking_away');
+        triggerViolation(PROCTORING_REASONS.LOOKING_AWAY, {
+          positionDrift,
+          horizontalAsymmetry,
+          verticalAsymmetry,
+          gazeDrift: totalGazeDrift,
+          durationMs: now - headTurnedStartRef.current
+        });
         headTurnedStartRef.current = null; // Reset after violation
       }
     } else {
@@ -326,12 +277,13 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
     // --- Face Size Check (moved away from screen) ---
     if (sizeRatio < CONFIG.FACE_SIZE_THRESHOLD) {
       console.log(`⚠️ Face too small: ${sizeRatio.toFixed(2)} < ${CONFIG.FACE_SIZE_THRESHOLD}`);
-      triggerViolation('moved_away');
+      triggerViolation(PROCTORING_REASONS.MOVED_AWAY, { sizeRatio });
     }
     
     // --- Eye Gaze Check ---
-    // Lower threshold is OK because we require 1.5s duration for sustained looking away
-    const GAZE_THRESHOLD = 0.18; // 18% drift from baseline
+    // Lower threshold is OK because we require 1.5s duration for sustained looking away.
+    // Calibration measures how far this candidate's gaze moves across the screen.
+    const GAZE_THRESHOLD = baseline.gazeThreshold || DEFAULT_GAZE_THRESHOLD;
     const isGazeSuspicious = gazeValid && totalGazeDrift > GAZE_THRESHOLD;
     
     if (isGazeSuspicious) {
@@ -341,7 +293,12 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
       } else if (now - gazeSuspiciousStartRef.current > DURATION) {
         // Eyes looking away for too long!
         console.log(`👁️ Eyes looking away for ${DURATION/1000}s+: drift=${totalGazeDrift.toFixed(2)}`);
-        triggerViolation('eyes_wandering');
+        triggerViolation(PROCTORING_REASONS.EYES_WANDERING, {
+          gazeX,
+          gazeY,
+          gazeDrift: totalGazeDrift,
+          durationMs: now - gazeSuspiciousStartRef.current
+        });
         gazeSuspiciousStartRef.current = null; // Reset after violation
       }
     } else {
@@ -351,6 +308,30 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
     
   }, [triggerViolation, CONFIG]);
 
+  // ============================================================================
+  // ANALYZE OBJECT DETECTIONS (optional, see utils/objectDetector.js)
+  // ============================================================================
+  const handleDevice = useCallback((found) => {
+    const now = Date.now();
+
+    if (!found) {
+      deviceSeenStartRef.current = null;
+      return;
+    }
+
+    // Seen on two checks in a row: not a one-frame misdetection
+    if (!deviceSeenStartRef.current) {
+      deviceSeenStartRef.current = now;
+    } else {
+      console.log(`⚠️ ${found.category} in view (${found.confidence.toFixed(2)})`);
+      triggerViolation(PROCTORING_REASONS.DEVICE_IN_VIEW, {
+        ...found,
+        durationMs: now - deviceSeenStartRef.current
+      });
+      deviceSeenStartRef.current = null; // Reset after violation
+    }
+  }, [triggerViolation]);
+
   // ============================================================================
   // MAIN EFFECT - Initialize FaceMesh
   // ============================================================================
@@ -365,6 +346,7 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
     activeHookCount++;
     console.log(`🔐 FaceTracker: Hook mounted (${activeHookCount} active)`);
     globalResultsCallback = handleResults;
+    globalObjectCallback = handleDevice;
 
     // Helper: Inject script
     const injectScript = (src) => {
@@ -436,7 +418,7 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
         });
 
         globalFaceMesh.setOptions({
-          maxNumFaces: 1,
+          maxNumFaces: MAX_TRACKED_FACES,
           refineLandmarks: true,
           minDetectionConfidence: 0.5,
           minTrackingConfidence: 0.5,
@@ -469,6 +451,16 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
         setIsLoading(false);
         console.log("✅ FaceTracker: Ready");
 
+        // Optional phone / screen detection (never blocks the face tracker)
+        if (OBJECT_DETECTION_ENABLED) {
+          loadObjectDetector()
+            .then((detector) => {
+              globalObjectDetector = detector;
+              console.log("✅ FaceTracker: Object detector ready");
+            })
+            .catch((error) => console.warn("⚠️ FaceTracker: Object detector unavailable:", error.message));
+        }
+
         // Processing loop
         const process = async () => {
           if (!globalIsInitialized) return;
@@ -476,6 +468,17 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
             try {
               await globalFaceMesh.send({ image: globalVideoElement });
             } catch (e) {}
+
+            const now = performance.now();
+            if (globalObjectDetector && now - globalLastObjectCheckAt >= OBJECT_CHECK_INTERVAL_MS) {
+              globalLastObjectCheckAt = now;
+              try {
+                const found = detectDevices(globalObjectDetector, globalVideoElement, now);
+                if (globalObjectCallback) globalObjectCallback(found);
+              } catch {
+                // A frame the detector can't read; try again on the next check
+              }
+            }
           }
           globalFrameId = requestAnimationFrame(process);
         };
@@ -505,7 +508,10 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
             if (globalFrameId) cancelAnimationFrame(globalFrameId);
             if (globalStream) globalStream.getTracks().forEach(t => t.stop());
             if (globalFaceMesh?.close) try { globalFaceMesh.close(); } catch(e) {}
+            if (globalObjectDetector?.close) try { globalObjectDetector.close(); } catch { /* already closed */ }
             globalFaceMesh = null;
+            globalObjectDetector = null;
+            globalObjectCallback = null;
             globalStream = null;
             globalVideoElement = null;
             globalResultsCallback = null;
@@ -516,7 +522,7 @@ const useFaceTracker = (onViolation, externalVideoRef) => {
         }, 1000);
       }
     };
-  }, [handleResults, videoRef]);
+  }, [handleResults, handleDevice, videoRef]);
 
   return { isFaceTracked, trackerError, isLoading };
 };
@@ -0,0 +1,347 @@
+/*
+================================================================================
+ADMIN PAGE (Control Room)
+================================================================================
+ROLE: The admin console. Only reachable by admins (AuthGuard roles={['admin']},
+and every /api/admin/* request is checked again by the backend).
+
+HOW IT WORKS:
+1. Users (GET /api/admin/users): role, quota plan and per-user daily limit
+   can be changed inline and saved with PUT /api/admin/users/:uid.
+2. Active sessions (GET /api/admin/sessions/active): each can be force-ended
+   (POST /api/admin/users/:uid/end-session) or opened to see its transcript
+   and integrity timeline (GET /api/admin/sessions/:id).
+3. Violation log (GET /api/admin/violations), optionally for one user.
+================================================================================
+*/
+
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ApiService } from '../services/api.service';
+import IntegrityTimeline from '../components/shared/IntegrityTimeline';
+
+// Helper: seconds -> "12m 30s"
+const formatDuration = (seconds) => {
+  if (!seconds) return '0m';
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return secs ? `${mins}m ${secs}s` : `${mins}m`;
+};
+
+// Helper: ms since epoch -> "Oct 19, 09:41"
+const formatTime = (ms) => (ms
+  ? new Date(ms).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '—');
+
+// --- SMALL PRESENTATIONAL PIECES ---
+
+const SectionTitle = ({ children }) => (
+  <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em] mb-4 ml-2">{children}</h3>
+);
+
+const Panel = ({ children }) => (
+  <div className="bg-zinc-900/20 border border-white/[0.05] rounded-[32px] p-6 backdrop-blur-sm overflow-x-auto">
+    {children}
+  </div>
+);
+
+// One editable row of the user table
+const UserRow = ({ user, roles, plans, onSave, onEndSession }) => {
+  const [role, setRole] = useState(user.role);
+  const [plan, setPlan] = useState(user.plan || '');
+  const [limitMin, setLimitMin] = useState(user.dailyTimeLimitSec === null ? '' : String(user.dailyTimeLimitSec / 60));
+
+  const dailyTimeLimitSec = limitMin === '' ? null : Math.round(Number(limitMin) * 60);
+  const isDirty = role !== user.role || (plan || null) !== user.plan || dailyTimeLimitSec !== user.dailyTimeLimitSec;
+
+  return (
+    <tr className="border-t border-white/5">
+      <td className="py-3 pr-4">
+        <p className="text-sm text-white font-inter">{user.displayName || 'Unnamed'}</p>
+        <p className="text-[10px] text-slate-500 font-mono">{user.email || user.uid}</p>
+      </td>
+      <td className="py-3 pr-4">
+        <select value={role} onChange={(e) => setRole(e.target.value)} className="bg-slate-900 border border-slate-800 rounded-lg px-2 py-1 text-xs text-slate-300">
+          {roles.map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+      </td>
+      <td className="py-3 pr-4">
+        <select value={plan} onChange={(e) => setPlan(e.target.value)} className="bg-slate-900 border border-slate-800 rounded-lg px-2 py-1 text-xs text-slate-300">
+          <option value="">by role</option>
+          {plans.map(p => <option key={p} value={p}>{p}</option>)}
+        </select>
+      </td>
+      <td className="py-3 pr-4">
+        <input
+          type="number"
+          min="0"
+          value={limitMin}
+          placeholder="plan"
+          onChange={(e) => setLimitMin(e.target.value)}
+          className="w-20 bg-slate-900 border border-slate-800 rounded-lg px-2 py-1 text-xs text-slate-300"
+        />
+        <span className="text-[10px] text-slate-600 ml-1">min</span>
+      </td>
+      <td className="py-3 pr-4 text-[10px] text-slate-400 font-mono">
+        {user.quota.remainingSec === null ? 'Unlimited' : `${formatDuration(user.quota.remainingSec)} left`}
+        <br />
+        <span className="text-slate-600">{user.timezone || 'UTC'}</span>
+      </td>
+      <td className="py-3 text-right whitespace-nowrap space-x-2">
+        {user.activeSessionId && (
+          <button onClick={() => onEndSession(user.uid)} className="px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-widest bg-red-500/10 text-red-400 hover:bg-red-500/20">
+            End Session
+          </button>
+        )}
+        <button
+          disabled={!isDirty}
+          onClick={() => onSave(user.uid, { role, plan: plan || null, dailyTimeLimitSec })}
+          className="px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-widest bg-indigo-500/10 text-indigo-400 hover:bg-indigo-500/20 disabled:opacity-30"
+        >
+          Save
+        </button>
+      </td>
+    </tr>
+  );
+};
+
+function AdminPage() {
+
+  // 1. Routing
+  const navigate = useNavigate();
+
+  // 2. Local State
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [activeSessions, setActiveSessions] = useState([]);
+  const [violations, setViolations] = useState([]);
+  const [violationUid, setViolationUid] = useState('');
+  const [selectedSession, setSelectedSession] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0); // Bumped to reload everything
+
+  // 3. Load users and active sessions
+  useEffect(() => {
+    let cancelled = false;
+
+    ApiService.get('/api/admin/users')
+      .then((response) => {
+        if (cancelled) return;
+        setUsers(response.users || []);
+        setRoles(response.roles || []);
+        setPlans(response.plans || []);
+      })
+      .catch((err) => !cancelled && setNotice(`Failed to load users: ${err.message}`));
+
+    ApiService.get('/api/admin/sessions/active')
+      .then((response) => {
+        if (!cancelled) setActiveSessions(response.sessions || []);
+      })
+      .catch((err) => console.error('❌ Admin: Failed to load active sessions', err));
+
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  // 4. Load the violation log (all users, or the one typed in)
+  useEffect(() => {
+    let cancelled = false;
+    const query = violationUid.trim() ? `?uid=${encodeURIComponent(violationUid.trim())}` : '';
+
+    ApiService.get(`/api/admin/violations${query}`)
+      .then((response) => {
+        if (!cancelled) setViolations(response.violations || []);
+      })
+      .catch((err) => console.error('❌ Admin: Failed to load violations', err));
+
+    return () => { cancelled = true; };
+  }, [violationUid, refreshKey]);
+
+  // 5. HANDLER: Save a user's role / plan / daily limit
+  async function handleSaveUser(uid, changes) {
+    try {
+      const response = await ApiService.put(`/api/admin/users/${encodeURIComponent(uid)}`, changes);
+      setUsers(prev => prev.map(u => (u.uid === uid ? response.user : u)));
+      setNotice('User updated.');
+    } catch (err) {
+      setNotice(`Update failed: ${err.message}`);
+    }
+  }
+
+  // 6. HANDLER: Force-end a user's session
+  async function handleEndSession(uid) {
+    if (!window.confirm('End this user\'s interview now? Their time so far is charged as usual.')) return;
+    try {
+      const response = await ApiService.post(`/api/admin/users/${encodeURIComponent(uid)}/end-session`);
+      setNotice(`Session ${response.sessionId} ended.`);
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      setNotice(`Could not end the session: ${err.message}`);
+    }
+  }
+
+  // 7. HANDLER: Open one session (transcript + violations)
+  async function handleOpenSession(sessionId) {
+    try {
+      const response = await ApiService.get(`/api/admin/sessions/${encodeURIComponent(sessionId)}`);
+      setSelectedSession(response.session);
+    } catch (err) {
+      setNotice(`Could not load the session: ${err.message}`);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-200 font-inter">
+      <div className="max-w-7xl mx-auto px-6 lg:px-12 py-10 space-y-12">
+
+        {/* HEADER */}
+        <header className="flex justify-between items-center">
+          <div>
+            <h2 className="text-2xl font-outfit font-bold text-white tracking-widest uppercase">Admin Console</h2>
+            <p className="text-[10px] text-slate-500 font-bold uppercase tracking-[0.2em]">Users • Sessions • Proctoring</p>
+          </div>
+          <div className="flex gap-3">
+            <button onClick={() => setRefreshKey(key => key + 1)} className="px-5 py-2 rounded-full bg-slate-900 border border-slate-800 hover:border-slate-600 text-xs font-bold uppercase tracking-widest text-slate-400">
+              Refresh
+            </button>
+            <button onClick={() => navigate('/')} className="px-5 py-2 rounded-full bg-slate-900 border border-slate-800 hover:border-indigo-500/50 text-xs font-bold uppercase tracking-widest text-slate-400">
+              Dashboard
+            </button>
+          </div>
+        </header>
+
+        {notice && (
+          <div className="px-5 py-3 rounded-2xl bg-indigo-500/10 border border-indigo-500/20 text-sm text-indigo-300 flex justify-between">
+            <span>{notice}</span>
+            <button onClick={() => setNotice(null)} className="text-indigo-400 text-xs">Dismiss</button>
+          </div>
+        )}
+
+        {/* ACTIVE SESSIONS */}
+        <section>
+          <SectionTitle>Active Sessions ({activeSessions.length})</SectionTitle>
+          <Panel>
+            {activeSessions.length === 0 ? (
+              <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">No interviews running</p>
+            ) : (
+              <table className="w-full text-left">
+                <tbody>
+                  {activeSessions.map((session) => (
+                    <tr key={session.activeSessionId} className="border-t border-white/5 first:border-t-0">
+                      <td className="py-3 pr-4 text-xs font-mono text-slate-300">{session.activeSessionId}</td>
+                      <td className="py-3 pr-4 text-[10px] font-mono text-slate-500">{session.uid}</td>
+                      <td className="py-3 pr-4 text-[10px] text-slate-500">
+                        Started {formatTime(session.currentSessionStartTime)} • Last heartbeat {formatTime(session.lastHeartbeatAt)}
+                      </td>
+                      <td className="py-3 text-right whitespace-nowrap space-x-2">
+                        <button onClick={() => handleOpenSession(session.activeSessionId)} className="px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-widest bg-slate-800 text-slate-300 hover:bg-slate-700">
+                          View
+                        </button>
+                        <button onClick={() => handleEndSession(session.uid)} className="px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-widest bg-red-500/10 text-red-400 hover:bg-red-500/20">
+                          End
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </Panel>
+        </section>
+
+        {/* SELECTED SESSION */}
+        {selectedSession && (
+          <section>
+            <SectionTitle>Session {selectedSession.sessionId}</SectionTitle>
+            <Panel>
+              <div className="flex justify-between mb-4">
+                <p className="text-xs text-slate-400">
+                  {selectedSession.status} • {selectedSession.turns.length} turns • {selectedSession.violationCount || 0} strikes
+                  {selectedSession.closedBy && ` • closed by ${selectedSession.closedBy}`}
+                </p>
+                <button onClick={() => setSelectedSession(null)} className="text-xs text-slate-500 hover:text-slate-300">Close</button>
+              </div>
+              <div className="max-h-80 overflow-y-auto space-y-2">
+                {selectedSession.turns.map((turn) => (
+                  <p key={turn.index} className="text-xs leading-relaxed">
+                    <span className={turn.speaker === 'assistant' ? 'text-indigo-400' : 'text-emerald-400'}>{turn.speaker}: </span>
+                    <span className="text-slate-300">{turn.text}</span>
+                  </p>
+                ))}
+              </div>
+              <div className="mt-6 pt-6 border-t border-white/5">
+                <p className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em] mb-4">Integrity Timeline</p>
+                <IntegrityTimeline events={selectedSession.violations} startedAt={selectedSession.startedAt} />
+              </div>
+            </Panel>
+          </section>
+        )}
+
+        {/* USERS */}
+        <section>
+          <SectionTitle>Users ({users.length})</SectionTitle>
+          <Panel>
+            <table className="w-full text-left">
+              <thead>
+                <tr className="text-[9px] text-slate-600 uppercase tracking-widest">
+                  <th className="pb-2">User</th>
+                  <th className="pb-2">Role</th>
+                  <th className="pb-2">Plan</th>
+                  <th className="pb-2">Daily Limit</th>
+                  <th className="pb-2">Quota</th>
+                  <th className="pb-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((user) => (
+                  <UserRow key={user.uid} user={user} roles={roles} plans={plans} onSave={handleSaveUser} onEndSession={handleEndSession} />
+                ))}
+              </tbody>
+            </table>
+          </Panel>
+        </section>
+
+        {/* VIOLATION LOG */}
+        <section>
+          <div className="flex justify-between items-center">
+            <SectionTitle>Violation Log</SectionTitle>
+            <input
+              value={violationUid}
+              onChange={(e) => setViolationUid(e.target.value)}
+              placeholder="Filter by user id"
+              className="mb-4 bg-slate-900 border border-slate-800 rounded-full px-4 py-1.5 text-xs text-slate-300 w-64"
+            />
+          </div>
+          <Panel>
+            {violations.length === 0 ? (
+              <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">No violations recorded</p>
+            ) : (
+              <table className="w-full text-left">
+                <tbody>
+                  {violations.map((violation) => (
+                    <tr key={violation.id} className="border-t border-white/5 first:border-t-0">
+                      <td className="py-2 pr-4 text-[10px] text-slate-500">{formatTime(violation.at)}</td>
+                      <td className="py-2 pr-4 text-xs text-slate-300">{violation.reason}</td>
+                      <td className={`py-2 pr-4 text-[10px] font-bold uppercase tracking-widest ${violation.action === 'terminated' ? 'text-red-400' : violation.action === 'logged' ? 'text-slate-500' : 'text-amber-400'}`}>
+                        {violation.action === 'logged' ? 'logged' : `${violation.action} (strike ${violation.count})`}
+                      </td>
+                      <td className="py-2 pr-4 text-[10px] font-mono text-slate-500">{violation.uid}</td>
+                      <td className="py-2 text-right">
+                        <button onClick={() => handleOpenSession(violation.sessionId)} className="text-[10px] font-mono text-indigo-400 hover:text-indigo-300">
+                          {violation.sessionId}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </Panel>
+        </section>
+
+      </div>
+    </div>
+  );
+}
+
+export default AdminPage;
@@ -0,0 +1,383 @@
+/*
+================================================================================
+CALIBRATION PAGE (/calibrate?template=<id>)
+================================================================================
+ROLE: The pre-interview check. Every interview launched from the dashboard
+      comes through here first.
+WHY:  useFaceTracker used to take its baseline from whatever the camera saw
+      at frame 30. A candidate still adjusting the camera then looked
+      "suspicious" for the whole interview.
+HOW:  Five steps, each must pass before the next:
+        1. Framing:    only one face, visible, centered and at a sensible distance
+        2. Lighting:   average brightness of the camera image
+        3. Gaze:       look at a dot in the center, then the four corners.
+                       The center frames become the face baseline; the
+                       corners set how far the gaze may move (faceMetrics.js)
+        4. Microphone: live input level
+        5. Speakers:   one line in the interviewer's voice (TTS)
+      The baseline is saved in calibration.store; InterviewPage hands it to
+      useFaceTracker.
+================================================================================
+*/
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import useFaceTracker from '../hooks/useFaceTracker';
+import useCalibrationStore from '../store/calibration.store';
+import { ApiService } from '../services/api.service';
+import { buildBaseline } from '../utils/faceMetrics';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const STEPS = [
+  { id: 'framing', title: 'Camera Framing', hint: 'Sit where you will be for the interview, face centered, about an arm\'s length away.' },
+  { id: 'lighting', title: 'Lighting', hint: 'Your face should be evenly lit. Avoid a bright window behind you.' },
+  { id: 'gaze', title: 'Gaze Calibration', hint: 'Follow the dot with your eyes only. Keep your head still.' },
+  { id: 'microphone', title: 'Microphone', hint: 'Say a few words at your normal interview volume.' },
+  { id: 'speakers', title: 'Speakers', hint: 'Play the test line and check you can hear the interviewer clearly.' }
+];
+
+// Where the dot goes, in order. The first one is the baseline.
+const GAZE_TARGETS = [
+  { id: 'center', position: 'top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2' },
+  { id: 'top_left', position: 'top-8 left-8' },
+  { id: 'top_right', position: 'top-8 right-8' },
+  { id: 'bottom_right', position: 'bottom-8 right-8' },
+  { id: 'bottom_left', position: 'bottom-8 left-8' }
+];
+const GAZE_SETTLE_MS = 700;   // Eyes travel to the dot; frames ignored
+const GAZE_SAMPLE_MS = 1500;  // Frames averaged per dot
+
+// Framing: face center (0..1 of the frame) and face width (share of the frame)
+const FRAMING = { MIN_CENTER: 0.3, MAX_CENTER: 0.7, MIN_WIDTH: 0.18, MAX_WIDTH: 0.6 };
+
+// Lighting: mean luma of the camera image (0..255)
+const LIGHTING = { MIN: 60, MAX: 200, INTERVAL_MS: 500 };
+
+// Microphone: RMS level (0..1) the candidate must reach once
+const MIC_PASS_LEVEL = 0.04;
+
+// Helper: mean of a list of numbers
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Helper: current video frame -> mean luma, on a small canvas
+const measureBrightness = (video, canvas) => {
+  if (!video || video.readyState < 2) return null;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, canvas.width, canvas.height);
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    total += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return total / (data.length / 4);
+};
+
+function CalibrationPage() {
+
+  // 1. Routing
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const templateId = searchParams.get('template');
+  const saveBaseline = useCalibrationStore((state) => state.saveBaseline);
+
+  // 2. Local State
+  const [stepIndex, setStepIndex] = useState(0);
+  const [faceMetrics, setFaceMetrics] = useState(null);
+  const [faceCount, setFaceCount] = useState(0);
+  const [brightness, setBrightness] = useState(null);
+  const [gazeIndex, setGazeIndex] = useState(-1); // -1 = not running
+  const [baseline, setBaseline] = useState(null);
+  const [gazeError, setGazeError] = useState(null);
+  const [micLevel, setMicLevel] = useState(0);
+  const [micPassed, setMicPassed] = useState(false);
+  const [micError, setMicError] = useState(null);
+  const [speakerState, setSpeakerState] = useState('idle'); // 'idle' | 'loading' | 'played' | 'confirmed'
+  const [speakerError, setSpeakerError] = useState(null);
+
+  // 3. Refs
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const gazeSamplesRef = useRef(null); // Frames of the dot being sampled, null between dots
+  const gazeResultsRef = useRef({});   // targetId -> frames
+
+  const step = STEPS[stepIndex];
+
+  // 4. Face tracker: no violations here, we only read the metrics
+  const handleFrame = useCallback((metrics, frame) => {
+    if (gazeSamplesRef.current) gazeSamplesRef.current.push(metrics);
+    setFaceMetrics(metrics);
+    setFaceCount(frame.faceCount);
+  }, []);
+  const { isFaceTracked, trackerError } = useFaceTracker(null, videoRef, { onFrame: handleFrame });
+
+  // 5. Lighting: sample the camera image while on that step
+  useEffect(() => {
+    if (step.id !== 'lighting') return;
+    const timer = setInterval(() => {
+      const value = measureBrightness(videoRef.current, canvasRef.current);
+      if (value !== null) setBrightness(value);
+    }, LIGHTING.INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [step.id]);
+
+  // 6. Gaze: show each dot, let the eyes settle, then collect frames
+  useEffect(() => {
+    if (gazeIndex < 0 || gazeIndex >= GAZE_TARGETS.length) return;
+    const target = GAZE_TARGETS[gazeIndex];
+
+    const settle = setTimeout(() => { gazeSamplesRef.current = []; }, GAZE_SETTLE_MS);
+    const done = setTimeout(() => {
+      gazeResultsRef.current[target.id] = gazeSamplesRef.current || [];
+      gazeSamplesRef.current = null;
+
+      if (gazeIndex < GAZE_TARGETS.length - 1) {
+        setGazeIndex(gazeIndex + 1);
+        return;
+      }
+
+      // Last dot: center frames -> baseline, corners -> gaze range
+      const results = gazeResultsRef.current;
+      const cornerGazes = GAZE_TARGETS.slice(1)
+        .map((corner) => (results[corner.id] || []).filter((sample) => sample.gazeValid))
+        .filter((samples) => samples.length > 0)
+        .map((samples) => ({ gazeX: average(samples.map((s) => s.gazeX)), gazeY: average(samples.map((s) => s.gazeY)) }));
+      const measured = buildBaseline(results.center || [], cornerGazes);
+
+      setGazeIndex(-1);
+      if (!measured) {
+        setGazeError('We could not see your face while you looked at the center. Try again.');
+        return;
+      }
+      setBaseline(measured);
+    }, GAZE_SETTLE_MS + GAZE_SAMPLE_MS);
+
+    return () => {
+      clearTimeout(settle);
+      clearTimeout(done);
+      gazeSamplesRef.current = null;
+    };
+  }, [gazeIndex]);
+
+  // 7. Microphone: live level while on that step
+  useEffect(() => {
+    if (step.id !== 'microphone') return;
+    let stream = null;
+    let audioContext = null;
+    let timer = null;
+    let cancelled = false;
+
+    navigator.mediaDevices.getUserMedia({ audio: true })
+      .then((mediaStream) => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        audioContext = new AudioContext();
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        audioContext.createMediaStreamSource(stream).connect(analyser);
+        const buffer = new Float32Array(analyser.fftSize);
+
+        timer = setInterval(() => {
+          analyser.getFloatTimeDomainData(buffer);
+          const rms = Math.sqrt(buffer.reduce((sum, value) => sum + value * value, 0) / buffer.length);
+          setMicLevel(rms);
+          if (rms >= MIC_PASS_LEVEL) setMicPassed(true);
+        }, 100);
+      })
+      .catch(() => !cancelled && setMicError('Microphone access was denied. Allow it in your browser settings.'));
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+      if (audioContext) audioContext.close().catch(() => {});
+    };
+  }, [step.id]);
+
+  // 8. Speakers: one line in the interviewer's voice
+  const playSpeakerTest = async () => {
+    setSpeakerState('loading');
+    setSpeakerError(null);
+    try {
+      const query = templateId ? `?template=${encodeURIComponent(templateId)}` : '';
+      const response = await ApiService.get(`/api/calibration/speaker-test${query}`);
+      await new Audio(`data:${response.mimeType};base64,${response.audio}`).play();
+      setSpeakerState('played');
+    } catch (err) {
+      setSpeakerError(err.message);
+      setSpeakerState('idle');
+    }
+  };
+
+  // 9. Checks (derived from the live readings)
+  const framingOk = isFaceTracked && faceMetrics !== null && faceCount === 1
+    && faceMetrics.faceCenter.x >= FRAMING.MIN_CENTER && faceMetrics.faceCenter.x <= FRAMING.MAX_CENTER
+    && faceMetrics.faceCenter.y >= FRAMING.MIN_CENTER && faceMetrics.faceCenter.y <= FRAMING.MAX_CENTER
+    && faceMetrics.faceWidth >= FRAMING.MIN_WIDTH && faceMetrics.faceWidth <= FRAMING.MAX_WIDTH;
+
+  const framingHint = !isFaceTracked || !faceMetrics
+    ? 'No face detected'
+    : faceCount > 1
+      ? 'Only you should be in view'
+      : faceMetrics.faceWidth < FRAMING.MIN_WIDTH
+        ? 'Move a little closer'
+        : faceMetrics.faceWidth > FRAMING.MAX_WIDTH
+          ? 'Move a little further back'
+          : framingOk ? 'Looks good' : 'Center your face in the frame';
+
+  const lightingOk = brightness !== null && brightness >= LIGHTING.MIN && brightness <= LIGHTING.MAX;
+
+  const stepPassed = {
+    framing: framingOk,
+    lighting: lightingOk,
+    gaze: baseline !== null,
+    microphone: micPassed,
+    speakers: speakerState === 'confirmed'
+  }[step.id];
+
+  const isLastStep = stepIndex === STEPS.length - 1;
+
+  const handleNext = () => {
+    if (!isLastStep) {
+      setStepIndex(stepIndex + 1);
+      return;
+    }
+    saveBaseline(baseline);
+    navigate(templateId ? `/interview?template=${encodeURIComponent(templateId)}` : '/interview');
+  };
+
+  const startGaze = () => {
+    gazeResultsRef.current = {};
+    setGazeError(null);
+    setBaseline(null);
+    setGazeIndex(0);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-200 font-inter flex items-center justify-center px-6 py-12">
+      <canvas ref={canvasRef} width={32} height={24} className="hidden" />
+
+      {/* Gaze dot (full screen, so the corners are the screen's corners) */}
+      {gazeIndex >= 0 && (
+        <div className="fixed inset-0 z-50 bg-slate-950/95">
+          <div className={`absolute w-5 h-5 rounded-full bg-indigo-400 shadow-[0_0_24px_rgba(129,140,248,0.8)] animate-pulse ${GAZE_TARGETS[gazeIndex].position}`}></div>
+          <p className="absolute bottom-1/3 inset-x-0 text-center text-[10px] text-slate-500 uppercase tracking-widest font-bold">
+            Look at the dot ({gazeIndex + 1}/{GAZE_TARGETS.length})
+          </p>
+        </div>
+      )}
+
+      <div className="max-w-3xl w-full bg-zinc-900/30 border border-white/[0.05] rounded-[40px] p-10 space-y-8">
+
+        {/* Header & progress */}
+        <div className="space-y-4">
+          <p className="text-[10px] text-slate-500 uppercase tracking-[0.3em] font-bold">Pre-Interview Check • Step {stepIndex + 1} of {STEPS.length}</p>
+          <div className="flex gap-2">
+            {STEPS.map((item, index) => (
+              <div key={item.id} className={`h-1 flex-1 rounded-full ${index < stepIndex ? 'bg-emerald-500/60' : index === stepIndex ? 'bg-indigo-500' : 'bg-slate-800'}`}></div>
+            ))}
+          </div>
+          <h2 className="text-2xl font-outfit font-bold text-white">{step.title}</h2>
+          <p className="text-sm text-slate-400">{step.hint}</p>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-8 items-start">
+
+          {/* Camera (kept mounted for every step: the tracker needs it) */}
+          <div className="relative aspect-video rounded-2xl overflow-hidden border border-slate-800 bg-slate-900">
+            <video ref={videoRef} autoPlay muted playsInline className="w-full h-full object-cover scale-x-[-1]" />
+            {step.id === 'framing' && (
+              <div className={`absolute inset-[20%] border-2 border-dashed rounded-[40%] ${framingOk ? 'border-emerald-500/60' : 'border-white/20'}`}></div>
+            )}
+            <div className="absolute bottom-3 left-3 flex items-center space-x-2">
+              <div className={`w-2 h-2 rounded-full ${isFaceTracked ? 'bg-emerald-500' : 'bg-red-500'}`}></div>
+              <span className="text-[9px] text-white/50 font-bold uppercase tracking-widest">{isFaceTracked ? 'Face detected' : 'No face'}</span>
+            </div>
+          </div>
+
+          {/* The current step's check */}
+          <div className="space-y-4">
+            {trackerError && <p className="text-sm text-red-400">{trackerError}</p>}
+
+            {step.id === 'framing' && (
+              <p className={`text-sm font-bold ${framingOk ? 'text-emerald-400' : 'text-amber-400'}`}>{framingHint}</p>
+            )}
+
+            {step.id === 'lighting' && (
+              <>
+                <div className="h-2 rounded-full bg-slate-800 overflow-hidden">
+                  <div className={`h-full ${lightingOk ? 'bg-emerald-500' : 'bg-amber-500'}`} style={{ width: `${Math.min(100, ((brightness || 0) / 255) * 100)}%` }}></div>
+                </div>
+                <p className={`text-sm font-bold ${lightingOk ? 'text-emerald-400' : 'text-amber-400'}`}>
+                  {brightness === null ? 'Measuring...' : brightness < LIGHTING.MIN ? 'Too dark: add some light in front of you' : brightness > LIGHTING.MAX ? 'Too bright: avoid direct light into the camera' : 'Lighting is good'}
+                </p>
+              </>
+            )}
+
+            {step.id === 'gaze' && (
+              <>
+                <button onClick={startGaze} className="px-6 py-2 rounded-full bg-indigo-500/10 text-indigo-400 hover:bg-indigo-500/20 text-[10px] font-bold uppercase tracking-widest">
+                  {baseline ? 'Calibrate Again' : 'Start Calibration'}
+                </button>
+                {gazeError && <p className="text-sm text-red-400">{gazeError}</p>}
+                {baseline && (
+                  <p className="text-sm text-emerald-400 font-bold">
+                    Calibrated{baseline.gazeThreshold ? '' : ' (eye tracking unavailable on this camera, head position only)'}
+                  </p>
+                )}
+              </>
+            )}
+
+            {step.id === 'microphone' && (
+              <>
+                <div className="h-2 rounded-full bg-slate-800 overflow-hidden">
+                  <div className={`h-full transition-all duration-100 ${micPassed ? 'bg-emerald-500' : 'bg-indigo-500'}`} style={{ width: `${Math.min(100, (micLevel / (MIC_PASS_LEVEL * 3)) * 100)}%` }}></div>
+                </div>
+                {micError
+                  ? <p className="text-sm text-red-400">{micError}</p>
+                  : <p className={`text-sm font-bold ${micPassed ? 'text-emerald-400' : 'text-slate-400'}`}>{micPassed ? 'We can hear you' : 'Waiting for your voice...'}</p>}
+              </>
+            )}
+
+            {step.id === 'speakers' && (
+              <>
+                <button onClick={playSpeakerTest} disabled={speakerState === 'loading'} className="px-6 py-2 rounded-full bg-indigo-500/10 text-indigo-400 hover:bg-indigo-500/20 disabled:opacity-50 text-[10px] font-bold uppercase tracking-widest">
+                  {speakerState === 'loading' ? 'Loading...' : speakerState === 'idle' ? 'Play Test Line' : 'Play Again'}
+                </button>
+                {speakerState === 'played' && (
+                  <button onClick={() => setSpeakerState('confirmed')} className="block px-6 py-2 rounded-full bg-emerald-500/10 text-emerald-400 hover:bg-emerald-500/20 text-[10px] font-bold uppercase tracking-widest">
+                    I Heard It Clearly
+                  </button>
+                )}
+                {speakerState === 'confirmed' && <p className="text-sm text-emerald-400 font-bold">Speakers are ready</p>}
+                {speakerError && <p className="text-sm text-red-400">{speakerError}</p>}
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Navigation */}
+        <div className="flex items-center justify-between">
+          <button onClick={() => navigate('/')} className="text-[10px] text-slate-500 hover:text-slate-300 font-bold uppercase tracking-widest">
+            Back to Dashboard
+          </button>
+          <button
+            onClick={handleNext}
+            disabled={!stepPassed}
+            className="px-8 py-3 rounded-full bg-indigo-500 text-white hover:bg-indigo-400 disabled:bg-slate-800 disabled:text-slate-500 text-[10px] font-bold uppercase tracking-widest transition-colors"
+          >
+            {isLastStep ? 'Start Interview' : 'Next'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CalibrationPage;
@@ -0,0 +1,414 @@
+/*
+================================================================================
+COHORTS PAGE (Mentor)
+================================================================================
+ROLE: Mentors run their cohorts here. Guarded by AuthGuard
+roles={['mentor', 'admin']}; every /api/mentor/* request is checked again
+by the backend (a mentor only gets their own cohorts, admins get all).
+
+HOW IT WORKS:
+1. Cohorts (GET /api/mentor/cohorts) are listed on the left; a new one is
+   created with POST /api/mentor/cohorts.
+2. The selected cohort (GET /api/mentor/cohorts/:id) shows its invite link
+   (/join/<code>, renewed with POST .../invite), its assignments (a template
+   with a deadline, POST/DELETE .../assignments) and the cohort table: each
+   member's completed sessions, report scores and assignment status.
+================================================================================
+*/
+
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ApiService } from '../services/api.service';
+
+// Helper: ms since epoch -> "Oct 19, 09:41"
+const formatTime = (ms) => (ms
+  ? new Date(ms).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '—');
+
+// How each assignment status looks in the table
+const STATUS_STYLES = {
+  done: 'bg-emerald-500/10 text-emerald-400',
+  late: 'bg-amber-500/10 text-amber-400',
+  pending: 'bg-slate-800 text-slate-400',
+  overdue: 'bg-red-500/10 text-red-400'
+};
+
+// --- SMALL PRESENTATIONAL PIECES ---
+
+const SectionTitle = ({ children }) => (
+  <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em] mb-4 ml-2">{children}</h3>
+);
+
+const Panel = ({ children }) => (
+  <div className="bg-zinc-900/20 border border-white/[0.05] rounded-[32px] p-6 backdrop-blur-sm overflow-x-auto">
+    {children}
+  </div>
+);
+
+const Score = ({ value }) => (
+  <span className="text-xs font-mono text-slate-300">{value === null ? '—' : `${value}/10`}</span>
+);
+
+function CohortsPage() {
+
+  // 1. Routing
+  const navigate = useNavigate();
+
+  // 2. Local State
+  const [cohorts, setCohorts] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [detail, setDetail] = useState(null); // { cohort, assignments, members }
+  const [selectedMemberUid, setSelectedMemberUid] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [templateId, setTemplateId] = useState('');
+  const [dueLocal, setDueLocal] = useState(''); // <input type="datetime-local"> value
+  const [notice, setNotice] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0); // Bumped to reload everything
+
+  // 3. Load my cohorts and the templates that can be assigned
+  useEffect(() => {
+    let cancelled = false;
+
+    ApiService.get('/api/mentor/cohorts')
+      .then((response) => {
+        if (!cancelled) setCohorts(response.cohorts || []);
+      })
+      .catch((err) => !cancelled && setNotice(`Failed to load cohorts: ${err.message}`));
+
+    ApiService.get('/api/templates')
+      .then((response) => {
+        if (cancelled) return;
+        setTemplates(response.templates || []);
+        setTemplateId(current => current || response.defaultTemplateId || '');
+      })
+      .catch((err) => console.error('❌ Cohorts: Failed to load templates', err));
+
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  // 4. Load the selected cohort's table
+  useEffect(() => {
+    if (!selectedId) return;
+    let cancelled = false;
+
+    ApiService.get(`/api/mentor/cohorts/${encodeURIComponent(selectedId)}`)
+      .then((response) => {
+        if (!cancelled) setDetail(response);
+      })
+      .catch((err) => !cancelled && setNotice(`Failed to load the cohort: ${err.message}`));
+
+    return () => { cancelled = true; };
+  }, [selectedId, refreshKey]);
+
+  const cohort = detail?.cohort.cohortId === selectedId ? detail.cohort : null;
+  const inviteLink = cohort ? `${window.location.origin}/join/${cohort.inviteCode}` : '';
+  const selectedMember = detail?.members.find(member => member.uid === selectedMemberUid) || null;
+
+  // 5. HANDLER: Create a cohort
+  async function handleCreate(event) {
+    event.preventDefault();
+    if (!newName.trim()) return;
+
+    try {
+      const response = await ApiService.post('/api/mentor/cohorts', { name: newName.trim() });
+      setNewName('');
+      setSelectedId(response.cohort.cohortId);
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      setNotice(`Could not create the cohort: ${err.message}`);
+    }
+  }
+
+  // 6. HANDLER: New invite link
+  async function handleRenewInvite() {
+    if (!window.confirm('Create a new invite link? The current link stops working.')) return;
+    try {
+      await ApiService.post(`/api/mentor/cohorts/${encodeURIComponent(selectedId)}/invite`);
+      setNotice('Invite link renewed.');
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      setNotice(`Could not renew the link: ${err.message}`);
+    }
+  }
+
+  // 7. HANDLER: Copy the invite link
+  async function handleCopyInvite() {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      setNotice('Invite link copied.');
+    } catch {
+      setNotice(inviteLink);
+    }
+  }
+
+  // 8. HANDLER: Assign a template
+  async function handleAssign(event) {
+    event.preventDefault();
+    const dueAt = new Date(dueLocal).getTime();
+    if (!templateId || !Number.isFinite(dueAt)) return;
+
+    try {
+      await ApiService.post(`/api/mentor/cohorts/${encodeURIComponent(selectedId)}/assignments`, { templateId, dueAt });
+      setDueLocal('');
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      setNotice(`Could not add the assignment: ${err.message}`);
+    }
+  }
+
+  // 9. HANDLER: Remove an assignment
+  async function handleRemoveAssignment(assignmentId) {
+    if (!window.confirm('Remove this assignment?')) return;
+    try {
+      await ApiService.delete(`/api/mentor/cohorts/${encodeURIComponent(selectedId)}/assignments/${encodeURIComponent(assignmentId)}`);
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      setNotice(`Could not remove the assignment: ${err.message}`);
+    }
+  }
+
+  // 10. HANDLER: Remove a member
+  async function handleRemoveMember(uid) {
+    if (!window.confirm('Remove this member from the cohort? Their sessions are kept.')) return;
+    try {
+      await ApiService.delete(`/api/mentor/cohorts/${encodeURIComponent(selectedId)}/members/${encodeURIComponent(uid)}`);
+      setSelectedMemberUid(null);
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      setNotice(`Could not remove the member: ${err.message}`);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-200 font-inter">
+      <div className="max-w-7xl mx-auto px-6 lg:px-12 py-10 space-y-12">
+
+        {/* HEADER */}
+        <header className="flex justify-between items-center">
+          <div>
+            <h2 className="text-2xl font-outfit font-bold text-white tracking-widest uppercase">Cohorts</h2>
+            <p className="text-[10px] text-slate-500 font-bold uppercase tracking-[0.2em]">Invites • Assignments • Results</p>
+          </div>
+          <div className="flex gap-3">
+            <button onClick={() => setRefreshKey(key => key + 1)} className="px-5 py-2 rounded-full bg-slate-900 border border-slate-800 hover:border-slate-600 text-xs font-bold uppercase tracking-widest text-slate-400">
+              Refresh
+            </button>
+            <button onClick={() => navigate('/')} className="px-5 py-2 rounded-full bg-slate-900 border border-slate-800 hover:border-indigo-500/50 text-xs font-bold uppercase tracking-widest text-slate-400">
+              Dashboard
+            </button>
+          </div>
+        </header>
+
+        {notice && (
+          <div className="px-5 py-3 rounded-2xl bg-indigo-500/10 border border-indigo-500/20 text-sm text-indigo-300 flex justify-between">
+            <span className="break-all">{notice}</span>
+            <button onClick={() => setNotice(null)} className="text-indigo-400 text-xs ml-4">Dismiss</button>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+
+          {/* COHORT LIST */}
+          <section className="space-y-4">
+            <SectionTitle>My Cohorts ({cohorts.length})</SectionTitle>
+            <form onSubmit={handleCreate} className="flex gap-2">
+              <input
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                maxLength={80}
+                placeholder="New cohort name"
+                className="flex-1 min-w-0 bg-slate-900 border border-slate-800 rounded-full px-4 py-2 text-xs text-slate-300"
+              />
+              <button type="submit" className="px-4 py-2 rounded-full bg-indigo-500/10 text-indigo-400 hover:bg-indigo-500/20 text-[10px] font-bold uppercase tracking-widest">
+                Create
+              </button>
+            </form>
+            <div className="space-y-2">
+              {cohorts.map((item) => (
+                <button
+                  key={item.cohortId}
+                  onClick={() => { setSelectedId(item.cohortId); setSelectedMemberUid(null); }}
+                  className={`w-full text-left px-5 py-4 rounded-2xl border transition-all ${
+                    item.cohortId === selectedId
+                      ? 'bg-indigo-500/10 border-indigo-500/50'
+                      : 'bg-slate-900/60 border-white/[0.03] hover:border-slate-700'
+                  }`}
+                >
+                  <p className="text-sm text-white">{item.name}</p>
+                  <p className="text-[10px] text-slate-500 font-mono">
+                    {item.memberUids.length} members{item.mentorName ? ` • ${item.mentorName}` : ''}
+                  </p>
+                </button>
+              ))}
+            </div>
+          </section>
+
+          {/* SELECTED COHORT */}
+          <div className="lg:col-span-3 space-y-10">
+            {!cohort && (
+              <Panel>
+                <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">
+                  {selectedId ? 'Loading cohort...' : 'Pick or create a cohort'}
+                </p>
+              </Panel>
+            )}
+
+            {cohort && (
+              <>
+                {/* INVITE LINK */}
+                <section>
+                  <SectionTitle>Invite Link</SectionTitle>
+                  <Panel>
+                    <div className="flex flex-wrap items-center gap-3">
+                      <code className="flex-1 min-w-0 text-xs text-slate-300 font-mono break-all">{inviteLink}</code>
+                      <button onClick={handleCopyInvite} className="px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-widest bg-indigo-500/10 text-indigo-400 hover:bg-indigo-500/20">
+                        Copy
+                      </button>
+                      <button onClick={handleRenewInvite} className="px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-widest bg-slate-800 text-slate-400 hover:text-white">
+                        Renew
+                      </button>
+                    </div>
+                  </Panel>
+                </section>
+
+                {/* ASSIGNMENTS */}
+                <section>
+                  <SectionTitle>Assignments ({detail.assignments.length})</SectionTitle>
+                  <Panel>
+                    <form onSubmit={handleAssign} className="flex flex-wrap gap-3 mb-4">
+                      <select value={templateId} onChange={(e) => setTemplateId(e.target.value)} className="bg-slate-900 border border-slate-800 rounded-lg px-2 py-1 text-xs text-slate-300">
+                        {templates.map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+                      </select>
+                      <input
+                        type="datetime-local"
+                        value={dueLocal}
+                        onChange={(e) => setDueLocal(e.target.value)}
+                        className="bg-slate-900 border border-slate-800 rounded-lg px-2 py-1 text-xs text-slate-300"
+                      />
+                      <button type="submit" disabled={!dueLocal} className="px-3 py-1 rounded-full text-[10px] font-bold uppercase tracking-widest bg-indigo-500/10 text-indigo-400 hover:bg-indigo-500/20 disabled:opacity-30">
+                        Assign
+                      </button>
+                    </form>
+                    {detail.assignments.length === 0 ? (
+                      <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">Nothing assigned yet</p>
+                    ) : (
+                      <table className="w-full text-left">
+                        <tbody>
+                          {detail.assignments.map((assignment) => (
+                            <tr key={assignment.assignmentId} className="border-t border-white/5 first:border-t-0">
+                              <td className="py-2 pr-4 text-sm text-slate-300">{assignment.templateName}</td>
+                              <td className="py-2 pr-4 text-[10px] text-slate-500 font-mono">due {formatTime(assignment.dueAt)}</td>
+                              <td className="py-2 text-right">
+                                <button onClick={() => handleRemoveAssignment(assignment.assignmentId)} className="text-[10px] font-bold uppercase tracking-widest text-slate-500 hover:text-red-400">
+                                  Remove
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </Panel>
+                </section>
+
+                {/* COHORT TABLE */}
+                <section>
+                  <SectionTitle>Members ({detail.members.length})</SectionTitle>
+                  <Panel>
+                    {detail.members.length === 0 ? (
+                      <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">Nobody has joined yet. Share the invite link.</p>
+                    ) : (
+                      <table className="w-full text-left">
+                        <thead>
+                          <tr className="text-[10px] text-slate-600 uppercase tracking-widest">
+                            <th className="pb-3 pr-4 font-bold">Member</th>
+                            <th className="pb-3 pr-4 font-bold">Sessions</th>
+                            <th className="pb-3 pr-4 font-bold">Avg Score</th>
+                            {detail.assignments.map(assignment => (
+                              <th key={assignment.assignmentId} className="pb-3 pr-4 font-bold">{assignment.templateName}</th>
+                            ))}
+                            <th className="pb-3"></th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {detail.members.map((member) => (
+                            <tr key={member.uid} className="border-t border-white/5">
+                              <td className="py-3 pr-4">
+                                <button onClick={() => setSelectedMemberUid(member.uid)} className="text-left">
+                                  <p className="text-sm text-white hover:text-indigo-300">{member.displayName || 'Unnamed'}</p>
+                                  <p className="text-[10px] text-slate-500 font-mono">{member.email || member.uid}</p>
+                                </button>
+                              </td>
+                              <td className="py-3 pr-4 text-xs font-mono text-slate-400">{member.sessions.length}</td>
+                              <td className="py-3 pr-4"><Score value={member.averageScore} /></td>
+                              {detail.assignments.map((assignment) => {
+                                const { status } = member.assignments[assignment.assignmentId];
+                                return (
+                                  <td key={assignment.assignmentId} className="py-3 pr-4">
+                                    <span className={`px-2 py-1 rounded-full text-[9px] font-bold uppercase tracking-widest ${STATUS_STYLES[status]}`}>{status}</span>
+                                  </td>
+                                );
+                              })}
+                              <td className="py-3 text-right">
+                                <button onClick={() => handleRemoveMember(member.uid)} className="text-[10px] font-bold uppercase tracking-widest text-slate-500 hover:text-red-400">
+                                  Remove
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </Panel>
+                </section>
+
+                {/* ONE MEMBER'S SESSIONS */}
+                {selectedMember && (
+                  <section>
+                    <SectionTitle>{selectedMember.displayName || selectedMember.email || selectedMember.uid} • Completed Sessions</SectionTitle>
+                    <Panel>
+                      {selectedMember.sessions.length === 0 ? (
+                        <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">No completed sessions since joining</p>
+                      ) : (
+                        <table className="w-full text-left">
+                          <thead>
+                            <tr className="text-[10px] text-slate-600 uppercase tracking-widest">
+                              <th className="pb-3 pr-4 font-bold">When</th>
+                              <th className="pb-3 pr-4 font-bold">Template</th>
+                              <th className="pb-3 pr-4 font-bold">Highest Rung</th>
+                              <th className="pb-3 pr-4 font-bold">Correctness / Depth / Communication</th>
+                              <th className="pb-3 font-bold">Overall</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {selectedMember.sessions.map((session) => (
+                              <tr key={session.sessionId} className="border-t border-white/5">
+                                <td className="py-2 pr-4 text-[10px] text-slate-500 font-mono">{formatTime(session.startedAt)}</td>
+                                <td className="py-2 pr-4 text-xs text-slate-300">{session.templateName || '—'}</td>
+                                <td className="py-2 pr-4 text-xs text-slate-400">{session.highestRung || '—'}</td>
+                                <td className="py-2 pr-4 text-xs font-mono text-slate-400">
+                                  {session.scores
+                                    ? `${session.scores.correctness} / ${session.scores.depth} / ${session.scores.communication}`
+                                    : (session.reportStatus || 'no report')}
+                                </td>
+                                <td className="py-2"><Score value={session.overall} /></td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </Panel>
+                  </section>
+                )}
+              </>
+            )}
+          </div>
+
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CohortsPage;
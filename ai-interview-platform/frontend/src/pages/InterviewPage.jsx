@@ -9,15 +9,34 @@ HOW IT WORKS:
 1. It connects to the backend via WebSockets (SocketService).
 2. It uses 'useAudioRecorder' to handle voice input and AI state tracking.
 3. The UI is split into a control panel (left) and a live transcript (right).
+4. The interview template comes from `?template=<id>` (picked on the dashboard).
+   When the template's turn or time limit is reached, the backend wraps up
+   and we end the session and open the report automatically.
+5. Resume: the running session id is kept in sessionStorage. After a page
+   refresh we offer to resume it; after a dropped connection we resume it
+   automatically ('interview:resume' re-asks the last question).
+6. Quota: the daily / weekly practice time left ('session:quota') counts
+   down next to the clock, with a warning once it drops below
+   `quota.warningSec` (2 minutes). When it runs out the backend wraps up
+   like a template limit.
+7. Observation: mentors can only watch this session if the candidate allows
+   it ('observe:consent'); the panel shows how many are watching.
+8. Proctoring: the face tracker compares every frame with the baseline from
+   the pre-interview check (CalibrationPage, calibration.store). Without one
+   it falls back to its own snapshot a second after the camera starts.
 ================================================================================
 */
 
 import React, { useEffect, useState, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import useAuthStore from '../store/auth.store';
 import SocketService from '../services/socket.service';
 import useAudioRecorder from '../hooks/useAudioRecorder';
 import useFaceTracker from '../hooks/useFaceTracker';
+import useCalibrationStore from '../store/calibration.store';
+
+// sessionStorage key of the interview in progress (survives a page refresh)
+const RESUME_STORAGE_KEY = 'verboai:activeSessionId';
 
 // --- PROFESSIONAL SVG ICONS (Replacing Emojis) ---
 
@@ -97,15 +116,17 @@ const InterviewPage = () => {
   const cameraRef = useRef(null); // Ref for local camera feed
 
   // --- ANTI-CHEAT: VISUALL MONITORING ---
-  const handleFaceViolation = (reason) => {
+  const handleFaceViolation = (reason, metrics, clientAt) => {
     // Only send violations if the interview is actually running
     if (status === 'running') {
       console.warn(`🚨 Visual Violation: ${reason}`);
-      SocketService.emit('session:violation', { reason });
+      SocketService.reportViolation(reason, metrics, clientAt);
     }
   };
 
-  const { isFaceTracked, trackerError } = useFaceTracker(handleFaceViolation, cameraRef);
+  // Baseline from the pre-interview check (null = the tracker takes its own)
+  const [calibratedBaseline] = useState(() => useCalibrationStore.getState().getFreshBaseline());
+  const { isFaceTracked, trackerError } = useFaceTracker(handleFaceViolation, cameraRef, { baseline: calibratedBaseline });
 
   // Extracting logic from our custom audio hook
   const { 
@@ -116,15 +137,34 @@ const InterviewPage = () => {
     startRecording, 
     stopRecording,
     chatHistory, 
+    restoreChatHistory,
+    progress,
+    caption,
+    template,
+    quota,
     isTerminated, 
+    endReason,
     warning,      
     setWarning    
-  } = useAudioRecorder();
+  } = useAudioRecorder({
+    // Template limit reached and the closing line has played
+    onInterviewComplete: () => handleFinishInterview()
+  });
+
+  // Interview template picked on the dashboard (null = backend default)
+  const [searchParams] = useSearchParams();
+  const templateId = searchParams.get('template');
 
   const [status, setStatus] = useState('disconnected'); 
   const [sessionId, setSessionId] = useState(null);
   const [error, setError] = useState(null);
   const [timeElapsed, setTimeElapsed] = useState(0);
+  const [clockNow, setClockNow] = useState(0); // Last clock tick (ms), for the quota countdown
+  // Interview left running before a page refresh (null = nothing to resume)
+  const [resumableSessionId, setResumableSessionId] = useState(() => sessionStorage.getItem(RESUME_STORAGE_KEY));
+  // Mentor observation: the candidate's consent for this session, and who's watching
+  const [observersAllowed, setObserversAllowed] = useState(false);
+  const [observerCount, setObserverCount] = useState(0);
 
   // Combined permission error
   const permissionError = audioPermissionError || trackerError;
@@ -171,49 +211,102 @@ const InterviewPage = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [chatHistory, aiMessage]);
   
-  // 4. Security: Stop the timer if the session is terminated
+  // 4. Security: Stop the timer and heartbeat if the session is terminated
+  //    (the server has already ended and billed it)
   useEffect(() => {
     if (isTerminated) {
+        if (heartbeatIntervalRef.current) clearInterval(heartbeatIntervalRef.current);
         if (timerIntervalRef.current) clearInterval(timerIntervalRef.current);
+        sessionStorage.removeItem(RESUME_STORAGE_KEY);
     }
   }, [isTerminated]);
 
+  // 5. Dropped connection: pick the interview up again once we're back
+  useEffect(() => {
+    if (status !== 'running' || !sessionId || !SocketService.socket) return;
+
+    const manager = SocketService.socket.io;
+    const handleReconnect = async () => {
+      try {
+        const resumed = await SocketService.resumeInterview(sessionId);
+        restoreChatHistory(resumed.history);
+        setError(null);
+      } catch (err) {
+        setError(err.message || 'The interview could not be resumed.');
+      }
+    };
+
+    manager.on('reconnect', handleReconnect);
+    return () => manager.off('reconnect', handleReconnect);
+  }, [status, sessionId, restoreChatHistory]);
+
+  // 6. Mentor observation: read this session's consent, track who's watching
+  useEffect(() => {
+    if (status !== 'running' || !sessionId || !SocketService.socket) return;
+    let cancelled = false;
+
+    SocketService.setObserverConsent()
+      .then((allowed) => {
+        if (!cancelled) setObserversAllowed(allowed);
+      })
+      .catch((err) => console.warn('Could not read observation consent', err));
+
+    SocketService.on('observe:presence', (data) => setObserverCount(data.observers || 0));
+    return () => {
+      cancelled = true;
+      SocketService.off('observe:presence');
+    };
+  }, [status, sessionId]);
+
   // --- BUSINESS LOGIC HANDLERS ---
 
+  // Anti-Cheat Requirement: the interview runs in fullscreen
+  const enterFullscreen = async () => {
+    try {
+      if (document.documentElement.requestFullscreen) {
+        await document.documentElement.requestFullscreen();
+      }
+    } catch (fsErr) {
+      console.warn("Could not enter fullscreen mode.", fsErr);
+    }
+  };
+
+  // Background heartbeat (ping server) and the visual clock
+  const startSessionTimers = () => {
+    heartbeatIntervalRef.current = setInterval(() => {
+      SocketService.sendHeartbeat();
+    }, 15000);
+
+    timerIntervalRef.current = setInterval(() => {
+      setTimeElapsed(prev => prev + 1);
+      setClockNow(Date.now());
+    }, 1000);
+  };
+
   // Starts the interview session
   const handleStartSession = async () => {
     try {
-      // Step A: Attempt to enter Fullscreen (Anti-Cheat Requirement)
-      try {
-        if (document.documentElement.requestFullscreen) {
-          await document.documentElement.requestFullscreen();
-        }
-      } catch (fsErr) {
-        console.warn("Could not enter fullscreen mode.", fsErr);
-      }
+      // Step A: Attempt to enter Fullscreen
+      await enterFullscreen();
 
       setStatus('starting');
       setError(null);
       
       // Step B: Tell the backend to prepare a session
+      // (this closes any session left over from before a refresh)
       const sid = await SocketService.startSession();
       setSessionId(sid);
+      sessionStorage.setItem(RESUME_STORAGE_KEY, sid);
+      setResumableSessionId(null);
       
       // Step C: Initialize voice and signaling
-      SocketService.emit('interview:start');
+      SocketService.emit('interview:start', { templateId });
       await startRecording();
       
       setStatus('running');
 
-      // Step D: Start background heartbeat (ping server)
-      heartbeatIntervalRef.current = setInterval(() => {
-        SocketService.sendHeartbeat();
-      }, 15000);
-
-      // Step E: Start the visual clock
-      timerIntervalRef.current = setInterval(() => {
-        setTimeElapsed(prev => prev + 1);
-      }, 1000);
+      // Step D: Heartbeat and clock
+      startSessionTimers();
 
     } catch (err) {
       console.error('Error starting session:', err);
@@ -222,9 +315,38 @@ const InterviewPage = () => {
     }
   };
 
+  // Resumes the interview left running before a page refresh
+  const handleResumeSession = async () => {
+    try {
+      await enterFullscreen();
+
+      setStatus('starting');
+      setError(null);
+
+      const resumed = await SocketService.resumeInterview(resumableSessionId);
+      setSessionId(resumed.sessionId);
+      sessionStorage.setItem(RESUME_STORAGE_KEY, resumed.sessionId);
+      setTimeElapsed(resumed.elapsedSec || 0);
+      restoreChatHistory(resumed.history);
+      setResumableSessionId(null);
+
+      await startRecording();
+      setStatus('running');
+      startSessionTimers();
+
+    } catch (err) {
+      console.error('Error resuming session:', err);
+      sessionStorage.removeItem(RESUME_STORAGE_KEY);
+      setResumableSessionId(null);
+      setError(err.message || 'The interview could not be resumed.');
+      setStatus('ready');
+    }
+  };
+
   // Ends the interview session gracefully
   const handleEndSession = async () => {
     stopRecording();
+    sessionStorage.removeItem(RESUME_STORAGE_KEY);
     if (heartbeatIntervalRef.current) clearInterval(heartbeatIntervalRef.current);
     if (timerIntervalRef.current) clearInterval(timerIntervalRef.current);
 
@@ -249,6 +371,31 @@ const InterviewPage = () => {
     setTimeElapsed(0);
   };
 
+  // Lets mentors watch this session (or sends them away)
+  const handleToggleObservers = async () => {
+    try {
+      const allowed = await SocketService.setObserverConsent(!observersAllowed);
+      setObserversAllowed(allowed);
+      if (!allowed) setObserverCount(0);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Ends the session from the button and opens the evaluation report
+  const handleFinishInterview = async () => {
+    const finishedSessionId = sessionId;
+    await handleEndSession();
+    if (finishedSessionId) navigate(`/report/${finishedSessionId}`);
+  };
+
+  // Practice time left: the last 'session:quota', counted down since it arrived
+  // (null = no quota yet, or an unlimited plan)
+  const quotaLeft = quota && quota.remainingSec !== null
+    ? Math.max(0, quota.remainingSec - Math.max(0, Math.floor((clockNow - quota.receivedAt) / 1000)))
+    : null;
+  const isQuotaLow = status === 'running' && quotaLeft !== null && quotaLeft <= quota.warningSec;
+
   // Helper to turn seconds into a MM:SS string
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -303,9 +450,25 @@ const InterviewPage = () => {
       )}
 
       {/* -----------------------------------------------------------
-          OVERLAY 2: PERMANENT TERMINATION (Lockdown Mode)
+          OVERLAY 2: FORCED END (an administrator ended the session)
+          or PERMANENT TERMINATION (Lockdown Mode, proctoring)
           ----------------------------------------------------------- */}
-      {isTerminated && (
+      {isTerminated && endReason === 'admin' && (
+        <div className="absolute inset-0 z-50 bg-slate-950 flex flex-col items-center justify-center text-center p-8">
+          <h1 className="text-5xl font-outfit font-bold text-white mb-4 tracking-tight">SESSION ENDED</h1>
+          <p className="text-xl text-slate-400 max-w-xl mb-12 leading-relaxed">
+            Your session was ended by an administrator. The time used so far has been recorded.
+          </p>
+          <button 
+             onClick={() => navigate('/dashboard')}
+             className="px-12 py-4 bg-slate-800 hover:bg-slate-700 text-white rounded-xl font-bold transition-all hover:shadow-xl hover:shadow-black"
+          >
+            Exit to Dashboard
+          </button>
+        </div>
+      )}
+
+      {isTerminated && endReason !== 'admin' && (
         <div className="absolute inset-0 z-50 bg-slate-950 flex flex-col items-center justify-center text-center p-8">
           <div className="flex justify-center mb-10">
             <LockIcon />
@@ -356,6 +519,16 @@ const InterviewPage = () => {
                 <h2 className="text-4xl font-outfit font-light text-white tracking-tighter">
                   {status === 'running' ? formatTime(timeElapsed) : '00:00'}
                 </h2>
+                {status === 'running' && template && (
+                  <p className="text-[10px] tracking-widest uppercase text-slate-600 font-semibold">
+                    {template.name} • {formatTime(Math.max(0, template.timeLimitMinutes * 60 - timeElapsed))} left
+                  </p>
+                )}
+                {status === 'running' && quotaLeft !== null && (
+                  <p className={`text-[10px] tracking-widest uppercase font-semibold ${isQuotaLow ? 'text-amber-400' : 'text-slate-600'}`}>
+                    Practice time • {formatTime(quotaLeft)} left {quota.limitedBy === 'weekly' ? 'this week' : 'today'}
+                  </p>
+                )}
               </div>
 
               <div className="pt-2">
@@ -366,6 +539,23 @@ const InterviewPage = () => {
                   {status === 'running' ? (aiState === 'IDLE' ? 'Initializing...' : aiState) : 'System Standby'}
                 </p>
               </div>
+
+              {/* Difficulty Ladder Position (from 'interview:progress') */}
+              {status === 'running' && progress && (
+                <div className="pt-4 space-y-2">
+                  <p className="text-[10px] tracking-[0.3em] uppercase text-slate-500 font-bold">Current Level</p>
+                  <p className="text-sm font-outfit font-semibold text-indigo-400 tracking-widest uppercase">
+                    {progress.rung || (progress.phase === 'DOMAIN' ? 'Choosing Domain' : 'Choosing Niche')}
+                  </p>
+                  {progress.rung && (
+                    <div className="flex justify-center gap-1">
+                      {Array.from({ length: progress.totalRungs }, (_, index) => (
+                        <span key={index} className={`h-1 w-5 rounded-full ${index <= progress.rungIndex ? 'bg-indigo-500' : 'bg-slate-800'}`}></span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           </div>
 
@@ -394,6 +584,37 @@ const InterviewPage = () => {
           {/* Main Action Buttons */}
           <div className="z-10 w-full space-y-4">
 
+            {/* Quota Warning (practice time running out) */}
+            {isQuotaLow && !isTerminated && (
+              <div className="p-4 bg-amber-950/30 border border-amber-500/20 rounded-xl text-amber-300 text-xs text-center" role="status">
+                {quota.exhausted || quotaLeft === 0
+                  ? 'Your practice time is used up. The interviewer is wrapping up.'
+                  : `Only ${formatTime(quotaLeft)} of practice time left. The interview will end when it runs out.`}
+              </div>
+            )}
+
+            {/* Mentor Observation (only with the candidate's consent) */}
+            {status === 'running' && !isTerminated && (
+              <div className="flex items-center justify-between px-4 py-3 bg-slate-900/60 border border-slate-800 rounded-xl">
+                <div>
+                  <p className="text-[10px] tracking-widest uppercase text-slate-400 font-bold">Mentor Observation</p>
+                  <p className="text-[10px] text-slate-600">
+                    {observersAllowed
+                      ? (observerCount > 0 ? `${observerCount} mentor${observerCount === 1 ? '' : 's'} watching` : 'Allowed • nobody watching')
+                      : 'Off • only you see this interview'}
+                  </p>
+                </div>
+                <button
+                  onClick={handleToggleObservers}
+                  className={`px-3 py-1.5 rounded-full text-[10px] font-bold uppercase tracking-widest transition-all ${
+                    observersAllowed ? 'bg-indigo-500/20 text-indigo-300 hover:bg-indigo-500/30' : 'bg-slate-800 text-slate-400 hover:bg-slate-700'
+                  }`}
+                >
+                  {observersAllowed ? 'Stop' : 'Allow'}
+                </button>
+              </div>
+            )}
+
             {/* Error Message if any */}
             {(error || permissionError) && (
               <div className="p-4 bg-red-950/30 border border-red-500/20 rounded-xl text-red-400 text-xs text-center">
@@ -401,6 +622,16 @@ const InterviewPage = () => {
               </div>
             )}
 
+            {/* Resume Session Button (interview left running before a refresh) */}
+            {status === 'ready' && resumableSessionId && !isTerminated && (
+              <button 
+                onClick={handleResumeSession}
+                className="w-full py-5 rounded-2xl bg-blue-600 text-white font-bold font-outfit text-sm tracking-widest hover:bg-blue-500 hover:scale-[1.02] active:scale-[0.98] transition-all"
+              >
+                RESUME INTERVIEW
+              </button>
+            )}
+
             {/* Start Session Button */}
             {status === 'ready' && !isTerminated && (
               <button 
@@ -414,7 +645,7 @@ const InterviewPage = () => {
             {/* End Session Button */}
             {status === 'running' && !isTerminated && (
               <button 
-                onClick={handleEndSession}
+                onClick={handleFinishInterview}
                 className="w-full py-4 rounded-2xl bg-slate-900 border border-slate-800 text-slate-400 font-bold text-xs tracking-widest hover:bg-red-950/20 hover:text-red-400 hover:border-red-900/50 transition-all uppercase"
               >
                 End Session Gracefully
@@ -523,6 +754,26 @@ const InterviewPage = () => {
             <div ref={messagesEndRef} />
           </div>
 
+          {/* Live Captions (word timings from 'audio:chunk') */}
+          {status === 'running' && caption && (
+            <div className="px-10 pb-4" aria-live="polite">
+              <p className="text-center text-lg font-outfit leading-relaxed">
+                {caption.words.length > 0 ? (
+                  caption.words.map((word, index) => (
+                    <span
+                      key={index}
+                      className={`transition-colors duration-150 ${index < caption.spokenCount ? 'text-white' : 'text-slate-600'}`}
+                    >
+                      {word.text}{' '}
+                    </span>
+                  ))
+                ) : (
+                  <span className="text-slate-300">{caption.text}</span>
+                )}
+              </p>
+            </div>
+          )}
+
           {/* Footer Status Bar */}
           <div className="p-6 border-t border-slate-900/50 bg-slate-950/20 flex justify-center">
             <div className={`px-6 py-2 rounded-full border transition-all duration-500 ${
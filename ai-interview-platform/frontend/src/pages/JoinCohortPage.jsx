@@ -0,0 +1,71 @@
+/*
+================================================================================
+JOIN COHORT PAGE (/join/:code)
+================================================================================
+ROLE: Where a mentor's invite link lands.
+HOW:  AuthGuard sends signed-out visitors to /login and back here after.
+      We then POST /api/cohorts/join with the code and show the result.
+      The cohort's assignments appear on the dashboard.
+================================================================================
+*/
+
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ApiService } from '../services/api.service';
+
+function JoinCohortPage() {
+
+  // 1. Routing
+  const navigate = useNavigate();
+  const { code } = useParams();
+
+  // 2. Local State
+  const [cohort, setCohort] = useState(null);
+  const [error, setError] = useState(null);
+
+  // 3. Join once on arrival (joining twice is harmless)
+  useEffect(() => {
+    let cancelled = false;
+
+    ApiService.post('/api/cohorts/join', { code })
+      .then((response) => {
+        if (!cancelled) setCohort(response.cohort);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => { cancelled = true; };
+  }, [code]);
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-200 font-inter flex items-center justify-center px-6">
+      <div className="max-w-md w-full bg-zinc-900/30 border border-white/[0.05] rounded-[40px] p-10 text-center space-y-6">
+        {!cohort && !error && (
+          <p className="text-[10px] text-slate-500 uppercase tracking-widest font-bold">Joining cohort...</p>
+        )}
+
+        {cohort && (
+          <>
+            <h2 className="text-2xl font-outfit font-bold text-white">You joined {cohort.name}</h2>
+            <p className="text-sm text-slate-400">
+              {cohort.mentorName || 'Your mentor'} can see the interviews you finished since the cohort started,
+              with their report scores (not the transcripts). Your assignments are on the dashboard.
+            </p>
+          </>
+        )}
+
+        {error && (
+          <>
+            <h2 className="text-2xl font-outfit font-bold text-white">Could not join</h2>
+            <p className="text-sm text-red-400">{error}</p>
+          </>
+        )}
+
+        <button onClick={() => navigate('/')} className="px-6 py-2 rounded-full bg-indigo-500/10 text-indigo-400 hover:bg-indigo-500/20 text-[10px] font-bold uppercase tracking-widest">
+          Go to Dashboard
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default JoinCohortPage;
@@ -0,0 +1,279 @@
+/*
+================================================================================
+MENTOR PAGE (Observation Deck)
+================================================================================
+ROLE: Lets mentors (and admins) watch a live interview and take notes.
+Guarded by AuthGuard roles={['mentor', 'admin']}; the backend checks the
+role again on the REST routes and on every socket event.
+
+HOW IT WORKS:
+1. GET /api/mentor/sessions lists the live interviews whose candidate
+   allowed observers.
+2. Picking one opens a socket and joins it read-only ('observe:join'). The
+   reply has the transcript so far, violations and our earlier notes.
+3. New turns ('observe:turn', 'observe:turn_update') and proctoring strikes
+   ('observe:violation') stream in until 'observe:ended' (interview over,
+   or the candidate withdrew consent).
+4. Notes ('observe:note') are stamped with the time into the interview.
+   They are stored on the session and never shown to the candidate.
+================================================================================
+*/
+
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useAuthStore from '../store/auth.store';
+import { ApiService } from '../services/api.service';
+import SocketService from '../services/socket.service';
+import IntegrityTimeline from '../components/shared/IntegrityTimeline';
+
+// Helper: ms into the interview -> "MM:SS"
+const formatOffset = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+};
+
+const ENDED_MESSAGES = {
+  ended: 'The interview is over.',
+  consent_revoked: 'The candidate stopped allowing observers.'
+};
+
+function MentorPage() {
+
+  // 1. Routing & Auth
+  const navigate = useNavigate();
+  const user = useAuthStore(state => state.user);
+
+  // 2. Local State
+  const [connected, setConnected] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [observed, setObserved] = useState(null); // { sessionId, uid, startedAt, templateName, turns, violations, notes }
+  const [endedReason, setEndedReason] = useState(null);
+  const [noteText, setNoteText] = useState('');
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const transcriptEndRef = useRef(null);
+
+  // 3. Socket: connect on mount, leave on unmount
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+
+    user.getIdToken()
+      .then((token) => {
+        if (cancelled) return;
+        SocketService.connect(token);
+        setConnected(true);
+      })
+      .catch((err) => setError(err.message));
+
+    return () => {
+      cancelled = true;
+      SocketService.leaveObservation();
+      SocketService.disconnect();
+    };
+  }, [user]);
+
+  // 4. Live feed of the interview we're watching
+  useEffect(() => {
+    if (!connected) return;
+
+    SocketService.on('observe:turn', ({ turn }) => {
+      setObserved(prev => (prev ? { ...prev, turns: [...prev.turns, turn] } : prev));
+    });
+    SocketService.on('observe:turn_update', ({ index, text, interrupted }) => {
+      setObserved(prev => (prev
+        ? { ...prev, turns: prev.turns.map(turn => (turn.index === index ? { ...turn, text, interrupted } : turn)) }
+        : prev));
+    });
+    SocketService.on('observe:violation', ({ violation }) => {
+      setObserved(prev => (prev ? { ...prev, violations: [...prev.violations, violation] } : prev));
+    });
+    SocketService.on('observe:ended', ({ reason }) => {
+      setEndedReason(reason);
+      setRefreshKey(key => key + 1);
+    });
+
+    return () => {
+      ['observe:turn', 'observe:turn_update', 'observe:violation', 'observe:ended'].forEach(event => SocketService.off(event));
+    };
+  }, [connected]);
+
+  // 5. Interviews we may watch
+  useEffect(() => {
+    let cancelled = false;
+
+    ApiService.get('/api/mentor/sessions')
+      .then((response) => {
+        if (!cancelled) setSessions(response.sessions || []);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  // 6. Keep the newest turn in view
+  useEffect(() => {
+    transcriptEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [observed?.turns.length]);
+
+  // 7. HANDLER: Start watching an interview
+  async function handleObserve(sessionId) {
+    try {
+      setError(null);
+      const session = await SocketService.observeSession(sessionId);
+      setObserved(session);
+      setEndedReason(null);
+    } catch (err) {
+      setError(err.message);
+      setRefreshKey(key => key + 1);
+    }
+  }
+
+  // 8. HANDLER: Stop watching
+  function handleLeave() {
+    SocketService.leaveObservation();
+    setObserved(null);
+    setEndedReason(null);
+    setRefreshKey(key => key + 1);
+  }
+
+  // 9. HANDLER: Save a note
+  async function handleAddNote(event) {
+    event.preventDefault();
+    if (!noteText.trim()) return;
+
+    try {
+      const note = await SocketService.addObserverNote(noteText);
+      setObserved(prev => (prev ? { ...prev, notes: [...prev.notes, note] } : prev));
+      setNoteText('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-200 font-inter">
+      <div className="max-w-7xl mx-auto px-6 lg:px-12 py-10 space-y-10">
+
+        {/* HEADER */}
+        <header className="flex justify-between items-center">
+          <div>
+            <h2 className="text-2xl font-outfit font-bold text-white tracking-widest uppercase">Observation Deck</h2>
+            <p className="text-[10px] text-slate-500 font-bold uppercase tracking-[0.2em]">Read-only • Candidates opted in</p>
+          </div>
+          <button onClick={() => navigate('/')} className="px-5 py-2 rounded-full bg-slate-900 border border-slate-800 hover:border-indigo-500/50 text-xs font-bold uppercase tracking-widest text-slate-400">
+            Dashboard
+          </button>
+        </header>
+
+        {error && (
+          <div className="px-5 py-3 rounded-2xl bg-red-950/30 border border-red-500/20 text-sm text-red-400">{error}</div>
+        )}
+
+        {/* SESSION PICKER */}
+        {!observed && (
+          <section className="bg-zinc-900/20 border border-white/[0.05] rounded-[32px] p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em]">Live Interviews</h3>
+              <button onClick={() => setRefreshKey(key => key + 1)} className="text-[10px] font-bold uppercase tracking-widest text-slate-500 hover:text-slate-300">Refresh</button>
+            </div>
+            {sessions.length === 0 ? (
+              <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">No candidate is open to observers right now</p>
+            ) : (
+              <div className="space-y-3">
+                {sessions.map((session) => (
+                  <button
+                    key={session.sessionId}
+                    onClick={() => handleObserve(session.sessionId)}
+                    disabled={!connected}
+                    className="w-full flex items-center justify-between px-5 py-4 rounded-2xl bg-slate-900/60 border border-white/[0.03] hover:border-indigo-500/30 transition-all text-left"
+                  >
+                    <span className="text-sm text-slate-300">{session.templateName || 'Interview'} <span className="text-[10px] text-slate-600 font-mono ml-2">{session.uid}</span></span>
+                    <span className="text-[10px] text-slate-500 font-mono">
+                      since {new Date(session.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} • {session.turnCount} turns • {session.violationCount} violations
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* OBSERVED INTERVIEW */}
+        {observed && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+
+            {/* Transcript */}
+            <section className="lg:col-span-2 bg-zinc-900/20 border border-white/[0.05] rounded-[32px] p-6 flex flex-col max-h-[75vh]">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em]">
+                  {observed.templateName || 'Interview'} • {observed.sessionId}
+                </h3>
+                <button onClick={handleLeave} className="text-[10px] font-bold uppercase tracking-widest text-slate-500 hover:text-red-400">Leave</button>
+              </div>
+
+              {endedReason && (
+                <p className="mb-4 px-4 py-2 rounded-xl bg-slate-800 text-xs text-slate-300">{ENDED_MESSAGES[endedReason] || 'Observation ended.'}</p>
+              )}
+
+              <div className="flex-1 overflow-y-auto space-y-4 pr-2">
+                {observed.turns.map((turn) => (
+                  <div key={turn.index} className="text-sm leading-relaxed">
+                    <span className="text-[10px] text-slate-600 font-mono mr-2">{formatOffset(turn.startedAt - observed.startedAt)}</span>
+                    <span className={turn.speaker === 'assistant' ? 'text-indigo-400' : 'text-emerald-400'}>
+                      {turn.speaker === 'assistant' ? 'Interviewer' : 'Candidate'}:
+                    </span>{' '}
+                    <span className="text-slate-300">{turn.text}</span>
+                    {turn.interrupted && <span className="text-[10px] text-amber-500 ml-2">(interrupted)</span>}
+                  </div>
+                ))}
+                <div ref={transcriptEndRef} />
+              </div>
+            </section>
+
+            {/* Violations & Notes */}
+            <aside className="space-y-6">
+              <section className="bg-zinc-900/20 border border-white/[0.05] rounded-[32px] p-6">
+                <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em] mb-4">Proctoring ({observed.violations.length})</h3>
+                <IntegrityTimeline events={observed.violations} startedAt={observed.startedAt} />
+              </section>
+
+              <section className="bg-zinc-900/20 border border-white/[0.05] rounded-[32px] p-6">
+                <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em] mb-4">Private Notes</h3>
+                <div className="space-y-2 mb-4">
+                  {observed.notes.map((note) => (
+                    <p key={note.id} className="text-xs text-slate-300">
+                      <span className="font-mono text-slate-600 mr-2">{formatOffset(note.at - observed.startedAt)}</span>
+                      {note.text}
+                    </p>
+                  ))}
+                </div>
+                {!endedReason && (
+                  <form onSubmit={handleAddNote} className="space-y-2">
+                    <textarea
+                      value={noteText}
+                      onChange={(e) => setNoteText(e.target.value)}
+                      rows={3}
+                      maxLength={2000}
+                      placeholder="Only mentors and admins see notes"
+                      className="w-full bg-slate-900 border border-slate-800 rounded-xl px-3 py-2 text-xs text-slate-300"
+                    />
+                    <button type="submit" className="w-full py-2 rounded-full bg-indigo-500/10 text-indigo-400 hover:bg-indigo-500/20 text-[10px] font-bold uppercase tracking-widest">
+                      Add Note
+                    </button>
+                  </form>
+                )}
+              </section>
+            </aside>
+
+          </div>
+        )}
+
+      </div>
+    </div>
+  );
+}
+
+export default MentorPage;
@@ -0,0 +1,260 @@
+/*
+================================================================================
+REPORT PAGE (Post-Interview Evaluation)
+================================================================================
+ROLE: Shows the LLM-generated evaluation for one finished session.
+
+HOW IT WORKS:
+1. Reads :sessionId from the URL and loads GET /api/sessions/:id.
+2. The report is generated in the background after 'session:end', so while
+   `reportStatus` is still pending we poll the endpoint every few seconds.
+3. Once ready, it renders the scores, highest rung reached, per-topic
+   breakdown, strengths/gaps and the full transcript.
+4. The integrity timeline lists every proctoring event of the session
+   (what was flagged, when, the measurements and the decision).
+================================================================================
+*/
+
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ApiService } from '../services/api.service';
+import IntegrityTimeline from '../components/shared/IntegrityTimeline';
+
+// Must match DIFFICULTY_LADDER in backend/src/config/ladder.js
+const DIFFICULTY_LADDER = ['BASIC', 'EASY', 'MEDIUM', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+
+const SCORE_LABELS = {
+  correctness: 'Correctness',
+  depth: 'Depth',
+  communication: 'Communication'
+};
+
+// Polling: 3s x 40 = give the evaluator up to 2 minutes
+const POLL_INTERVAL_MS = 3000;
+const MAX_POLLS = 40;
+
+// A report is "still coming" until the backend marks it ready/failed/skipped
+const isReportPending = (session) =>
+  !session || !['ready', 'failed', 'skipped'].includes(session.reportStatus);
+
+// --- SMALL PRESENTATIONAL PIECES ---
+
+// Horizontal bar for a 1-10 score
+const ScoreBar = ({ label, value }) => (
+  <div className="space-y-2">
+    <div className="flex justify-between items-baseline">
+      <span className="text-[10px] text-slate-500 uppercase font-bold tracking-[0.2em]">{label}</span>
+      <span className="text-white font-outfit font-bold text-lg">{value}<span className="text-slate-600 text-xs">/10</span></span>
+    </div>
+    <div className="h-1.5 w-full bg-slate-800 rounded-full overflow-hidden">
+      <div className="h-full bg-indigo-500 rounded-full transition-all duration-700" style={{ width: `${value * 10}%` }}></div>
+    </div>
+  </div>
+);
+
+// The six rungs, with everything up to the highest reached lit up
+const LadderMeter = ({ highestRung }) => {
+  const reachedIndex = DIFFICULTY_LADDER.indexOf(highestRung);
+  return (
+    <div className="flex gap-2">
+      {DIFFICULTY_LADDER.map((rung, index) => (
+        <div key={rung} className="flex-1 space-y-2">
+          <div className={`h-2 rounded-full ${index <= reachedIndex ? 'bg-emerald-500' : 'bg-slate-800'}`}></div>
+          <p className={`text-[8px] font-bold uppercase tracking-widest text-center ${index <= reachedIndex ? 'text-emerald-400' : 'text-slate-600'}`}>
+            {rung}
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+function ReportPage() {
+
+  // 1. Routing
+  const { sessionId } = useParams();
+  const navigate = useNavigate();
+
+  // 2. Local State
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState(null);
+  const [gaveUp, setGaveUp] = useState(false);
+
+  // 3. Load + poll until the report settles
+  useEffect(() => {
+    let cancelled = false;
+    let timeoutId = null;
+    let polls = 0;
+
+    const load = async () => {
+      try {
+        const response = await ApiService.get(`/api/sessions/${sessionId}`);
+        if (cancelled) return;
+        setSession(response.session);
+
+        if (isReportPending(response.session)) {
+          if (++polls < MAX_POLLS) {
+            timeoutId = setTimeout(load, POLL_INTERVAL_MS);
+          } else {
+            setGaveUp(true);
+          }
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load report');
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      if (timeoutId) clearTimeout(timeoutId);
+    };
+  }, [sessionId]);
+
+  const report = session?.report;
+  const pending = isReportPending(session) && !gaveUp;
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-200 font-inter relative overflow-hidden">
+      <div className="relative max-w-5xl mx-auto px-6 lg:px-12 py-10 space-y-10">
+
+        {/* HEADER */}
+        <header className="flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-outfit font-bold tracking-[0.2em] text-white uppercase">
+              Interview <span className="text-indigo-400">Report</span>
+            </h1>
+            {session && (
+              <p className="text-[10px] text-slate-500 font-mono mt-2">
+                {new Date(session.startedAt).toLocaleString()} • {session.turnCount || 0} turns
+              </p>
+            )}
+          </div>
+          <button
+            onClick={() => navigate('/')}
+            className="px-6 py-2.5 rounded-full bg-slate-900 border border-slate-800 hover:border-indigo-500/50 text-xs font-bold font-outfit uppercase tracking-widest text-slate-400 hover:text-white transition-all"
+          >
+            Dashboard
+          </button>
+        </header>
+
+        {/* ERROR STATE */}
+        {error && (
+          <div className="p-6 bg-red-950/30 border border-red-500/20 rounded-2xl text-red-400 text-sm text-center">
+            {error}
+          </div>
+        )}
+
+        {/* PENDING STATE */}
+        {!error && pending && (
+          <div className="flex flex-col items-center justify-center py-24 space-y-6">
+            <div className="w-10 h-10 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin"></div>
+            <p className="text-xs text-slate-500 uppercase tracking-[0.3em] font-bold">Evaluating your interview...</p>
+          </div>
+        )}
+
+        {/* NO REPORT STATES */}
+        {!error && !pending && session?.reportStatus === 'skipped' && (
+          <p className="text-center text-slate-500 text-sm py-16">This session ended before any answers were given, so there is nothing to grade.</p>
+        )}
+        {!error && !pending && (session?.reportStatus === 'failed' || gaveUp) && (
+          <p className="text-center text-red-400/80 text-sm py-16">The evaluation could not be generated for this session.</p>
+        )}
+
+        {/* THE REPORT */}
+        {report && (
+          <>
+            {/* Summary + Overall Scores */}
+            <section className="grid grid-cols-1 md:grid-cols-2 gap-8">
+              <div className="bg-zinc-900/30 border border-white/[0.05] rounded-[32px] p-8 space-y-6">
+                <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em]">Summary</h3>
+                <p className="text-slate-300 text-sm leading-relaxed">{report.summary}</p>
+                <div className="space-y-3 pt-2">
+                  <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em]">Highest Rung Reached</h3>
+                  <LadderMeter highestRung={report.highestRung} />
+                </div>
+              </div>
+
+              <div className="bg-zinc-900/30 border border-white/[0.05] rounded-[32px] p-8 space-y-6">
+                <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em]">Scores</h3>
+                {Object.keys(SCORE_LABELS).map((dimension) => (
+                  <ScoreBar key={dimension} label={SCORE_LABELS[dimension]} value={report.scores[dimension]} />
+                ))}
+              </div>
+            </section>
+
+            {/* Strengths & Gaps */}
+            <section className="grid grid-cols-1 md:grid-cols-2 gap-8">
+              <div className="bg-emerald-500/[0.03] border border-emerald-500/10 rounded-[32px] p-8 space-y-4">
+                <h3 className="text-[10px] font-bold text-emerald-400 uppercase tracking-[0.3em]">Strengths</h3>
+                {report.strengths.length === 0 && <p className="text-slate-600 text-xs">None identified.</p>}
+                {report.strengths.map((item, index) => (
+                  <p key={index} className="text-slate-300 text-sm leading-relaxed">{item}</p>
+                ))}
+              </div>
+              <div className="bg-amber-500/[0.03] border border-amber-500/10 rounded-[32px] p-8 space-y-4">
+                <h3 className="text-[10px] font-bold text-amber-400 uppercase tracking-[0.3em]">Gaps</h3>
+                {report.gaps.length === 0 && <p className="text-slate-600 text-xs">None identified.</p>}
+                {report.gaps.map((item, index) => (
+                  <p key={index} className="text-slate-300 text-sm leading-relaxed">{item}</p>
+                ))}
+              </div>
+            </section>
+
+            {/* Per-Topic Breakdown */}
+            {report.topics.length > 0 && (
+              <section className="bg-zinc-900/30 border border-white/[0.05] rounded-[32px] p-8 space-y-6">
+                <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em]">By Topic</h3>
+                {report.topics.map((topic, index) => (
+                  <div key={index} className="flex flex-col md:flex-row md:items-center gap-4 py-4 border-t border-white/5 first:border-t-0">
+                    <div className="md:w-1/3">
+                      <p className="text-white font-outfit font-semibold">{topic.topic}</p>
+                      <p className="text-[9px] text-indigo-400 font-bold uppercase tracking-widest mt-1">{topic.rung || 'Unrated'}</p>
+                    </div>
+                    <p className="flex-1 text-slate-400 text-xs leading-relaxed">{topic.notes}</p>
+                    <div className="flex gap-4 text-[10px] font-mono text-slate-500">
+                      {Object.keys(SCORE_LABELS).map((dimension) => (
+                        <span key={dimension}>{SCORE_LABELS[dimension].slice(0, 4).toUpperCase()} {topic.scores[dimension]}</span>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </section>
+            )}
+          </>
+        )}
+
+        {/* Integrity Timeline */}
+        {session && (
+          <section className="bg-zinc-900/20 border border-white/[0.05] rounded-[32px] p-8 space-y-5">
+            <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em]">Integrity Timeline</h3>
+            {session.proctoringMode === 'record_only' && (
+              <p className="text-xs text-slate-500">Practice session: these events were recorded for you, not enforced.</p>
+            )}
+            <IntegrityTimeline events={session.violations} startedAt={session.startedAt} />
+          </section>
+        )}
+
+        {/* Transcript */}
+        {session?.turns?.length > 0 && (
+          <section className="bg-zinc-900/20 border border-white/[0.05] rounded-[32px] p-8 space-y-5">
+            <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em]">Transcript</h3>
+            {session.turns.map((turn) => (
+              <div key={turn.index} className="space-y-1">
+                <p className="text-[9px] font-bold uppercase tracking-widest text-slate-600">
+                  {turn.speaker === 'candidate' ? 'Candidate' : 'Verbo AI'}
+                  {turn.rung && <span className="text-indigo-400/70"> • {turn.rung}</span>}
+                </p>
+                <p className={`text-sm leading-relaxed ${turn.speaker === 'candidate' ? 'text-slate-200' : 'text-slate-400'}`}>{turn.text}</p>
+              </div>
+            ))}
+          </section>
+        )}
+
+      </div>
+    </div>
+  );
+}
+
+export default ReportPage;
@@ -8,13 +8,35 @@ and analytics while maintaining the professional "VerboAI" aesthetic.
 HOW IT WORKS:
 1. It displays the user's profile information.
 2. It provides navigation cards for 'Start Interview' and 'My Analytics'.
-3. It uses a clean, grid-based layout with premium hover effects.
+3. 'My Analytics' lists the user's saved sessions from GET /api/sessions.
+4. An interview template picker (GET /api/templates) decides what kind of
+   interview 'Start Interview' launches (passed as ?template=<id>).
+5. The stats panel shows what's left of today's (and this week's) practice
+   time, from GET /api/quota.
+6. Admins get a link to the admin console (/admin); mentors and admins
+   get one to the observation deck (/mentor) and their cohorts (/cohorts).
+7. Candidates in a cohort see its assignments (GET /api/cohorts): the
+   template to practise, the deadline and whether it's done.
+8. It uses a clean, grid-based layout with premium hover effects.
 ================================================================================
 */
 
+import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import useAuthStore from "../store/auth.store";
 import { AuthService } from "../services/auth.service";
+import { ApiService } from "../services/api.service";
+
+// How many recent sessions to preview inside the analytics card
+const RECENT_SESSIONS_SHOWN = 3;
+
+// Helper: seconds -> "12m 30s"
+const formatDuration = (seconds) => {
+  if (!seconds) return '0m';
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return secs ? `${mins}m ${secs}s` : `${mins}m`;
+};
 
 // --- PROFESSIONAL SVG ICONS (Replacing Emojis) ---
 
@@ -49,11 +71,72 @@ function DashboardPage() {
   const user = useAuthStore(state => state.user);
   const profile = useAuthStore(state => state.profile);
 
-  // 3. HANDLER: Logout functionality
+  // 3. Session history for the 'My Analytics' card
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+
+  // 4. Interview templates for the picker
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState(null);
+
+  // 5. Remaining practice time (see QuotaService on the backend)
+  const [quota, setQuota] = useState(null);
+
+  // 6. Cohorts I joined, with their assignments
+  const [cohorts, setCohorts] = useState([]);
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+
+    ApiService.get('/api/sessions')
+      .then((response) => {
+        if (!cancelled) setSessions(response.sessions || []);
+      })
+      .catch((err) => console.error('❌ Dashboard: Failed to load sessions', err))
+      .finally(() => {
+        if (!cancelled) setSessionsLoading(false);
+      });
+
+    ApiService.get('/api/templates')
+      .then((response) => {
+        if (cancelled) return;
+        setTemplates(response.templates || []);
+        setSelectedTemplateId(response.defaultTemplateId || response.templates?.[0]?.id || null);
+      })
+      .catch((err) => console.error('❌ Dashboard: Failed to load templates', err));
+
+    ApiService.get('/api/quota')
+      .then((response) => {
+        if (!cancelled) setQuota(response.quota || null);
+      })
+      .catch((err) => console.error('❌ Dashboard: Failed to load quota', err));
+
+    ApiService.get('/api/cohorts')
+      .then((response) => {
+        if (!cancelled) setCohorts(response.cohorts || []);
+      })
+      .catch((err) => console.error('❌ Dashboard: Failed to load cohorts', err));
+
+    return () => { cancelled = true; };
+  }, [user]);
+
+  const completedSessions = sessions.filter(s => s.status === 'ended');
+  const totalPracticeSec = completedSessions.reduce((sum, s) => sum + (s.durationSec || 0), 0);
+
+  const assignments = cohorts.flatMap(cohort => cohort.assignments.map(assignment => ({ ...assignment, cohortName: cohort.name })));
+
+  // 7. HANDLER: Logout functionality
   function handleLogout() {
     AuthService.logout();
   }
 
+  // 8. HANDLER: Launch the interview with the selected template
+  function handleLaunchInterview(templateId = selectedTemplateId) {
+    // Camera, mic and speaker check first (see CalibrationPage)
+    navigate(templateId ? `/calibrate?template=${encodeURIComponent(templateId)}` : '/calibrate');
+  }
+
   // Safety Check: If no user is logged in, don't render anything (AuthGuard will handle redirect)
   if (!user) return null;
 
@@ -134,11 +217,57 @@ function DashboardPage() {
                   </p>
                 </div>
                 
+                {quota && (
+                  <div>
+                    <p className="text-[10px] text-slate-600 uppercase font-black mb-2">Practice Time Left</p>
+                    <p className={`font-outfit font-bold text-sm tracking-widest uppercase ${quota.exhausted ? 'text-red-400' : 'text-white'}`}>
+                      {quota.remainingSec === null ? 'Unlimited' : formatDuration(quota.remainingSec)}
+                    </p>
+                    {quota.dailyLimitSec !== null && (
+                      <p className="text-[10px] text-slate-500 font-mono mt-1">
+                        Today: {formatDuration(quota.dailyUsedSec)} / {formatDuration(quota.dailyLimitSec)}
+                      </p>
+                    )}
+                    {quota.weeklyLimitSec !== null && (
+                      <p className="text-[10px] text-slate-500 font-mono mt-1">
+                        This week: {formatDuration(quota.weeklyUsedSec)} / {formatDuration(quota.weeklyLimitSec)}
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 <div>
                   <p className="text-[10px] text-slate-600 uppercase font-black mb-2">Primary Email</p>
                   <p className="text-slate-400 font-inter text-xs truncate">{user.email}</p>
                 </div>
 
+                {profile?.role === 'admin' && (
+                  <button
+                    onClick={() => navigate('/admin')}
+                    className="w-full px-4 py-2 rounded-full bg-indigo-500/10 border border-indigo-500/20 hover:bg-indigo-500/20 text-[10px] font-bold uppercase tracking-widest text-indigo-400 transition-all"
+                  >
+                    Open Admin Console
+                  </button>
+                )}
+
+                {['mentor', 'admin'].includes(profile?.role) && (
+                  <button
+                    onClick={() => navigate('/mentor')}
+                    className="w-full px-4 py-2 rounded-full bg-emerald-500/10 border border-emerald-500/20 hover:bg-emerald-500/20 text-[10px] font-bold uppercase tracking-widest text-emerald-400 transition-all"
+                  >
+                    Open Mentor View
+                  </button>
+                )}
+
+                {['mentor', 'admin'].includes(profile?.role) && (
+                  <button
+                    onClick={() => navigate('/cohorts')}
+                    className="w-full px-4 py-2 rounded-full bg-emerald-500/10 border border-emerald-500/20 hover:bg-emerald-500/20 text-[10px] font-bold uppercase tracking-widest text-emerald-400 transition-all"
+                  >
+                    Manage Cohorts
+                  </button>
+                )}
+
                 <div className="pt-4 border-t border-white/5 flex items-center justify-between">
                    <p className="text-[10px] text-slate-600 uppercase font-black">Account Status</p>
                    <span className="px-3 py-1 bg-blue-500/10 text-blue-400 rounded-full text-[9px] font-bold uppercase tracking-widest">Active</span>
@@ -149,13 +278,80 @@ function DashboardPage() {
 
           {/* QUICK ACTIONS PANEL (Right) */}
           <div className="lg:col-span-3 space-y-8">
+            {/* COHORT ASSIGNMENTS */}
+            {assignments.length > 0 && (
+              <div className="space-y-4">
+                <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em] ml-2">My Assignments</h3>
+                <div className="space-y-3">
+                  {assignments.map((assignment) => (
+                    <div
+                      key={assignment.assignmentId}
+                      className="flex items-center justify-between px-5 py-4 rounded-3xl bg-zinc-900/30 border border-white/[0.05]"
+                    >
+                      <div>
+                        <p className="text-sm font-outfit font-bold text-white">{assignment.templateName}</p>
+                        <p className="text-[10px] text-slate-500 font-mono uppercase tracking-widest">
+                          {assignment.cohortName} • due {new Date(assignment.dueAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                        </p>
+                      </div>
+                      {assignment.status === 'done' || assignment.status === 'late' ? (
+                        <span className={`px-3 py-1 rounded-full text-[9px] font-bold uppercase tracking-widest ${
+                          assignment.status === 'done' ? 'bg-emerald-500/10 text-emerald-400' : 'bg-amber-500/10 text-amber-400'
+                        }`}>
+                          {assignment.status === 'done' ? 'Done' : 'Done late'}
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => handleLaunchInterview(assignment.templateId)}
+                          className={`px-4 py-2 rounded-full text-[10px] font-bold uppercase tracking-widest transition-all ${
+                            assignment.status === 'overdue'
+                              ? 'bg-red-500/10 text-red-400 hover:bg-red-500/20'
+                              : 'bg-indigo-500/10 text-indigo-400 hover:bg-indigo-500/20'
+                          }`}
+                        >
+                          {assignment.status === 'overdue' ? 'Overdue • Start' : 'Start'}
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* INTERVIEW TEMPLATE PICKER */}
+            {templates.length > 0 && (
+              <div className="space-y-4">
+                <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em] ml-2">Interview Template</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+                  {templates.map((template) => (
+                    <button
+                      key={template.id}
+                      onClick={() => setSelectedTemplateId(template.id)}
+                      className={`flex flex-col items-start p-5 rounded-3xl border text-left transition-all duration-500 ${
+                        template.id === selectedTemplateId
+                          ? 'bg-indigo-500/10 border-indigo-500/50'
+                          : 'bg-zinc-900/30 border-white/[0.05] hover:border-slate-700'
+                      }`}
+                    >
+                      <span className="text-sm font-outfit font-bold text-white mb-1">{template.name}</span>
+                      <span className="text-xs text-slate-500 font-inter leading-relaxed mb-3 flex-1">{template.description}</span>
+                      <span className="text-[9px] text-slate-500 font-mono uppercase tracking-widest">
+                        {template.timeLimitMinutes}m • {template.maxTurns} answers • from {template.startingRung}
+                        {template.proctoringMode === 'record_only' && ' • practice'}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <h3 className="text-[10px] font-bold text-slate-500 uppercase tracking-[0.3em] ml-2">Available Operations</h3>
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
               
               {/* OPERATION 1: START INTERVIEW */}
               <button 
-                onClick={() => navigate('/interview')}
+                onClick={() => handleLaunchInterview()}
                 className="group relative flex flex-col items-start p-10 bg-zinc-900/30 border border-white/[0.05] rounded-[40px] hover:bg-zinc-900/50 hover:border-indigo-500/30 transition-all duration-700 text-left overflow-hidden shadow-2xl"
               >
                 {/* Decorative background glow on hover */}
@@ -178,26 +374,47 @@ function DashboardPage() {
                 </div>
               </button>
 
-              {/* OPERATION 2: VIEW ANALYTICS */}
-              <button 
-                className="group relative flex flex-col items-start p-10 bg-zinc-900/30 border border-white/[0.05] rounded-[40px] hover:bg-zinc-900/50 hover:border-slate-700 transition-all duration-700 text-left overflow-hidden shadow-2xl opacity-60 hover:opacity-100"
+              {/* OPERATION 2: VIEW ANALYTICS (Saved sessions from Firestore) */}
+              <div 
+                className="group relative flex flex-col items-start p-10 bg-zinc-900/30 border border-white/[0.05] rounded-[40px] hover:bg-zinc-900/50 hover:border-slate-700 transition-all duration-700 text-left overflow-hidden shadow-2xl"
               >
                 <div className="mb-8 p-5 rounded-3xl bg-slate-800 text-slate-500 group-hover:bg-slate-700 group-hover:text-white transition-all duration-500">
                   <ChartIcon />
                 </div>
                 
                 <h3 className="text-2xl font-outfit font-bold text-white mb-3 tracking-tight">Performance Intel</h3>
-                <p className="text-slate-500 font-inter text-sm leading-relaxed mb-8 flex-1">
-                  Access deep-dive analytics from your historical sessions. Identify pattern-based growth areas and score trends.
+                <p className="text-slate-500 font-inter text-sm leading-relaxed mb-6">
+                  {completedSessions.length} completed {completedSessions.length === 1 ? 'session' : 'sessions'} • {formatDuration(totalPracticeSec)} practiced
                 </p>
 
-                <div className="flex items-center gap-3 text-slate-500 text-[10px] font-bold uppercase tracking-[0.2em] group-hover:text-white transition-all">
-                  <span>Analyze Data Points</span>
-                  <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
-                  </svg>
+                {/* Recent sessions */}
+                <div className="w-full space-y-3 mb-2 flex-1">
+                  {sessionsLoading && (
+                    <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">Loading history...</p>
+                  )}
+
+                  {!sessionsLoading && sessions.length === 0 && (
+                    <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">No sessions recorded yet</p>
+                  )}
+
+                  {sessions.slice(0, RECENT_SESSIONS_SHOWN).map((session) => (
+                    <button 
+                      key={session.sessionId}
+                      onClick={() => navigate(`/report/${session.sessionId}`)}
+                      disabled={session.status !== 'ended'}
+                      className="w-full flex items-center justify-between px-4 py-3 rounded-2xl bg-slate-900/60 border border-white/[0.03] hover:border-indigo-500/30 disabled:hover:border-white/[0.03] transition-all"
+                    >
+                      <span className="text-xs text-slate-300 font-inter">
+                        {new Date(session.startedAt).toLocaleDateString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                      </span>
+                      <span className="text-[10px] text-slate-500 font-mono">
+                        {session.status === 'ended' ? formatDuration(session.durationSec) : 'LIVE'} • {session.turnCount || 0} turns
+                        {session.report && ` • ${session.report.highestRung || 'N/A'}`}
+                      </span>
+                    </button>
+                  ))}
                 </div>
-              </button>
+              </div>
 
             </div>
           </div>
@@ -0,0 +1,25 @@
+/*
+================================================================================
+PROCTORING SCHEMA (Frontend)
+================================================================================
+ROLE: The browser's view of shared/proctoring-events.json.
+WHY:  The face tracker used to report 'face_not_visible' while the backend
+      expected 'not_visible', so face problems got the tab-switch warning.
+      Reason codes, labels and metric keys now come from ONE file that the
+      backend reads too (see shared/README.md).
+HOW:  Hooks report with PROCTORING_REASONS.* (a typo is undefined, and
+      SocketService.reportViolation refuses it) instead of string literals.
+================================================================================
+*/
+
+import schema from '../../../shared/proctoring-events.json';
+
+export const PROCTORING_SCHEMA_VERSION = schema.version;
+
+// reason -> { source, severity, label, warning, metrics }
+export const PROCTORING_EVENTS = schema.events;
+
+// 'face_not_visible' -> PROCTORING_REASONS.FACE_NOT_VISIBLE
+export const PROCTORING_REASONS = Object.fromEntries(
+  Object.keys(schema.events).map((reason) => [reason.toUpperCase(), reason])
+);
@@ -20,7 +20,15 @@ FLOW:
   3. This opens a WebSocket to the backend.
   4. User clicks "Start" -> `SocketService.startSession()` is called.
   5. Every 15 seconds, `SocketService.sendHeartbeat()` is called.
-  6. User clicks "End" -> `SocketService.endSession()` is called.
+  6. After a refresh or reconnect -> `SocketService.resumeInterview()` picks
+     the conversation up where it stopped.
+  7. User clicks "End" -> `SocketService.endSession()` is called.
+  
+  MENTORS use the same socket to watch an interview the candidate opened up
+  (`setObserverConsent()`): `observeSession()`, `addObserverNote()`.
+
+  PROCTORING: hooks report events with `reportViolation()`, which checks the
+  reason against the shared schema (see proctoring.schema.js).
 ================================================================================
 */
 
@@ -35,6 +43,7 @@ FLOW:
   WHY:  This is the standard way to connect to a Socket.io server.
 */
 import { io } from 'socket.io-client';
+import { PROCTORING_EVENTS, PROCTORING_SCHEMA_VERSION } from './proctoring.schema';
 
 
 // =============================================================================
@@ -174,6 +183,109 @@ class SocketService {
   }
 
 
+  // ===========================================================================
+  // 2b. RESUME INTERVIEW
+  // ===========================================================================
+  /*
+    resumeInterview(sessionId)
+    
+    ROLE: Continue an interview after a page refresh or a dropped connection.
+    WHY:  The backend keeps the session (and a checkpoint of the conversation)
+          alive for a short while after a disconnect.
+    
+    RETURNS: A Promise that resolves with { sessionId, elapsedSec, history },
+             or rejects if the interview can't be resumed.
+  */
+  resumeInterview(sessionId) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        return reject(new Error('Not connected to server.'));
+      }
+
+      this.socket.emit('interview:resume', { sessionId }, (response) => {
+        if (response && response.success) {
+          console.log('🔁 SocketService: Interview Resumed! ID:', response.sessionId);
+          resolve(response);
+        } else {
+          console.error('❌ SocketService: Resume Failed:', response?.error);
+          reject(new Error(response?.error || 'Unknown error resuming interview.'));
+        }
+      });
+    });
+  }
+
+
+  // ===========================================================================
+  // 2c. OBSERVATION (Mentors)
+  // ===========================================================================
+  /*
+    request(event, payload)
+    
+    ROLE: Emit an event that the backend acknowledges with { success, ... }.
+    RETURNS: A Promise that resolves with the response, or rejects with its error.
+  */
+  request(event, payload) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        return reject(new Error('Not connected to server.'));
+      }
+
+      this.socket.emit(event, payload, (response) => {
+        if (response && response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response?.error || `Unknown error (${event}).`));
+        }
+      });
+    });
+  }
+
+  /*
+    setObserverConsent(allow)
+    
+    ROLE: Candidate allows (or stops) mentors watching this session.
+          Pass nothing to just read the current setting.
+    RETURNS: A Promise that resolves with the setting (true / false).
+  */
+  async setObserverConsent(allow) {
+    const response = await this.request('observe:consent', { allow });
+    return response.allow;
+  }
+
+  /*
+    observeSession(sessionId)
+    
+    ROLE: Mentor starts watching an interview (read-only).
+    RETURNS: A Promise that resolves with { sessionId, uid, startedAt,
+             templateName, turns, violations, notes }.
+  */
+  async observeSession(sessionId) {
+    const response = await this.request('observe:join', { sessionId });
+    return response.session;
+  }
+
+  /*
+    addObserverNote(text)
+    
+    ROLE: Mentor saves a private note on the interview they are watching.
+    RETURNS: A Promise that resolves with the stored note.
+  */
+  async addObserverNote(text) {
+    const response = await this.request('observe:note', { text });
+    return response.note;
+  }
+
+  /*
+    leaveObservation()
+    
+    ROLE: Mentor stops watching. Fire and forget.
+  */
+  leaveObservation() {
+    if (!this.socket) return;
+    this.socket.emit('observe:leave');
+  }
+
+
   // ===========================================================================
   // 3. HEARTBEAT
   // ===========================================================================
@@ -196,6 +308,36 @@ class SocketService {
   }
 
 
+  // ===========================================================================
+  // 3b. PROCTORING
+  // ===========================================================================
+  /*
+    reportViolation(reason, metrics, clientAt)
+    
+    ROLE: Tell the backend the browser saw a proctoring event.
+    WHY:  The payload must match shared/proctoring-events.json or the backend
+          rejects it. A reason the schema doesn't list (or one only the server
+          may raise) is a bug in the caller, so we log it instead of sending.
+    
+    PARAMS:
+      - reason:   PROCTORING_REASONS.* (see proctoring.schema.js)
+      - metrics:  The numbers behind it (keys from the schema)
+      - clientAt: When it happened (ms since epoch)
+  */
+  reportViolation(reason, metrics = null, clientAt = Date.now()) {
+    if (!this.socket) return;
+
+    if (PROCTORING_EVENTS[reason]?.source !== 'client') {
+      console.error(`❌ SocketService: "${reason}" is not a client proctoring event.`);
+      return;
+    }
+
+    this.socket.emit('session:violation', { version: PROCTORING_SCHEMA_VERSION, reason, metrics, clientAt }, (response) => {
+      if (response && !response.success) console.error('❌ SocketService: Violation report rejected:', response.error);
+    });
+  }
+
+
   // ===========================================================================
   // 4. END SESSION
   // ===========================================================================
@@ -204,8 +346,9 @@ class SocketService {
     
     ROLE: Tell the backend we're done with the interview.
     WHY:  This triggers the cleanup logic (unlock session, deduct time, etc.)
+          and the background evaluation report.
     
-    RETURNS: A Promise that resolves on success, or rejects on error.
+    RETURNS: A Promise that resolves with the ended sessionId, or rejects on error.
   */
   endSession() {
     return new Promise((resolve, reject) => {
@@ -221,7 +364,7 @@ class SocketService {
         
         if (response && response.success) {
           console.log('🏁 SocketService: Session Ended Cleanly.');
-          resolve();
+          resolve(response.sessionId);
         } else {
           reject(new Error(response?.error || 'Unknown error ending session.'));
         }
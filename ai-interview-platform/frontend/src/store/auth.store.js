@@ -49,6 +49,38 @@ import { onAuthStateChanged, signOut } from 'firebase/auth';
 import { ApiService } from '../services/api.service';
 
 
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/*
+  refreshTokenIfStale(profile)
+  
+  ROLE: Make sure the ID token carries the role the profile says we have
+  WHY:  The backend's role checks (checkRole on /api/admin, mentor
+        observation on the socket) read the token's custom claims, never
+        Firestore. After a role change (profile.claimsUpdatedAt), Firebase
+        would only hand us a new token within the hour; we ask for one right
+        away instead. A socket already open keeps the role it connected with.
+*/
+async function refreshTokenIfStale(profile) {
+  const currentUser = auth.currentUser;
+  if (!currentUser) return;
+  
+  try {
+    const { claims } = await currentUser.getIdTokenResult();
+    const issuedAtMs = Number(claims.iat) * 1000;
+    
+    if (claims.role !== profile.role || (profile.claimsUpdatedAt && issuedAtMs < profile.claimsUpdatedAt)) {
+      console.log("🏷️ AuthStore: Role changed, refreshing ID token...");
+      await currentUser.getIdToken(true);
+    }
+  } catch (err) {
+    console.warn("⚠️ AuthStore: Could not refresh the ID token:", err);
+  }
+}
+
+
 // =============================================================================
 // CREATE THE STORE
 // =============================================================================
@@ -225,9 +257,11 @@ const useAuthStore = create(function (set) {
             It also triggers user creation on first login!
       HOW:
         1. Set profileLoading to true
-        2. Call ApiService.get('/api/me')
-        3. Store the returned profile
-        4. Handle errors gracefully
+        2. Call ApiService.get('/api/me'), with the browser's timezone
+           (the daily practice budget resets at local midnight)
+        3. Refresh the ID token if its role claim is out of date
+        4. Store the returned profile
+        5. Handle errors gracefully
     */
     fetchProfile: async function () {
       console.log("📥 AuthStore: Fetching profile from backend...");
@@ -235,11 +269,14 @@ const useAuthStore = create(function (set) {
       set({ profileLoading: true });
       
       try {
-        const response = await ApiService.get('/api/me');
+        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const response = await ApiService.get(timezone ? `/api/me?timezone=${encodeURIComponent(timezone)}` : '/api/me');
         
         if (response.success && response.user) {
           console.log("✅ AuthStore: Profile received", response.user.uid);
           
+          await refreshTokenIfStale(response.user);
+          
           set({
             profile: response.user,
             profileLoading: false
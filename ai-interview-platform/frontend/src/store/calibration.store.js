@@ -0,0 +1,61 @@
+/*
+================================================================================
+CALIBRATION STORE (Using Zustand)
+================================================================================
+ROLE: Keeps the face baseline measured on the calibration page until the
+      interview page hands it to useFaceTracker.
+WHY:  Without it the tracker snapshots whatever the camera shows at frame 30,
+      even if the candidate is still adjusting it.
+HOW:  Saved in sessionStorage, so a refresh of the interview page keeps it
+      but a new browser session calibrates again. A baseline older than
+      MAX_AGE_MS is ignored (the candidate has probably moved since).
+================================================================================
+*/
+
+import { create } from 'zustand';
+import { persist, createJSONStorage } from 'zustand/middleware';
+
+// A calibration is trusted for this long
+const MAX_AGE_MS = 60 * 60 * 1000;
+
+const useCalibrationStore = create(
+  persist(
+    function (set, get) {
+      return {
+        // { center, width, height, gazeX, gazeY, gazeValid, gazeThreshold } (see utils/faceMetrics.js)
+        baseline: null,
+        calibratedAt: null,
+
+        /*
+          saveBaseline(baseline, now)
+
+          ROLE: Remember the result of the calibration page.
+        */
+        saveBaseline: function (baseline, now = Date.now()) {
+          set({ baseline, calibratedAt: now });
+        },
+
+        /*
+          getFreshBaseline(now)
+
+          RETURNS: The baseline, or null if there is none or it is too old.
+        */
+        getFreshBaseline: function (now = Date.now()) {
+          const { baseline, calibratedAt } = get();
+          if (!baseline || !calibratedAt || now - calibratedAt > MAX_AGE_MS) return null;
+          return baseline;
+        },
+
+        clearBaseline: function () {
+          set({ baseline: null, calibratedAt: null });
+        }
+      };
+    },
+    {
+      name: 'verbo-calibration',
+      storage: createJSONStorage(() => sessionStorage)
+    }
+  )
+);
+
+export default useCalibrationStore;
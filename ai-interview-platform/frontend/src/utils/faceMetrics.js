@@ -0,0 +1,165 @@
+/*
+================================================================================
+FACE METRICS
+================================================================================
+ROLE: Turn one MediaPipe FaceMesh result into the numbers proctoring uses.
+WHY:  useFaceTracker (during the interview) and the calibration page (before
+      it) must measure the face the same way, or a calibrated baseline would
+      not match what the tracker compares it with.
+HOW:
+  - computeFaceMetrics(landmarks): position, size, head asymmetry and gaze
+    for one frame (all normalized to the video frame, 0..1).
+  - buildBaseline(samples, cornerGazes): average of the frames taken while
+    the candidate looked at the screen, plus how far the gaze moves when
+    they look at its corners (the "still on screen" gaze range).
+================================================================================
+*/
+
+// Key landmark indices
+const NOSE_TIP = 4;
+const LEFT_EYE_OUTER = 33;
+const RIGHT_EYE_OUTER = 263;
+const LEFT_EAR = 234;  // Left side of face
+const RIGHT_EAR = 454; // Right side of face
+const CHIN = 152;
+const FOREHEAD = 10;
+
+// EYE & IRIS LANDMARKS (available with refineLandmarks: true)
+const LEFT_EYE_INNER = 133;
+const RIGHT_EYE_INNER = 362;
+const LEFT_EYE_TOP = 159;
+const LEFT_EYE_BOTTOM = 145;
+const RIGHT_EYE_TOP = 386;
+const RIGHT_EYE_BOTTOM = 374;
+const LEFT_IRIS_CENTER = 468;
+const RIGHT_IRIS_CENTER = 473;
+
+// Gaze drift allowed when no corner calibration is available
+export const DEFAULT_GAZE_THRESHOLD = 0.18;
+
+// Margin on top of the widest corner drift, and the bounds of the result
+const GAZE_THRESHOLD_MARGIN = 1.2;
+const MIN_GAZE_THRESHOLD = 0.12;
+const MAX_GAZE_THRESHOLD = 0.4;
+
+// Helper: mean of a list of numbers
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/*
+  computeFaceMetrics(landmarks)
+
+  RETURNS: {
+    faceCenter: { x, y },       Average of nose and outer eye corners
+    faceWidth, faceHeight,      Ear to ear, chin to forehead
+    horizontalAsymmetry,        0 = facing the camera, grows as the head turns
+    verticalAsymmetry,          0 = level, grows as the head tilts up/down
+    gazeX, gazeY,               Iris within the eye (0.5 = centered)
+    gazeValid                   false without iris landmarks (refineLandmarks)
+  }
+*/
+export function computeFaceMetrics(landmarks) {
+  const nose = landmarks[NOSE_TIP];
+  const leftEye = landmarks[LEFT_EYE_OUTER];
+  const rightEye = landmarks[RIGHT_EYE_OUTER];
+  const leftSide = landmarks[LEFT_EAR];
+  const rightSide = landmarks[RIGHT_EAR];
+  const chin = landmarks[CHIN];
+  const forehead = landmarks[FOREHEAD];
+
+  const faceCenter = {
+    x: (nose.x + leftEye.x + rightEye.x) / 3,
+    y: (nose.y + leftEye.y + rightEye.y) / 3
+  };
+  const faceWidth = Math.abs(rightSide.x - leftSide.x);
+  const faceHeight = Math.abs(chin.y - forehead.y);
+
+  // ===== HORIZONTAL ASYMMETRY (left/right head turn) =====
+  const leftSideToNose = Math.abs(nose.x - leftSide.x);
+  const rightSideToNose = Math.abs(rightSide.x - nose.x);
+  const horizontalAsymmetry = Math.abs(leftSideToNose - rightSideToNose) / (leftSideToNose + rightSideToNose);
+
+  // ===== VERTICAL ASYMMETRY (up/down head tilt) =====
+  // Compare nose-to-forehead vs nose-to-chin distance
+  const noseToForehead = Math.abs(nose.y - forehead.y);
+  const noseToChin = Math.abs(chin.y - nose.y);
+  const verticalAsymmetry = Math.abs(noseToForehead - noseToChin) / (noseToForehead + noseToChin);
+
+  // ===== EYE GAZE =====
+  // Where the iris sits within the eye socket
+  let gazeX = 0.5; // 0 = looking left, 0.5 = center, 1 = looking right
+  let gazeY = 0.5; // 0 = looking up, 0.5 = center, 1 = looking down
+  let gazeValid = false;
+
+  // MediaPipe provides 478 landmarks with refineLandmarks=true (468-477 are iris)
+  const leftIris = landmarks[LEFT_IRIS_CENTER];
+  const rightIris = landmarks[RIGHT_IRIS_CENTER];
+
+  if (landmarks.length > 468 && leftIris && rightIris) {
+    gazeValid = true;
+
+    const leftEyeInner = landmarks[LEFT_EYE_INNER];
+    const rightEyeInner = landmarks[RIGHT_EYE_INNER];
+
+    // Horizontal: where is the iris between the eye corners?
+    const leftIrisPosX = (leftIris.x - leftEye.x) / Math.abs(leftEyeInner.x - leftEye.x);
+    const rightIrisPosX = (rightIris.x - rightEyeInner.x) / Math.abs(rightEye.x - rightEyeInner.x);
+    gazeX = Math.max(0, Math.min(1, (leftIrisPosX + rightIrisPosX) / 2));
+
+    // Vertical: where is the iris between the eyelids?
+    const leftEyeTop = landmarks[LEFT_EYE_TOP];
+    const rightEyeTop = landmarks[RIGHT_EYE_TOP];
+    const leftIrisPosY = (leftIris.y - leftEyeTop.y) / Math.abs(landmarks[LEFT_EYE_BOTTOM].y - leftEyeTop.y);
+    const rightIrisPosY = (rightIris.y - rightEyeTop.y) / Math.abs(landmarks[RIGHT_EYE_BOTTOM].y - rightEyeTop.y);
+    gazeY = Math.max(0, Math.min(1, (leftIrisPosY + rightIrisPosY) / 2));
+  }
+
+  return { faceCenter, faceWidth, faceHeight, horizontalAsymmetry, verticalAsymmetry, gazeX, gazeY, gazeValid };
+}
+
+/*
+  gazeDrift(metrics, baseline)
+
+  RETURNS: How far the gaze is from the baseline gaze (0 without iris data).
+*/
+export function gazeDrift(metrics, baseline) {
+  if (!metrics.gazeValid) return 0;
+  const driftX = Math.abs(metrics.gazeX - (baseline.gazeX ?? 0.5));
+  const driftY = Math.abs(metrics.gazeY - (baseline.gazeY ?? 0.5));
+  return Math.sqrt(driftX * driftX + driftY * driftY);
+}
+
+/*
+  buildBaseline(samples, cornerGazes)
+
+  PARAMS:
+    - samples:     computeFaceMetrics() results while looking at the screen center
+    - cornerGazes: [{ gazeX, gazeY }] averaged per screen corner ([] to skip)
+  RETURNS: { center, width, height, gazeX, gazeY, gazeValid, gazeThreshold },
+           or null without samples. gazeThreshold is null when uncalibrated.
+*/
+export function buildBaseline(samples, cornerGazes = []) {
+  if (samples.length === 0) return null;
+
+  const gazeSamples = samples.filter((sample) => sample.gazeValid);
+  const gazeValid = gazeSamples.length > 0;
+
+  const baseline = {
+    center: {
+      x: average(samples.map((sample) => sample.faceCenter.x)),
+      y: average(samples.map((sample) => sample.faceCenter.y))
+    },
+    width: average(samples.map((sample) => sample.faceWidth)),
+    height: average(samples.map((sample) => sample.faceHeight)),
+    gazeX: gazeValid ? average(gazeSamples.map((sample) => sample.gazeX)) : 0.5,
+    gazeY: gazeValid ? average(gazeSamples.map((sample) => sample.gazeY)) : 0.5,
+    gazeValid,
+    gazeThreshold: null
+  };
+
+  if (gazeValid && cornerGazes.length > 0) {
+    const widest = Math.max(...cornerGazes.map((corner) => gazeDrift({ ...corner, gazeValid: true }, baseline)));
+    baseline.gazeThreshold = Math.min(MAX_GAZE_THRESHOLD, Math.max(MIN_GAZE_THRESHOLD, widest * GAZE_THRESHOLD_MARGIN));
+  }
+
+  return baseline;
+}
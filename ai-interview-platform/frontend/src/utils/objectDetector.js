@@ -0,0 +1,88 @@
+/*
+================================================================================
+OBJECT DETECTOR (Optional)
+================================================================================
+ROLE: Spot a phone or a second screen in the camera image.
+WHY:  FaceMesh only sees faces. A phone held under the desk line or a
+      second monitor beside the laptop is invisible to it.
+HOW:
+  - Off unless VITE_OBJECT_DETECTION=true (it loads a WASM runtime and a
+    model, and costs CPU on every check).
+  - @mediapipe/tasks-vision is a dependency: its JS is a lazy chunk of our
+    bundle and its WASM files are emitted as our own assets (?url), so
+    nothing comes from a CDN.
+  - The model is served by our own frontend: EfficientDet-Lite0 at
+    public/models/efficientdet_lite0.tflite (see public/models/README.md
+    for where to get it), or point VITE_OBJECT_DETECTION_MODEL elsewhere.
+  - useFaceTracker calls detectDevices() about once a second and reports
+    through onViolation ('device_in_view').
+================================================================================
+*/
+
+import wasmLoaderPath from '@mediapipe/tasks-vision/vision_wasm_internal.js?url';
+import wasmBinaryPath from '@mediapipe/tasks-vision/vision_wasm_internal.wasm?url';
+import noSimdLoaderPath from '@mediapipe/tasks-vision/vision_wasm_nosimd_internal.js?url';
+import noSimdBinaryPath from '@mediapipe/tasks-vision/vision_wasm_nosimd_internal.wasm?url';
+
+export const OBJECT_DETECTION_ENABLED = import.meta.env.VITE_OBJECT_DETECTION === 'true';
+
+const MODEL_URL = import.meta.env.VITE_OBJECT_DETECTION_MODEL || '/models/efficientdet_lite0.tflite';
+
+// COCO category -> what we report (metrics.device, see shared/proctoring-events.json)
+const FLAGGED_CATEGORIES = {
+  'cell phone': 'phone',
+  laptop: 'screen',
+  tv: 'screen'
+};
+
+const MIN_CONFIDENCE = 0.5;
+
+let detectorPromise = null;
+
+/*
+  loadObjectDetector()
+
+  RETURNS: A Promise of the MediaPipe ObjectDetector (created once).
+           Rejects if the runtime or the model can't be loaded; the next
+           call tries again.
+*/
+export function loadObjectDetector() {
+  if (!detectorPromise) {
+    detectorPromise = (async () => {
+      const { FilesetResolver, ObjectDetector } = await import('@mediapipe/tasks-vision');
+      const fileset = await FilesetResolver.isSimdSupported()
+        ? { wasmLoaderPath, wasmBinaryPath }
+        : { wasmLoaderPath: noSimdLoaderPath, wasmBinaryPath: noSimdBinaryPath };
+      return ObjectDetector.createFromOptions(fileset, {
+        baseOptions: { modelAssetPath: MODEL_URL },
+        runningMode: 'VIDEO',
+        scoreThreshold: MIN_CONFIDENCE,
+        maxResults: 5,
+        categoryAllowlist: Object.keys(FLAGGED_CATEGORIES)
+      });
+    })().catch((error) => {
+      detectorPromise = null;
+      throw error;
+    });
+  }
+  return detectorPromise;
+}
+
+/*
+  detectDevices(detector, video, now)
+
+  RETURNS: The most confident flagged object in this frame,
+           { device: 'phone' | 'screen', category, confidence }, or null.
+*/
+export function detectDevices(detector, video, now) {
+  const { detections } = detector.detectForVideo(video, now);
+
+  let best = null;
+  for (const detection of detections) {
+    const category = detection.categories[0];
+    const device = category && FLAGGED_CATEGORIES[category.categoryName];
+    if (!device || (best && best.confidence >= category.score)) continue;
+    best = { device, category: category.categoryName, confidence: category.score };
+  }
+  return best;
+}
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // shared/ (outside the frontend root) holds data the backend reads too
+      allow: ['.', '../shared'],
+    },
+  },
 })